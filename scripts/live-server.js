@@ -0,0 +1,109 @@
+// scripts/live-server.js — stand-in relay for live collaboration during
+// development (see src/utils/liveSync.js). No dependencies:
+//
+//   npm run live-server                       # listens on :3002
+//   REACT_APP_LIVE_URL=http://localhost:3002/live npm start
+//
+// POST /live/ticket                      { ticket } good for one stream, for TICKET_TTL
+// GET  /live/events?clientId&user&ticket&term   server-sent event stream of the term
+// POST /live/publish                     { type: 'change' | 'presence', … }
+// Session tokens are not checked — keep it on localhost. Everything lives in memory.
+const http   = require('http');
+const crypto = require('crypto');
+
+const PORT         = Number(process.env.LIVE_PORT) || 3002;
+const KEEPALIVE_MS = 15000;
+const EDITING_TTL  = 60000;   // a cell stays "open" this long without a heartbeat
+const TICKET_TTL   = 30000;
+
+const tickets = new Map();    // ticket → expiry time
+
+const clients = new Map();    // clientId → { res, term, user, cell, at }
+
+const CORS = {
+  'Access-Control-Allow-Origin':  '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+};
+
+const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+const inTerm = (term) => [...clients.entries()].filter(([, c]) => c.term === term);
+
+const broadcastPresence = (term) => {
+  const list = inTerm(term).map(([clientId, c]) => ({ clientId, user: c.user, cell: c.cell, at: c.at }));
+  inTerm(term).forEach(([, c]) => send(c.res, 'presence', { clients: list }));
+};
+
+const json = (res, status, body) => {
+  res.writeHead(status, { ...CORS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const issueTicket = (res) => {
+  const ticket = crypto.randomBytes(16).toString('hex');
+  tickets.set(ticket, Date.now() + TICKET_TTL);
+  json(res, 200, { success: true, ticket });
+};
+
+const openStream = (req, res, query) => {
+  const clientId = query.get('clientId');
+  if (!clientId) return json(res, 400, { success: false, error: 'clientId is required' });
+  const expires = tickets.get(query.get('ticket'));
+  tickets.delete(query.get('ticket'));
+  if (!expires || expires < Date.now()) return json(res, 401, { success: false, error: 'Invalid or expired ticket' });
+  const term = query.get('term') || '';
+  res.writeHead(200, { ...CORS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.write('retry: 3000\n\n');
+  clients.set(clientId, { res, term, user: query.get('user') || '', cell: null, at: Date.now() });
+  broadcastPresence(term);
+  req.on('close', () => {
+    if (clients.get(clientId)?.res !== res) return;
+    clients.delete(clientId);
+    broadcastPresence(term);
+  });
+};
+
+const publish = (req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let event;
+    try { event = JSON.parse(body); } catch { return json(res, 400, { success: false, error: 'Invalid JSON' }); }
+    const term = event.term || '';
+    if (event.type === 'presence') {
+      const client = clients.get(event.clientId);
+      if (client) Object.assign(client, { cell: event.cell || null, user: event.user || client.user, at: Date.now() });
+      broadcastPresence(term);
+    } else if (event.type === 'change' && Array.isArray(event.cells)) {
+      const { clientId, user, at, cells } = event;
+      inTerm(term).filter(([id]) => id !== clientId).forEach(([, c]) => send(c.res, 'change', { clientId, user, at, cells }));
+    } else {
+      return json(res, 400, { success: false, error: 'Unknown event type' });
+    }
+    json(res, 200, { success: true });
+  });
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (req.method === 'OPTIONS') { res.writeHead(204, CORS); res.end(); return; }
+  if (req.method === 'POST' && url.pathname.endsWith('/ticket'))  return issueTicket(res);
+  if (req.method === 'GET'  && url.pathname.endsWith('/events'))  return openStream(req, res, url.searchParams);
+  if (req.method === 'POST' && url.pathname.endsWith('/publish')) return publish(req, res);
+  json(res, 404, { success: false, error: 'Not found' });
+});
+
+// Comments keep idle streams open through proxies; stale editing cells and
+// unused tickets are released
+setInterval(() => {
+  tickets.forEach((expires, ticket) => { if (expires < Date.now()) tickets.delete(ticket); });
+  const terms = new Set();
+  clients.forEach(c => {
+    c.res.write(': keepalive\n\n');
+    if (c.cell && Date.now() - c.at > EDITING_TTL) { c.cell = null; terms.add(c.term); }
+  });
+  terms.forEach(broadcastPresence);
+}, KEEPALIVE_MS);
+
+server.listen(PORT, () => console.log(`Live relay on http://localhost:${PORT}/live`));
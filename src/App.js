@@ -1,8 +1,10 @@
 // src/App.js
 import React, { useState, useRef } from 'react';
 import { AuthProvider, useAuth } from './context/AuthContext';
-import { ScheduleProvider, useSchedule } from './context/ScheduleContext';
+import { ScheduleProvider, useSchedule, entryTeachers } from './context/ScheduleContext';
 import { LanguageProvider, useLanguage } from './context/LanguageContext';
+import { ToastProvider }       from './context/ToastContext';
+import { QueryProvider, useQuery, invalidateQueries } from './context/QueryContext';
 import Login                     from './components/Login';
 import ScheduleTable             from './components/ScheduleTable';
 import ClassModal                from './components/ClassModal';
@@ -17,8 +19,30 @@ import EmptyRoomPanel            from './components/EmptyRoomPanel';
 import AutoScheduler             from './components/AutoScheduler';
 import ExamSchedule              from './components/ExamSchedule';
 import FeedbackDashboard         from './components/FeedbackDashboard';
+import PendingChanges            from './components/PendingChanges';
+import DraftControls             from './components/DraftControls';
+import SyncStatus                from './components/SyncStatus';
+import LivePresence              from './components/LivePresence';
+import TermSwitcher              from './components/TermSwitcher';
+import TeacherRegistry           from './components/TeacherRegistry';
+import RoomRegistry              from './components/RoomRegistry';
+import CourseCatalog             from './components/CourseCatalog';
+import GroupRegistry             from './components/GroupRegistry';
+import TimeGridEditor            from './components/TimeGridEditor';
+import Snapshots                 from './components/Snapshots';
+import FindReplace               from './components/FindReplace';
+import ClearDialog               from './components/ClearDialog';
+import ValidationReport          from './components/ValidationReport';
+import AuditLog                  from './components/AuditLog';
+import ToastStack                from './components/ToastStack';
 import { exportToExcel, importFromExcel } from './utils/excelUtils';
 import { LANGUAGE_OPTIONS }               from './data/i18n';
+import { roomKey }                        from './utils/roomRegistry';
+import { departmentName, departmentThemeVars } from './utils/groupRegistry';
+import { distinctEvents }              from './utils/jointClasses';
+import { logChange }                   from './utils/auditLog';
+import { checkRows }                   from './utils/schemas';
+import { bookingsAPI, queries, hasToken } from './utils/api';
 import logo         from './assets/logo.png';
 import iconAuto     from './assets/auto.png';
 import iconBooking  from './assets/booking.png';
@@ -31,12 +55,11 @@ import './App.css';
 import OnboardingTour     from './components/OnboardingTour';
 import AnnouncementBanner from './components/AnnouncementBanner';
 
-const API_URL    = process.env.REACT_APP_API_URL    || 'https://timetablebackend-production.up.railway.app/api';
 const PUBLIC_URL = process.env.REACT_APP_BACKEND_URL || 'https://timetablebackend-production.up.railway.app';
 
 const DAY_NAMES     = ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'];
-const SCHEDULE_DAYS = ['Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'];
-const getTodayScheduleDay = () => { const t = DAY_NAMES[new Date().getDay()]; return SCHEDULE_DAYS.includes(t) ? t : 'Monday'; };
+// Today if it is a teaching day of the time grid, else the grid's first day
+const getTodayScheduleDay = (days) => { const t = DAY_NAMES[new Date().getDay()]; return days.includes(t) ? t : days[0]; };
 const getTodayName        = () => DAY_NAMES[new Date().getDay()];
 
 if (!localStorage.getItem('scheduleTheme')) {
@@ -70,20 +93,12 @@ const BookingDetailModal = ({ booking, onClose, onDeleted }) => {
     if (!window.confirm('Delete this booking and remove it from the schedule?')) return;
     setDeleting(true);
     try {
-      const tk = localStorage.getItem('token') || localStorage.getItem('scheduleToken') || '';
-      const res = await fetch(`${API_URL}/booking-requests/${booking.id}`, {
-        method: 'DELETE',
-        headers: { Authorization: `Bearer ${tk}` },
-      });
-      const data = await res.json();
-      if (data.success) {
-        onDeleted(booking);
-        onClose();
-      } else {
-        alert(data.error || 'Failed to delete booking');
-      }
-    } catch {
-      alert('Network error — please try again');
+      await bookingsAPI.delete(booking.id);
+      logChange('booking', booking.id, booking, null);
+      onDeleted(booking);
+      onClose();
+    } catch (err) {
+      alert(err.network ? 'Network error — please try again' : err.message || 'Failed to delete booking');
     } finally {
       setDeleting(false);
     }
@@ -183,23 +198,24 @@ const BookingDetailModal = ({ booking, onClose, onDeleted }) => {
 // ─────────────────────────────────────────────────────────────────────────────
 const AppContent = () => {
   const { isAuthenticated, loading: authLoading, logout, user } = useAuth();
-  const { addGroup, clearSchedule, importSchedule, deleteClass, deleteGroup, schedule, groups, teachers, timeSlots, days, loading: scheduleLoading, error } = useSchedule();
+  const { addGroup, importSchedule, deleteClass, deleteGroup, schedule, groups, teachers, timeSlots, days, loading: scheduleLoading, error,
+          undo, redo, canUndo, canRedo, undoLabel, redoLabel, activeTerm, readOnly, weekSchedule, roomRegistry,
+          departments, teacherIndex, roomIndex, groupIndex, validationReport, reportOpen } = useSchedule();
   const { t, lang, changeLang } = useLanguage();
+  const canEdit = isAuthenticated && !readOnly;
 
   const [showLoginModal,    setShowLoginModal]    = useState(false);
   const [activeView,        setActiveView]        = useState('schedule');
-  const [selectedDay,       setSelectedDay]       = useState(getTodayScheduleDay);
+  const [selectedDay,       setSelectedDay]       = useState(() => getTodayScheduleDay(days));
   const [selectedTeacher,   setSelectedTeacher]   = useState('');
   const [selectedGroup,     setSelectedGroup]     = useState(() => localStorage.getItem('myGroup') || '');
   const [selectedRoom,      setSelectedRoom]      = useState('');
   const [modalOpen,         setModalOpen]         = useState(false);
   const [currentCell,       setCurrentCell]       = useState({ group:null, day:null, time:null });
   const [importing,         setImporting]         = useState(false);
+  const [showClear,         setShowClear]         = useState(false);
   const [showBooking,       setShowBooking]       = useState(false);
   const [guestBookCell,     setGuestBookCell]     = useState(null);
-  const [activeBookings,    setActiveBookings]    = useState([]);
-  const [showExamsToGuests, setShowExamsToGuests] = useState(false);
-  const [feedbackCount,     setFeedbackCount]     = useState(0);
   const [shareToast,        setShareToast]        = useState('');
   const [showAdminMenu,     setShowAdminMenu]     = useState(false);
   const [showTour,          setShowTour]          = useState(() => !localStorage.getItem('tourDone') && false);
@@ -215,51 +231,74 @@ const AppContent = () => {
 
   React.useEffect(() => { document.body.setAttribute('data-density', density); localStorage.setItem('scheduleDensity', density); }, [density]);
   React.useEffect(() => { document.body.setAttribute('data-theme', theme); localStorage.setItem('scheduleTheme', theme); }, [theme]);
+  // Department colours come from the department list, not the stylesheet
   React.useEffect(() => {
+    const vars = departmentThemeVars(departments.find(d => d.id === dept), theme === 'dark');
+    Object.entries(vars).forEach(([name, value]) => document.body.style.setProperty(name, value));
     if (dept) document.body.setAttribute('data-dept', dept);
     else document.body.removeAttribute('data-dept');
     localStorage.setItem('scheduleDept', dept);
-  }, [dept]);
+    return () => Object.keys(vars).forEach(name => document.body.style.removeProperty(name));
+  }, [dept, theme, departments]);
   React.useEffect(() => {
     if (isAuthenticated) {
       setShowLoginModal(false);
       if (!localStorage.getItem('tourDone')) setShowTour(true);
     }
   }, [isAuthenticated]);
-  React.useEffect(() => { const d = getTodayScheduleDay(); if (d && days.includes(d)) setSelectedDay(d); }, [days]);
+  React.useEffect(() => { const d = getTodayScheduleDay(days); if (d) setSelectedDay(d); }, [days]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) — leave text fields to their native undo
+  React.useEffect(() => {
+    if (!isAuthenticated) return;
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const tag = e.target?.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target?.isContentEditable) return;
+      const k = e.key.toLowerCase();
+      if (k === 'z' && !e.shiftKey)    { e.preventDefault(); undo(); }
+      else if (k === 'z' || k === 'y') { e.preventDefault(); redo(); }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [isAuthenticated, undo, redo]);
 
   const allRooms = React.useMemo(() => {
-    const r = new Set(); Object.values(schedule).forEach(e => { if (e.room) r.add(e.room); }); return [...r].sort();
-  }, [schedule]);
+    const r = new Set(roomRegistry.map(rm => rm.code)); Object.values(schedule).forEach(e => { if (e.room) r.add(roomIndex.canonicalRoom(e.room)); }); return [...r].sort();
+  }, [schedule, roomRegistry, roomIndex]);
+
+  // Group filter options by department; a split group's parent comes first
+  // and shows all its subgroups merged
+  const groupOptions = React.useMemo(() => {
+    const { parentGroups, subgroupsOf, departmentOf, parentOf } = groupIndex;
+    const parents = parentGroups(groups).filter(p => !groups.includes(p) && subgroupsOf(p, groups).length > 1);
+    const byDept  = new Map(departments.map(d => [d.id, []]));
+    const seen    = new Set();
+    const push    = (name, parent) => {
+      const id = departmentOf(name);
+      if (!byDept.has(id)) byDept.set(id, []);
+      byDept.get(id).push({ name, parent });
+    };
+    groups.forEach(g => {
+      const p = parentOf(g);
+      if (parents.includes(p) && !seen.has(p)) { seen.add(p); push(p, true); }
+      push(g, false);
+    });
+    return [...byDept.entries()]
+      .filter(([, items]) => items.length)
+      .map(([id, items]) => ({ dept: departments.find(d => d.id === id) || null, items }));
+  }, [groups, departments, groupIndex]);
 
-  const fetchFeedbackCount = React.useCallback(async () => {
-    try {
-      const tk = localStorage.getItem('token') || localStorage.getItem('scheduleToken') || '';
-      if (!tk || !isAuthenticated) return;
-      const r = await fetch(`${API_URL}/feedback/stats`, { headers: { Authorization: `Bearer ${tk}` } });
-      const d = await r.json(); if (d.success) setFeedbackCount(d.unread || 0);
-    } catch {}
-  }, []);
-  React.useEffect(() => { if (isAuthenticated) fetchFeedbackCount(); }, [fetchFeedbackCount, isAuthenticated]);
-
-  const fetchExamSetting = React.useCallback(async () => {
-    try { const r = await fetch(`${API_URL}/settings/show_exams_to_guests`); const d = await r.json(); setShowExamsToGuests(d.value === 'true'); } catch {}
-  }, []);
-  React.useEffect(() => { fetchExamSetting(); }, [fetchExamSetting]);
-
-  const fetchActiveBookings = React.useCallback(() => {
-    // Try both token keys — admins use 'token', guests use 'scheduleToken'
-    const tk = localStorage.getItem('token') || localStorage.getItem('scheduleToken') || '';
-    if (!tk) return;
-    fetch(`${API_URL}/booking-requests`, { headers: { Authorization: `Bearer ${tk}` } })
-      .then(r => r.json()).then(d => { if (d.success) setActiveBookings(d.data || []); }).catch(() => {});
-  }, []);
-  React.useEffect(() => {
-    fetchActiveBookings();
-    // Poll every 30s so badge stays fresh without manual refresh
-    const interval = setInterval(fetchActiveBookings, 30000);
-    return () => clearInterval(interval);
-  }, [fetchActiveBookings]);
+  // Server reads shared with the screens through the query cache (context/QueryContext)
+  const { data: feedbackStats } = useQuery(queries.feedbackStats(), { enabled: isAuthenticated });
+  const feedbackCount = (isAuthenticated && feedbackStats?.unread) || 0;
+
+  const { data: examSetting } = useQuery(queries.setting('show_exams_to_guests'));
+  const showExamsToGuests = examSetting === 'true';
+
+  // Poll every 30s so badge stays fresh without manual refresh
+  const { data: bookingRows, setData: setBookingRows } = useQuery(queries.bookings(), { refetchInterval: 30000, enabled: hasToken() });
+  const activeBookings = React.useMemo(() => checkRows('booking', bookingRows || []).valid, [bookingRows]);
 
   // Count pending bookings for notification badge
   const pendingCount = React.useMemo(() =>
@@ -269,13 +308,13 @@ const AppContent = () => {
   const conflictCount = React.useMemo(() => {
     const entries = Object.values(schedule); let count = 0; const seen = new Set();
     days.forEach(day => { timeSlots.forEach(time => {
-      const slot = entries.filter(e => e.day === day && e.time === time); if (slot.length < 2) return;
+      const slot = distinctEvents(entries.filter(e => e.day === day && e.time === time)); if (slot.length < 2) return;
       const tMap = {}, rMap = {};
-      slot.forEach(e => { if (e.teacher){const k=e.teacher.toLowerCase();tMap[k]=(tMap[k]||0)+1;} if(e.room){const k=e.room.toLowerCase();rMap[k]=(rMap[k]||0)+1;} });
+      slot.forEach(e => { entryTeachers(e, teacherIndex).forEach(k=>{tMap[k]=(tMap[k]||0)+1;}); if(e.room){const k=roomKey(roomIndex.canonicalRoom(e.room));rMap[k]=(rMap[k]||0)+1;} });
       Object.entries(tMap).forEach(([k,v])=>{if(v>1&&!seen.has(`t-${k}-${day}-${time}`)){count++;seen.add(`t-${k}-${day}-${time}`);}});
       Object.entries(rMap).forEach(([k,v])=>{if(v>1&&!seen.has(`r-${k}-${day}-${time}`)){count++;seen.add(`r-${k}-${day}-${time}`);}});
     }); }); return count;
-  }, [schedule, days, timeSlots]);
+  }, [schedule, days, timeSlots, teacherIndex, roomIndex]);
 
   // ── Smart edit handler — opens BookingDetailModal for bookings, ClassModal for classes ──
   const handleEditClass = (group, day, time) => {
@@ -299,15 +338,15 @@ const AppContent = () => {
   const handleCloseModal  = () => { setModalOpen(false); setCurrentCell({ group:null, day:null, time:null }); };
   const handleJumpToCell  = (group, day, time) => { setActiveView('schedule'); setSelectedDay(day); setSelectedGroup(group); setTimeout(() => { setCurrentCell({ group, day, time }); setModalOpen(true); }, 150); };
   const handleAddGroup    = () => { const n = prompt(t('enterGroupName')); if (n?.trim()) addGroup(n.trim()); };
-  const handleDeleteGroup = async (g) => { await deleteGroup(g); setActiveBookings(prev => prev.filter(b => b.entity!==g && b.name!==g)); };
+  const handleDeleteGroup = async (g) => { await deleteGroup(g); setBookingRows(prev => (prev || []).filter(b => b.entity!==g && b.name!==g)); };
 
   // Called when booking is deleted from BookingDetailModal
   const handleBookingDeleted = (deletedBooking) => {
     const group = (deletedBooking.entity && deletedBooking.entity.trim())
       ? deletedBooking.entity.trim()
       : deletedBooking.name;
-    // Remove from activeBookings state instantly
-    setActiveBookings(prev => prev.filter(b => b.id !== deletedBooking.id));
+    // Remove from the cached bookings instantly
+    setBookingRows(prev => (prev || []).filter(b => b.id !== deletedBooking.id));
     // Remove the schedule slot
     deleteClass(group, deletedBooking.day, deletedBooking.start_time);
     // Delete the group row too — booking-created groups should vanish with the booking
@@ -324,17 +363,19 @@ const AppContent = () => {
   const handleFileChange  = async (e) => {
     const file = e?.target?.files?.[0]; if (!file) return; setImporting(true);
     try {
-      const result = await importFromExcel(file);
+      const result = await importFromExcel(file, timeSlots);
       if (result.success) {
         const res = await importSchedule(JSON.stringify({ groups: result.groups, schedule: result.schedule }));
-        alert(res.success ? `✅ Imported ${result.groups.length} groups, ${Object.keys(result.schedule).length} classes.` : `❌ ${res.error}`);
+        alert(res.success
+          ? `✅ Imported ${result.groups.length} groups, ${res.imported} classes.${res.rejected ? ` ${t('vrImportRejected', { count: res.rejected })}` : ''}`
+          : `❌ ${res.error}`);
       } else {
         alert(`❌ ${result.error || 'Invalid file format.'}`);
       }
     } catch (err) { alert(`❌ ${err.message}`); }
     finally { setImporting(false); if (fileInputRef.current) fileInputRef.current.value = ''; }
   };
-  const handleClearAll = () => { if (window.confirm(t('confirmClearAll'))) clearSchedule(); };
+  const handleClearAll = () => setShowClear(true);
 
   const navTabs = [
     ...(!isAuthenticated ? [
@@ -345,6 +386,14 @@ const AppContent = () => {
     ...(isAuthenticated ? [
       { id:'print',     icon: iconSchedule, label: t('navPrint')     || 'Print'                          },
       { id:'dashboard', icon: iconStats,    label: t('navStats')     || 'Stats'                          },
+      { id:'teachers',  icon: '📇',         label: t('navTeachers')                                        },
+      { id:'rooms',     icon: '🚪',         label: t('navRooms')                                           },
+      { id:'courses',   icon: '📚',         label: t('navCourses')                                         },
+      { id:'groups',    icon: '👥',         label: t('navGroups')                                          },
+      { id:'timegrid',  icon: '⏰',         label: t('navTimeGrid')                                        },
+      { id:'replace',   icon: '🔎',         label: t('navReplace')                                         },
+      { id:'snapshots', icon: '📸',         label: t('navSnapshots')                                       },
+      { id:'audit',     icon: '📜',         label: t('navAudit')                                           },
       { id:'conflicts', icon: '⚠️',         label: t('navConflicts') || 'Conflicts', badge: conflictCount },
       { id:'bookings',  icon: iconBooking,  label: t('navBookings')  || 'Bookings',  badge: pendingCount  },
       { id:'autosched', icon: iconAuto,     label: t('navAuto')      || 'Auto'                           },
@@ -447,6 +496,7 @@ const AppContent = () => {
         <img src={logo} alt="" style={{ height:22, width:22, objectFit:'contain', borderRadius:4, flexShrink:0 }} />
         <span style={{ fontWeight:800, fontSize:'0.75rem', color:'var(--text-primary)', whiteSpace:'nowrap', flexShrink:0 }}>Alatoo</span>
         <div style={S.divider} />
+        <TermSwitcher selectStyle={S.sel} />
         <select value={selectedDay} onChange={e => setSelectedDay(e.target.value)} style={S.sel}>
           <option value="">{t('allDays')}</option>
           {days.map(day => <option key={day} value={day}>{t(day)}{day===todayName ? ' ★' : ''}</option>)}
@@ -457,7 +507,13 @@ const AppContent = () => {
           else localStorage.removeItem('myGroup');
         }} style={S.sel}>
           <option value="">{t('allGroups')}</option>
-          {groups.map(g => <option key={g} value={g}>{g}</option>)}
+          {groupOptions.map(({ dept: d, items }) => (
+            <optgroup key={d?.id || '-'} label={d ? `${d.icon || ''} ${departmentName(d, lang)}`.trim() : t('greqNoDepartment')}>
+              {items.map(({ name, parent }) => (
+                <option key={name} value={name}>{parent ? t('greqAllSubgroups', { group: name }) : name}</option>
+              ))}
+            </optgroup>
+          ))}
         </select>
         <select value={selectedTeacher} onChange={e => setSelectedTeacher(e.target.value)} style={S.sel}>
           <option value="">{t('allTeachers')}</option>
@@ -465,10 +521,18 @@ const AppContent = () => {
         </select>
         <div style={S.divider} />
         {isAuthenticated && (<>
-          <button onClick={handleAddGroup}    style={S.btn('var(--primary)')} className="tb-admin-btn tb-desktop-only">+ {t('addGroup')}</button>
+          {canEdit && (<>
+            <button onClick={undo} disabled={!canUndo} title={`${t('undo')}${undoLabel ? ` — ${t(undoLabel)}` : ''} (Ctrl+Z)`}
+              style={{ ...S.btn('transparent', 'var(--text-primary)'), border:'1px solid var(--border)', opacity: canUndo ? 1 : 0.4, cursor: canUndo ? 'pointer' : 'default' }}>↶</button>
+            <button onClick={redo} disabled={!canRedo} title={`${t('redo')}${redoLabel ? ` — ${t(redoLabel)}` : ''} (Ctrl+Shift+Z)`}
+              style={{ ...S.btn('transparent', 'var(--text-primary)'), border:'1px solid var(--border)', opacity: canRedo ? 1 : 0.4, cursor: canRedo ? 'pointer' : 'default' }}>↷</button>
+          </>)}
+          <PendingChanges />
+          {canEdit && <DraftControls />}
+          {canEdit && <button onClick={handleAddGroup}    style={S.btn('var(--primary)')} className="tb-admin-btn tb-desktop-only">+ {t('addGroup')}</button>}
           <button onClick={handleExport}      style={S.btn('#059669')}        className="tb-admin-btn tb-desktop-only">📊 {t('export')}</button>
-          <button onClick={handleImportClick} style={S.btn('#0891b2')}        className="tb-admin-btn tb-desktop-only">📂 {t('import')}</button>
-          <button onClick={handleClearAll}    style={S.btn('var(--error)')}   className="tb-admin-btn tb-desktop-only">🗑 {t('clearAll')}</button>
+          {canEdit && <button onClick={handleImportClick} style={S.btn('#0891b2')}        className="tb-admin-btn tb-desktop-only">📂 {t('import')}</button>}
+          {canEdit && <button onClick={handleClearAll}    style={S.btn('var(--error)')}   className="tb-admin-btn tb-desktop-only">🗑 {t('clearAll')}</button>}
           <div className="tb-more-wrap tb-mobile-only" style={{ position:'relative', flexShrink:0 }}>
             <button style={S.btn('var(--bg-hover)', 'var(--text-primary)')} onClick={() => setShowAdminMenu(m => !m)}>⋯</button>
             {showAdminMenu && (
@@ -476,12 +540,12 @@ const AppContent = () => {
                 <div onClick={() => setShowAdminMenu(false)} style={{ position:'fixed', inset:0, zIndex:499 }} />
                 <div style={{ position:'fixed', top:42, right:8, zIndex:500, background:'var(--bg-card)', border:'1px solid var(--border)', borderRadius:10, boxShadow:'0 4px 20px rgba(0,0,0,0.2)', display:'flex', flexDirection:'column', minWidth:160, overflow:'hidden' }}>
                   {[
-                    { label:`${t('addGroup')}`,    action: handleAddGroup,    bg:'var(--primary)' },
+                    { label:`${t('addGroup')}`,    action: handleAddGroup,    bg:'var(--primary)', edit: true },
                     { label:`📊 ${t('export')}`,   action: handleExport,      bg:'#059669' },
-                    { label:`📂 ${t('import')}`,   action: handleImportClick, bg:'#0891b2' },
-                    { label:`🗑 ${t('clearAll')}`, action: handleClearAll,    bg:'var(--error)' },
+                    { label:`📂 ${t('import')}`,   action: handleImportClick, bg:'#0891b2',       edit: true },
+                    { label:`🗑 ${t('clearAll')}`, action: handleClearAll,    bg:'var(--error)',  edit: true },
                     { label:'🎓 Restart Tour',     action: () => { localStorage.removeItem('tourDone'); setShowTour(true); }, bg:'#6366f1' },
-                  ].map(item => (
+                  ].filter(item => canEdit || !item.edit).map(item => (
                     <button key={item.label}
                       onClick={() => { item.action(); setShowAdminMenu(false); }}
                       style={{ padding:'12px 16px', background:'transparent', border:'none', borderBottom:'1px solid var(--border)', color:'var(--text-primary)', fontSize:'0.85rem', fontWeight:600, cursor:'pointer', textAlign:'left', fontFamily:'inherit' }}
@@ -499,12 +563,13 @@ const AppContent = () => {
           <button onClick={() => setShowBooking(true)} style={S.btn('var(--primary)')}>🏫 {t('bookLab') || 'Book'}</button>
         )}
         <div style={{ flex:1, minWidth:8 }} />
+        <SyncStatus />
+        <LivePresence />
         <select value={dept} onChange={e => setDept(e.target.value)} style={{ ...S.sel, maxWidth:90 }}>
           <option value="">🎨 Theme</option>
-          <option value="cs">💻 CS</option>
-          <option value="math">📐 Math</option>
-          <option value="ie">⚙️ IE</option>
-          <option value="ee">⚡ EE</option>
+          {departments.filter(d => d.theme?.primary).map(d => (
+            <option key={d.id} value={d.id}>{d.icon} {d.id.toUpperCase()}</option>
+          ))}
         </select>
         {LANGUAGE_OPTIONS.map(opt => (
           <button key={opt.code} onClick={() => changeLang(opt.code)}
@@ -564,6 +629,9 @@ const AppContent = () => {
           {activeView === 'schedule' && (
             <>
               <AnnouncementBanner isAdmin={isAuthenticated} />
+              {readOnly && (
+                <div className="term-readonly-banner">🗄 {activeTerm.name} — {t('termReadOnly')}</div>
+              )}
               {!isAuthenticated && selectedGroup && (
                 <div style={{ display:'flex', alignItems:'center', gap:10, background:'linear-gradient(135deg, var(--primary-light), var(--bg-card))', border:'1px solid var(--primary)', borderRadius:10, padding:'8px 14px', marginBottom:8, flexWrap:'wrap' }}>
                   <span style={{ fontSize:'1.1rem' }}>📌</span>
@@ -573,26 +641,34 @@ const AppContent = () => {
                     style={{ marginLeft:'auto', background:'transparent', border:'1px solid var(--border)', borderRadius:6, padding:'2px 8px', fontSize:'0.7rem', cursor:'pointer', color:'var(--text-secondary)', fontFamily:'inherit' }}>✕ Clear</button>
                 </div>
               )}
-              <EmptyRoomPanel allRooms={allRooms} schedule={schedule} days={days} timeSlots={timeSlots} selectedRoom={selectedRoom} setSelectedRoom={setSelectedRoom} />
+              <EmptyRoomPanel allRooms={allRooms} schedule={weekSchedule} days={days} timeSlots={timeSlots} selectedRoom={selectedRoom} setSelectedRoom={setSelectedRoom} />
               <ScheduleTable
                 selectedDay={selectedDay} selectedTeacher={selectedTeacher}
                 selectedGroup={selectedGroup} selectedRoom={selectedRoom}
-                onEditClass={isAuthenticated ? handleEditClass : undefined}
-                onDeleteGroup={isAuthenticated ? handleDeleteGroup : undefined}
+                onEditClass={canEdit ? handleEditClass : undefined}
+                onDeleteGroup={canEdit ? handleDeleteGroup : undefined}
                 bookings={activeBookings}
                 onGuestBookCell={(group, day, time) => setGuestBookCell({ group, day, time })}
               />
             </>
           )}
-          {activeView==='mybookings' && <GuestBookingStatus bookings={activeBookings} onRefresh={setActiveBookings} />}
+          {activeView==='mybookings' && <GuestBookingStatus />}
           {activeView==='print'      && <PrintView />}
           {activeView==='dashboard'  && <TeacherDashboard />}
           {activeView==='conflicts'  && <ConflictPage onJumpToCell={handleJumpToCell} />}
           {activeView==='bookings'   && <BookingManagement />}
           {activeView==='autosched'  && <AutoScheduler />}
-          {activeView==='exams'      && <ExamSchedule readOnly={!isAuthenticated} showExamsToGuests={showExamsToGuests} setShowExamsToGuests={setShowExamsToGuests} />}
+          {activeView==='exams'      && <ExamSchedule readOnly={!canEdit} showExamsToGuests={showExamsToGuests} />}
           {activeView==='feedback'   && (isAuthenticated ? <FeedbackDashboard /> : <FeedbackDashboard guestMode={true} schedule={schedule} groups={groups} />)}
           {activeView==='telegram'   && <TeacherTelegramManagement />}
+          {activeView==='teachers'   && <TeacherRegistry />}
+          {activeView==='rooms'      && <RoomRegistry />}
+          {activeView==='courses'    && <CourseCatalog />}
+          {activeView==='groups'     && <GroupRegistry />}
+          {activeView==='timegrid'   && <TimeGridEditor />}
+          {activeView==='replace'    && <FindReplace />}
+          {activeView==='snapshots'  && <Snapshots />}
+          {activeView==='audit'      && <AuditLog />}
         </div>
       </div>
 
@@ -628,7 +704,7 @@ const AppContent = () => {
           isOpen={showBooking || !!guestBookCell}
           prefilledGroup={guestBookCell?.group||''} prefilledDay={guestBookCell?.day||''} prefilledTime={guestBookCell?.time||''}
           onClose={() => { setShowBooking(false); setGuestBookCell(null); }}
-          onBooked={() => { setGuestBookCell(null); setShowBooking(false); fetchActiveBookings(); }}
+          onBooked={() => { setGuestBookCell(null); setShowBooking(false); invalidateQueries(queries.bookings().key); }}
         />
       )}
 
@@ -638,6 +714,9 @@ const AppContent = () => {
         group={currentCell.group} day={currentCell.day} time={currentCell.time}
       />
 
+      {showClear && canEdit && <ClearDialog onClose={() => setShowClear(false)} />}
+      {reportOpen && validationReport && <ValidationReport key={validationReport.at} />}
+
       {/* Booking detail modal — for approved booking slots */}
       {bookingDetail && (
         <BookingDetailModal
@@ -651,6 +730,8 @@ const AppContent = () => {
         <OnboardingTour onFinish={() => setShowTour(false)} />
       )}
 
+      <ToastStack />
+
 
 
       <footer className="app-author-credit">
@@ -669,9 +750,13 @@ function App() {
   return (
     <LanguageProvider>
       <AuthProvider>
-        <ScheduleProvider>
-          <AppContent />
-        </ScheduleProvider>
+        <QueryProvider>
+          <ToastProvider>
+            <ScheduleProvider>
+              <AppContent />
+            </ScheduleProvider>
+          </ToastProvider>
+        </QueryProvider>
       </AuthProvider>
     </LanguageProvider>
   );
@@ -1,10 +1,10 @@
 // src/components/AnnouncementBanner.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState } from 'react';
+import { useQuery, invalidateQueries } from '../context/QueryContext';
+import { logChange } from '../utils/auditLog';
+import { announcementsAPI, queries } from '../utils/api';
 import './AnnouncementBanner.css';
 
-const API_URL = process.env.REACT_APP_API_URL || 'https://timetablebackend-production.up.railway.app/api';
-const getToken = () => localStorage.getItem('scheduleToken') || localStorage.getItem('token') || '';
-
 const COLORS = [
   { id:'blue',   label:'🔵 Info',    bg:'#1e40af', text:'#fff' },
   { id:'green',  label:'🟢 Success', bg:'#065f46', text:'#fff' },
@@ -13,7 +13,8 @@ const COLORS = [
 ];
 
 export default function AnnouncementBanner({ isAdmin }) {
-  const [announcements, setAnnouncements] = useState([]);
+  const { data, setData: setAnnouncements } = useQuery(queries.announcements());
+  const announcements = data || [];
   const [dismissed,     setDismissed]     = useState(() => {
     try { return JSON.parse(localStorage.getItem('dismissedAnnouncements') || '[]'); }
     catch { return []; }
@@ -22,16 +23,6 @@ export default function AnnouncementBanner({ isAdmin }) {
   const [form,     setForm]       = useState({ message:'', color:'blue', expires:'' });
   const [saving,   setSaving]     = useState(false);
 
-  const load = useCallback(async () => {
-    try {
-      const r = await fetch(`${API_URL}/announcements`);
-      const d = await r.json();
-      if (d.success) setAnnouncements(d.data || []);
-    } catch {}
-  }, []);
-
-  useEffect(() => { load(); }, [load]);
-
   const dismiss = (id) => {
     const next = [...dismissed, id];
     setDismissed(next);
@@ -42,23 +33,19 @@ export default function AnnouncementBanner({ isAdmin }) {
     if (!form.message.trim()) return;
     setSaving(true);
     try {
-      const r = await fetch(`${API_URL}/announcements`, {
-        method: 'POST',
-        headers: { 'Content-Type':'application/json', Authorization:`Bearer ${getToken()}` },
-        body: JSON.stringify(form),
-      });
-      const d = await r.json();
-      if (d.success) { setShowForm(false); setForm({ message:'', color:'blue', expires:'' }); load(); }
-    } catch {}
+      const saved = await announcementsAPI.create(form);
+      logChange('announcement', saved?.id ?? '', null, saved?.id ? saved : form);
+      setShowForm(false); setForm({ message:'', color:'blue', expires:'' }); invalidateQueries(queries.announcements().key);
+    } catch (e) { alert(`Error: ${e.message}`); }
     finally { setSaving(false); }
   };
 
   const handleDelete = async (id) => {
-    await fetch(`${API_URL}/announcements/${id}`, {
-      method:'DELETE',
-      headers:{ Authorization:`Bearer ${getToken()}` }
-    });
-    setAnnouncements(prev => prev.filter(a => a.id !== id));
+    try {
+      await announcementsAPI.delete(id);
+      logChange('announcement', id, announcements.find(a => a.id === id), null);
+      setAnnouncements(prev => (prev || []).filter(a => a.id !== id));
+    } catch (e) { alert(`Error: ${e.message}`); }
   };
 
   const visible = announcements.filter(a => !dismissed.includes(a.id));
@@ -0,0 +1,195 @@
+// src/components/AuditLog.js
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { useToast } from '../context/ToastContext';
+import { auditAPI, listOf } from '../utils/api';
+import { AUDIT_ENTITIES, changedFields, revertable, revertRecord } from '../utils/auditLog';
+import './AuditLog.css';
+
+const PAGE = 100;
+
+const ACTION_ICONS  = { create: '➕', update: '✏️', delete: '🗑️' };
+const ENTITY_KEYS   = {
+  schedule: 'auditSchedule', group: 'auditGroup', exam: 'auditExam', booking: 'auditBooking', announcement: 'auditAnnouncement',
+};
+
+const newestFirst = (list) => [...list].sort((a, b) => String(b.at).localeCompare(String(a.at)));
+
+// What a record is about, in words: "COMSE-25 · Monday · 08:00-08:40",
+// an exam's subject, a booking's room, …
+const targetOf = (rec, t) => {
+  const r = rec.after || rec.before || {};
+  if (rec.entity === 'schedule') return r.group ? `${r.group} · ${t(r.day)} · ${r.time}` : rec.key;
+  return r.subject || r.course || r.name || r.room || r.message || `#${rec.key}`;
+};
+
+// ─── One record: who, when, what changed, and a revert button ─────────────────
+export const AuditEntry = ({ rec, showTarget = true, onReverted }) => {
+  const { revertChange, readOnly } = useSchedule();
+  const { t } = useLanguage();
+  const { showToast } = useToast();
+  const [busy, setBusy] = useState(false);
+
+  const fields = changedFields(rec);
+  // Timetable and group reverts are term edits; the others are not scoped to a term
+  const blocked = readOnly && (rec.entity === 'schedule' || rec.entity === 'group');
+
+  const handleRevert = async () => {
+    if (!window.confirm(t('auditRevertConfirm', { target: targetOf(rec, t) }))) return;
+    setBusy(true);
+    try {
+      const ok = rec.entity === 'schedule' || rec.entity === 'group'
+        ? await revertChange(rec)
+        : await revertRecord(rec);
+      if (ok !== false) {
+        showToast({ type: 'success', message: t('auditReverted') });
+        if (onReverted) onReverted();
+      }
+    } catch (err) {
+      showToast({ type: 'error', message: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className={`audit-entry audit-${rec.action}`}>
+      <div className="audit-entry-head">
+        <span className="audit-action">{ACTION_ICONS[rec.action] || '•'}</span>
+        <div className="audit-entry-main">
+          <div className="audit-entry-title">
+            {t(`audit_${rec.action}`)}
+            {showTarget && <> · <span className="audit-entity">{t(ENTITY_KEYS[rec.entity] || rec.entity)}</span> {targetOf(rec, t)}</>}
+            {rec.labelKey && <span className="audit-label">{t(rec.labelKey)}</span>}
+          </div>
+          <div className="audit-entry-meta">
+            👤 {rec.user || t('auditUnknownUser')} · 🕘 {rec.at ? new Date(rec.at).toLocaleString() : '—'}
+          </div>
+        </div>
+        {revertable(rec) && (
+          <button className="audit-revert" onClick={handleRevert} disabled={busy || blocked}
+            title={blocked ? t('termReadOnly') : t('auditRevert')}>
+            {busy ? '⏳' : `↩ ${t('auditRevert')}`}
+          </button>
+        )}
+      </div>
+      {fields.length > 0 && (
+        <div className="audit-fields">
+          {fields.map(f => (
+            <div key={f.field} className="audit-field">
+              <span className="audit-field-name">{f.field}</span>
+              {f.from && <span className="audit-from">{f.from}</span>}
+              {f.from && f.to && <span className="audit-arrow">→</span>}
+              {f.to && <span className="audit-to">{f.to}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ─── History of one timetable cell (ClassModal's History tab) ─────────────────
+export const CellHistory = ({ cellKey }) => {
+  const { t } = useLanguage();
+  const [records, setRecords] = useState(null);
+  const [error,   setError]   = useState('');
+
+  const load = useCallback(() => {
+    setError('');
+    auditAPI.getAll({ entity: 'schedule', key: cellKey })
+      .then(res => {
+        setRecords(newestFirst(listOf(res).filter(r => r.key === cellKey)));
+      })
+      .catch(err => { setError(err.message); setRecords([]); });
+  }, [cellKey]);
+
+  useEffect(() => { load(); }, [load]);
+
+  if (!records) return <div className="audit-empty">⏳</div>;
+  return (
+    <div className="audit-list">
+      {error && <div className="audit-error">{error}</div>}
+      {!error && records.length === 0 && <div className="audit-empty">{t('auditCellEmpty')}</div>}
+      {records.map((rec, i) => <AuditEntry key={rec.id || i} rec={rec} showTarget={false} onReverted={load} />)}
+    </div>
+  );
+};
+
+// ─── Admin audit log ──────────────────────────────────────────────────────────
+const AuditLog = () => {
+  const { t } = useLanguage();
+  const [filters, setFilters] = useState({ entity: '', user: '', from: '', to: '' });
+  const [search,  setSearch]  = useState('');
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error,   setError]   = useState('');
+  const [shown,   setShown]   = useState(PAGE);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    setError('');
+    auditAPI.getAll(filters)
+      .then(res => {
+        setRecords(newestFirst(listOf(res)));
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [filters]);
+
+  useEffect(() => { load(); setShown(PAGE); }, [load]);
+
+  // The same filters again on this side, for backends that ignore the query
+  const visible = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    const user = filters.user.trim().toLowerCase();
+    return records.filter(r =>
+      (!filters.entity || r.entity === filters.entity) &&
+      (!user || String(r.user || '').toLowerCase().includes(user)) &&
+      (!filters.from || String(r.at) >= filters.from) &&
+      (!filters.to || String(r.at).slice(0, 10) <= filters.to) &&
+      (!q || [r.key, targetOf(r, t), JSON.stringify(r.before), JSON.stringify(r.after)]
+        .some(v => String(v || '').toLowerCase().includes(q))));
+  }, [records, filters, search, t]);
+
+  const setFilter = (key) => (e) => setFilters(f => ({ ...f, [key]: e.target.value }));
+
+  return (
+    <div className="audit-page">
+      <div className="audit-header">
+        <div>
+          <h2 className="audit-title">📜 {t('auditTitle')}</h2>
+          <p className="audit-subtitle">{t('auditSubtitle')}</p>
+        </div>
+        <button className="audit-btn" onClick={load} disabled={loading}>🔄 {t('auditRefresh')}</button>
+      </div>
+
+      <div className="audit-filters">
+        <select className="audit-input" value={filters.entity} onChange={setFilter('entity')}>
+          <option value="">{t('auditAllEntities')}</option>
+          {AUDIT_ENTITIES.map(e => <option key={e} value={e}>{t(ENTITY_KEYS[e])}</option>)}
+        </select>
+        <input className="audit-input" placeholder={`👤 ${t('auditUser')}`} value={filters.user} onChange={setFilter('user')} />
+        <label className="audit-date">{t('auditFrom')} <input type="date" className="audit-input" value={filters.from} onChange={setFilter('from')} /></label>
+        <label className="audit-date">{t('auditTo')} <input type="date" className="audit-input" value={filters.to} onChange={setFilter('to')} /></label>
+        <input className="audit-input audit-search" placeholder={`🔍 ${t('auditSearch')}`} value={search} onChange={e => setSearch(e.target.value)} />
+      </div>
+
+      {error && <div className="audit-error">{error}</div>}
+      {loading ? <div className="audit-empty">⏳</div> : (
+        <div className="audit-list">
+          {visible.slice(0, shown).map((rec, i) => <AuditEntry key={rec.id || i} rec={rec} onReverted={load} />)}
+          {visible.length === 0 && !error && <div className="audit-empty">{t('auditEmpty')}</div>}
+          {visible.length > shown && (
+            <button className="audit-btn audit-more" onClick={() => setShown(n => n + PAGE)}>
+              {t('auditShowMore', { count: visible.length - shown })}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -2,10 +2,12 @@
 import React, { useState, useCallback } from 'react';
 import { useSchedule } from '../context/ScheduleContext';
 import { useLanguage } from '../context/LanguageContext';
+import { COURSE_HOUR_TYPES, courseEntryText } from '../utils/courseCatalog';
+import { aiAPI } from '../utils/api';
+import CoursePicker from './CoursePicker';
 import './AutoScheduler.css';
 
-const API_URL = process.env.REACT_APP_API_URL || 'https://timetablebackend-production.up.railway.app/api';
-const uid     = () => Math.random().toString(36).slice(2, 8);
+const uid = () => Math.random().toString(36).slice(2, 8);
 
 const autoSplit = (total, n) => {
   const count = Math.max(1, Math.min(n, total));
@@ -24,13 +26,20 @@ const emptyRow = () => ({
 
 const TYPES = ['lecture', 'seminar', 'lab', 'practice'];
 
+// Catalog rooms split into the two pools the generator draws from
+const LAB_ROOM_TYPES = ['lab', 'computer'];
+const catalogPools = (catalog) => ({
+  rooms: catalog.filter(r => !LAB_ROOM_TYPES.includes(r.type) && r.type !== 'online').map(r => r.code).join(', '),
+  labs:  catalog.filter(r => LAB_ROOM_TYPES.includes(r.type)).map(r => r.code).join(', '),
+});
+
 export default function AutoScheduler() {
-  const { timeSlots, days, importSchedule, groups: existingGroups, schedule, teachers: existingTeachers } = useSchedule();
+  const { timeSlots, days, importSchedule, groups: existingGroups, schedule, teachers: existingTeachers, roomRegistry, courseCatalog } = useSchedule();
   const { t } = useLanguage();
 
   const [rows,      setRows]      = useState([emptyRow()]);
-  const [rooms,     setRooms]     = useState('');
-  const [labRooms,  setLabRooms]  = useState('');
+  const [rooms,     setRooms]     = useState(() => catalogPools(roomRegistry).rooms);
+  const [labRooms,  setLabRooms]  = useState(() => catalogPools(roomRegistry).labs);
   const [generated, setGenerated] = useState(null);
   const [busy,      setBusy]      = useState(false);
   const [log,       setLog]       = useState([]);
@@ -42,16 +51,9 @@ export default function AutoScheduler() {
   const explainConflicts = async (conflicts) => {
     setExplaining(true); setExplanations(null);
     try {
-      const token = localStorage.getItem('scheduleToken') || '';
       const prompt = `You are a university schedule analyst. Explain each of these unresolved scheduling conflicts in plain English and suggest a concrete fix. Return ONLY a JSON object with three arrays (same length as the conflicts array): "explanations" (why it happened), "fixes" (how to resolve it), "severity" ("low"|"medium"|"high"). No markdown.\n\nConflicts:\n${JSON.stringify(conflicts)}\n\nDays: ${days.join(',')}\nTimes: ${timeSlots.join(',')}`;
-      const res  = await fetch(`${API_URL}/claude/fix-schedule`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
-        body: JSON.stringify({ prompt }),
-      });
-      const data = await res.json();
-      if (!data.success) throw new Error(data.error);
-      const parsed = JSON.parse(data.text.replace(/```json|```/g, '').trim());
+      const text   = await aiAPI.fixSchedule(prompt);
+      const parsed = JSON.parse(text.replace(/```json|```/g, '').trim());
       setExplanations(parsed);
     } catch (e) {
       addLog(`⚠️ Explanation failed: ${e.message}`, 'warn');
@@ -70,6 +72,25 @@ export default function AutoScheduler() {
       ...r, totalHours: val, slots: autoSplit(val, r.slots.length),
     }));
 
+  // Catalog courses carry their own weekly hours per type
+  const pickCourse = (id, course) =>
+    setRows(p => p.map(r => {
+      const hours = Number(course.hours?.[r.subjectType]) || 0;
+      return r.id !== id || !hours ? r : { ...r, totalHours: hours, slots: autoSplit(hours, r.slots.length) };
+    }));
+
+  // One row per catalog course and class type with required hours
+  const loadFromCatalog = () => {
+    const fromCatalog = courseCatalog.flatMap(c => COURSE_HOUR_TYPES
+      .filter(tp => Number(c.hours?.[tp]) > 0)
+      .map(tp => {
+        const hours = Number(c.hours[tp]);
+        return { ...emptyRow(), subject: courseEntryText(c), subjectType: tp, totalHours: hours,
+          slots: autoSplit(hours, Math.ceil(hours / 2)), groups: c.groups?.length ? [...c.groups] : [''] };
+      }));
+    setRows(p => [...p.filter(r => r.subject.trim() || r.teacher.trim()), ...fromCatalog]);
+  };
+
   const togglePrefDay  = (id, day) =>
     setRows(p => p.map(r => r.id !== id ? r : {
       ...r, prefDays: r.prefDays.includes(day) ? r.prefDays.filter(d => d !== day) : [...r.prefDays, day],
@@ -148,12 +169,9 @@ export default function AutoScheduler() {
     if (!conflicts.length) return entries;
     addLog('🤖 Asking AI to resolve conflicts…', 'ai');
     try {
-      const token  = localStorage.getItem('scheduleToken') || '';
       const prompt = `Fix these university schedule conflicts:\n${JSON.stringify(conflicts)}\nDays:${days.join(',')}\nTimes:${timeSlots.join(',')}\nRooms:${allRooms().join(',')}\nAlready placed:${JSON.stringify(entries.slice(0, 50))}\nReturn ONLY a JSON array of new entries, each with: group,day,time,course,teacher,room,subjectType,duration. No markdown.`;
-      const res  = await fetch(`${API_URL}/claude/fix-schedule`, { method: 'POST', headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }, body: JSON.stringify({ prompt }) });
-      const data = await res.json();
-      if (!data.success) throw new Error(data.error);
-      const fixes = JSON.parse(data.text.replace(/```json|```/g, '').trim());
+      const text  = await aiAPI.fixSchedule(prompt);
+      const fixes = JSON.parse(text.replace(/```json|```/g, '').trim());
       if (Array.isArray(fixes) && fixes.length) {
         addLog(`✅ AI resolved ${fixes.length} conflict(s)`, 'success');
         return [...entries, ...fixes];
@@ -202,7 +220,16 @@ export default function AutoScheduler() {
       </div>
 
       {/* Rooms */}
-      <div className="as-section-label">{t('roomsSection') || '🚪 Rooms'}</div>
+      <div className="as-section-label">
+        {t('roomsSection') || '🚪 Rooms'}
+        {roomRegistry.length > 0 && (
+          <button className="as-catalog-btn" onClick={() => {
+            const pools = catalogPools(roomRegistry);
+            setRooms(pools.rooms);
+            setLabRooms(pools.labs);
+          }}>📋 {t('roomsFromCatalog')}</button>
+        )}
+      </div>
       <div className="as-card" style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:14 }}>
         <div>
           <label className="as-label">{t('regularRooms') || 'Regular rooms (comma separated)'}</label>
@@ -215,7 +242,12 @@ export default function AutoScheduler() {
       </div>
 
       {/* Teacher rows */}
-      <div className="as-section-label" style={{ marginTop:20 }}>👨‍🏫 {t('teachersSubjects') || 'Teachers & Subjects'}</div>
+      <div className="as-section-label" style={{ marginTop:20 }}>
+        👨‍🏫 {t('teachersSubjects') || 'Teachers & Subjects'}
+        {courseCatalog.length > 0 && (
+          <button className="as-catalog-btn" onClick={loadFromCatalog}>📋 {t('coursesFromCatalog')}</button>
+        )}
+      </div>
 
       {rows.map((row) => {
         const isExp = expandRow === row.id;
@@ -232,8 +264,8 @@ export default function AutoScheduler() {
               </div>
               <div>
                 <label className="as-label">{t('subjectLabel') || 'Subject'}</label>
-                <input className="as-input" placeholder={t('subjectPlaceholder') || 'e.g. Mathematics'} value={row.subject}
-                  onChange={e => upd(row.id, 'subject', e.target.value)} />
+                <CoursePicker className="as-input" placeholder={t('subjectPlaceholder') || 'e.g. Mathematics'} value={row.subject}
+                  onChange={subject => upd(row.id, 'subject', subject)} onPick={c => pickCourse(row.id, c)} />
               </div>
               <div>
                 <label className="as-label">{t('typeLabel') || 'Type'}</label>
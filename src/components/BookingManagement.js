@@ -1,52 +1,42 @@
 // src/components/BookingManagement.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useLanguage } from '../context/LanguageContext';
 import { useSchedule } from '../context/ScheduleContext';
+import { useQuery, invalidateQueries } from '../context/QueryContext';
+import { logChange } from '../utils/auditLog';
+import { checkRows } from '../utils/schemas';
+import { bookingsAPI, queries } from '../utils/api';
 import './BookingManagement.css';
 
-const API_URL = process.env.REACT_APP_API_URL || 'https://timetablebackend-production.up.railway.app/api';
-const getToken = () => localStorage.getItem('scheduleToken');
-
 const BookingManagement = () => {
   const { t } = useLanguage();
-  const { reload } = useSchedule();
-  const [bookings, setBookings]  = useState([]);
-  const [loading, setLoading]    = useState(true);
+  const { reload, reportRejected } = useSchedule();
   const [filter, setFilter]      = useState('pending');
 
-  const fetchBookings = async () => {
-    setLoading(true);
-    try {
-      const res  = await fetch(`${API_URL}/booking-requests`, {
-        headers: { Authorization: `Bearer ${getToken()}` },
-      });
-      const data = await res.json();
-      if (data.success) setBookings(data.data);
-    } catch (err) {
-      console.error('Error fetching bookings:', err);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Shared with the guest views and the timetable's booked rooms (context/QueryContext)
+  const { data, loading, refetch, setData } = useQuery(queries.bookings());
+  const { valid: bookings, rejected } = useMemo(() => checkRows('booking', data || []), [data]);
 
-  useEffect(() => { fetchBookings(); }, []);
+  useEffect(() => { reportRejected('bookings', rejected); }, [rejected, reportRejected]);
+
+  const fetchBookings = () => refetch().catch(err => console.error('Error fetching bookings:', err));
+
+  // The cached list holds the server's rows, rejected ones included. Edits show
+  // at once, then the query is refetched so every screen sharing it catches up.
+  const setBookings = (updater) => {
+    setData(prev => updater(prev || []));
+    invalidateQueries(queries.bookings().key);
+  };
 
   // ── Approve ────────────────────────────────────────────────────────────────
   const handleApprove = async (id) => {
     if (!window.confirm(t('confirmApproveBooking') || 'Approve this booking?')) return;
     try {
-      const res  = await fetch(`${API_URL}/booking-requests/${id}`, {
-        method:  'PUT',
-        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${getToken()}` },
-        body:    JSON.stringify({ status: 'approved' }),
-      });
-      const data = await res.json();
-      if (data.success) {
-        setBookings(prev => prev.map(b => b.id === id ? { ...b, status: 'approved' } : b));
-        if (reload) await reload();
-      } else {
-        alert(`Error: ${data.error}`);
-      }
+      await bookingsAPI.setStatus(id, 'approved');
+      const before = bookings.find(b => b.id === id);
+      logChange('booking', id, before, { ...before, status: 'approved' });
+      setBookings(prev => prev.map(b => b.id === id ? { ...b, status: 'approved' } : b));
+      if (reload) await reload();
     } catch (err) { alert(`Error: ${err.message}`); }
   };
 
@@ -54,17 +44,10 @@ const BookingManagement = () => {
   const handleReject = async (id) => {
     if (!window.confirm(t('confirmRejectBooking') || 'Reject this booking?')) return;
     try {
-      const res  = await fetch(`${API_URL}/booking-requests/${id}`, {
-        method:  'PUT',
-        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${getToken()}` },
-        body:    JSON.stringify({ status: 'rejected' }),
-      });
-      const data = await res.json();
-      if (data.success) {
-        setBookings(prev => prev.map(b => b.id === id ? { ...b, status: 'rejected' } : b));
-      } else {
-        alert(`Error: ${data.error}`);
-      }
+      await bookingsAPI.setStatus(id, 'rejected');
+      const before = bookings.find(b => b.id === id);
+      logChange('booking', id, before, { ...before, status: 'rejected' });
+      setBookings(prev => prev.map(b => b.id === id ? { ...b, status: 'rejected' } : b));
     } catch (err) { alert(`Error: ${err.message}`); }
   };
 
@@ -72,16 +55,9 @@ const BookingManagement = () => {
   const handleDelete = async (id) => {
     if (!window.confirm(t('confirmDeleteBooking') || 'Delete this booking?')) return;
     try {
-      const res  = await fetch(`${API_URL}/booking-requests/${id}`, {
-        method:  'DELETE',
-        headers: { Authorization: `Bearer ${getToken()}` },
-      });
-      const data = await res.json();
-      if (data.success) {
-        setBookings(prev => prev.filter(b => b.id !== id)); // ← state only, no reload
-      } else {
-        alert(`Error: ${data.error}`);
-      }
+      await bookingsAPI.delete(id);
+      logChange('booking', id, bookings.find(b => b.id === id), null);
+      setBookings(prev => prev.filter(b => b.id !== id));
     } catch (err) { alert(`Error: ${err.message}`); }
   };
 
@@ -1,13 +1,12 @@
 // Frontend: src/components/BroadcastMessage.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo } from 'react';
 import { useLanguage } from '../context/LanguageContext';
+import { useQuery } from '../context/QueryContext';
+import { broadcastAPI, queries } from '../utils/api';
 import './BroadcastMessage.css';
 
 const BroadcastMessage = () => {
   const { t } = useLanguage();
-  const [teachers, setTeachers] = useState([]);
-  const [groups, setGroups]     = useState([]);
-  const [loading, setLoading]   = useState(true);
   const [sending, setSending]   = useState(false);
   const [result, setResult]     = useState(null);
 
@@ -18,31 +17,12 @@ const BroadcastMessage = () => {
   const [message, setMessage] = useState('');
   const [subject, setSubject] = useState('');
 
-  const API_URL = process.env.REACT_APP_API_URL || 'https://timetablebackend-production.up.railway.app/api';
-  const token = () =>
-    localStorage.getItem('token') ||
-    localStorage.getItem('scheduleToken') ||
-    localStorage.getItem('authToken') ||
-    localStorage.getItem('jwt') ||
-    sessionStorage.getItem('token') ||
-    sessionStorage.getItem('scheduleToken') || '';
-
-  useEffect(() => {
-    const load = async () => {
-      setLoading(true);
-      try {
-        const [tRes, gRes] = await Promise.all([
-          fetch(`${API_URL}/teachers`,       { headers: { Authorization: `Bearer ${token()}` } }),
-          fetch(`${API_URL}/group-channels`, { headers: { Authorization: `Bearer ${token()}` } }),
-        ]);
-        const [tData, gData] = await Promise.all([tRes.json(), gRes.json()]);
-        if (tData.success) setTeachers(tData.data.filter(t => t.telegram_id));
-        if (gData.success) setGroups(gData.data.filter(g => g.chat_id));
-      } catch (e) { console.error(e); }
-      setLoading(false);
-    };
-    load();
-  }, []);
+  // Shared with the Telegram settings screen, so edits there show up here
+  const teachersQuery = useQuery(queries.teachers());
+  const channelsQuery = useQuery(queries.groupChannels());
+  const loading  = teachersQuery.loading || channelsQuery.loading;
+  const teachers = useMemo(() => (teachersQuery.data || []).filter(t => t.telegram_id), [teachersQuery.data]);
+  const groups   = useMemo(() => (channelsQuery.data || []).filter(g => g.chat_id), [channelsQuery.data]);
 
   const toggleTeacher = (id) => setSelectedTeachers(prev => {
     const s = new Set(prev); s.has(id) ? s.delete(id) : s.add(id); return s;
@@ -94,16 +74,10 @@ Click OK to confirm.`
     setSending(true);
     setResult(null);
     try {
-      const res  = await fetch(`${API_URL}/broadcast`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token()}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ subject: subject.trim(), message: message.trim(), teacherIds, groupNames }),
-      });
-      const data = await res.json();
-      if (data.success) { setResult(data); setMessage(''); setSubject(''); }
-      else alert(`Failed: ${data.error}`);
+      const data = await broadcastAPI.send({ subject: subject.trim(), message: message.trim(), teacherIds, groupNames });
+      setResult(data); setMessage(''); setSubject('');
     } catch (e) {
-      alert(`Error: ${e.message}`);
+      alert(`Failed: ${e.message}`);
     } finally {
       setSending(false);
     }
@@ -0,0 +1,156 @@
+// src/components/BulkEditBar.js
+import React, { useState, useMemo } from 'react';
+import { useSchedule, sharesTeacher } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { SUBJECT_TYPES, SUBJECT_TYPE_LABELS } from '../data/i18n';
+import { planPatch, planDelete, planShift, selectedEvents } from '../utils/bulkEdit';
+import { applyCells } from '../utils/scheduleHistory';
+import { sameEvent } from '../utils/jointClasses';
+import RoomPicker from './RoomPicker';
+import './BulkEditBar.css';
+
+const DURATIONS = [1, 2, 3, 4, 5, 6];
+const EMPTY_PATCH = { teacher: '', room: '', subjectType: '', duration: '' };
+
+// Teacher and room clashes the planned `cells` would leave in the timetable:
+// [{ entry, kind, other }], one per pair of cells and kind
+const plannedConflicts = (schedule, cells, teacherIndex, roomIndex) => {
+  const next = applyCells(schedule, cells, 'after');
+  const seen = new Set();
+  const out  = [];
+  cells.filter(c => c.after).forEach(({ key, after: e }) => {
+    Object.entries(next).forEach(([otherKey, o]) => {
+      if (otherKey === key || o.group === e.group || o.day !== e.day || o.time !== e.time || sameEvent(o, e)) return;
+      const kinds = [sharesTeacher(e, o, teacherIndex) && 'teacher', roomIndex.sameRoom(e.room, o.room) && 'room'].filter(Boolean);
+      kinds.forEach(kind => {
+        const id = `${[key, otherKey].sort().join('|')}|${kind}`;
+        if (seen.has(id)) return;
+        seen.add(id);
+        out.push({ entry: e, kind, other: o });
+      });
+    });
+  });
+  return out;
+};
+
+const where = (e, t) => `${e.group} · ${t(e.day)} · ${e.time}`;
+
+// Action bar for the cells selected in ScheduleTable: set fields, shift,
+// delete — each shown as a preview with the conflicts it would cause first
+const BulkEditBar = ({ keys, onClear }) => {
+  const {
+    schedule, timeSlots, days, teacherIndex, roomIndex, bulkUpdateClasses, bulkDeleteClasses, bulkShiftClasses,
+  } = useSchedule();
+  const { t, lang } = useLanguage();
+  const typeLabels = SUBJECT_TYPE_LABELS[lang] || SUBJECT_TYPE_LABELS.en;
+
+  const [patch,   setPatch]   = useState(EMPTY_PATCH);
+  const [shift,   setShift]   = useState({ slots: 0, day: '' });
+  const [preview, setPreview] = useState(null);   // 'edit' | 'shift' | 'delete'
+  const [running, setRunning] = useState(false);
+
+  const classCount = useMemo(() => selectedEvents(schedule, keys).length, [schedule, keys]);
+
+  const plan = useMemo(() => {
+    if (!preview) return null;
+    const p = preview === 'edit' ? planPatch(schedule, keys, patch)
+      : preview === 'shift' ? planShift(schedule, keys, shift, timeSlots)
+      : planDelete(schedule, keys);
+    return { ...p, blocked: p.blocked || [], conflicts: preview === 'delete' ? [] : plannedConflicts(schedule, p.cells, teacherIndex, roomIndex) };
+  }, [preview, schedule, keys, patch, shift, timeSlots, teacherIndex, roomIndex]);
+
+  const hasPatch = Object.values(patch).some(v => v !== '');
+  const hasShift = shift.slots !== 0 || !!shift.day;
+  const setField = (field) => (value) => { setPatch(p => ({ ...p, [field]: value })); setPreview(null); };
+
+  const handleApply = async () => {
+    setRunning(true);
+    const ok = preview === 'edit' ? await bulkUpdateClasses(keys, patch)
+      : preview === 'shift' ? await bulkShiftClasses(keys, shift)
+      : await bulkDeleteClasses(keys);
+    setRunning(false);
+    if (!ok) return;
+    setPreview(null);
+    if (preview === 'edit') setPatch(EMPTY_PATCH);
+    else onClear();
+  };
+
+  const changed = plan ? plan.cells.filter(c => c.after).length : 0;
+
+  return (
+    <div className="bulk-bar">
+      <div className="bulk-row">
+        <span className="bulk-count">☑ {t('bulkSelected', { count: classCount })}</span>
+        <span className="bulk-hint">{t('bulkHint')}</span>
+        <button className="bulk-icon-btn" title={t('bulkClear')} onClick={onClear}>✕</button>
+      </div>
+
+      <div className="bulk-row">
+        <input className="bulk-input" placeholder={`👨‍🏫 ${t('teacher')}`} value={patch.teacher}
+          onChange={e => setField('teacher')(e.target.value)} />
+        <span className="bulk-room">
+          <RoomPicker className="bulk-input" value={patch.room} onChange={setField('room')} placeholder={`🚪 ${t('room')}`} />
+        </span>
+        <select className="bulk-input" value={patch.subjectType} onChange={e => setField('subjectType')(e.target.value)}>
+          <option value="">{t('subjectType')}</option>
+          {SUBJECT_TYPES.map(type => <option key={type.value} value={type.value}>{type.icon} {typeLabels[type.value]}</option>)}
+        </select>
+        <select className="bulk-input" value={patch.duration} onChange={e => setField('duration')(e.target.value)}>
+          <option value="">{t('duration')}</option>
+          {DURATIONS.map(d => <option key={d} value={d}>{d} {d > 1 ? t('slots') : t('slot')}</option>)}
+        </select>
+        <button className="bulk-btn" disabled={!hasPatch} onClick={() => setPreview('edit')}>✏️ {t('bulkSet')}</button>
+      </div>
+
+      <div className="bulk-row">
+        <span className="bulk-label">{t('bulkShift')}</span>
+        <button className="bulk-icon-btn" onClick={() => { setShift(s => ({ ...s, slots: s.slots - 1 })); setPreview(null); }}>◀</button>
+        <span className="bulk-slots">{shift.slots > 0 ? `+${shift.slots}` : shift.slots}</span>
+        <button className="bulk-icon-btn" onClick={() => { setShift(s => ({ ...s, slots: s.slots + 1 })); setPreview(null); }}>▶</button>
+        <select className="bulk-input" value={shift.day} onChange={e => { setShift(s => ({ ...s, day: e.target.value })); setPreview(null); }}>
+          <option value="">{t('bulkSameDay')}</option>
+          {days.map(d => <option key={d} value={d}>{t(d)}</option>)}
+        </select>
+        <button className="bulk-btn" disabled={!hasShift} onClick={() => setPreview('shift')}>↔ {t('bulkMove')}</button>
+        <button className="bulk-btn bulk-btn-danger" onClick={() => setPreview('delete')}>🗑️ {t('delete')}</button>
+      </div>
+
+      {plan && (
+        <div className="bulk-preview">
+          <div className="bulk-preview-title">
+            {preview === 'delete'
+              ? t('bulkPreviewDelete', { count: plan.cells.length })
+              : t('bulkPreviewChange', { count: changed })}
+          </div>
+          {plan.blocked.length > 0 && (
+            <div className="bulk-warning">
+              ⛔ {t('bulkBlocked', { count: plan.blocked.length })}
+              <div className="bulk-list">{plan.blocked.map(e => <span key={`${e.group}-${e.day}-${e.time}`}>{where(e, t)}</span>)}</div>
+            </div>
+          )}
+          {plan.conflicts.length > 0 && (
+            <div className="bulk-warning">
+              ⚠️ {t('bulkConflicts', { count: plan.conflicts.length })}
+              <div className="bulk-list">
+                {plan.conflicts.map(c => (
+                  <span key={`${where(c.entry, t)}-${c.other.group}-${c.kind}`}>
+                    {c.kind === 'teacher' ? '👨‍🏫' : '🚪'} {where(c.entry, t)} ↔ {c.other.group}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+          <div className="bulk-actions">
+            <button className="bulk-btn" onClick={() => setPreview(null)} disabled={running}>{t('cancel')}</button>
+            <button className={`bulk-btn ${preview === 'delete' ? 'bulk-btn-danger' : 'bulk-btn-primary'}`}
+              onClick={handleApply} disabled={running || !plan.cells.length}>
+              {running ? '⏳' : t('bulkApply')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkEditBar;
@@ -1,14 +1,101 @@
 // src/components/ClassModal.js
-import React, { useState, useEffect, useMemo } from 'react';
-import { useSchedule } from '../context/ScheduleContext';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useSchedule, entryTeachers } from '../context/ScheduleContext';
 import { useLanguage } from '../context/LanguageContext';
 import { SUBJECT_TYPES, SUBJECT_TYPE_LABELS } from '../data/i18n';
+import { RECURRENCE_TYPES, parseWeekList, formatWeekList, mayOverlap, weekDateMap, toISODate, shortDate, cellClasses, cellClash, recurrenceLabel } from '../utils/recurrence';
+import { exceptionHitsCell, exceptionBadge } from '../utils/exceptions';
+import { isJoint, sameEvent } from '../utils/jointClasses';
+import { splitTeachers, CO_TEACHER_SEPARATOR } from '../utils/teacherRegistry';
+import { slotEnd, spanMinutes } from '../utils/timeGrid';
+import { editorsOf, changedSince } from '../utils/liveSync';
+import RoomPicker from './RoomPicker';
+import CoursePicker from './CoursePicker';
+import { CellHistory } from './AuditLog';
+import { COURSE_HOUR_TYPES } from '../utils/courseCatalog';
 import './ClassModal.css';
 
 const DURATIONS = [1, 2, 3, 4, 5, 6];
 
+// Added teacher chips plus whatever is still typed in the teacher input
+const formTeachers = (form) => [...new Set([...form.teachers, form.teacher.trim()].filter(Boolean))];
+
+const RECURRENCE_LABEL_KEYS = {
+  weekly: 'recurWeekly', odd: 'recurOdd', even: 'recurEven', range: 'recurRange', weeks: 'recurWeeks',
+};
+
+// ─── This-date-only changes: cancel / move one occurrence ─────────────────────
+function OccurrencePanel({ group, day, time, date, existingClass, onDone }) {
+  const { exceptions, addException, removeException, timeSlots } = useSchedule();
+  const { t } = useLanguage();
+  const [moving, setMoving] = useState(false);
+  const [move,   setMove]   = useState({ toDate: date, toTime: time, toRoom: '' });
+  const [note,   setNote]   = useState('');
+  const [busy,   setBusy]   = useState(false);
+
+  const here = exceptions.filter(ex => exceptionHitsCell(ex, group, day, time, date));
+  const isSource = (ex) => ex.date === date && ex.day === day && ex.time === time;
+  const handledHere = here.some(ex => ex.type === 'holiday' || ((ex.type === 'cancel' || ex.type === 'move') && isSource(ex)));
+
+  const submit = async (ex) => {
+    setBusy(true);
+    const ok = await addException({ ...ex, date, group, day, time, note: note.trim() });
+    setBusy(false);
+    if (ok) onDone();
+  };
+
+  if (!existingClass && !here.length) return null;
+
+  return (
+    <div className="cm-dup-panel cm-occ-panel">
+      <div className="cm-dup-title">📅 {t('excThisDate', { date: `${t(day)} ${shortDate(date)}` })}</div>
+      {here.map(ex => {
+        const badge = exceptionBadge(
+          ex.type === 'makeup' ? { exception: ex, makeup: true }
+            : ex.type === 'move' && !isSource(ex) ? { exception: ex, movedIn: true }
+            : { exception: ex }, t);
+        return (
+          <div key={ex.id} className="cm-occ-item">
+            <span className={`exc-badge exc-${badge.kind}`}>{badge.text}</span>
+            <button className="cm-occ-remove" onClick={() => removeException(ex.id)} title={t('excRemove')}>✕</button>
+          </div>
+        );
+      })}
+      {existingClass && !handledHere && (<>
+        <input className="cm-input" placeholder={t('excNote')} value={note} onChange={e => setNote(e.target.value)} />
+        {moving && (
+          <div className="cm-dup-row">
+            <input type="date" className="cm-input cm-dup-select" value={move.toDate}
+              onChange={e => setMove(m => ({ ...m, toDate: e.target.value }))} />
+            <select className="cm-input cm-dup-select" value={move.toTime}
+              onChange={e => setMove(m => ({ ...m, toTime: e.target.value }))}>
+              {(timeSlots || []).map(tm => <option key={tm} value={tm}>{tm}</option>)}
+            </select>
+            <input className="cm-input cm-dup-select" placeholder={existingClass.room || t('room')} value={move.toRoom}
+              onChange={e => setMove(m => ({ ...m, toRoom: e.target.value }))} />
+          </div>
+        )}
+        <div className="cm-dup-actions">
+          {!moving ? (<>
+            <button className="cm-btn cm-btn-cancel" onClick={() => setMoving(true)}>↪ {t('excMoveOne')}</button>
+            <button className="cm-btn cm-btn-danger" disabled={busy} onClick={() => submit({ type: 'cancel' })}>
+              🚫 {t('excCancelOne')}
+            </button>
+          </>) : (<>
+            <button className="cm-btn cm-btn-cancel" onClick={() => setMoving(false)}>{t('cancel') || 'Cancel'}</button>
+            <button className="cm-btn cm-btn-dup" disabled={busy || !move.toDate || !move.toTime}
+              onClick={() => submit({ type: 'move', toDate: move.toDate, toTime: move.toTime, toRoom: move.toRoom.trim() })}>
+              ↪ {t('excSaveMove')}
+            </button>
+          </>)}
+        </div>
+      </>)}
+    </div>
+  );
+}
+
 export default function ClassModal({ isOpen, onClose, group, day, time }) {
-  const { schedule, addOrUpdateClass, deleteClass, teachers, timeSlots, groups, days } = useSchedule();
+  const { schedule, addOrUpdateClass, deleteClass, addAlternate, removeAlternate, teachers, timeSlots, groups, days, weekStart, addException, teacherIndex, roomIndex, groupIndex, presence, remoteEdits, setEditingCell } = useSchedule();
   const { t, lang } = useLanguage();
   const typeLabels = SUBJECT_TYPE_LABELS[lang] || SUBJECT_TYPE_LABELS.en;
 
@@ -16,13 +103,32 @@ export default function ClassModal({ isOpen, onClose, group, day, time }) {
     ? schedule[`${group}-${day}-${time}`] || null
     : null;
 
+  // ── Live collaboration: who else has this cell open, and whether it has
+  // changed since this editor was opened on it ──
+  const cellId = `${group}-${day}-${time}`;
+  const opened = useRef({ key: null, entry: null });
+  if (!isOpen) opened.current = { key: null, entry: null };
+  else if (opened.current.key !== cellId) opened.current = { key: cellId, entry: existingClass };
+  const otherEditors = isOpen ? editorsOf(presence, cellId) : [];
+  const stale        = isOpen && changedSince(opened.current.entry, existingClass);
+  const staleBy      = remoteEdits[cellId]?.user || t('auditUnknownUser');
+
+  useEffect(() => {
+    if (!isOpen || !group || !day || !time) return;
+    setEditingCell(`${group}-${day}-${time}`);
+    return () => setEditingCell(null);
+  }, [isOpen, group, day, time, setEditingCell]);
+
   const [form, setForm] = useState({
-    course: '', teacher: '', room: '',
+    course: '', teacher: '', teachers: [], room: '',
     subjectType: 'lecture', duration: 1, meetingLink: '',
+    recurType: 'weekly', recurFrom: '', recurTo: '', recurWeeks: '',
+    jointGroups: [],
   });
-  const [saving,    setSaving]    = useState(false);
-  const [deleting,  setDeleting]  = useState(false);
-  const [linkError, setLinkError] = useState('');
+  const [linkError,  setLinkError]  = useState('');
+  const [recurError, setRecurError] = useState('');
+  const [makeupOnly, setMakeupOnly] = useState(false);
+  const [tab,        setTab]        = useState('edit');   // 'edit' | 'history'
 
   // ── Duplicate mode ─────────────────────────────────────────────────────
   const [dupMode,   setDupMode]   = useState(false);
@@ -37,45 +143,109 @@ export default function ClassModal({ isOpen, onClose, group, day, time }) {
     [...new Set(Object.values(schedule).map(e => e.course).filter(Boolean))].sort()
   , [schedule]);
 
+  // A catalog course without hours of the selected type switches the type to
+  // one it does have, e.g. picking a lab-only course selects "Lab"
+  const pickCourse = (course) => setForm(f => {
+    if (Number(course.hours?.[f.subjectType]) > 0) return f;
+    const type = COURSE_HOUR_TYPES.find(tp => Number(course.hours?.[tp]) > 0);
+    return type ? { ...f, subjectType: type } : f;
+  });
+
   // ── Derived: all unique rooms in schedule ─────────────────────────────
   const allRooms = useMemo(() =>
     [...new Set(Object.values(schedule).map(e => e.room).filter(Boolean))].sort()
   , [schedule]);
 
+  // ── Recurrence from the form fields ────────────────────────────────────
+  const recurrence = useMemo(() => {
+    switch (form.recurType) {
+      case 'range': return { type: 'range', from: form.recurFrom, to: form.recurTo };
+      case 'weeks': return { type: 'weeks', weeks: parseWeekList(form.recurWeeks) || [] };
+      case 'weekly': return null;
+      default:      return { type: form.recurType };
+    }
+  }, [form.recurType, form.recurFrom, form.recurTo, form.recurWeeks]);
+
+  // ── Another course in weeks the cell's class skips goes beside it ───────
+  // (utils/recurrence cellClasses) instead of replacing it
+  const addsBeside = !!existingClass && !!form.course.trim() &&
+    form.course.trim().toLowerCase() !== (existingClass.course || '').trim().toLowerCase() &&
+    !mayOverlap(existingClass, { recurrence });
+
+  // Classes sharing a cell in other weeks take their teachers and rooms too
+  const allClasses = useMemo(() => Object.values(schedule).flatMap(cellClasses), [schedule]);
+
   // ── Room conflict check ────────────────────────────────────────────────
   const roomConflict = useMemo(() => {
     if (!form.room.trim() || !day || !time) return null;
-    const roomNorm = form.room.trim().toLowerCase();
-    return Object.values(schedule).find(e =>
-      e.room?.toLowerCase() === roomNorm &&
+    return allClasses.find(e =>
+      roomIndex.sameRoom(e.room, form.room) &&
       e.day === day && e.time === time &&
-      !(existingClass && e.group === group && e.day === day && e.time === time)
+      !(e.day === day && e.time === time && [group, ...form.jointGroups].includes(e.group)) &&
+      mayOverlap(e, { recurrence })
     ) || null;
-  }, [form.room, day, time, schedule, existingClass, group]);
+  }, [form.room, day, time, allClasses, group, form.jointGroups, recurrence, roomIndex]);
 
-  // ── Duration clock preview: "9:00 — 10:20" ────────────────────────────
+  // ── Teacher conflict check: any listed teacher busy elsewhere ──────────
+  const teacherConflicts = useMemo(() => {
+    const names = entryTeachers({ teachers: formTeachers({ teacher: form.teacher, teachers: form.teachers }) }, teacherIndex);
+    if (!names.length || !day || !time) return [];
+    const out = [];
+    allClasses.forEach(e => {
+      if (e.day !== day || e.time !== time || [group, ...form.jointGroups].includes(e.group)) return;
+      if (!mayOverlap(e, { recurrence }) || out.some(c => sameEvent(c.entry, e))) return;
+      entryTeachers(e, teacherIndex).filter(n => names.includes(n)).forEach(teacher => out.push({ teacher, entry: e }));
+    });
+    return out;
+  }, [form.teacher, form.teachers, day, time, allClasses, group, form.jointGroups, recurrence, teacherIndex]);
+
+  const addTeacher = () => setForm(f => {
+    const name = f.teacher.trim();
+    return name ? { ...f, teacher: '', teachers: f.teachers.includes(name) ? f.teachers : [...f.teachers, name] } : f;
+  });
+
+  // ── Joint class: other groups' cells the save would overwrite ───────────
+  const jointReplaces = useMemo(() => form.jointGroups
+    .map(g => schedule[`${g}-${day}-${time}`])
+    .filter(e => e && !(existingClass && sameEvent(e, existingClass)))
+  , [form.jointGroups, schedule, day, time, existingClass]);
+
+  // ── Capacity check: catalog seats vs. the group's student count ─────────
+  const capacityShort = useMemo(() => {
+    const seats    = Number(roomIndex.findRoom(form.room)?.capacity);
+    const students = groupIndex.groupSize(group);
+    return seats && students && students > seats ? { seats, students } : null;
+  }, [form.room, group, roomIndex, groupIndex]);
+
+  // ── Duration clock preview: "9:00 — 10:20", from the grid's periods ──
   const durationPreview = useMemo(() => {
     if (!time || !form.duration) return null;
-    try {
-      const [h, m] = time.split(':').map(Number);
-      const totalMins = h * 60 + m + (form.duration * 40);
-      const endH = Math.floor(totalMins / 60) % 24;
-      const endM  = totalMins % 60;
-      return `${time} — ${String(endH).padStart(2,'0')}:${String(endM).padStart(2,'0')}`;
-    } catch { return null; }
-  }, [time, form.duration]);
+    const end = slotEnd(time, form.duration, timeSlots);
+    return end ? `${time.split('-')[0]} — ${end}` : null;
+  }, [time, form.duration, timeSlots]);
 
   useEffect(() => {
     if (isOpen) {
+      // One teacher stays in the input; co-teachers start out as chips
+      const teacherList = splitTeachers(existingClass);
       setForm({
         course:      existingClass?.course      || '',
-        teacher:     existingClass?.teacher     || '',
+        teacher:     teacherList.length > 1 ? '' : teacherList[0] || '',
+        teachers:    teacherList.length > 1 ? teacherList : [],
         room:        existingClass?.room        || '',
         subjectType: existingClass?.subjectType || 'lecture',
         duration:    existingClass?.duration    || 1,
         meetingLink: existingClass?.meetingLink || '',
+        recurType:   existingClass?.recurrence?.type || 'weekly',
+        recurFrom:   existingClass?.recurrence?.from || '',
+        recurTo:     existingClass?.recurrence?.to   || '',
+        recurWeeks:  formatWeekList(existingClass?.recurrence?.weeks || []),
+        jointGroups: (existingClass?.groups || []).filter(g => g !== group),
       });
       setLinkError('');
+      setRecurError('');
+      setMakeupOnly(false);
+      setTab('edit');
       setDupMode(false); setDupDone(false);
       setDupGroup(''); setDupDay(''); setDupTime('');
     }
@@ -83,70 +253,143 @@ export default function ClassModal({ isOpen, onClose, group, day, time }) {
 
   if (!isOpen) return null;
 
+  // Real date of this cell in the week being viewed
+  const occDate = day ? toISODate(weekDateMap([day], weekStart)[day]) : '';
+
   const validateLink = (url) => {
     if (!url) return '';
     if (!/^https?:\/\//i.test(url)) return t('meetingLinkError') || 'Link must start with https://';
     return '';
   };
 
-  const handleSave = async () => {
+  const validateRecurrence = () => {
+    if (form.recurType === 'range') {
+      if (!form.recurFrom && !form.recurTo) return t('recurRangeError');
+      if (form.recurFrom && form.recurTo && form.recurTo < form.recurFrom) return t('recurRangeError');
+    }
+    if (form.recurType === 'weeks' && !parseWeekList(form.recurWeeks)) return t('recurWeeksError');
+    // No two classes of a cell may meet in the same week; an edit of the
+    // cell's own class is only checked against the others
+    const clash = existingClass && cellClash(existingClass, recurrence, addsBeside ? -1 : 0);
+    if (clash) return t('recurCellTaken', { course: clash.course });
+    return '';
+  };
+
+  const handleSave = () => {
     if (!form.course.trim()) return;
     const err = validateLink(form.meetingLink);
     if (err) { setLinkError(err); return; }
-    setSaving(true);
-    try {
-      await addOrUpdateClass(group, day, time, {
-        course:      form.course.trim(),
-        teacher:     form.teacher.trim(),
-        room:        form.room.trim(),
-        subjectType: form.subjectType,
-        duration:    Number(form.duration),
-        meetingLink: form.meetingLink.trim(),
+    if (makeupOnly) {
+      addException({
+        type: 'makeup', date: occDate, group, day, time,
+        entry: {
+          course:      form.course.trim(),
+          teacher:     formTeachers(form).join(CO_TEACHER_SEPARATOR),
+          room:        form.room.trim(),
+          subjectType: form.subjectType,
+          duration:    Number(form.duration),
+          meetingLink: form.meetingLink.trim(),
+        },
       });
       onClose();
-    } finally { setSaving(false); }
+      return;
+    }
+    const recErr = validateRecurrence();
+    if (recErr) { setRecurError(recErr); return; }
+    if (stale && !window.confirm(t('liveStaleConfirm', { user: staleBy }))) return;
+    const classData = {
+      course:      form.course.trim(),
+      teachers:    formTeachers(form),
+      room:        form.room.trim(),
+      subjectType: form.subjectType,
+      duration:    Number(form.duration),
+      meetingLink: form.meetingLink.trim(),
+      recurrence,
+    };
+    // Applied optimistically — failures surface as a toast with a retry action
+    if (addsBeside) addAlternate(group, day, time, classData);
+    else addOrUpdateClass(group, day, time, { ...classData, groups: form.jointGroups });
+    onClose();
   };
 
-  const handleDelete = async () => {
-    if (!window.confirm(t('confirmDeleteClass') || 'Delete this class?')) return;
-    setDeleting(true);
-    try { await deleteClass(group, day, time); onClose(); }
-    finally { setDeleting(false); }
+  const handleDelete = () => {
+    const message = isJoint(existingClass)
+      ? t('jointDeleteConfirm', { count: existingClass.groups.length })
+      : t('confirmDeleteClass') || 'Delete this class?';
+    if (!window.confirm(stale ? `${t('liveStaleConfirm', { user: staleBy })}\n\n${message}` : message)) return;
+    deleteClass(group, day, time);
+    onClose();
   };
 
   // ── Duplicate handler ─────────────────────────────────────────────────
   const handleDuplicate = async () => {
     if (!dupGroup || !dupDay || !dupTime) return;
+    const recErr = validateRecurrence();
+    if (recErr) { setRecurError(recErr); return; }
     setDupSaving(true);
     try {
-      await addOrUpdateClass(dupGroup, dupDay, dupTime, {
+      const ok = await addOrUpdateClass(dupGroup, dupDay, dupTime, {
         course:      form.course.trim(),
-        teacher:     form.teacher.trim(),
+        teachers:    formTeachers(form),
         room:        form.room.trim(),
         subjectType: form.subjectType,
         duration:    Number(form.duration),
         meetingLink: form.meetingLink.trim(),
+        recurrence,
       });
-      setDupDone(true);
+      setDupDone(ok);
     } finally { setDupSaving(false); }
   };
 
   const typeStyle = SUBJECT_TYPES.find(s => s.value === form.subjectType) || SUBJECT_TYPES[0];
 
-  return (
+  const header = (
+    <>
+      <div className="modal-header cm-header" style={{ borderLeft: `4px solid ${typeStyle.color}` }}>
+        <div>
+          <div className="cm-header-meta">{group} · {t(day) || day} · {time}</div>
+          <h2 className="cm-header-title">
+            {existingClass ? (t('editClass') || 'Edit Class') : (t('addClass') || 'Add Class')}
+          </h2>
+        </div>
+        <button className="cm-close" onClick={onClose}>✕</button>
+      </div>
+      <div className="cm-tabs">
+        <button className={`cm-tab ${tab === 'edit' ? 'active' : ''}`} onClick={() => setTab('edit')}>
+          ✏️ {existingClass ? (t('editClass') || 'Edit Class') : (t('addClass') || 'Add Class')}
+        </button>
+        <button className={`cm-tab ${tab === 'history' ? 'active' : ''}`} onClick={() => setTab('history')}>
+          🕘 {t('auditHistoryTab')}
+        </button>
+      </div>
+    </>
+  );
+
+  // Who changed this cell and when — also for cells whose class was deleted
+  if (tab === 'history') return (
     <div className="modal-overlay" onClick={e => { if (e.target === e.currentTarget) onClose(); }}>
       <div className="modal-content cm-modal">
-        <div className="modal-header cm-header" style={{ borderLeft: `4px solid ${typeStyle.color}` }}>
-          <div>
-            <div className="cm-header-meta">{group} · {t(day) || day} · {time}</div>
-            <h2 className="cm-header-title">
-              {existingClass ? (t('editClass') || 'Edit Class') : (t('addClass') || 'Add Class')}
-            </h2>
-          </div>
-          <button className="cm-close" onClick={onClose}>✕</button>
+        {header}
+        <div className="modal-body cm-body">
+          <CellHistory cellKey={`${group}-${day}-${time}`} />
         </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={e => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="modal-content cm-modal">
+        {header}
 
         <div className="modal-body cm-body">
+          {otherEditors.length > 0 && (
+            <div className="cm-live cm-live-editing">
+              ✏️ {t('liveEditingNow', { names: otherEditors.map(c => c.user || t('auditUnknownUser')).join(', ') })}
+            </div>
+          )}
+          {stale && <div className="cm-live cm-live-stale">⚠️ {t('liveChangedSince', { user: staleBy })}</div>}
+
           {/* Subject type pills */}
           <div className="cm-field">
             <label className="cm-label">{t('subjectType') || 'Type'}</label>
@@ -170,53 +413,72 @@ export default function ClassModal({ isOpen, onClose, group, day, time }) {
           {/* Course */}
           <div className="cm-field">
             <label className="cm-label">{t('courseName') || 'Course'} *</label>
-            <input
+            <CoursePicker
               className="cm-input"
-              list="cm-courses"
               placeholder={t('courseNamePlaceholder') || 'e.g. Linear Algebra'}
               value={form.course}
-              onChange={e => setForm(f => ({ ...f, course: e.target.value }))}
+              onChange={course => setForm(f => ({ ...f, course }))}
+              onPick={pickCourse}
+              fallbackCourses={allCourses}
               autoFocus
             />
-            <datalist id="cm-courses">
-              {allCourses.map(c => <option key={c} value={c} />)}
-            </datalist>
           </div>
 
           {/* Teacher */}
           <div className="cm-field">
-            <label className="cm-label">{t('teacher') || 'Teacher'}</label>
-            <input
-              className="cm-input"
-              list="cm-teachers"
-              placeholder={t('teacherPlaceholder') || 'Teacher name'}
-              value={form.teacher}
-              onChange={e => setForm(f => ({ ...f, teacher: e.target.value }))}
-            />
+            <label className="cm-label">
+              {t('teacher') || 'Teacher'}
+              <span className="cm-label-hint"> — {t('coTeachersHint')}</span>
+            </label>
+            <div className="cm-joint-row">
+              {form.teachers.map(tc => (
+                <span key={tc} className="cm-joint-chip">
+                  {tc}
+                  <button type="button" onClick={() => setForm(f => ({ ...f, teachers: f.teachers.filter(x => x !== tc) }))}>✕</button>
+                </span>
+              ))}
+              <input
+                className="cm-input cm-joint-add"
+                list="cm-teachers"
+                placeholder={form.teachers.length ? t('coTeacherAdd') : (t('teacherPlaceholder') || 'Teacher name')}
+                value={form.teacher}
+                onChange={e => setForm(f => ({ ...f, teacher: e.target.value }))}
+                onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); addTeacher(); } }}
+              />
+              {form.teacher.trim() && (
+                <button type="button" className="cm-teacher-add" title={t('coTeacherAdd')} onClick={addTeacher}>＋</button>
+              )}
+            </div>
             <datalist id="cm-teachers">
-              {teachers.map(tc => <option key={tc} value={tc} />)}
+              {teachers.filter(tc => !form.teachers.includes(tc)).map(tc => <option key={tc} value={tc} />)}
             </datalist>
+            {teacherConflicts.map(({ teacher, entry }) => (
+              <div key={`${teacher}-${entry.group}`} className="cm-room-conflict">
+                ⚠️ {t('coTeacherBusy', { teacher, group: entry.group, course: entry.course })}
+              </div>
+            ))}
           </div>
 
           {/* Room + Duration row */}
           <div className="cm-row">
             <div className="cm-field cm-field-half">
               <label className="cm-label">{t('room') || 'Room'}</label>
-              <input
+              <RoomPicker
                 className={`cm-input${roomConflict ? ' cm-input-warn' : ''}`}
-                list="cm-rooms"
-                placeholder="e.g. B201"
                 value={form.room}
-                onChange={e => setForm(f => ({ ...f, room: e.target.value }))}
+                onChange={room => setForm(f => ({ ...f, room }))}
+                fallbackRooms={allRooms}
               />
-              <datalist id="cm-rooms">
-                {allRooms.map(r => <option key={r} value={r} />)}
-              </datalist>
               {roomConflict && (
                 <div className="cm-room-conflict">
                   ⚠️ {roomConflict.room} is booked by {roomConflict.group} — {roomConflict.course}
                 </div>
               )}
+              {capacityShort && (
+                <div className="cm-room-conflict">
+                  👥 {t('greqOverCapacity', { group, students: capacityShort.students, seats: capacityShort.seats })}
+                </div>
+              )}
             </div>
             <div className="cm-field cm-field-half">
               <label className="cm-label">{t('duration') || 'Duration'}</label>
@@ -227,7 +489,7 @@ export default function ClassModal({ isOpen, onClose, group, day, time }) {
               >
                 {DURATIONS.map(d => (
                   <option key={d} value={d}>
-                    {d} {d > 1 ? (t('slots') || 'slots') : (t('slot') || 'slot')} ({d * 40} {t('examMinutes') || 'min'})
+                    {d} {d > 1 ? (t('slots') || 'slots') : (t('slot') || 'slot')}{spanMinutes(time, d, timeSlots) > 0 && ` (${spanMinutes(time, d, timeSlots)} ${t('examMinutes') || 'min'})`}
                   </option>
                 ))}
               </select>
@@ -237,6 +499,92 @@ export default function ClassModal({ isOpen, onClose, group, day, time }) {
             </div>
           </div>
 
+          {/* One-off make-up instead of a weekly class */}
+          {!existingClass && occDate && (
+            <label className="cm-makeup-toggle">
+              <input type="checkbox" checked={makeupOnly} onChange={e => setMakeupOnly(e.target.checked)} />
+              ➕ {t('excMakeupOnly', { date: `${t(day)} ${shortDate(occDate)}` })}
+            </label>
+          )}
+
+          {/* Joint class: other groups attending */}
+          {!makeupOnly && <div className="cm-field">
+            <label className="cm-label">
+              👥 {t('jointGroups')}
+              <span className="cm-label-hint"> — {t('jointGroupsHint')}</span>
+            </label>
+            <div className="cm-joint-row">
+              {form.jointGroups.map(g => (
+                <span key={g} className="cm-joint-chip">
+                  {g}
+                  <button type="button" onClick={() => setForm(f => ({ ...f, jointGroups: f.jointGroups.filter(x => x !== g) }))}>✕</button>
+                </span>
+              ))}
+              <select
+                className="cm-input cm-joint-add"
+                value=""
+                onChange={e => { const g = e.target.value; if (g) setForm(f => ({ ...f, jointGroups: [...f.jointGroups, g] })); }}
+              >
+                <option value="">＋ {t('jointAddGroup')}</option>
+                {groups.filter(g => g !== group && !form.jointGroups.includes(g)).map(g => <option key={g} value={g}>{g}</option>)}
+              </select>
+            </div>
+            {jointReplaces.map(e => (
+              <div key={e.group} className="cm-room-conflict">
+                ⚠️ {t('jointReplaces', { group: e.group, course: e.course })}
+              </div>
+            ))}
+          </div>}
+
+          {/* Recurrence */}
+          {!makeupOnly && <div className="cm-field">
+            <label className="cm-label">🔁 {t('recurrence')}</label>
+            <select
+              className="cm-input"
+              value={form.recurType}
+              onChange={e => { setForm(f => ({ ...f, recurType: e.target.value })); setRecurError(''); }}
+            >
+              {RECURRENCE_TYPES.map(type => (
+                <option key={type} value={type}>{t(RECURRENCE_LABEL_KEYS[type])}</option>
+              ))}
+            </select>
+            {form.recurType === 'range' && (
+              <div className="cm-row cm-recur-row">
+                <div className="cm-field cm-field-half">
+                  <label className="cm-label">{t('recurFrom')}</label>
+                  <input type="date" className="cm-input" value={form.recurFrom}
+                    onChange={e => { setForm(f => ({ ...f, recurFrom: e.target.value })); setRecurError(''); }} />
+                </div>
+                <div className="cm-field cm-field-half">
+                  <label className="cm-label">{t('recurTo')}</label>
+                  <input type="date" className="cm-input" value={form.recurTo}
+                    onChange={e => { setForm(f => ({ ...f, recurTo: e.target.value })); setRecurError(''); }} />
+                </div>
+              </div>
+            )}
+            {form.recurType === 'weeks' && (
+              <input
+                className={`cm-input cm-recur-row ${recurError ? 'cm-input-error' : ''}`}
+                placeholder={t('recurWeeksHint')}
+                value={form.recurWeeks}
+                onChange={e => { setForm(f => ({ ...f, recurWeeks: e.target.value })); setRecurError(''); }}
+              />
+            )}
+            {recurError && <div className="cm-error">{recurError}</div>}
+            {addsBeside && !recurError && <div className="cm-label-hint cm-recur-row">{t('recurBeside', { course: existingClass.course })}</div>}
+            {existingClass?.alternates?.length > 0 && (
+              <div className="cm-joint-row cm-recur-row">
+                <span className="cm-label-hint">{t('recurAlsoHere')}</span>
+                {existingClass.alternates.map((alt, i) => (
+                  <span key={i} className="cm-joint-chip">
+                    {alt.course} · {recurrenceLabel(alt.recurrence, t)}
+                    <button type="button" title={t('recurRemoveAlternate')} onClick={() => removeAlternate(group, day, time, i)}>✕</button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>}
+
           {/* Meeting link */}
           <div className="cm-field">
             <label className="cm-label">
@@ -260,6 +608,11 @@ export default function ClassModal({ isOpen, onClose, group, day, time }) {
           </div>
         </div>
 
+        {occDate && (
+          <OccurrencePanel group={group} day={day} time={time} date={occDate}
+            existingClass={existingClass} onDone={onClose} />
+        )}
+
         {/* ── Duplicate panel ── */}
         {existingClass && (
           <div className="cm-dup-panel">
@@ -303,8 +656,8 @@ export default function ClassModal({ isOpen, onClose, group, day, time }) {
 
         <div className="modal-footer cm-footer">
           {existingClass && (
-            <button className="cm-btn cm-btn-danger" onClick={handleDelete} disabled={deleting}>
-              {deleting ? '...' : '🗑 ' + (t('delete') || 'Delete')}
+            <button className="cm-btn cm-btn-danger" onClick={handleDelete}>
+              {'🗑 ' + (t('delete') || 'Delete')}
             </button>
           )}
           <div style={{ flex: 1 }} />
@@ -314,10 +667,10 @@ export default function ClassModal({ isOpen, onClose, group, day, time }) {
           <button
             className="cm-btn cm-btn-save"
             onClick={handleSave}
-            disabled={saving || !form.course.trim()}
+            disabled={!form.course.trim()}
             style={{ background: typeStyle.color }}
           >
-            {saving ? '...' : (existingClass ? (t('save') || 'Save') : (t('add') || 'Add'))}
+            {existingClass ? (t('save') || 'Save') : (t('add') || 'Add')}
           </button>
         </div>
       </div>
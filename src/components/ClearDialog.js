@@ -0,0 +1,147 @@
+// src/components/ClearDialog.js
+import React, { useState, useMemo } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { useToast } from '../context/ToastContext';
+import { planClear, clearsEverything } from '../utils/scopedClear';
+import { departmentName } from '../utils/groupRegistry';
+import './ClearDialog.css';
+
+const PAGE = 100;
+
+// Toggles `value` in a selection where null means everything
+const toggle = (selected, all, value) => {
+  const list = selected || all;
+  const next = list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+  return next.length === all.length ? null : next;
+};
+
+// Clears part of the timetable — a department, some groups, days or a
+// course — after showing what would go. Replaces the old clear-everything.
+const ClearDialog = ({ onClose }) => {
+  const { schedule, groups, days, departments, groupIndex, clearSchedule, draftMode } = useSchedule();
+  const { t, lang } = useLanguage();
+  const { showToast } = useToast();
+
+  const [department,  setDepartment]  = useState('');
+  const [scopeGroups, setScopeGroups] = useState(null);   // null = every group
+  const [scopeDays,   setScopeDays]   = useState(null);   // null = every day
+  const [course,      setCourse]      = useState('');
+  const [shown,       setShown]       = useState(PAGE);
+  const [running,     setRunning]     = useState(false);
+
+  const deptGroups = useMemo(
+    () => groups.filter(g => !department || groupIndex.departmentOf(g) === department),
+    [groups, department, groupIndex],
+  );
+  const courses = useMemo(
+    () => [...new Set(Object.values(schedule).map(e => (e.course || '').trim()).filter(Boolean))].sort(),
+    [schedule],
+  );
+
+  const scope = useMemo(
+    () => ({ department, groups: scopeGroups, days: scopeDays, course }),
+    [department, scopeGroups, scopeDays, course],
+  );
+  const { cells } = useMemo(() => planClear(schedule, scope, groupIndex), [schedule, scope, groupIndex]);
+  const removed = cells.filter(c => !c.after).sort((a, b) => a.key.localeCompare(b.key));
+  const trimmed = cells.length - removed.length;
+  const everything = clearsEverything(scope);
+
+  const handleClear = async () => {
+    const message = everything ? t('clearConfirmAll', { count: removed.length }) : t('clearConfirm', { count: removed.length });
+    if (!window.confirm(message)) return;
+    setRunning(true);
+    const result = await clearSchedule(scope);
+    setRunning(false);
+    if (!result) return;
+    showToast({
+      type: 'success',
+      message: result.name ? t('clearDone', { count: removed.length, name: result.name }) : t('clearDoneDraft', { count: removed.length }),
+    });
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={e => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="modal-content clr-modal">
+        <div className="modal-header clr-header">
+          <h2>🗑 {t('clearTitle')}</h2>
+          <button className="clr-close" title={t('cancel')} onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-body clr-body">
+          <p className="clr-hint">{draftMode ? t('clearHintDraft') : t('clearHint')}</p>
+
+          <div className="clr-row">
+            <span className="clr-label">{t('frDepartment')}</span>
+            <select className="clr-select" value={department}
+              onChange={e => { setDepartment(e.target.value); setScopeGroups(null); }}>
+              <option value="">{t('frAllDepartments')}</option>
+              {departments.map(d => <option key={d.id} value={d.id}>{d.icon} {departmentName(d, lang)}</option>)}
+            </select>
+          </div>
+
+          <div className="clr-row">
+            <span className="clr-label">{t('courseName')}</span>
+            <select className="clr-select" value={course} onChange={e => setCourse(e.target.value)}>
+              <option value="">{t('clearAllCourses')}</option>
+              {courses.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </div>
+
+          <div className="clr-row">
+            <span className="clr-label">{t('snapDays')}</span>
+            {days.map(d => (
+              <button key={d} className={`clr-chip${!scopeDays || scopeDays.includes(d) ? ' active' : ''}`}
+                onClick={() => setScopeDays(sel => toggle(sel, days, d))}>{t(d)}</button>
+            ))}
+          </div>
+
+          <details className="clr-groups">
+            <summary className="clr-label">
+              {t('snapGroups')} · {scopeGroups ? `${scopeGroups.length}/${deptGroups.length}` : t('frAllGroups')}
+            </summary>
+            <div className="clr-row">
+              {deptGroups.map(g => (
+                <button key={g} className={`clr-chip${!scopeGroups || scopeGroups.includes(g) ? ' active' : ''}`}
+                  onClick={() => setScopeGroups(sel => toggle(sel, deptGroups, g))}>{g}</button>
+              ))}
+            </div>
+          </details>
+
+          <div className="clr-preview-head">
+            <span className={`clr-count${everything ? ' clr-count-all' : ''}`}>
+              {everything ? `⚠️ ${t('clearEverything', { count: removed.length })}` : t('clearCount', { count: removed.length })}
+            </span>
+            {trimmed > 0 && <span className="clr-trimmed">👥 {t('clearJointKept', { count: trimmed })}</span>}
+          </div>
+          {removed.length === 0 ? <div className="clr-empty">{t('clearNothing')}</div> : (
+            <div className="clr-list">
+              {removed.slice(0, shown).map(({ key, before: e }) => (
+                <div key={key} className="clr-item">
+                  <span className="clr-item-cell">{e.group} · {t(e.day)} · {e.time}</span>
+                  <span className="clr-item-class">{[e.course, e.teacher, e.room].filter(Boolean).join(' · ')}</span>
+                </div>
+              ))}
+              {removed.length > shown && (
+                <button className="clr-btn clr-more" onClick={() => setShown(n => n + PAGE)}>
+                  {t('snapShowMore', { count: removed.length - shown })}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer clr-footer">
+          <button className="clr-btn" onClick={onClose}>{t('cancel')}</button>
+          <button className="clr-btn clr-btn-danger" onClick={handleClear} disabled={running || !removed.length}>
+            {running ? '⏳' : `🗑 ${t('clearApply', { count: removed.length })}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClearDialog;
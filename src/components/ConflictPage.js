@@ -1,38 +1,46 @@
 // src/components/ConflictPage.js
 import React, { useMemo } from 'react';
-import { useSchedule } from '../context/ScheduleContext';
+import { useSchedule, entryTeachers } from '../context/ScheduleContext';
 import { useLanguage } from '../context/LanguageContext';
+import { mayOverlap, cellClasses } from '../utils/recurrence';
+import { distinctEvents, isJoint, jointLabel, looksJoint } from '../utils/jointClasses';
 import './ConflictPage.css';
 
+// Odd-week and even-week classes can share a teacher or a room
+const clashes = (group) =>
+  group.some((a, i) => group.slice(i + 1).some(b => mayOverlap(a, b)));
+
 const ConflictPage = ({ onJumpToCell }) => {
-  const { schedule, days, timeSlots } = useSchedule();
+  const { schedule, days, timeSlots, teacherIndex, markJoint, readOnly } = useSchedule();
   const { t } = useLanguage();
 
   const conflicts = useMemo(() => {
-    const entries = Object.values(schedule);
+    // Classes sharing a cell in other weeks are checked like any other
+    const entries = Object.values(schedule).flatMap(e => (e.alternates ? cellClasses(e) : [e]));
     const found = [];
 
     days.forEach(day => {
       timeSlots.forEach(time => {
-        const slot = entries.filter(e => e.day === day && e.time === time);
+        // A joint class is one event, however many groups' rows it fills
+        const slot = distinctEvents(entries.filter(e => e.day === day && e.time === time));
         if (slot.length < 2) return;
 
-        // Teacher conflicts
+        // Teacher conflicts — a co-taught class is checked for each of its teachers
         const teacherMap = {};
         slot.forEach(e => {
-          if (!e.teacher) return;
-          const key = e.teacher.toLowerCase();
-          if (!teacherMap[key]) teacherMap[key] = [];
-          teacherMap[key].push(e);
+          entryTeachers(e, teacherIndex).forEach(name => {
+            if (!teacherMap[name]) teacherMap[name] = [];
+            teacherMap[name].push(e);
+          });
         });
-        Object.values(teacherMap).forEach(group => {
-          if (group.length > 1) {
+        Object.entries(teacherMap).forEach(([name, group]) => {
+          if (group.length > 1 && clashes(group)) {
             found.push({
               type: 'teacher',
               day, time,
-              value: group[0].teacher,
+              value: name,
               entries: group,
-              id: `teacher-${day}-${time}-${group[0].teacher}`
+              id: `teacher-${day}-${time}-${name}`
             });
           }
         });
@@ -46,7 +54,7 @@ const ConflictPage = ({ onJumpToCell }) => {
           roomMap[key].push(e);
         });
         Object.values(roomMap).forEach(group => {
-          if (group.length > 1) {
+          if (group.length > 1 && clashes(group)) {
             found.push({
               type: 'room',
               day, time,
@@ -60,7 +68,7 @@ const ConflictPage = ({ onJumpToCell }) => {
     });
 
     return found;
-  }, [schedule, days, timeSlots]);
+  }, [schedule, days, timeSlots, teacherIndex]);
 
   const teacherConflicts = conflicts.filter(c => c.type === 'teacher');
   const roomConflicts    = conflicts.filter(c => c.type === 'room');
@@ -106,7 +114,7 @@ const ConflictPage = ({ onJumpToCell }) => {
               onClick={() => onJumpToCell && onJumpToCell(entry.group, entry.day, entry.time)}
               title={t('clickToJump') || 'Click to jump to this class'}
             >
-              <span className="ce-group">{entry.group}</span>
+              <span className="ce-group">{isJoint(entry) ? `👥 ${jointLabel(entry)}` : entry.group}</span>
               <span className="ce-course">{entry.course}</span>
               {entry.room && !isTeacher && <span className="ce-detail">🚪 {entry.room}</span>}
               {entry.teacher && isTeacher && <span className="ce-detail">👨‍🏫 {entry.teacher}</span>}
@@ -114,6 +122,17 @@ const ConflictPage = ({ onJumpToCell }) => {
             </div>
           ))}
         </div>
+
+        {/* The same lecture typed into each group's row — offer to make it one joint class.
+            Not for cells shared with classes in other weeks, which it would drop. */}
+        {!readOnly && looksJoint(conflict.entries) && conflict.entries.every(e => schedule[`${e.group}-${e.day}-${e.time}`] === e) && (
+          <div className="conflict-joint">
+            <span>💡 {t('jointLooksSame')}</span>
+            <button className="conflict-joint-btn" onClick={() => markJoint(conflict.entries)}>
+              👥 {t('jointMarkBtn', { count: conflict.entries.length })}
+            </button>
+          </div>
+        )}
       </div>
     );
   };
@@ -0,0 +1,273 @@
+// src/components/CourseCatalog.js
+import React, { useState, useMemo } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { SUBJECT_TYPE_LABELS } from '../data/i18n';
+import { COURSE_HOUR_TYPES, courseName, requiredHours, buildHoursReport } from '../utils/courseCatalog';
+import './CourseCatalog.css';
+
+const EMPTY_FORM = {
+  code: '', nameEn: '', nameRu: '', nameKy: '', department: '',
+  lecture: '', lab: '', seminar: '', groups: '', aliases: '',
+};
+
+const splitList = (text, sep) => [...new Set(text.split(sep).map(v => v.trim()).filter(Boolean))];
+
+const toForm = (c) => ({
+  ...EMPTY_FORM,
+  code:       c.code,
+  nameEn:     c.names?.en || '',
+  nameRu:     c.names?.ru || '',
+  nameKy:     c.names?.ky || '',
+  department: c.department || '',
+  ...Object.fromEntries(COURSE_HOUR_TYPES.map(tp => [tp, c.hours?.[tp] ? String(c.hours[tp]) : ''])),
+  groups:     (c.groups || []).join(', '),
+  aliases:    (c.aliases || []).join('\n'),
+});
+
+const fromForm = (form) => ({
+  code:       form.code.trim().toUpperCase(),
+  names:      { en: form.nameEn.trim(), ru: form.nameRu.trim(), ky: form.nameKy.trim() },
+  department: form.department.trim(),
+  hours:      Object.fromEntries(COURSE_HOUR_TYPES.map(tp => [tp, Math.max(0, Number(form[tp]) || 0)])),
+  groups:     splitList(form.groups, ','),
+  aliases:    splitList(form.aliases, /[\n;]+/),
+});
+
+const fmtHours = (h) => (Number.isInteger(h) ? String(h) : h.toFixed(1));
+
+// ─── Add / edit form ──────────────────────────────────────────────────────────
+const CourseForm = ({ initial, onSave, onCancel }) => {
+  const { courseCatalog } = useSchedule();
+  const { t, lang } = useLanguage();
+  const typeLabels = SUBJECT_TYPE_LABELS[lang] || SUBJECT_TYPE_LABELS.en;
+  const [form,   setForm]   = useState(() => (initial ? toForm(initial) : EMPTY_FORM));
+  const [error,  setError]  = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: e => setForm(f => ({ ...f, [key]: e.target.value })),
+  });
+
+  const handleSave = async () => {
+    const course = fromForm(form);
+    if (!course.code)     { setError(t('ccatCodeRequired')); return; }
+    if (!course.names.en) { setError(t('ccatNameRequired')); return; }
+    const clash = courseCatalog.find(c => c.code === course.code && c.code !== initial?.code);
+    if (clash) { setError(t('ccatCodeTaken', { code: clash.code })); return; }
+    setSaving(true);
+    const ok = await onSave(course);
+    setSaving(false);
+    if (ok) onCancel();
+  };
+
+  return (
+    <div className="ccat-form">
+      <div className="ccat-form-grid">
+        <label>{t('ccatCode')}<input className="ccat-input" placeholder="CS101" {...field('code')} autoFocus /></label>
+        <label>{t('ccatDepartment')}<input className="ccat-input" {...field('department')} /></label>
+        <label>{t('ccatNameEn')}<input className="ccat-input" placeholder="Linear Algebra" {...field('nameEn')} /></label>
+        <label>{t('ccatNameRu')}<input className="ccat-input" placeholder="Линейная алгебра" {...field('nameRu')} /></label>
+        <label>{t('ccatNameKy')}<input className="ccat-input" placeholder="Сызыктуу алгебра" {...field('nameKy')} /></label>
+      </div>
+      <div className="ccat-form-grid ccat-hours-grid">
+        {COURSE_HOUR_TYPES.map(tp => (
+          <label key={tp}>{typeLabels[tp]} · {t('ccatHoursPerWeek')}
+            <input className="ccat-input" type="number" min="0" max="20" {...field(tp)} />
+          </label>
+        ))}
+      </div>
+      <label className="ccat-wide-label">
+        {t('ccatGroups')}
+        <input className="ccat-input" placeholder="COMSE-25, COMCEH-25" {...field('groups')} />
+      </label>
+      <label className="ccat-wide-label">
+        {t('ccatAliases')}
+        <textarea className="ccat-input" rows={2} placeholder={t('ccatAliasesHint')} {...field('aliases')} />
+      </label>
+      {error && <div className="ccat-error">⚠️ {error}</div>}
+      <div className="ccat-form-actions">
+        <button className="ccat-btn ccat-btn-ghost" onClick={onCancel}>{t('cancel')}</button>
+        <button className="ccat-btn ccat-btn-primary" onClick={handleSave} disabled={saving}>{saving ? '⏳' : t('save')}</button>
+      </div>
+    </div>
+  );
+};
+
+// ─── Scheduled vs required hours ──────────────────────────────────────────────
+const HoursReport = () => {
+  const { schedule, courseCatalog } = useSchedule();
+  const { t, lang } = useLanguage();
+  const typeLabels = SUBJECT_TYPE_LABELS[lang] || SUBJECT_TYPE_LABELS.en;
+  const [group,      setGroup]      = useState('');
+  const [mismatches, setMismatches] = useState(false);
+
+  const report = useMemo(() => buildHoursReport(schedule, courseCatalog), [schedule, courseCatalog]);
+  const reportGroups = useMemo(() => [...new Set(report.map(r => r.group))].sort(), [report]);
+
+  const rows = report
+    .filter(r => !group || r.group === group)
+    .filter(r => !mismatches || r.diff !== 0)
+    .sort((a, b) => a.group.localeCompare(b.group) || a.course.localeCompare(b.course));
+
+  const under = report.filter(r => r.diff < 0).length;
+  const over  = report.filter(r => r.diff > 0).length;
+
+  const cell = (r, tp) => {
+    const s = r.scheduled[tp];
+    const q = r.required?.[tp];
+    if (!s && !q) return <td key={tp} className="ccat-muted">—</td>;
+    return (
+      <td key={tp} className={q !== undefined && s !== q ? 'ccat-off' : ''}>
+        {fmtHours(s)}{q !== undefined && <span className="ccat-muted"> / {q}</span>}
+      </td>
+    );
+  };
+
+  return (
+    <section className="ccat-section">
+      <div className="ccat-list-head">
+        <div className="ccat-stats">
+          <span className="ccat-stat ccat-stat-under">{t('ccatUnder', { count: under })}</span>
+          <span className="ccat-stat ccat-stat-over">{t('ccatOver', { count: over })}</span>
+        </div>
+        <div className="ccat-filters">
+          <select className="ccat-input" value={group} onChange={e => setGroup(e.target.value)}>
+            <option value="">{t('allGroups') || 'All groups'}</option>
+            {reportGroups.map(g => <option key={g} value={g}>{g}</option>)}
+          </select>
+          <label className="ccat-check">
+            <input type="checkbox" checked={mismatches} onChange={e => setMismatches(e.target.checked)} />
+            {t('ccatOnlyMismatches')}
+          </label>
+        </div>
+      </div>
+      <p className="ccat-hint">{t('ccatReportHint')}</p>
+
+      <div className="ccat-table-wrap">
+        <table className="ccat-table">
+          <thead>
+            <tr>
+              <th>{t('group') || 'Group'}</th>
+              <th>{t('courseName') || 'Course'}</th>
+              {COURSE_HOUR_TYPES.map(tp => <th key={tp}>{typeLabels[tp]}</th>)}
+              <th>{t('ccatTotal')}</th>
+              <th>{t('ccatDiff')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => {
+              const scheduled = COURSE_HOUR_TYPES.reduce((s, tp) => s + r.scheduled[tp], 0);
+              return (
+                <tr key={`${r.group}-${r.course}`}>
+                  <td className="ccat-strong">{r.group}</td>
+                  <td>
+                    {r.catalog ? courseName(r.catalog, lang) : r.course}
+                    {r.catalog
+                      ? <span className="ccat-code">{r.catalog.code}</span>
+                      : <span className="ccat-tag">{t('ccatNotInCatalog')}</span>}
+                  </td>
+                  {COURSE_HOUR_TYPES.map(tp => cell(r, tp))}
+                  <td className="ccat-strong">
+                    {fmtHours(scheduled)}{r.catalog && <span className="ccat-muted"> / {requiredHours(r.catalog)}</span>}
+                  </td>
+                  <td className={r.diff === null ? 'ccat-muted' : r.diff < 0 ? 'ccat-diff-under' : r.diff > 0 ? 'ccat-diff-over' : 'ccat-diff-ok'}>
+                    {r.diff === null ? '—' : r.diff === 0 ? '✓' : `${r.diff > 0 ? '+' : ''}${fmtHours(r.diff)}`}
+                  </td>
+                </tr>
+              );
+            })}
+            {rows.length === 0 && (
+              <tr><td colSpan={COURSE_HOUR_TYPES.length + 4} className="ccat-empty">{t('ccatReportEmpty')}</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+};
+
+// ─── Main screen ──────────────────────────────────────────────────────────────
+const CourseCatalog = () => {
+  const { courseCatalog, saveCourse, deleteCourse } = useSchedule();
+  const { t, lang } = useLanguage();
+  const typeLabels = SUBJECT_TYPE_LABELS[lang] || SUBJECT_TYPE_LABELS.en;
+  const [tab,     setTab]     = useState('catalog');
+  const [editing, setEditing] = useState(null);   // catalog entry, 'new' or null
+  const [search,  setSearch]  = useState('');
+
+  const shown = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return [...courseCatalog]
+      .filter(c => !q || [c.code, c.department, ...Object.values(c.names || {}), ...(c.aliases || []), ...(c.groups || [])]
+        .some(v => v && v.toLowerCase().includes(q)))
+      .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }));
+  }, [courseCatalog, search]);
+
+  const handleDelete = (c) => {
+    if (window.confirm(t('ccatDeleteConfirm', { code: c.code }))) deleteCourse(c.code);
+  };
+
+  return (
+    <div className="ccat-page">
+      <div className="ccat-header">
+        <div>
+          <h2 className="ccat-title">📚 {t('ccatTitle')}</h2>
+          <p className="ccat-subtitle">{t('ccatSubtitle')}</p>
+        </div>
+        <div className="ccat-tabs">
+          <button className={`ccat-tab${tab === 'catalog' ? ' active' : ''}`} onClick={() => setTab('catalog')}>{t('ccatCatalog')}</button>
+          <button className={`ccat-tab${tab === 'report' ? ' active' : ''}`} onClick={() => setTab('report')}>{t('ccatHoursReport')}</button>
+        </div>
+      </div>
+
+      {tab === 'report' ? <HoursReport /> : (
+        <section className="ccat-section">
+          <div className="ccat-list-head">
+            <h3 className="ccat-section-title">{t('ccatCatalog')} <span className="ccat-count">{courseCatalog.length}</span></h3>
+            <div className="ccat-filters">
+              <input className="ccat-input" placeholder={`🔍 ${t('ccatSearch')}`}
+                value={search} onChange={e => setSearch(e.target.value)} />
+              {editing !== 'new' && (
+                <button className="ccat-btn ccat-btn-primary" onClick={() => setEditing('new')}>＋ {t('ccatAdd')}</button>
+              )}
+            </div>
+          </div>
+
+          {editing === 'new' && <CourseForm onSave={c => saveCourse(c)} onCancel={() => setEditing(null)} />}
+
+          <div className="ccat-list">
+            {shown.map(c => (editing === c ? (
+              <CourseForm key={c.code} initial={c} onSave={next => saveCourse(next, c.code)} onCancel={() => setEditing(null)} />
+            ) : (
+              <div key={c.code} className="ccat-row">
+                <div className="ccat-row-main">
+                  <div className="ccat-row-name">
+                    <span className="ccat-code">{c.code}</span>
+                    {courseName(c, lang)}
+                  </div>
+                  <div className="ccat-row-meta">
+                    {[
+                      c.department,
+                      COURSE_HOUR_TYPES.filter(tp => Number(c.hours?.[tp]) > 0)
+                        .map(tp => `${typeLabels[tp]} ${c.hours[tp]}${t('hoursShort')}`).join(' + '),
+                      (c.groups || []).join(', '),
+                    ].filter(Boolean).join(' · ')}
+                  </div>
+                </div>
+                <div className="ccat-row-actions">
+                  <button className="ccat-icon-btn" title={t('edit')} onClick={() => setEditing(c)}>✏️</button>
+                  <button className="ccat-icon-btn" title={t('delete')} onClick={() => handleDelete(c)}>🗑️</button>
+                </div>
+              </div>
+            )))}
+            {shown.length === 0 && <div className="ccat-empty">{courseCatalog.length ? t('ccatNoMatch') : t('ccatEmpty')}</div>}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default CourseCatalog;
@@ -0,0 +1,67 @@
+// src/components/CoursePicker.js
+import React, { useId, useMemo } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { SUBJECT_TYPE_LABELS } from '../data/i18n';
+import { courseName, courseEntryText, COURSE_HOUR_TYPES } from '../utils/courseCatalog';
+import './CoursePicker.css';
+
+// Course input backed by the course catalog. Suggests catalog courses (or,
+// with an empty catalog, `fallbackCourses`), snaps codes and other spellings
+// to the catalog name on blur and calls `onPick` with the matched course.
+const CoursePicker = ({
+  value, onChange, onPick, className, placeholder, fallbackCourses = [], autoFocus,
+}) => {
+  const { courseCatalog, courseIndex } = useSchedule();
+  const { t, lang } = useLanguage();
+  const typeLabels = SUBJECT_TYPE_LABELS[lang] || SUBJECT_TYPE_LABELS.en;
+  const listId = useId();
+
+  const options = useMemo(() => {
+    if (!courseCatalog.length) return fallbackCourses.map(name => ({ value: name, label: '' }));
+    return [...courseCatalog]
+      .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }))
+      .map(c => ({ value: courseEntryText(c), label: `${c.code} · ${courseName(c, lang)}` }));
+  }, [courseCatalog, fallbackCourses, lang]);
+
+  const course = value ? courseIndex.findCourse(value) : null;
+
+  const handleChange = (text) => {
+    onChange(text);
+    const picked = courseIndex.findCourse(text);
+    if (picked && onPick) onPick(picked);
+  };
+
+  const snapToName = () => {
+    if (course && courseEntryText(course) !== value) onChange(courseEntryText(course));
+  };
+
+  let hint = null;
+  if (course) {
+    const hours = COURSE_HOUR_TYPES
+      .filter(tp => Number(course.hours?.[tp]) > 0)
+      .map(tp => `${typeLabels[tp]} ${course.hours[tp]}${t('hoursShort')}`);
+    hint = (
+      <div className="cp-hint">
+        {[course.code, courseName(course, lang) !== value ? courseName(course, lang) : '', course.department,
+          hours.length ? `${hours.join(' + ')} ${t('perWeek')}` : ''].filter(Boolean).join(' · ')}
+      </div>
+    );
+  } else if (value?.trim() && courseCatalog.length) {
+    hint = <div className="cp-hint cp-hint-warn">⚠️ {t('courseNotInCatalog')}</div>;
+  }
+
+  return (
+    <>
+      <input className={className} list={listId} placeholder={placeholder}
+        value={value} autoFocus={autoFocus}
+        onChange={e => handleChange(e.target.value)} onBlur={snapToName} />
+      <datalist id={listId}>
+        {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+      </datalist>
+      {hint}
+    </>
+  );
+};
+
+export default CoursePicker;
@@ -0,0 +1,148 @@
+// src/components/DraftControls.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { useToast } from '../context/ToastContext';
+import { draftSize } from '../utils/drafts';
+import { diffSchedules } from '../utils/snapshots';
+import './DraftControls.css';
+
+const PAGE = 100;
+
+const STATUS_ICONS = { added: '➕', removed: '➖', changed: '✏️' };
+
+const summary = (e) => [e.course, e.teacher, e.room].filter(Boolean).join(' · ');
+
+// ─── Review of the draft against the published timetable ────────────────────
+const DraftReview = ({ onClose }) => {
+  const { draft, checkDraft, publishDraft, discardDraft } = useSchedule();
+  const { t } = useLanguage();
+  const { showToast } = useToast();
+  const [conflicts, setConflicts] = useState(null);   // null while checking
+  const [notify,    setNotify]    = useState(false);
+  const [shown,     setShown]     = useState(PAGE);
+  const [running,   setRunning]   = useState(false);
+
+  const rows = useMemo(() => {
+    const published = {}, drafted = {};
+    Object.entries(draft).forEach(([key, c]) => {
+      if (c.before) published[key] = c.before;
+      if (c.after)  drafted[key]   = c.after;
+    });
+    return diffSchedules(published, drafted).sort((a, b) => a.key.localeCompare(b.key));
+  }, [draft]);
+  const counts = rows.reduce((acc, r) => ({ ...acc, [r.status]: acc[r.status] + 1 }), { added: 0, removed: 0, changed: 0 });
+
+  useEffect(() => {
+    let cancelled = false;
+    checkDraft().then(keys => { if (!cancelled) setConflicts(keys || []); });
+    return () => { cancelled = true; };
+  }, [checkDraft]);
+
+  const clashing = new Set(conflicts || []);
+
+  const handlePublish = async () => {
+    const message = clashing.size
+      ? `${t('draftConflicts', { count: clashing.size })}\n\n${t('draftPublishConfirm', { count: rows.length })}`
+      : t('draftPublishConfirm', { count: rows.length });
+    if (!window.confirm(message)) return;
+    setRunning(true);
+    const ok = await publishDraft({ notify });
+    setRunning(false);
+    if (!ok) return;
+    showToast({ type: 'success', message: t('draftPublished', { count: rows.length }) });
+    onClose();
+  };
+
+  const handleDiscard = () => {
+    if (!window.confirm(t('draftDiscardConfirm', { count: rows.length }))) return;
+    discardDraft();
+    showToast({ type: 'info', message: t('draftDiscarded') });
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={e => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="modal-content draft-modal">
+        <div className="modal-header draft-header">
+          <h2>📝 {t('draftReviewTitle')}</h2>
+          <button className="draft-close" title={t('cancel')} onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body draft-body">
+          <p className="draft-hint">{t('draftReviewHint')}</p>
+          {rows.length === 0 ? <div className="draft-empty">{t('draftEmpty')}</div> : (<>
+            <div className="draft-counts">
+              <span className="draft-count draft-added">➕ {t('snapAdded', { count: counts.added })}</span>
+              <span className="draft-count draft-removed">➖ {t('snapRemoved', { count: counts.removed })}</span>
+              <span className="draft-count draft-changed">✏️ {t('snapChanged', { count: counts.changed })}</span>
+              {clashing.size > 0 && <span className="draft-count draft-conflict">⚠️ {t('draftConflicts', { count: clashing.size })}</span>}
+            </div>
+            <div className="draft-rows">
+              {rows.slice(0, shown).map(row => {
+                const e = row.snapshot || row.live;
+                return (
+                  <div key={row.key} className={`draft-row draft-${row.status}${clashing.has(row.key) ? ' draft-row-conflict' : ''}`}>
+                    <span className="draft-row-icon">{STATUS_ICONS[row.status]}</span>
+                    <div className="draft-row-main">
+                      <div className="draft-row-cell">
+                        {e.group} · {t(e.day)} · {e.time}
+                        {clashing.has(row.key) && <span className="draft-conflict-badge">⚠️ {t('draftConflictBadge')}</span>}
+                      </div>
+                      {row.status === 'changed' ? row.fields.map(f => (
+                        <div key={f.field} className="draft-field">
+                          <span className="draft-field-name">{f.field}</span>
+                          {f.from && <span className="draft-from">{f.from}</span>}
+                          {f.from && f.to && <span className="draft-arrow">→</span>}
+                          {f.to && <span className="draft-to">{f.to}</span>}
+                        </div>
+                      )) : (
+                        <div className={row.status === 'added' ? 'draft-to' : 'draft-from'}>{summary(e)}</div>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+              {rows.length > shown && (
+                <button className="draft-btn draft-more" onClick={() => setShown(n => n + PAGE)}>
+                  {t('snapShowMore', { count: rows.length - shown })}
+                </button>
+              )}
+            </div>
+          </>)}
+        </div>
+        <div className="modal-footer draft-footer">
+          <label className="draft-notify">
+            <input type="checkbox" checked={notify} onChange={e => setNotify(e.target.checked)} /> {t('draftNotify')}
+          </label>
+          <button className="draft-btn draft-btn-danger" onClick={handleDiscard} disabled={running}>🗑 {t('draftDiscard')}</button>
+          <button className="draft-btn draft-btn-primary" onClick={handlePublish} disabled={running || conflicts === null}>
+            {running ? '⏳' : `🚀 ${t('draftPublish', { count: rows.length })}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ─── Topbar control: start a draft, or the open draft's size ──────────────────
+const DraftControls = () => {
+  const { draftMode, draft, startDraft } = useSchedule();
+  const { t } = useLanguage();
+  const [reviewing, setReviewing] = useState(false);
+
+  if (!draftMode) return (
+    <button className="draft-chip" onClick={startDraft} title={t('draftStartHint')}>
+      📝 <span className="tb-lbl">{t('draftStart')}</span>
+    </button>
+  );
+
+  return (<>
+    <button className="draft-chip draft-chip-active" onClick={() => setReviewing(true)} title={t('draftReviewTitle')}>
+      📝 <span className="tb-lbl">{t('draftChip')}</span>
+      <span className="draft-chip-count">{draftSize(draft)}</span>
+    </button>
+    {reviewing && <DraftReview onClose={() => setReviewing(false)} />}
+  </>);
+};
+
+export default DraftControls;
@@ -1,5 +1,6 @@
 // src/components/EmptyRoomPanel.js
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useCallback } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
 import { useLanguage } from '../context/LanguageContext';
 import './EmptyRoomPanel.css';
 
@@ -19,8 +20,6 @@ const getCurrentTimeSlot = (timeSlots) => {
   return timeSlots[0];
 };
 
-const normalizeRoom = (r) => r?.trim().toUpperCase() || '';
-
 const EmptyRoomPanel = ({
   allRooms    = [],
   schedule    = {},
@@ -30,6 +29,7 @@ const EmptyRoomPanel = ({
   setSelectedRoom,
 }) => {
   const { t }            = useLanguage();
+  const { roomIndex }    = useSchedule();
   const [open, setOpen]  = useState(false);
   const [selDay, setDay] = useState('');
   const [search, setSrc] = useState('');
@@ -37,6 +37,9 @@ const EmptyRoomPanel = ({
   const todayName   = getTodayName();
   const currentSlot = getCurrentTimeSlot(timeSlots);
 
+  // Catalogued rooms collapse onto their code, so "b110" and "B110 LAB" are one room
+  const normalizeRoom = useCallback((r) => roomIndex.canonicalRoom(r).toUpperCase(), [roomIndex]);
+
   // ── Deduplicate rooms by normalized name ───────────────────────────────────
   const normalizedRooms = useMemo(() => {
     const seen = new Map();
@@ -45,7 +48,7 @@ const EmptyRoomPanel = ({
       if (key && !seen.has(key)) seen.set(key, r.trim());
     });
     return Array.from(seen.entries()).map(([key, display]) => ({ key, display }));
-  }, [allRooms]);
+  }, [allRooms, normalizeRoom]);
 
   // ── Occupancy map ──────────────────────────────────────────────────────────
   const occupancy = useMemo(() => {
@@ -55,7 +58,7 @@ const EmptyRoomPanel = ({
       days.forEach(d => { map[key][d] = {}; });
     });
     Object.values(schedule).forEach(e => {
-      if (!e.room) return;
+      if (!e.room || e.cancelled) return;   // cancelled for this date frees the room
       const key = normalizeRoom(e.room);
       if (!map[key]) return;
       if (!map[key][e.day]) map[key][e.day] = {};
@@ -67,7 +70,7 @@ const EmptyRoomPanel = ({
       }
     });
     return map;
-  }, [normalizedRooms, schedule, days, timeSlots]);
+  }, [normalizedRooms, schedule, days, timeSlots, normalizeRoom]);
 
   // ── Free right now ─────────────────────────────────────────────────────────
   const isToday = days.includes(todayName);
@@ -1,10 +1,15 @@
 // src/components/ExamSchedule.js
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useLanguage } from '../context/LanguageContext';
 import { useSchedule } from '../context/ScheduleContext';
+import { useQuery, setQueryData, invalidateQueries } from '../context/QueryContext';
+import { examsAPI, settingsAPI, broadcastAPI, queries } from '../utils/api';
+import { roomKey } from '../utils/roomRegistry';
+import { logChange } from '../utils/auditLog';
+import { checkRows } from '../utils/schemas';
+import RoomPicker from './RoomPicker';
 import './ExamSchedule.css';
 
-const API_URL   = process.env.REACT_APP_API_URL || 'https://timetablebackend-production.up.railway.app/api';
 const DURATIONS = [60, 90, 120, 150, 180];
 const TIME_SLOTS = [
   '8:00','8:30','9:00','9:30','10:00','10:30','11:00','11:30',
@@ -12,9 +17,6 @@ const TIME_SLOTS = [
   '16:00','16:30','17:00','17:30','18:00',
 ];
 
-const getToken = () =>
-  localStorage.getItem('token') || localStorage.getItem('scheduleToken') || '';
-
 const fmt = (dateStr) => {
   if (!dateStr) return '';
   return new Date(dateStr).toLocaleDateString('en-GB', { day:'2-digit', month:'short', year:'numeric' });
@@ -71,12 +73,10 @@ const GroupPicker = ({ groups, selected, onChange, t }) => {
 };
 
 // ── Main component ─────────────────────────────────────────────────────────
-export default function ExamSchedule({ readOnly = false, showExamsToGuests = false, setShowExamsToGuests = null }) {
+export default function ExamSchedule({ readOnly = false, showExamsToGuests = false }) {
   const { t } = useLanguage();
-  const { groups, schedule } = useSchedule();
+  const { groups, schedule, roomIndex, reportRejected } = useSchedule();
 
-  const [exams,      setExams]      = useState([]);
-  const [loading,    setLoading]    = useState(true);
   const [showForm,   setShowForm]   = useState(false);
   const [editId,     setEditId]     = useState(null);
   const [form,       setForm]       = useState(emptyForm());
@@ -91,25 +91,17 @@ export default function ExamSchedule({ readOnly = false, showExamsToGuests = fal
   const allRooms    = useMemo(() => [...new Set(Object.values(schedule).map(e=>e.room).filter(Boolean))].sort(), [schedule]);
   const allTeachers = useMemo(() => [...new Set(Object.values(schedule).map(e=>e.teacher).filter(Boolean))].sort(), [schedule]);
 
-  const load = useCallback(async () => {
-    setLoading(true);
-    try {
-      const r = await fetch(`${API_URL}/exams`, { headers: { Authorization: `Bearer ${getToken()}` } });
-      const d = await r.json();
-      if (d.success) setExams(d.data);
-    } catch (e) { console.error(e); }
-    finally { setLoading(false); }
-  }, []);
-  useEffect(() => { load(); }, [load]);
+  // Keyed by term (utils/api queries), so switching terms loads that term's exams
+  const examsQuery = queries.exams();
+  const { data, loading, setData } = useQuery(examsQuery);
+  const { valid: exams, rejected } = useMemo(() => checkRows('exam', data || []), [data]);
+
+  useEffect(() => { reportRejected('exams', rejected); }, [rejected, reportRejected]);
 
   const handleToggleGuestExams = async (val) => {
     try {
-      await fetch(`${API_URL}/settings/show_exams_to_guests`, {
-        method: 'PUT',
-        headers: { 'Content-Type':'application/json', Authorization:`Bearer ${getToken()}` },
-        body: JSON.stringify({ value: String(val) }),
-      });
-      if (setShowExamsToGuests) setShowExamsToGuests(val);
+      await settingsAPI.set('show_exams_to_guests', val);
+      setQueryData(queries.setting('show_exams_to_guests').key, String(val));
     } catch (e) { console.error(e); }
   };
 
@@ -122,20 +114,21 @@ export default function ExamSchedule({ readOnly = false, showExamsToGuests = fal
     if (!form.start_time)            return setError(t('errorTimeRequired')    || 'Start time is required');
     setSaving(true);
     try {
-      const url    = editId ? `${API_URL}/exams/${editId}` : `${API_URL}/exams`;
-      const method = editId ? 'PUT' : 'POST';
-      const r = await fetch(url, { method, headers: { 'Content-Type':'application/json', Authorization:`Bearer ${getToken()}` }, body: JSON.stringify(form) });
-      const d = await r.json();
-      if (!d.success) return setError(d.error || (t('saveFailed') || 'Failed to save'));
-      setShowForm(false); setEditId(null); setForm(emptyForm()); load();
+      const res   = editId ? await examsAPI.update(editId, form) : await examsAPI.create(form);
+      const saved = res?.id ? res : { ...form, id: editId };
+      logChange('exam', saved.id ?? '', editId ? exams.find(e => e.id === editId) : null, saved);
+      setShowForm(false); setEditId(null); setForm(emptyForm()); invalidateQueries(examsQuery.key);
     } catch (e) { setError(e.message); }
     finally { setSaving(false); }
   };
 
   const handleDelete = async (id) => {
     if (!window.confirm(t('examDeleteConfirm') || 'Delete this exam?')) return;
-    await fetch(`${API_URL}/exams/${id}`, { method: 'DELETE', headers: { Authorization: `Bearer ${getToken()}` } });
-    setExams(prev => prev.filter(e => e.id !== id));
+    try {
+      await examsAPI.delete(id);
+      logChange('exam', id, exams.find(e => e.id === id), null);
+      setData(prev => (prev || []).filter(e => e.id !== id));
+    } catch (e) { alert(`${t('error') || 'Error'}: ${e.message}`); }
   };
 
   const handleEdit = (exam) => {
@@ -149,11 +142,9 @@ export default function ExamSchedule({ readOnly = false, showExamsToGuests = fal
     const groupNames = exam.group_names || [];
     try {
       const text = `🎓 <b>Exam Notice</b>\n━━━━━━━━━━━━━━━━━━━━━━\n📚 <b>${exam.subject}</b>\n👥 Groups: <b>${groupNames.join(', ')}</b>\n📅 Date: <b>${fmt(exam.exam_date)}</b>\n⏰ Time: <b>${exam.start_time} – ${endTime(exam.start_time, exam.duration)}</b> (${exam.duration} min)\n🚪 Room: <b>${exam.room}</b>\n${exam.teacher?`👨‍🏫 Examiner: <b>${exam.teacher}</b>\n`:''}${exam.notes?`📝 Notes: ${exam.notes}\n`:''}━━━━━━━━━━━━━━━━━━━━━━\n<i>— Alatoo International University</i>`;
-      const r = await fetch(`${API_URL}/broadcast`, { method:'POST', headers:{'Content-Type':'application/json',Authorization:`Bearer ${getToken()}`}, body: JSON.stringify({ subject:`Exam: ${exam.subject}`, message:text, groupNames }) });
-      const d = await r.json();
-      if (d.success) setSendLog([`✅ ${t('sentTo')||'Sent to'} ${groupNames.length} ${t('groups')||'group(s)'} — ${d.sent} ${t('delivered')||'delivered'}, ${d.failed} ${t('failed')||'failed'}`]);
-      else setSendLog([`❌ ${t('failed')||'Failed'}: ${d.error}`]);
-    } catch (e) { setSendLog([`❌ ${t('error')||'Error'}: ${e.message}`]); }
+      const d = await broadcastAPI.send({ subject:`Exam: ${exam.subject}`, message:text, groupNames });
+      setSendLog([`✅ ${t('sentTo')||'Sent to'} ${groupNames.length} ${t('groups')||'group(s)'} — ${d.sent} ${t('delivered')||'delivered'}, ${d.failed} ${t('failed')||'failed'}`]);
+    } catch (e) { setSendLog([`❌ ${t('failed')||'Failed'}: ${e.message}`]); }
     finally { setSending(null); }
   };
 
@@ -186,7 +177,7 @@ export default function ExamSchedule({ readOnly = false, showExamsToGuests = fal
   const conflictIds = useMemo(() => {
     const ids = new Set();
     const byDateRoom = {};
-    exams.forEach(e => { const k=`${e.exam_date}__${e.room}`; byDateRoom[k]=byDateRoom[k]||[]; byDateRoom[k].push(e); });
+    exams.forEach(e => { const k=`${e.exam_date}__${roomKey(roomIndex.canonicalRoom(e.room))}`; byDateRoom[k]=byDateRoom[k]||[]; byDateRoom[k].push(e); });
     Object.values(byDateRoom).forEach(group => {
       for (let i=0;i<group.length;i++) for (let j=i+1;j<group.length;j++) {
         const a=group[i],b=group[j],aS=toMinsLocal(a.start_time),aE=aS+a.duration,bS=toMinsLocal(b.start_time),bE=bS+b.duration;
@@ -194,7 +185,7 @@ export default function ExamSchedule({ readOnly = false, showExamsToGuests = fal
       }
     });
     return ids;
-  }, [exams]);
+  }, [exams, roomIndex]);
 
   const clearFilters = () => { setFilterGrp(''); setFilterSubj(''); setFilterDate(''); };
   const hasFilters   = filterGrp || filterSubj || filterDate;
@@ -282,8 +273,7 @@ export default function ExamSchedule({ readOnly = false, showExamsToGuests = fal
             </div>
             <div className="es-field">
               <label>{t('examRoom')||'Room'} *</label>
-              <input className="es-input" list="es-rooms-list" placeholder="e.g. B201" value={form.room} onChange={e => setForm(f=>({...f,room:e.target.value}))} />
-              <datalist id="es-rooms-list">{allRooms.map(r=><option key={r} value={r}/>)}</datalist>
+              <RoomPicker className="es-input" fallbackRooms={allRooms} value={form.room} onChange={room => setForm(f=>({...f,room}))} />
             </div>
             <div className="es-field">
               <label>{t('examDate')||'Date'} *</label>
@@ -1,10 +1,12 @@
 // src/components/FeedbackDashboard.js
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useLanguage } from '../context/LanguageContext';
+import { useSchedule } from '../context/ScheduleContext';
+import { useQuery, invalidateQueries } from '../context/QueryContext';
+import { checkRows } from '../utils/schemas';
+import { feedbackAPI, queries } from '../utils/api';
 import './FeedbackDashboard.css';
 
-const API_URL = process.env.REACT_APP_API_URL || 'https://timetablebackend-production.up.railway.app/api';
-const getToken = () => localStorage.getItem('token') || localStorage.getItem('scheduleToken') || '';
 
 // Static — no t() needed here
 const STATUS_COLORS = { new: '#ef4444', read: '#f59e0b', resolved: '#22c55e' };
@@ -49,23 +51,17 @@ function GuestFeedbackForm({ schedule, groups }) {
     setSubmitting(true);
     setError('');
     try {
-      const r = await fetch(`${API_URL}/feedback`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          category,
-          subject:      subject || 'General',
-          message:      message.trim(),
-          anonymous:    false,
-          sender_name:  name.trim(),
-          sender_email: email.trim(),
-        }),
+      await feedbackAPI.submit({
+        category,
+        subject:      subject || 'General',
+        message:      message.trim(),
+        anonymous:    false,
+        sender_name:  name.trim(),
+        sender_email: email.trim(),
       });
-      const d = await r.json();
-      if (d.success) setStep(4);
-      else setError(d.error || 'Failed to submit. Please try again.');
+      setStep(4);
     } catch (e) {
-      setError('Network error. Please try again.');
+      setError(e.network ? 'Network error. Please try again.' : e.message || 'Failed to submit. Please try again.');
     } finally {
       setSubmitting(false);
     }
@@ -241,6 +237,7 @@ function GuestFeedbackForm({ schedule, groups }) {
 // ─────────────────────────────────────────────────────────────────────────────
 function AdminFeedbackDashboard() {
   const { t } = useLanguage();
+  const { reportRejected } = useSchedule();
 
   // Status labels built inside component so t() is available
   const STATUS_LABELS = {
@@ -249,49 +246,41 @@ function AdminFeedbackDashboard() {
     resolved: t('feedbackResolve') || 'Resolved',
   };
 
-  const [items,      setItems]      = useState([]);
-  const [stats,      setStats]      = useState(null);
-  const [loading,    setLoading]    = useState(true);
   const [filterCat,  setFilterCat]  = useState('');
   const [filterStat, setFilterStat] = useState('');
   const [filterSub,  setFilterSub]  = useState('');
   const [search,     setSearch]     = useState('');
   const [expanded,   setExpanded]   = useState(null);
 
-  const load = useCallback(async () => {
-    setLoading(true);
-    try {
-      const [feedRes, statRes] = await Promise.all([
-        fetch(`${API_URL}/feedback`,       { headers: { Authorization: `Bearer ${getToken()}` } }),
-        fetch(`${API_URL}/feedback/stats`, { headers: { Authorization: `Bearer ${getToken()}` } }),
-      ]);
-      const feedData = await feedRes.json();
-      const statData = await statRes.json();
-      if (feedData.success) setItems(feedData.data);
-      if (statData.success) setStats(statData);
-    } catch (e) { console.error(e); }
-    finally { setLoading(false); }
-  }, []);
+  // The stats share the sidebar badge's cache entry (App)
+  const { data: feedback, loading, setData } = useQuery(queries.feedback());
+  const { data: stats = null } = useQuery(queries.feedbackStats());
+  const { valid: items, rejected } = useMemo(() => checkRows('feedback', feedback || []), [feedback]);
 
-  useEffect(() => { load(); }, [load]);
+  useEffect(() => { reportRejected('feedback', rejected); }, [rejected, reportRejected]);
+
+  // '/feedback' covers the list and its stats
+  const load = () => invalidateQueries(queries.feedback().key);
+
+  // Counts change with every status, so the stats are fetched again
+  const setItems = (updater) => {
+    setData(prev => updater(prev || []));
+    invalidateQueries(queries.feedbackStats().key);
+  };
 
   const updateStatus = async (id, status) => {
     try {
-      await fetch(`${API_URL}/feedback/${id}/status`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${getToken()}` },
-        body: JSON.stringify({ status }),
-      });
+      await feedbackAPI.setStatus(id, status);
       setItems(prev => prev.map(i => i.id === id ? { ...i, status } : i));
     } catch (e) { console.error(e); }
   };
 
   const handleDelete = async (id) => {
     if (!window.confirm(t('confirmDeleteBooking') || 'Delete this feedback?')) return;
-    await fetch(`${API_URL}/feedback/${id}`, {
-      method: 'DELETE', headers: { Authorization: `Bearer ${getToken()}` },
-    });
-    setItems(prev => prev.filter(i => i.id !== id));
+    try {
+      await feedbackAPI.delete(id);
+      setItems(prev => prev.filter(i => i.id !== id));
+    } catch (e) { alert(`Error: ${e.message}`); }
   };
 
   const handleExpand = (id) => {
@@ -0,0 +1,168 @@
+// src/components/FindReplace.js
+import React, { useState, useMemo } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { useToast } from '../context/ToastContext';
+import { REPLACE_FIELDS, MATCH_MODES, planReplace } from '../utils/findReplace';
+import { departmentName } from '../utils/groupRegistry';
+import './FindReplace.css';
+
+const PAGE = 200;
+
+const FIELD_LABELS = { course: 'courseName', teacher: 'teacher', room: 'room', meetingLink: 'meetingLink' };
+
+// Toggles `value` in a selection where null means everything
+const toggle = (selected, all, value) => {
+  const list = selected || all;
+  const next = list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+  return next.length === all.length ? null : next;
+};
+
+const FindReplace = () => {
+  const { schedule, groups, days, departments, groupIndex, replaceInClasses, readOnly } = useSchedule();
+  const { t, lang } = useLanguage();
+  const { showToast } = useToast();
+
+  const [find,       setFind]       = useState('');
+  const [replace,    setReplace]    = useState('');
+  const [mode,       setMode]       = useState('exact');
+  const [wholeField, setWholeField] = useState(false);
+  const [fields,     setFields]     = useState(REPLACE_FIELDS);
+  const [department, setDepartment] = useState('');
+  const [scopeGroups, setScopeGroups] = useState(null);   // null = every group
+  const [scopeDays,   setScopeDays]   = useState(null);   // null = every day
+  const [shown,      setShown]      = useState(PAGE);
+  const [running,    setRunning]    = useState(false);
+
+  const deptGroups = useMemo(
+    () => groups.filter(g => !department || groupIndex.departmentOf(g) === department),
+    [groups, department, groupIndex],
+  );
+
+  const options = useMemo(
+    () => ({ find, replace, mode, wholeField, fields, scope: { groups: scopeGroups, days: scopeDays, department } }),
+    [find, replace, mode, wholeField, fields, scopeGroups, scopeDays, department],
+  );
+  const plan = useMemo(
+    () => (find ? planReplace(schedule, options, groupIndex) : { cells: [] }),
+    [schedule, find, options, groupIndex],
+  );
+
+  const toggleField = (f) => setFields(list => (list.includes(f) ? list.filter(x => x !== f) : [...list, f]));
+
+  const handleApply = async () => {
+    const count = plan.cells.length;
+    if (!window.confirm(t('frConfirm', { count, find, replace }))) return;
+    setRunning(true);
+    const ok = await replaceInClasses(options);
+    setRunning(false);
+    if (ok) showToast({ type: 'success', message: t('frDone', { count }) });
+  };
+
+  return (
+    <div className="fr-page">
+      <div className="fr-header">
+        <h2 className="fr-title">🔎 {t('frTitle')}</h2>
+        <p className="fr-subtitle">{t('frSubtitle')}</p>
+      </div>
+
+      <div className="fr-form">
+        <div className="fr-inputs">
+          <input className="fr-input" placeholder={t('frFind')} value={find}
+            onChange={e => { setFind(e.target.value); setShown(PAGE); }} autoFocus />
+          <span className="fr-arrow">→</span>
+          <input className="fr-input" placeholder={t('frReplace')} value={replace} onChange={e => setReplace(e.target.value)} />
+        </div>
+
+        <div className="fr-row">
+          <span className="fr-label">{t('frMatch')}</span>
+          {MATCH_MODES.map(m => (
+            <label key={m} className={`fr-chip${mode === m ? ' active' : ''}`}>
+              <input type="radio" name="fr-mode" checked={mode === m} onChange={() => setMode(m)} />
+              {t(`frMode_${m}`)}
+            </label>
+          ))}
+          <label className="fr-check">
+            <input type="checkbox" checked={wholeField} onChange={e => setWholeField(e.target.checked)} /> {t('frWholeField')}
+          </label>
+        </div>
+
+        <div className="fr-row">
+          <span className="fr-label">{t('frFields')}</span>
+          {REPLACE_FIELDS.map(f => (
+            <label key={f} className={`fr-chip${fields.includes(f) ? ' active' : ''}`}>
+              <input type="checkbox" checked={fields.includes(f)} onChange={() => toggleField(f)} />
+              {t(FIELD_LABELS[f])}
+            </label>
+          ))}
+        </div>
+
+        <div className="fr-row">
+          <span className="fr-label">{t('frDepartment')}</span>
+          <select className="fr-input fr-select" value={department}
+            onChange={e => { setDepartment(e.target.value); setScopeGroups(null); }}>
+            <option value="">{t('frAllDepartments')}</option>
+            {departments.map(d => <option key={d.id} value={d.id}>{d.icon} {departmentName(d, lang)}</option>)}
+          </select>
+        </div>
+
+        <div className="fr-row">
+          <span className="fr-label">{t('snapDays')}</span>
+          {days.map(d => (
+            <button key={d} className={`fr-chip${!scopeDays || scopeDays.includes(d) ? ' active' : ''}`}
+              onClick={() => setScopeDays(sel => toggle(sel, days, d))}>{t(d)}</button>
+          ))}
+        </div>
+
+        <details className="fr-groups">
+          <summary className="fr-label">
+            {t('snapGroups')} · {scopeGroups ? `${scopeGroups.length}/${deptGroups.length}` : t('frAllGroups')}
+          </summary>
+          <div className="fr-row">
+            {deptGroups.map(g => (
+              <button key={g} className={`fr-chip${!scopeGroups || scopeGroups.includes(g) ? ' active' : ''}`}
+                onClick={() => setScopeGroups(sel => toggle(sel, deptGroups, g))}>{g}</button>
+            ))}
+          </div>
+        </details>
+      </div>
+
+      {plan.error && <div className="fr-error">{t(plan.error)}</div>}
+
+      {find && !plan.error && (
+        <section className="fr-preview">
+          <div className="fr-preview-head">
+            <span className="fr-count">{t('frMatches', { count: plan.cells.length })}</span>
+            <button className="fr-btn fr-btn-primary" onClick={handleApply}
+              disabled={running || readOnly || !plan.cells.length} title={readOnly ? t('termReadOnly') : ''}>
+              {running ? '⏳' : t('frApply', { count: plan.cells.length })}
+            </button>
+          </div>
+          {plan.cells.length === 0 && <div className="fr-empty">{t('frNoMatches')}</div>}
+          <div className="fr-list">
+            {plan.cells.slice(0, shown).map(c => (
+              <div key={c.key} className="fr-item">
+                <div className="fr-item-cell">{c.before.group} · {t(c.before.day)} · {c.before.time}</div>
+                {c.changes.map(ch => (
+                  <div key={ch.field} className="fr-change">
+                    <span className="fr-field">{t(FIELD_LABELS[ch.field])}</span>
+                    <span className="fr-from">{ch.from}</span>
+                    <span className="fr-arrow">→</span>
+                    <span className="fr-to">{ch.to || '∅'}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+            {plan.cells.length > shown && (
+              <button className="fr-btn fr-more" onClick={() => setShown(n => n + PAGE)}>
+                {t('snapShowMore', { count: plan.cells.length - shown })}
+              </button>
+            )}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default FindReplace;
@@ -0,0 +1,304 @@
+// src/components/GroupRegistry.js
+import React, { useState, useMemo } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { departmentName } from '../utils/groupRegistry';
+import './GroupRegistry.css';
+
+const EMPTY_GROUP = { name: '', department: '', year: '', size: '', parent: '' };
+const EMPTY_DEPT  = { id: '', icon: '', en: '', ru: '', ky: '', prefixes: '', color: '#2563eb' };
+
+const splitList = (text) => [...new Set(text.split(',').map(v => v.trim().toUpperCase()).filter(Boolean))];
+
+const deptToForm = (d) => ({
+  ...EMPTY_DEPT,
+  id: d.id, icon: d.icon || '',
+  en: d.names?.en || '', ru: d.names?.ru || '', ky: d.names?.ky || '',
+  prefixes: (d.prefixes || []).join(', '),
+  color: d.theme?.primary || EMPTY_DEPT.color,
+});
+
+// A new colour replaces the whole theme; the hover, light and dark shades are
+// then derived from it (see departmentThemeVars)
+const deptFromForm = (form, initial) => ({
+  id:       form.id.trim().toLowerCase(),
+  icon:     form.icon.trim(),
+  names:    { en: form.en.trim(), ru: form.ru.trim(), ky: form.ky.trim() },
+  prefixes: splitList(form.prefixes),
+  theme:    initial?.theme?.primary === form.color ? initial.theme : { primary: form.color },
+});
+
+// ─── Group add / edit form ────────────────────────────────────────────────────
+const GroupForm = ({ initial, onSave, onCancel }) => {
+  const { groupRegistry, departments } = useSchedule();
+  const { t, lang } = useLanguage();
+  const [form,   setForm]   = useState(() => ({ ...EMPTY_GROUP, ...initial }));
+  const [error,  setError]  = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const field = (key) => ({
+    value: form[key] ?? '',
+    onChange: e => setForm(f => ({ ...f, [key]: e.target.value })),
+  });
+
+  // A group can't be split off itself or off one of its own subgroups
+  const parentChoices = groupRegistry.filter(g => g.name !== initial?.name && g.parent !== initial?.name);
+
+  const handleSave = async () => {
+    const record = {
+      name:       form.name.trim(),
+      department: form.department,
+      year:       Number(form.year) || '',
+      size:       Number(form.size) || '',
+      parent:     form.parent,
+    };
+    if (!record.name) { setError(t('greqNameRequired')); return; }
+    const clash = groupRegistry.find(g => g.name.toLowerCase() === record.name.toLowerCase() && g.name !== initial?.name);
+    if (clash) { setError(t('greqNameTaken', { name: clash.name })); return; }
+    setSaving(true);
+    const ok = await onSave(record);
+    setSaving(false);
+    if (ok) onCancel();
+  };
+
+  return (
+    <div className="greq-form">
+      <div className="greq-form-grid">
+        <label>{t('greqName')}<input className="greq-input" placeholder="COMSE-26" {...field('name')} autoFocus /></label>
+        <label>{t('greqDepartment')}
+          <select className="greq-input" {...field('department')}>
+            <option value="">—</option>
+            {departments.map(d => <option key={d.id} value={d.id}>{d.icon} {departmentName(d, lang)}</option>)}
+          </select>
+        </label>
+        <label>{t('greqYear')}<input className="greq-input" type="number" min="1" max="8" {...field('year')} /></label>
+        <label>{t('greqSize')}<input className="greq-input" type="number" min="0" {...field('size')} /></label>
+        <label>{t('greqParent')}
+          <select className="greq-input" {...field('parent')}>
+            <option value="">—</option>
+            {parentChoices.map(g => <option key={g.name} value={g.name}>{g.name}</option>)}
+          </select>
+        </label>
+      </div>
+      {error && <div className="greq-error">⚠️ {error}</div>}
+      <div className="greq-form-actions">
+        <button className="greq-btn greq-btn-ghost" onClick={onCancel}>{t('cancel')}</button>
+        <button className="greq-btn greq-btn-primary" onClick={handleSave} disabled={saving}>{saving ? '⏳' : t('save')}</button>
+      </div>
+    </div>
+  );
+};
+
+// ─── Department add / edit form ───────────────────────────────────────────────
+const DepartmentForm = ({ initial, onSave, onCancel }) => {
+  const { departments } = useSchedule();
+  const { t } = useLanguage();
+  const [form,   setForm]   = useState(() => (initial ? deptToForm(initial) : EMPTY_DEPT));
+  const [error,  setError]  = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: e => setForm(f => ({ ...f, [key]: e.target.value })),
+  });
+
+  const handleSave = async () => {
+    const dept = deptFromForm(form, initial);
+    if (!dept.id || !dept.names.en) { setError(t('greqDeptRequired')); return; }
+    if (!initial && departments.some(d => d.id === dept.id)) { setError(t('greqDeptTaken', { id: dept.id })); return; }
+    setSaving(true);
+    const ok = await onSave(dept);
+    setSaving(false);
+    if (ok) onCancel();
+  };
+
+  return (
+    <div className="greq-form">
+      <div className="greq-form-grid">
+        {/* Groups refer to departments by id, so it stays fixed once created */}
+        <label>{t('greqDeptId')}<input className="greq-input" placeholder="cs" disabled={!!initial} {...field('id')} autoFocus={!initial} /></label>
+        <label>{t('greqDeptIcon')}<input className="greq-input" placeholder="💻" {...field('icon')} /></label>
+        <label>{t('greqDeptNameEn')}<input className="greq-input" {...field('en')} /></label>
+        <label>{t('greqDeptNameRu')}<input className="greq-input" {...field('ru')} /></label>
+        <label>{t('greqDeptNameKy')}<input className="greq-input" {...field('ky')} /></label>
+        <label>{t('greqDeptPrefixes')}<input className="greq-input" placeholder="COM, CS" {...field('prefixes')} /></label>
+        <label>{t('greqDeptColor')}<input className="greq-input greq-color" type="color" {...field('color')} /></label>
+      </div>
+      <p className="greq-hint">{t('greqDeptPrefixesHint')}</p>
+      {error && <div className="greq-error">⚠️ {error}</div>}
+      <div className="greq-form-actions">
+        <button className="greq-btn greq-btn-ghost" onClick={onCancel}>{t('cancel')}</button>
+        <button className="greq-btn greq-btn-primary" onClick={handleSave} disabled={saving}>{saving ? '⏳' : t('save')}</button>
+      </div>
+    </div>
+  );
+};
+
+// ─── Departments ──────────────────────────────────────────────────────────────
+const Departments = () => {
+  const { departments, groupRegistry, saveDepartment, deleteDepartment } = useSchedule();
+  const { t, lang } = useLanguage();
+  const [editing, setEditing] = useState(null);   // department, 'new' or null
+
+  const handleDelete = (d) => {
+    if (window.confirm(t('greqDeptDeleteConfirm', { name: departmentName(d, lang) }))) deleteDepartment(d.id);
+  };
+
+  return (
+    <section className="greq-section">
+      <div className="greq-list-head">
+        <h3 className="greq-section-title">🏛 {t('greqDepartments')} <span className="greq-count">{departments.length}</span></h3>
+        {editing !== 'new' && (
+          <button className="greq-btn greq-btn-ghost" onClick={() => setEditing('new')}>＋ {t('greqAddDept')}</button>
+        )}
+      </div>
+      {editing === 'new' && <DepartmentForm onSave={d => saveDepartment(d)} onCancel={() => setEditing(null)} />}
+      <div className="greq-dept-grid">
+        {departments.map(d => (editing === d ? (
+          <DepartmentForm key={d.id} initial={d} onSave={next => saveDepartment(next, d.id)} onCancel={() => setEditing(null)} />
+        ) : (
+          <div key={d.id} className="greq-dept" style={{ borderLeftColor: d.theme?.primary || 'var(--border)' }}>
+            <div className="greq-row-main">
+              <div className="greq-row-name">{d.icon} {departmentName(d, lang)}</div>
+              <div className="greq-row-meta">
+                {[d.id, (d.prefixes || []).join(', '),
+                  t('greqGroupCount', { count: groupRegistry.filter(g => g.department === d.id).length })].filter(Boolean).join(' · ')}
+              </div>
+            </div>
+            <div className="greq-row-actions">
+              <button className="greq-icon-btn" title={t('edit')} onClick={() => setEditing(d)}>✏️</button>
+              <button className="greq-icon-btn" title={t('delete')} onClick={() => handleDelete(d)}>🗑️</button>
+            </div>
+          </div>
+        )))}
+      </div>
+    </section>
+  );
+};
+
+// ─── Main screen ──────────────────────────────────────────────────────────────
+const GroupRegistry = () => {
+  const { groups, groupRegistry, groupIndex, departments, saveGroupRecord, deleteGroupRecord, registerGroups } = useSchedule();
+  const { t, lang } = useLanguage();
+  const [editing,    setEditing]    = useState(null);   // group record, 'new' or null
+  const [search,     setSearch]     = useState('');
+  const [deptFilter, setDeptFilter] = useState('');
+  const [adding,     setAdding]     = useState(false);
+
+  // Timetable rows with no record yet, with what can be inferred from the name
+  const unregistered = useMemo(() => groups
+    .filter(g => !groupRegistry.some(r => r.name === g))
+    .map(name => ({ name, department: groupIndex.departmentOf(name), year: '', size: '', parent: groupIndex.parentOf(name) })),
+  [groups, groupRegistry, groupIndex]);
+
+  // Records sorted by department (in list order), then name; subgroups right
+  // after their parent
+  const shown = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    const deptRank = (id) => { const i = departments.findIndex(d => d.id === id); return i < 0 ? departments.length : i; };
+    const sortKey  = (g) => `${g.parent || g.name}\u0000${g.parent ? g.name : ''}`;
+    return [...groupRegistry]
+      .filter(g => !deptFilter || g.department === deptFilter)
+      .filter(g => !q || [g.name, g.parent].some(v => v && v.toLowerCase().includes(q)))
+      .sort((a, b) => deptRank(a.department) - deptRank(b.department)
+        || sortKey(a).localeCompare(sortKey(b), undefined, { numeric: true }));
+  }, [groupRegistry, departments, search, deptFilter]);
+
+  const handleRegister = async () => {
+    setAdding(true);
+    await registerGroups(unregistered);
+    setAdding(false);
+  };
+
+  const handleDelete = (g) => {
+    if (window.confirm(t('greqDeleteConfirm', { name: g.name }))) deleteGroupRecord(g.name);
+  };
+
+  return (
+    <div className="greq-page">
+      <div className="greq-header">
+        <div>
+          <h2 className="greq-title">👥 {t('greqTitle')}</h2>
+          <p className="greq-subtitle">{t('greqSubtitle')}</p>
+        </div>
+        {editing !== 'new' && (
+          <button className="greq-btn greq-btn-primary" onClick={() => setEditing('new')}>＋ {t('greqAdd')}</button>
+        )}
+      </div>
+
+      <Departments />
+
+      {unregistered.length > 0 && (
+        <section className="greq-section">
+          <h3 className="greq-section-title">🆕 {t('greqUnregistered')} <span className="greq-count">{unregistered.length}</span></h3>
+          <p className="greq-hint">{t('greqUnregisteredHint')}</p>
+          <div className="greq-aliases">
+            {unregistered.map(g => <span key={g.name} className="greq-chip">{g.name}</span>)}
+          </div>
+          <div className="greq-form-actions">
+            <button className="greq-btn greq-btn-primary" onClick={handleRegister} disabled={adding}>
+              {adding ? '⏳' : t('greqRegisterAll', { count: unregistered.length })}
+            </button>
+          </div>
+        </section>
+      )}
+
+      <section className="greq-section">
+        <div className="greq-list-head">
+          <h3 className="greq-section-title">{t('greqGroups')} <span className="greq-count">{groupRegistry.length}</span></h3>
+          <div className="greq-filters">
+            <select className="greq-input" value={deptFilter} onChange={e => setDeptFilter(e.target.value)}>
+              <option value="">{t('greqAllDepartments')}</option>
+              {departments.map(d => <option key={d.id} value={d.id}>{d.icon} {departmentName(d, lang)}</option>)}
+            </select>
+            <input className="greq-input" placeholder={`🔍 ${t('greqSearch')}`}
+              value={search} onChange={e => setSearch(e.target.value)} />
+          </div>
+        </div>
+
+        {editing === 'new' && <GroupForm onSave={g => saveGroupRecord(g)} onCancel={() => setEditing(null)} />}
+
+        <div className="greq-list">
+          {shown.map(g => {
+            if (editing === g) {
+              return <GroupForm key={g.name} initial={g} onSave={next => saveGroupRecord(next, g.name)} onCancel={() => setEditing(null)} />;
+            }
+            const dept     = departments.find(d => d.id === g.department);
+            const children = groupRegistry.filter(c => c.parent === g.name);
+            const size     = groupIndex.groupSize(g.name);
+            return (
+              <div key={g.name} className={`greq-row${g.parent ? ' greq-row-sub' : ''}`}>
+                <div className="greq-row-main">
+                  <div className="greq-row-name">
+                    {g.name}
+                    {!groups.includes(g.name) && <span className="greq-tag">{children.length ? t('greqParentOnly') : t('greqNotInTerm')}</span>}
+                  </div>
+                  <div className="greq-row-meta">
+                    {[
+                      dept ? `${dept.icon || ''} ${departmentName(dept, lang)}`.trim() : t('greqNoDepartment'),
+                      g.year && t('greqYearN', { year: g.year }),
+                      size && t('greqStudents', { count: size }),
+                      g.parent && t('greqSubgroupOf', { group: g.parent }),
+                    ].filter(Boolean).join(' · ')}
+                  </div>
+                  {children.length > 0 && (
+                    <div className="greq-aliases">
+                      {children.map(c => <span key={c.name} className="greq-alias">{c.name}</span>)}
+                    </div>
+                  )}
+                </div>
+                <div className="greq-row-actions">
+                  <button className="greq-icon-btn" title={t('edit')} onClick={() => setEditing(g)}>✏️</button>
+                  <button className="greq-icon-btn" title={t('delete')} onClick={() => handleDelete(g)}>🗑️</button>
+                </div>
+              </div>
+            );
+          })}
+          {shown.length === 0 && <div className="greq-empty">{t('greqEmpty')}</div>}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default GroupRegistry;
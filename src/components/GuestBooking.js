@@ -2,8 +2,9 @@
 import React, { useState, useEffect } from 'react';
 import { useSchedule } from '../context/ScheduleContext';
 import { useLanguage } from '../context/LanguageContext';
-
-const API_URL = process.env.REACT_APP_API_URL || 'https://timetablebackend-production.up.railway.app/api';
+import { invalidateQueries } from '../context/QueryContext';
+import RoomPicker from './RoomPicker';
+import { bookingsAPI, queries } from '../utils/api';
 
 const GuestBooking = ({
   isOpen, onClose, onBooked,
@@ -61,30 +62,22 @@ const GuestBooking = ({
 
     setSubmitting(true);
     try {
-      const res = await fetch(`${API_URL}/booking-requests`, {
-        method:  'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          name:       form.name.trim(),
-          email:      form.email.trim().toLowerCase(),
-          phone:      form.phone.trim(),
-          entity:     form.entity.trim(),
-          day:        form.day,
-          start_time: form.start_time,
-          end_time:   form.end_time,
-          purpose:    form.purpose.trim(),
-          room:       form.room.trim(),
-        }),
+      const booking = await bookingsAPI.create({
+        name:       form.name.trim(),
+        email:      form.email.trim().toLowerCase(),
+        phone:      form.phone.trim(),
+        entity:     form.entity.trim(),
+        day:        form.day,
+        start_time: form.start_time,
+        end_time:   form.end_time,
+        purpose:    form.purpose.trim(),
+        room:       form.room.trim(),
       });
-      const data = await res.json();
-      if (data.success) {
-        setSubmitted(true);
-        if (onBooked) onBooked(data.data);
-      } else {
-        setError(data.error || 'Submission failed');
-      }
-    } catch {
-      setError('Network error — please try again');
+      setSubmitted(true);
+      invalidateQueries(queries.bookings().key);
+      if (onBooked) onBooked(booking);
+    } catch (err) {
+      setError(err.network ? 'Network error — please try again' : err.message || 'Submission failed');
     } finally {
       setSubmitting(false);
     }
@@ -239,8 +232,8 @@ const GuestBooking = ({
               </div>
               <div>
                 <label style={lbl}>Room <span style={req}>*</span></label>
-                <input style={inp} placeholder="e.g. B201"
-                  value={form.room} onChange={e => set('room', e.target.value)} />
+                <RoomPicker style={inp} bookableOnly
+                  value={form.room} onChange={room => set('room', room)} />
               </div>
             </div>
 
@@ -1,53 +1,40 @@
 // src/components/GuestBookingStatus.js
 // Shows guest their own submitted bookings with live status (pending/approved/rejected)
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useLanguage } from '../context/LanguageContext';
+import { useSchedule } from '../context/ScheduleContext';
+import { useQuery } from '../context/QueryContext';
+import { checkRows } from '../utils/schemas';
+import { queries } from '../utils/api';
 import './GuestBookingStatus.css';
 
-const API_URL = process.env.REACT_APP_API_URL || 'https://timetablebackend-production.up.railway.app/api';
-
-const GuestBookingStatus = ({ bookings = [], onRefresh }) => {
+const GuestBookingStatus = () => {
   const { t } = useLanguage();
+  const { reportRejected } = useSchedule();
   const [email, setEmail]       = useState(() => localStorage.getItem('guestEmail') || '');
   const [input, setInput]       = useState('');
-  const [myBookings, setMy]     = useState([]);
-  const [checking, setChecking] = useState(false);
-  const [searched, setSearched] = useState(false);
 
-  // Auto-filter when email is already saved
-  useEffect(() => {
-    if (email && bookings.length > 0) {
-      filterByEmail(email, bookings);
-    }
-  }, [email, bookings]);
+  // Loaded once an email is known, then kept fresh by the shared cache
+  const { data, fetching } = useQuery(queries.bookings(), { enabled: !!email });
+  const checking = fetching && data === undefined;
+  const searched = !!email && data !== undefined;
+  const { valid: bookings, rejected } = useMemo(() => checkRows('booking', data || []), [data]);
 
-  const filterByEmail = (em, list) => {
-    const filtered = list.filter(b =>
-      b.email && b.email.toLowerCase() === em.toLowerCase()
-    );
-    setMy(filtered);
-    setSearched(true);
-  };
+  useEffect(() => { reportRejected('bookings', rejected); }, [rejected, reportRejected]);
+
+  const myBookings = useMemo(() => bookings.filter(b =>
+    b.email && b.email.toLowerCase() === email.toLowerCase()
+  ), [bookings, email]);
 
-  const handleCheck = async () => {
+  const handleCheck = () => {
     const em = input.trim().toLowerCase();
     if (!em) return;
     if (!em.endsWith('@alatoo.edu.kg')) {
       alert('Please enter your @alatoo.edu.kg email');
       return;
     }
-    setChecking(true);
-    try {
-      const res  = await fetch(`${API_URL}/booking-requests`);
-      const data = await res.json();
-      if (data.success) {
-        localStorage.setItem('guestEmail', em);
-        setEmail(em);
-        filterByEmail(em, data.data || []);
-        if (onRefresh) onRefresh(data.data || []);
-      }
-    } catch { /* ignore */ }
-    finally { setChecking(false); }
+    localStorage.setItem('guestEmail', em);
+    setEmail(em);
   };
 
   const statusConfig = {
@@ -94,7 +81,7 @@ const GuestBookingStatus = ({ bookings = [], onRefresh }) => {
         <div className="gbs-email-bar">
           <span>📧 Showing bookings for <strong>{email}</strong></span>
           <button className="gbs-change" onClick={() => {
-            setEmail(''); setInput(''); setMy([]); setSearched(false);
+            setEmail(''); setInput('');
             localStorage.removeItem('guestEmail');
           }}>Change</button>
         </div>
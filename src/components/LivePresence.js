@@ -0,0 +1,44 @@
+// src/components/LivePresence.js
+import React from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import './LivePresence.css';
+
+const initials = (name) =>
+  String(name || '?').split(/[\s._@-]+/).filter(Boolean).slice(0, 2).map(w => w[0].toUpperCase()).join('') || '?';
+
+// "COMSE-25 · Monday · 09:00-09:45" from a cell key; group names may hold dashes
+const cellLabel = (key, days, t) => {
+  const day = days.find(d => key.includes(`-${d}-`));
+  if (!day) return key;
+  const [group, time] = key.split(`-${day}-`);
+  return `${group} · ${t(day)} · ${time}`;
+};
+
+// Topbar chip: whether live updates are connected, and the other admins
+// working on this term with the cell each has open
+const LivePresence = () => {
+  const { liveStatus, presence, days } = useSchedule();
+  const { t } = useLanguage();
+
+  if (liveStatus === 'off') return null;
+
+  const live = liveStatus === 'live';
+  return (
+    <div className={`live-presence ${live ? 'live-on' : 'live-connecting'}`}
+      title={live ? t('liveConnected') : t('liveConnecting')}>
+      <span className="live-dot" />
+      <span className="tb-lbl">{live ? t('liveLabel') : t('liveConnecting')}</span>
+      {presence.map(c => (
+        <span key={c.clientId} className={`live-avatar${c.cell ? ' live-avatar-editing' : ''}`}
+          title={c.cell
+            ? `${c.user || t('auditUnknownUser')} — ${t('liveEditingCell', { cell: cellLabel(c.cell, days, t) })}`
+            : c.user || t('auditUnknownUser')}>
+          {initials(c.user)}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default LivePresence;
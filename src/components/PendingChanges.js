@@ -0,0 +1,60 @@
+// src/components/PendingChanges.js
+import React, { useState } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import './PendingChanges.css';
+
+const STATUS_ICONS = { pending: '⏳', queued: '📴', failed: '⚠️' };
+
+// Topbar indicator for class edits that are still saving, queued offline or have failed
+const PendingChanges = () => {
+  const { pending, retryMutation, discardMutation } = useSchedule();
+  const { t } = useLanguage();
+  const [open, setOpen] = useState(false);
+
+  if (!pending.length) return null;
+
+  const failed = pending.filter(m => m.status === 'failed').length;
+  const queued = pending.filter(m => m.status === 'queued').length;
+  const saving = pending.length - failed - queued;
+
+  const describe = (m) => {
+    const cell = m.command.cells[0];
+    const entry = cell?.after || cell?.before;
+    return entry ? `${entry.group} · ${t(entry.day) || entry.day} · ${entry.time}` : '';
+  };
+
+  return (
+    <div className="pending-wrap">
+      <button className={`pending-btn${failed ? ' pending-btn-failed' : ''}`} onClick={() => setOpen(o => !o)}>
+        {saving > 0 && <span className="pending-spinner">⏳ {saving}</span>}
+        {queued > 0 && <span>📴 {queued}</span>}
+        {failed > 0 && <span>⚠️ {failed}</span>}
+        <span className="tb-lbl">{failed ? t('pendingFailed') : saving ? t('pendingSaving') : t('pendingQueued')}</span>
+      </button>
+      {open && (<>
+        <div className="pending-backdrop" onClick={() => setOpen(false)} />
+        <div className="pending-panel">
+          <div className="pending-title">{t('pendingTitle')}</div>
+          {pending.map(m => (
+            <div key={m.id} className={`pending-item pending-item-${m.status}`}>
+              <div className="pending-item-main">
+                <div className="pending-item-label">{STATUS_ICONS[m.status]} {t(m.labelKey)}</div>
+                <div className="pending-item-cell">{describe(m)}</div>
+                {m.error && <div className="pending-item-error">{m.error}</div>}
+              </div>
+              {m.status === 'failed' && (
+                <div className="pending-item-actions">
+                  <button className="pending-retry" onClick={() => retryMutation(m)}>{t('retryBtn')}</button>
+                  <button className="pending-discard" onClick={() => discardMutation(m)}>✕</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </>)}
+    </div>
+  );
+};
+
+export default PendingChanges;
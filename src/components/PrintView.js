@@ -1,33 +1,12 @@
 // src/components/PrintView.js
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useMemo } from 'react';
 import { useSchedule } from '../context/ScheduleContext';
 import { useLanguage } from '../context/LanguageContext';
+import { isActive, exceptionBadge } from '../utils/exceptions';
+import { departmentName } from '../utils/groupRegistry';
+import WeekNav from './WeekNav';
 import './PrintView.css';
 
-const DEPARTMENTS = [
-  {
-    id: 'cs', icon: '💻',
-    en: 'Computer Science', ru: 'Компьютерные науки', ky: 'Компьютердик илимдер',
-    groups: ['COMSE-25','COMCEH-25','COMFCI-25','COMCEH-24','COMSE-24','COMFCI-24',
-             'COMSEH-23','COMSE-23/1-Group','COMSE-23/2-Group','COMFCI-23','COM-22/1-Group','COM-22/2-Group'],
-  },
-  {
-    id: 'math', icon: '📐',
-    en: 'Applied Math', ru: 'Прикладная математика', ky: 'Колдонмо математика',
-    groups: ['MATDAIS-25','MATMIE-25','MATDAIS-24','MATMIE-24','MATDAIS-23','MATMIE-23','MATH-22'],
-  },
-  {
-    id: 'ie', icon: '⚙️',
-    en: 'Industrial Engineering', ru: 'Промышленная инженерия', ky: 'Өнөр жай инженерия',
-    groups: ['IEMIT-25','IEMIT-24','IEMIT-23'],
-  },
-  {
-    id: 'ee', icon: '⚡',
-    en: 'Electronics', ru: 'Электроника', ky: 'Электроника',
-    groups: ['EEAIR-25','EEAIR-24','EEAIR-23'],
-  },
-];
-
 const SHORT_DAY = {
   Monday:'Mon', Tuesday:'Tue', Wednesday:'Wed',
   Thursday:'Thu', Friday:'Fri', Saturday:'Sat', Sunday:'Sun',
@@ -41,7 +20,8 @@ const SHORT_DAY = {
 const shortDay = (label) => SHORT_DAY[label] || label;
 
 const PrintView = () => {
-  const { groups, schedule, timeSlots, days } = useSchedule();
+  // The week chosen in the nav, with cancellations, moves and make-ups applied
+  const { groups, weekSchedule: schedule, weekStart, timeSlots, days, departments, groupIndex } = useSchedule();
   const { t, lang } = useLanguage();
 
   const [mode,          setMode]          = useState('group');
@@ -50,9 +30,13 @@ const PrintView = () => {
   const [deptId,        setDeptId]        = useState('');
   const printRef = useRef();
 
-  const dept           = DEPARTMENTS.find(d => d.id === deptId);
-  const deptLabel      = (d) => (d && (d[lang] || d.en)) || '';
-  const filteredGroups = deptId ? groups.filter(g => dept?.groups.includes(g)) : groups;
+  // Department membership comes from the group registry, so recompute when it changes
+  const dept           = departments.find(d => d.id === deptId);
+  const deptLabel      = (d) => departmentName(d, lang);
+  const filteredGroups = useMemo(
+    () => (deptId ? groups.filter(g => groupIndex.departmentOf(g) === deptId) : groups),
+    [groups, deptId, groupIndex],
+  );
   const getClass       = (group, day, time) => schedule[`${group}-${day}-${time}`] || null;
 
   // ── Build a row with merged cells based on duration ───────────────────────
@@ -78,8 +62,10 @@ const PrintView = () => {
   // ── Cell renderer ─────────────────────────────────────────────────────────
   const renderCell = (cls, colSpan = 1) => {
     if (!cls) return <span className="pv-cell-empty"> </span>;
+    const badge = exceptionBadge(cls, t);
     return (
-      <div className="pv-cell" style={{ alignItems:"center", textAlign:"center" }}>
+      <div className={`pv-cell${cls.cancelled ? ' pv-cell-cancelled' : ''}`} style={{ alignItems:"center", textAlign:"center" }}>
+        {badge && <span className={`pv-exc pv-exc-${badge.kind}`}>{badge.text}</span>}
         <span className="pv-cell-course">{cls.course}</span>
         {cls.teacher && <span className="pv-cell-teacher">{cls.teacher}</span>}
         {cls.room    && <span className="pv-cell-room">{cls.room}</span>}
@@ -135,6 +121,11 @@ const PrintView = () => {
         .pv-cell-teacher { font-size:${Math.max(4, baseFontPx - 1)}px; color:#6b7280; line-height:1.2; }
         .pv-cell-room { font-size:${Math.max(4, baseFontPx - 1.5)}px; color:#9ca3af; line-height:1.2; }
         .pv-cell-empty { color:#e5e7eb; text-align:center; font-size:8px; }
+        .pv-cell-cancelled .pv-cell-course { text-decoration:line-through; color:#9ca3af; }
+        .pv-exc { font-size:${Math.max(4, baseFontPx - 1.5)}px; font-weight:800; border-radius:99px; padding:0 4px; }
+        .pv-exc-cancelled { color:#b91c1c; background:#fee2e2; }
+        .pv-exc-moved { color:#b45309; background:#fef3c7; }
+        .pv-exc-makeup { color:#047857; background:#d1fae5; }
         .pv-footer { border-top:1px solid #e5e7eb; padding:4px 8px; display:flex; justify-content:space-between; background:#f9fafb; }
         .pv-footer-txt { font-size:5.5px; color:#9ca3af; }
         .pv-section { page-break-inside:avoid; }
@@ -163,7 +154,7 @@ const PrintView = () => {
       const blob = new Blob([content], { type: 'text/html;charset=utf-8' });
       const url  = URL.createObjectURL(blob);
       const a    = document.createElement('a');
-      const dept = deptId ? DEPARTMENTS.find(d => d.id === deptId)?.en || deptId : 'All';
+      const dept = deptId ? departmentName(departments.find(d => d.id === deptId)) || deptId : 'All';
       const date = new Date().toISOString().slice(0, 10);
       a.href     = url;
       a.download = `Schedule-${dept}-${date}.html`;
@@ -179,7 +170,7 @@ const PrintView = () => {
   // ── Render: by group (rows = days, cols = time slots, cells merged by duration) ──
   const renderByGroup = () =>
     (selectedGroup ? [selectedGroup] : filteredGroups).map(group => {
-      const total = days.reduce((a, d) => a + timeSlots.filter(tm => getClass(group, d, tm)).length, 0);
+      const total = days.reduce((a, d) => a + timeSlots.filter(tm => isActive(getClass(group, d, tm))).length, 0);
       return (
         <div key={group} className="pv-section">
           <div className="pv-section-head">
@@ -270,7 +261,7 @@ const PrintView = () => {
           <span className="pv-lbl">🏛 Department</span>
           {/* Desktop: buttons */}
           <div className="pv-row pv-dept-btns">
-            {[{id:'',icon:'🌐',en:'All',ru:'Все',ky:'Баары'}, ...DEPARTMENTS].map(d => (
+            {[{ id:'', icon:'🌐', names:{ en:'All', ru:'Все', ky:'Баары' } }, ...departments].map(d => (
               <button
                 key={d.id}
                 className={`pv-btn${deptId === d.id ? ' pv-btn-on' : ''}`}
@@ -287,7 +278,7 @@ const PrintView = () => {
             onChange={e => { setDeptId(e.target.value); setSelectedGroup(''); }}
           >
             <option value="">🌐 All Departments</option>
-            {DEPARTMENTS.map(d => (
+            {departments.map(d => (
               <option key={d.id} value={d.id}>{d.icon} {deptLabel(d)}</option>
             ))}
           </select>
@@ -334,6 +325,8 @@ const PrintView = () => {
         </div>
       )}
 
+      <WeekNav />
+
       {/* ── Printable preview ── */}
       <div ref={printRef} className="pv-preview">
         <div className="pv-header">
@@ -346,7 +339,7 @@ const PrintView = () => {
           </div>
           <div className="pv-header-meta">
             <div className="pv-header-dept">{dept ? deptLabel(dept) : 'All Departments'}</div>
-            <div className="pv-header-date">{new Date().toLocaleDateString('en-GB',{day:'2-digit',month:'long',year:'numeric'})}</div>
+            <div className="pv-header-date">{t('weekOf')} {weekStart.toLocaleDateString('en-GB',{day:'2-digit',month:'long',year:'numeric'})}</div>
           </div>
         </div>
 
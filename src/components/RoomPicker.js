@@ -0,0 +1,61 @@
+// src/components/RoomPicker.js
+import React, { useId, useMemo } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { roomSummary, ROOM_TYPE_ICONS } from '../utils/roomRegistry';
+import './RoomPicker.css';
+
+// Room input backed by the room catalog. Suggests catalog codes (or, with an
+// empty catalog, `fallbackRooms`), snaps aliases to their code on blur and
+// shows what kind of room was picked.
+const RoomPicker = ({
+  value, onChange, className, style, placeholder = 'e.g. B201',
+  fallbackRooms = [], bookableOnly = false, types, autoFocus,
+}) => {
+  const { roomRegistry, roomIndex } = useSchedule();
+  const { t } = useLanguage();
+  const listId = useId();
+
+  const options = useMemo(() => {
+    if (!roomRegistry.length) return fallbackRooms.map(code => ({ code }));
+    return roomRegistry
+      .filter(r => (!bookableOnly || r.bookable !== false) && (!types || types.includes(r.type)))
+      .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }));
+  }, [roomRegistry, fallbackRooms, bookableOnly, types]);
+
+  const room = value ? roomIndex.findRoom(value) : null;
+
+  const snapToCode = () => {
+    if (room && room.code !== value) onChange(room.code);
+  };
+
+  let hint = null;
+  if (room) {
+    const notBookable = bookableOnly && room.bookable === false;
+    hint = (
+      <div className={`rp-hint${notBookable ? ' rp-hint-warn' : ''}`}>
+        {notBookable ? `⚠️ ${t('roomNotBookable')}` : `${ROOM_TYPE_ICONS[room.type] || '🚪'} ${roomSummary(room, t) || room.code}`}
+      </div>
+    );
+  } else if (value?.trim() && roomRegistry.length) {
+    hint = <div className="rp-hint rp-hint-warn">⚠️ {t('roomNotInCatalog')}</div>;
+  }
+
+  return (
+    <>
+      <input className={className} style={style} list={listId} placeholder={placeholder}
+        value={value} autoFocus={autoFocus}
+        onChange={e => onChange(e.target.value)} onBlur={snapToCode} />
+      <datalist id={listId}>
+        {options.map(r => (
+          <option key={r.code} value={r.code}>
+            {r.type ? `${t(`roomType_${r.type}`)}${r.capacity ? ` · ${r.capacity}` : ''}` : ''}
+          </option>
+        ))}
+      </datalist>
+      {hint}
+    </>
+  );
+};
+
+export default RoomPicker;
@@ -0,0 +1,247 @@
+// src/components/RoomRegistry.js
+import React, { useState, useMemo } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { ROOM_TYPES, ROOM_TYPE_ICONS, guessRoomCode, roomKey } from '../utils/roomRegistry';
+import './RoomRegistry.css';
+
+const EMPTY_FORM = {
+  code: '', building: '', floor: '', capacity: '', type: 'lecture',
+  equipment: '', bookable: true, aliases: '',
+};
+
+const splitList = (text, sep) => [...new Set(text.split(sep).map(v => v.trim()).filter(Boolean))];
+
+const toForm = (r) => ({
+  ...EMPTY_FORM, ...r,
+  capacity:  r.capacity ? String(r.capacity) : '',
+  equipment: (r.equipment || []).join(', '),
+  aliases:   (r.aliases || []).join('\n'),
+  bookable:  r.bookable !== false,
+});
+
+const fromForm = (form) => ({
+  code:      form.code.trim().toUpperCase(),
+  building:  form.building.trim(),
+  floor:     form.floor.trim(),
+  capacity:  Number(form.capacity) || '',
+  type:      form.type,
+  equipment: splitList(form.equipment, ','),
+  bookable:  form.bookable,
+  aliases:   splitList(form.aliases, /[\n;]+/),
+});
+
+// ─── Add / edit form ──────────────────────────────────────────────────────────
+const RoomForm = ({ initial, onSave, onCancel }) => {
+  const { roomRegistry } = useSchedule();
+  const { t } = useLanguage();
+  const [form,   setForm]   = useState(() => (initial ? toForm(initial) : EMPTY_FORM));
+  const [error,  setError]  = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: e => setForm(f => ({ ...f, [key]: e.target.value })),
+  });
+
+  const handleSave = async () => {
+    const room = fromForm(form);
+    if (!room.code) { setError(t('rregCodeRequired')); return; }
+    const clash = roomRegistry.find(r => roomKey(r.code) === roomKey(room.code) && r.code !== initial?.code);
+    if (clash) { setError(t('rregCodeTaken', { code: clash.code })); return; }
+    setSaving(true);
+    const ok = await onSave(room);
+    setSaving(false);
+    if (ok) onCancel();
+  };
+
+  return (
+    <div className="rreg-form">
+      <div className="rreg-form-grid">
+        <label>{t('rregCode')}<input className="rreg-input" placeholder="B201" {...field('code')} autoFocus /></label>
+        <label>{t('rregType')}
+          <select className="rreg-input" {...field('type')}>
+            {ROOM_TYPES.map(tp => <option key={tp} value={tp}>{ROOM_TYPE_ICONS[tp]} {t(`roomType_${tp}`)}</option>)}
+          </select>
+        </label>
+        <label>{t('rregBuilding')}<input className="rreg-input" placeholder="Main" {...field('building')} /></label>
+        <label>{t('rregFloor')}<input className="rreg-input" placeholder="2" {...field('floor')} /></label>
+        <label>{t('rregCapacity')}<input className="rreg-input" type="number" min="0" {...field('capacity')} /></label>
+        <label>{t('rregEquipment')}<input className="rreg-input" placeholder={t('rregEquipmentHint')} {...field('equipment')} /></label>
+      </div>
+      <label className="rreg-check">
+        <input type="checkbox" checked={form.bookable} onChange={e => setForm(f => ({ ...f, bookable: e.target.checked }))} />
+        {t('rregBookable')}
+      </label>
+      <label className="rreg-aliases-label">
+        {t('rregAliases')}
+        <textarea className="rreg-input" rows={2} placeholder={t('rregAliasesHint')} {...field('aliases')} />
+      </label>
+      {error && <div className="rreg-error">⚠️ {error}</div>}
+      <div className="rreg-form-actions">
+        <button className="rreg-btn rreg-btn-ghost" onClick={onCancel}>{t('cancel')}</button>
+        <button className="rreg-btn rreg-btn-primary" onClick={handleSave} disabled={saving}>{saving ? '⏳' : t('save')}</button>
+      </div>
+    </div>
+  );
+};
+
+// ─── Migration: map the free-text rooms in the timetable onto catalog codes ───
+const RoomMigration = () => {
+  const { schedule, roomRegistry, roomIndex, migrateRooms, readOnly } = useSchedule();
+  const { t } = useLanguage();
+  const [targets, setTargets] = useState({});   // raw string → code typed by the user
+  const [skipped, setSkipped] = useState([]);
+  const [running, setRunning] = useState(false);
+
+  // Room strings that are not already exactly a catalog code, with usage counts
+  const unmapped = useMemo(() => {
+    const counts = {};
+    Object.values(schedule).forEach(e => {
+      if (e.room && roomIndex.findRoom(e.room)?.code !== e.room) counts[e.room] = (counts[e.room] || 0) + 1;
+    });
+    return Object.entries(counts)
+      .map(([raw, count]) => ({ raw, count, suggested: roomIndex.findRoom(raw)?.code || guessRoomCode(raw) || raw.trim() }))
+      .sort((a, b) => a.suggested.localeCompare(b.suggested, undefined, { numeric: true }) || b.count - a.count);
+  }, [schedule, roomIndex]);
+
+  if (!unmapped.length) return null;
+
+  const targetOf  = (row) => (row.raw in targets ? targets[row.raw] : row.suggested).trim().toUpperCase();
+  const included  = unmapped.filter(row => !skipped.includes(row.raw) && targetOf(row));
+  const newCodes  = new Set(included.map(targetOf).filter(code => !roomRegistry.some(r => r.code === code)));
+  const toggle    = (raw) => setSkipped(s => (s.includes(raw) ? s.filter(x => x !== raw) : [...s, raw]));
+
+  const handleApply = async () => {
+    const mapping = Object.fromEntries(included.map(row => [row.raw, targetOf(row)]));
+    if (!window.confirm(t('rregMigrateConfirm', {
+      count: included.reduce((n, row) => n + row.count, 0), rooms: newCodes.size,
+    }))) return;
+    setRunning(true);
+    if (await migrateRooms(mapping)) { setTargets({}); setSkipped([]); }
+    setRunning(false);
+  };
+
+  return (
+    <section className="rreg-section">
+      <h3 className="rreg-section-title">🔀 {t('rregMigrate')} <span className="rreg-count">{unmapped.length}</span></h3>
+      <p className="rreg-hint">{t('rregMigrateHint')}</p>
+      <datalist id="rreg-codes">{roomRegistry.map(r => <option key={r.code} value={r.code} />)}</datalist>
+      <div className="rreg-migrate">
+        {unmapped.map(row => {
+          const skip = skipped.includes(row.raw);
+          const code = targetOf(row);
+          return (
+            <div key={row.raw} className={`rreg-migrate-row${skip ? ' rreg-migrate-skipped' : ''}`}>
+              <input type="checkbox" checked={!skip} onChange={() => toggle(row.raw)} />
+              <span className="rreg-migrate-raw">{row.raw}</span>
+              <span className="rreg-migrate-count">×{row.count}</span>
+              <span className="rreg-migrate-arrow">→</span>
+              <input className="rreg-input rreg-migrate-target" list="rreg-codes" disabled={skip}
+                value={row.raw in targets ? targets[row.raw] : row.suggested}
+                onChange={e => setTargets(tg => ({ ...tg, [row.raw]: e.target.value }))} />
+              {!skip && newCodes.has(code) && <span className="rreg-new-tag">{t('rregNew')}</span>}
+            </div>
+          );
+        })}
+      </div>
+      <div className="rreg-form-actions">
+        <button className="rreg-btn rreg-btn-primary" onClick={handleApply}
+          disabled={running || readOnly || !included.length}
+          title={readOnly ? t('termReadOnly') : ''}>
+          {running ? '⏳' : t('rregMigrateApply', { count: included.length })}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+// ─── Main screen ──────────────────────────────────────────────────────────────
+const RoomRegistry = () => {
+  const { roomRegistry, saveRoom, deleteRoom } = useSchedule();
+  const { t } = useLanguage();
+  const [editing,    setEditing]    = useState(null);   // catalog entry, 'new' or null
+  const [search,     setSearch]     = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+
+  const shown = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return [...roomRegistry]
+      .filter(r => !typeFilter || r.type === typeFilter)
+      .filter(r => !q || [r.code, r.building, ...(r.aliases || []), ...(r.equipment || [])]
+        .some(v => v && String(v).toLowerCase().includes(q)))
+      .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }));
+  }, [roomRegistry, search, typeFilter]);
+
+  const handleDelete = (r) => {
+    if (window.confirm(t('rregDeleteConfirm', { code: r.code }))) deleteRoom(r.code);
+  };
+
+  return (
+    <div className="rreg-page">
+      <div className="rreg-header">
+        <div>
+          <h2 className="rreg-title">🚪 {t('rregTitle')}</h2>
+          <p className="rreg-subtitle">{t('rregSubtitle')}</p>
+        </div>
+        {editing !== 'new' && (
+          <button className="rreg-btn rreg-btn-primary" onClick={() => setEditing('new')}>＋ {t('rregAdd')}</button>
+        )}
+      </div>
+
+      <RoomMigration />
+
+      <section className="rreg-section">
+        <div className="rreg-list-head">
+          <h3 className="rreg-section-title">{t('rregCatalog')} <span className="rreg-count">{roomRegistry.length}</span></h3>
+          <div className="rreg-filters">
+            <select className="rreg-input" value={typeFilter} onChange={e => setTypeFilter(e.target.value)}>
+              <option value="">{t('rregAllTypes')}</option>
+              {ROOM_TYPES.map(tp => <option key={tp} value={tp}>{ROOM_TYPE_ICONS[tp]} {t(`roomType_${tp}`)}</option>)}
+            </select>
+            <input className="rreg-input" placeholder={`🔍 ${t('searchRoom')}`}
+              value={search} onChange={e => setSearch(e.target.value)} />
+          </div>
+        </div>
+
+        {editing === 'new' && <RoomForm onSave={r => saveRoom(r)} onCancel={() => setEditing(null)} />}
+
+        <div className="rreg-list">
+          {shown.map(r => (editing === r ? (
+            <RoomForm key={r.code} initial={r} onSave={next => saveRoom(next, r.code)} onCancel={() => setEditing(null)} />
+          ) : (
+            <div key={r.code} className="rreg-row">
+              <div className="rreg-row-icon">{ROOM_TYPE_ICONS[r.type] || '🚪'}</div>
+              <div className="rreg-row-main">
+                <div className="rreg-row-code">
+                  {r.code}
+                  {r.bookable === false && <span className="rreg-tag">{t('rregNotBookable')}</span>}
+                </div>
+                <div className="rreg-row-meta">
+                  {[
+                    r.type && t(`roomType_${r.type}`),
+                    [r.building, r.floor && t('rregFloorN', { floor: r.floor })].filter(Boolean).join(', '),
+                    r.capacity && t('roomSeats', { count: r.capacity }),
+                    (r.equipment || []).join(', '),
+                  ].filter(Boolean).join(' · ')}
+                </div>
+                {(r.aliases || []).length > 0 && (
+                  <div className="rreg-aliases">
+                    {r.aliases.map(a => <span key={a} className="rreg-alias">{a}</span>)}
+                  </div>
+                )}
+              </div>
+              <div className="rreg-row-actions">
+                <button className="rreg-icon-btn" title={t('edit')} onClick={() => setEditing(r)}>✏️</button>
+                <button className="rreg-icon-btn" title={t('delete')} onClick={() => handleDelete(r)}>🗑️</button>
+              </div>
+            </div>
+          )))}
+          {shown.length === 0 && <div className="rreg-empty">{roomRegistry.length ? t('rregNoMatch') : t('rregEmpty')}</div>}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default RoomRegistry;
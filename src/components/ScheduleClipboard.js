@@ -0,0 +1,139 @@
+// src/components/ScheduleClipboard.js
+import React, { useState, useEffect } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { useToast } from '../context/ToastContext';
+import { clipToTSV, clipFromTSV } from '../utils/scheduleClipboard';
+import './ScheduleClipboard.css';
+
+export const DEFAULT_PASTE_OPTIONS = { keepTeacher: true, keepRoom: true, overwrite: false };
+
+// "COMSE-25 · Monday" — what a clipboard holds, in words
+const clipSource = (clip, t) => [clip.group, clip.day && t(clip.day), clip.time].filter(Boolean).join(' · ');
+
+// Where pasting the clipboard at a cell lands, in words
+const pasteTarget = (clip, { group, day, time }, t) =>
+  clip.kind === 'week' ? group : clip.kind === 'day' ? `${group} · ${t(day)}` : `${group} · ${t(day)} · ${time}`;
+
+// ─── Right-click menu of a timetable cell ─────────────────────────────────────
+export const CellMenu = ({ menu, options, onClose }) => {
+  const { schedule, clipboard, copyClasses, pasteClipboard } = useSchedule();
+  const { t } = useLanguage();
+  const { showToast } = useToast();
+  const { group, day, time } = menu;
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('click', onClose);
+    window.addEventListener('scroll', onClose, true);
+    window.addEventListener('keydown', onKey);
+    return () => {
+      window.removeEventListener('click', onClose);
+      window.removeEventListener('scroll', onClose, true);
+      window.removeEventListener('keydown', onKey);
+    };
+  }, [onClose]);
+
+  const copy = (kind) => {
+    if (copyClasses(kind, { group, day, time })) showToast({ type: 'success', message: t(`clipCopied_${kind}`) });
+    else showToast({ type: 'info', message: t('clipNothing') });
+    onClose();
+  };
+
+  const paste = async () => {
+    onClose();
+    const skipped = await pasteClipboard({ group, day, time }, options);
+    if (skipped && skipped.length) showToast({ type: 'info', message: t('clipSkipped', { count: skipped.length }) });
+  };
+
+  return (
+    <div className="clip-menu" style={{ left: menu.x, top: menu.y }} onClick={e => e.stopPropagation()}
+      onContextMenu={e => e.preventDefault()}>
+      {schedule[`${group}-${day}-${time}`] && (
+        <button className="clip-menu-item" onClick={() => copy('cell')}>📋 {t('clipCopyCell')}</button>
+      )}
+      <button className="clip-menu-item" onClick={() => copy('day')}>📅 {t('clipCopyDay', { group, day: t(day) })}</button>
+      <button className="clip-menu-item" onClick={() => copy('week')}>🗓 {t('clipCopyWeek', { group })}</button>
+      {clipboard && (
+        <>
+          <div className="clip-menu-sep" />
+          <button className="clip-menu-item" onClick={paste}>
+            📥 {t('clipPasteOnto', { target: pasteTarget(clipboard, menu, t) })}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ─── Clipboard bar above the timetable ────────────────────────────────────────
+const ClipboardBar = ({ options, onOptions }) => {
+  const { clipboard, setClipboard, timeSlots, days, reportRejected } = useSchedule();
+  const { t } = useLanguage();
+  const { showToast } = useToast();
+  const [importing, setImporting] = useState(false);
+  const [tsv,       setTsv]       = useState('');
+  const [error,     setError]     = useState('');
+
+  const setOption = (key) => (e) => onOptions({ ...options, [key]: e.target.checked });
+
+  const handleCopyTSV = async () => {
+    try {
+      await navigator.clipboard.writeText(clipToTSV(clipboard));
+      showToast({ type: 'success', message: t('clipTsvCopied') });
+    } catch {
+      // No clipboard permission: show the text so it can be copied by hand
+      setTsv(clipToTSV(clipboard));
+      setImporting(true);
+    }
+  };
+
+  const handleLoadTSV = () => {
+    const { clip, rejected = [], error: err } = clipFromTSV(tsv, { timeSlots, days });
+    reportRejected('tsv', rejected, { open: true });
+    if (err) { setError(t(err)); return; }
+    setClipboard(clip);
+    setImporting(false);
+    setTsv('');
+    setError('');
+    showToast({ type: 'success', message: t(`clipCopied_${clip.kind}`) });
+  };
+
+  return (
+    <div className="clip-bar">
+      <div className="clip-row">
+        {clipboard ? (
+          <span className="clip-summary">
+            📋 {t(`clipKind_${clipboard.kind}`)}: <strong>{clipSource(clipboard, t)}</strong>
+            <span className="clip-count">{t('clipClasses', { count: clipboard.entries.length })}</span>
+          </span>
+        ) : (
+          <span className="clip-summary clip-empty">📋 {t('clipEmpty')}</span>
+        )}
+        {clipboard && (
+          <>
+            <label className="clip-option"><input type="checkbox" checked={options.keepTeacher} onChange={setOption('keepTeacher')} /> {t('clipKeepTeacher')}</label>
+            <label className="clip-option"><input type="checkbox" checked={options.keepRoom} onChange={setOption('keepRoom')} /> {t('clipKeepRoom')}</label>
+            <label className="clip-option"><input type="checkbox" checked={options.overwrite} onChange={setOption('overwrite')} /> {t('clipOverwrite')}</label>
+            <button className="clip-btn" onClick={handleCopyTSV}>⇥ {t('clipCopyTsv')}</button>
+          </>
+        )}
+        <button className="clip-btn" onClick={() => { setImporting(v => !v); setError(''); }}>📥 {t('clipImportTsv')}</button>
+        {clipboard && <button className="clip-icon-btn" title={t('clipClear')} onClick={() => setClipboard(null)}>✕</button>}
+      </div>
+      {importing && (
+        <div className="clip-import">
+          <textarea className="clip-textarea" rows={5} value={tsv} placeholder={t('clipTsvPlaceholder')}
+            onChange={e => { setTsv(e.target.value); setError(''); }} />
+          {error && <div className="clip-error">{error}</div>}
+          <div className="clip-actions">
+            <button className="clip-btn" onClick={() => { setImporting(false); setTsv(''); }}>{t('cancel')}</button>
+            <button className="clip-btn clip-btn-primary" onClick={handleLoadTSV} disabled={!tsv.trim()}>{t('clipLoadTsv')}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClipboardBar;
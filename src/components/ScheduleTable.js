@@ -1,10 +1,19 @@
 // src/components/ScheduleTable.js
-import React, { useState, useRef, useMemo } from 'react';
+import React, { useState, useRef, useMemo, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useSchedule } from '../context/ScheduleContext';
 import { useLanguage } from '../context/LanguageContext';
 import { SUBJECT_TYPES, SUBJECT_TYPE_LABELS } from '../data/i18n';
-import { normalizeTeacherName } from '../context/ScheduleContext';
+import { normalizeTeacherName, entryTeachers, sharesTeacher } from '../context/ScheduleContext';
+import { weekDateMap, toISODate, recurrenceLabel } from '../utils/recurrence';
+import { buildWeekSchedule, isActive, exceptionBadge } from '../utils/exceptions';
+import { mergeSubgroups } from '../utils/groupRegistry';
+import { isJoint, jointLabel, sameEvent } from '../utils/jointClasses';
+import { spanMinutes, breaksAfter } from '../utils/timeGrid';
+import { planMove } from '../utils/scheduleMove';
+import WeekNav from './WeekNav';
+import BulkEditBar from './BulkEditBar';
+import ClipboardBar, { CellMenu, DEFAULT_PASTE_OPTIONS } from './ScheduleClipboard';
 import './ScheduleTable.css';
 
 const getTodayName = () => {
@@ -14,32 +23,37 @@ const getTodayName = () => {
 const getTypeStyle = (subjectType) =>
   SUBJECT_TYPES.find(s => s.value === subjectType) || SUBJECT_TYPES[0];
 
-// Build { dayName → "Mon 20" } labels for the current week
-const useWeekDayLabels = (daysToShow, lang) => {
+// Build { dayName → { date, label: "20 March" } } for the week starting on `mon`
+const useWeekDayLabels = (daysToShow, lang, mon) => {
   return useMemo(() => {
     const locale = (lang === 'ru' || lang === 'ky') ? 'ru-RU' : 'en-GB';
-    const now = new Date();
-    const dow = now.getDay();
-    const diff = dow === 0 ? -6 : 1 - dow;
-    const mon = new Date(now);
-    mon.setDate(now.getDate() + diff);
-    const ORDER = ['Monday','Tuesday','Wednesday','Thursday','Friday','Saturday','Sunday'];
+    const dates = weekDateMap(daysToShow, mon);
     const map = {};
-    daysToShow.forEach((dayName, i) => {
-      const idx = ORDER.indexOf(dayName);
-      const d = new Date(mon);
-      d.setDate(mon.getDate() + (idx >= 0 ? idx : i));
-      map[dayName] = `${d.getDate()} ${d.toLocaleDateString(locale, { month: 'long' })}`;
+    daysToShow.forEach(dayName => {
+      const d = dates[dayName];
+      map[dayName] = { date: d, label: `${d.getDate()} ${d.toLocaleDateString(locale, { month: 'long' })}` };
     });
     return map;
-  }, [daysToShow, lang]);
+  }, [daysToShow, lang, mon]);
+};
+
+const ExceptionBadge = ({ entry, t }) => {
+  const badge = exceptionBadge(entry, t);
+  return badge ? <div className={`exc-badge exc-${badge.kind}`}>{badge.text}</div> : null;
+};
+
+// Other groups attending a joint class, shown in each copy
+const JointBadge = ({ entry, t }) => {
+  if (!isJoint(entry) || entry.merged) return null;
+  const others = { ...entry, groups: entry.groups.filter(g => g !== entry.group) };
+  return <div className="joint-badge" title={entry.groups.join(', ')}>👥 {t('jointWith', { groups: jointLabel(others, 2) })}</div>;
 };
 
 // ─── Mobile card view ─────────────────────────────────────────────────────────
 const MobileView = ({
   daysToShow, groupsToShow, timeSlots, schedule, todayName,
-  cellsToSkip, occupiedRoomCells, selectedRoom, normSelectedTeacher,
-  isAuthenticated, bookings, onEditClass, onGuestBookCell, onDeleteGroup,
+  cellsToSkip, occupiedRoomCells, selectedRoom, normSelectedTeacher, teacherIndex, roomIndex,
+  isAuthenticated, canEdit, bookings, onEditClass, onGuestBookCell, onDeleteGroup,
   typeLabels, t, showEmpty, onToggleEmpty,
 }) => {
   const [collapsed, setCollapsed] = useState({});
@@ -50,12 +64,12 @@ const MobileView = ({
     return bookings.find(b => b.day === d && b.start_time === tm && (b.entity === g || b.name === g)) || null;
   };
   const getConflicts = (g, d, tm, cd) => {
-    if (!cd) return [];
+    if (!isActive(cd) || cd.merged) return [];
     const out = [];
     Object.values(schedule).forEach(e => {
-      if (e.group === g || e.day !== d || e.time !== tm) return;
-      if (cd.teacher && e.teacher?.toLowerCase() === cd.teacher.toLowerCase()) out.push('teacher');
-      if (cd.room    && e.room?.toLowerCase()    === cd.room.toLowerCase())    out.push('room');
+      if (!isActive(e) || e.group === g || e.merged || e.day !== d || e.time !== tm || sameEvent(cd, e)) return;
+      if (sharesTeacher(cd, e, teacherIndex)) out.push('teacher');
+      if (roomIndex.sameRoom(cd.room, e.room)) out.push('room');
     });
     return [...new Set(out)];
   };
@@ -67,7 +81,7 @@ const MobileView = ({
       {daysToShow.map(day => {
         const isToday = day === todayName, isCollapsed = collapsed[day];
         const classCount = groupsToShow.reduce((a, g) =>
-          a + timeSlots.filter(tm => { const c = getClass(g, day, tm); return c && !cellsToSkip.has(`${g}-${day}-${tm}`); }).length, 0);
+          a + timeSlots.filter(tm => { const c = getClass(g, day, tm); return isActive(c) && !cellsToSkip.has(`${g}-${day}-${tm}`); }).length, 0);
         return (
           <div key={day} className="mob-day-section">
             <div className={`mob-day-header ${isToday ? 'today' : ''} ${isCollapsed ? 'collapsed' : ''}`}
@@ -87,7 +101,7 @@ const MobileView = ({
                 <div key={group} className="mob-group-block">
                   <div className="mob-group-label">
                     {group}
-                    {isAuthenticated && (
+                    {canEdit && (
                       <button className="delete-group-btn" onClick={e => {
                         e.stopPropagation();
                         if (window.confirm(t('confirmDeleteGroup', { group }))) onDeleteGroup(group);
@@ -100,7 +114,7 @@ const MobileView = ({
                       const cf = getConflicts(group, day, tm, cd);
                       const ts = cd ? getTypeStyle(cd.subjectType) : null;
                       const dur = Math.min(6, Math.max(1, parseInt(cd?.duration) || 1));
-                      if (normSelectedTeacher && cd && normalizeTeacherName(cd.teacher) !== normSelectedTeacher) return null;
+                      if (normSelectedTeacher && cd && !entryTeachers(cd, teacherIndex).includes(normSelectedTeacher)) return null;
                       if (selectedRoom && occupiedRoomCells.has(`${day}-${tm}`)) return null;
                       if (!showEmpty && !cd && !bk) return null;
                       let bkB = '', bkI = null;
@@ -115,15 +129,21 @@ const MobileView = ({
                             cf.includes('room') ? 'conflict-r' : '',
                             !cd && !bk ? 'mob-slot-empty-row' : '',
                             dur > 1 ? 'mob-slot-multi' : '',
+                            cd?.offWeek ? 'off-week' : '',
+                            cd?.cancelled ? 'exc-off' : '',
+                            cd?.movedIn || cd?.makeup ? 'exc-added' : '',
                             bk && !cd ? (bk.status === 'approved' ? 'booked-approved' : 'booked-pending') : '',
                           ].filter(Boolean).join(' ')}
                           style={cd && ts ? { borderLeft: `3px solid ${ts.color}` } : bk && !cd ? { borderLeft: `3px solid ${bk.status === 'approved' ? '#22c55e' : '#eab308'}` } : { borderLeft: '3px solid var(--border)' }}
-                          onClick={() => { if (isAuthenticated) { onEditClass(group, day, tm); return; } if (!cd && !bk && onGuestBookCell) onGuestBookCell(group, day, tm); }}>
+                          onClick={() => { if (canEdit) { onEditClass(group, day, tm); return; } if (!isAuthenticated && !cd && !bk && onGuestBookCell) onGuestBookCell(group, day, tm); }}>
                           <div className={`mob-slot-time ${isToday ? 'today-t' : ''}`}>{tm}</div>
                           <div className="mob-slot-body">
                             {cd ? (<>
                               {ts && <span className="mob-slot-pill" style={{ background: ts.color }}>{ts.icon} {typeLabels[cd.subjectType || 'lecture']}</span>}
                               <div className="mob-slot-course">{cd.course}</div>
+                              {cd.recurrence && <div className="recur-badge">🔁 {recurrenceLabel(cd.recurrence, t)}{cd.offWeek ? ` · ${t('offWeek')}` : ''}</div>}
+                              <ExceptionBadge entry={cd} t={t} />
+                              <JointBadge entry={cd} t={t} />
                               <div className="mob-slot-meta">
                                 {cd.teacher && <span>👨‍🏫 {cd.teacher}</span>}
                                 {cd.room    && <span>🚪 {cd.room}</span>}
@@ -135,8 +155,8 @@ const MobileView = ({
                               <div className="mob-slot-course">{bk.purpose}</div>
                               <div className="mob-slot-meta"><span>👤 {bk.guest_name}</span></div>
                               {bkI}
-                            </>) : isAuthenticated ? <span className="mob-slot-empty">＋</span>
-                              : onGuestBookCell ? <span className="mob-slot-empty guest-hint">＋ book</span> : null}
+                            </>) : canEdit ? <span className="mob-slot-empty">＋</span>
+                              : !isAuthenticated && onGuestBookCell ? <span className="mob-slot-empty guest-hint">＋ book</span> : null}
                           </div>
                         </div>
                       );
@@ -158,15 +178,49 @@ const ScheduleTable = ({
   onEditClass, onDeleteGroup, bookings = [], onGuestBookCell,
 }) => {
   const { isAuthenticated } = useAuth();
-  const { groups, timeSlots, days, schedule, moveClass } = useSchedule();
+  const {
+    groups, timeSlots, days, schedule: fullSchedule, moveClass, readOnly, activeTerm,
+    weekOffset, weekStart, exceptions, addException, removeException, teacherIndex, roomIndex, groupIndex, timeGrid,
+    presence, draft,
+  } = useSchedule();
   const { t, lang } = useLanguage();
+  const canEdit = isAuthenticated && !readOnly;
 
-  const todayName  = getTodayName();
+  const weekDays   = useWeekDayLabels(days, lang, weekStart);
+  const todayName  = weekOffset === 0 ? getTodayName() : '';
   const daysToShow = selectedDay ? [selectedDay] : days;
 
   const [showEmpty, setShowEmpty] = useState(false);
 
-  const weekDateMap = useWeekDayLabels(daysToShow, lang);
+  // Only what meets in the displayed week, with cancellations, moves and
+  // make-ups applied. Editors still see the other entries, dimmed, so a slot
+  // taken in other weeks doesn't look free.
+  const weekSchedule = useMemo(() => buildWeekSchedule(fullSchedule, {
+    dates: weekDateMap(days, weekStart), termStart: activeTerm?.startDate, exceptions, keepOffWeek: canEdit,
+  }), [fullSchedule, days, weekStart, activeTerm?.startDate, exceptions, canEdit]);
+
+  // Picking a split group's parent shows one read-only row with its subgroups'
+  // classes merged into it
+  const subgroups = useMemo(
+    () => (selectedGroup && !groups.includes(selectedGroup) ? groupIndex.subgroupsOf(selectedGroup, groups) : []),
+    [selectedGroup, groups, groupIndex],
+  );
+  const schedule = useMemo(
+    () => (subgroups.length ? { ...weekSchedule, ...mergeSubgroups(weekSchedule, selectedGroup, subgroups, groupIndex) } : weekSchedule),
+    [weekSchedule, selectedGroup, subgroups, groupIndex],
+  );
+  const mergedRow = (group) => subgroups.length > 0 && group === selectedGroup;
+
+  const holidayOn = (day) => {
+    const iso = weekDays[day] && toISODate(weekDays[day].date);
+    return exceptions.find(ex => ex.type === 'holiday' && ex.date === iso) || null;
+  };
+  const markHoliday = (day) => {
+    if (!day) return;
+    const note = window.prompt(t('excHolidayPrompt'), '');
+    if (note === null) return;
+    addException({ type: 'holiday', date: toISODate(weekDays[day].date), note: note.trim() });
+  };
 
   // All group names that originate from bookings (entity or booker name)
   const bookingGroupNames = new Set(
@@ -176,8 +230,8 @@ const ScheduleTable = ({
       .filter(Boolean)
   );
 
-  const baseGroups = selectedGroup
-    ? groups.filter(g => g === selectedGroup)
+  const baseGroups = subgroups.length ? [selectedGroup]
+    : selectedGroup ? groups.filter(g => g === selectedGroup)
     : groups;
 
   // Separate booking-created groups from real academic groups
@@ -190,7 +244,10 @@ const ScheduleTable = ({
 
   const groupsToShow = [...regularGroups, ...bookingGroups];
   const typeLabels    = SUBJECT_TYPE_LABELS[lang] || SUBJECT_TYPE_LABELS.en;
-  const normSelectedTeacher = useMemo(() => selectedTeacher ? normalizeTeacherName(selectedTeacher) : '', [selectedTeacher]);
+  const normSelectedTeacher = useMemo(
+    () => selectedTeacher ? normalizeTeacherName(selectedTeacher, teacherIndex) : '',
+    [selectedTeacher, teacherIndex],
+  );
 
   const [dragSource, setDragSource] = useState(null);
   const [dragOver,   setDragOver]   = useState(null);
@@ -211,23 +268,23 @@ const ScheduleTable = ({
   const occupiedRoomCells = useMemo(() => {
     if (!selectedRoom) return new Set();
     const s = new Set();
-    Object.values(schedule).forEach(cls => { if (cls.room?.toLowerCase() === selectedRoom.toLowerCase()) s.add(`${cls.day}-${cls.time}`); });
+    Object.values(schedule).forEach(cls => { if (isActive(cls) && roomIndex.sameRoom(cls.room, selectedRoom)) s.add(`${cls.day}-${cls.time}`); });
     return s;
-  }, [schedule, selectedRoom]);
+  }, [schedule, selectedRoom, roomIndex]);
 
   const getClass     = (g, d, tm) => schedule[`${g}-${d}-${tm}`] || null;
   const shouldShow   = (cd, d, tm) => {
-    if (normSelectedTeacher && cd && normalizeTeacherName(cd.teacher) !== normSelectedTeacher) return false;
+    if (normSelectedTeacher && cd && !entryTeachers(cd, teacherIndex).includes(normSelectedTeacher)) return false;
     if (selectedRoom) return !occupiedRoomCells.has(`${d}-${tm}`);
     return true;
   };
   const getConflicts = (g, d, tm, cd) => {
-    if (!cd) return [];
+    if (!isActive(cd) || cd.merged) return [];
     const out = [];
     Object.values(schedule).forEach(e => {
-      if (e.group === g || e.day !== d || e.time !== tm) return;
-      if (cd.teacher && e.teacher?.toLowerCase() === cd.teacher.toLowerCase()) out.push('teacher');
-      if (cd.room    && e.room?.toLowerCase()    === cd.room.toLowerCase())    out.push('room');
+      if (!isActive(e) || e.group === g || e.merged || e.day !== d || e.time !== tm || sameEvent(cd, e)) return;
+      if (sharesTeacher(cd, e, teacherIndex)) out.push('teacher');
+      if (roomIndex.sameRoom(cd.room, e.room)) out.push('room');
     });
     return [...new Set(out)];
   };
@@ -241,8 +298,95 @@ const ScheduleTable = ({
   const handleDragEnd   = () => { if (dragNode.current) dragNode.current.style.opacity = '1'; setDragSource(null); setDragOver(null); dragNode.current = null; };
   const handleDragOver  = (e, g, d, tm) => { e.preventDefault(); e.dataTransfer.dropEffect = 'move'; if (!dragOver || dragOver.group !== g || dragOver.day !== d || dragOver.time !== tm) setDragOver({ group: g, day: d, time: tm }); };
   const handleDragLeave = e => { if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(null); };
+  // Why dropping here would be refused (utils/scheduleMove), shown while dragging
+  const dropProblem = useMemo(() => {
+    if (!dragSource || !dragOver) return null;
+    const plan = planMove(fullSchedule, dragSource, dragOver, timeSlots);
+    return plan.error ? t(plan.error, plan.params) : null;
+  }, [dragSource, dragOver, fullSchedule, timeSlots, t]);
+
   const handleDrop      = (e, tg, td, ttm) => { e.preventDefault(); if (!dragSource) return; const { group: fg, day: fd, time: ft } = dragSource; if (fg === tg && fd === td && ft === ttm) { handleDragEnd(); return; } moveClass(fg, fd, ft, tg, td, ttm); handleDragEnd(); };
 
+  // ── Multi-cell selection ────────────────────────────────────────────────
+  // Ctrl/⌘-click toggles a class, shift-click selects the rectangle from the
+  // last clicked cell, and dragging from an empty cell draws a rubber band
+  // (with Ctrl/⌘ held, added to the selection). Only classes stored in the
+  // timetable, on rows that can be edited, are selected.
+  const [selection, setSelection] = useState([]);
+  const [band,      setBand]      = useState(null);   // { from, to } while drawing
+  const bandRef = useRef(null);
+  const anchor  = useRef(null);
+
+  const editableRows = groupsToShow.filter(g => canEdit && !mergedRow(g));
+  const columns      = daysToShow.flatMap(day => timeSlots.map(time => ({ day, time })));
+  const posKey       = (p) => `${p.group}-${p.day}-${p.time}`;
+
+  const rectKeys = (a, b) => {
+    const rows = [a, b].map(p => editableRows.indexOf(p.group));
+    const cols = [a, b].map(p => columns.findIndex(c => c.day === p.day && c.time === p.time));
+    if (rows.includes(-1) || cols.includes(-1)) return [];
+    return editableRows.slice(Math.min(...rows), Math.max(...rows) + 1).flatMap(group =>
+      columns.slice(Math.min(...cols), Math.max(...cols) + 1).map(c => posKey({ group, ...c })));
+  };
+
+  // Classes the filters hide can't be picked up by a rectangle
+  const shownClass = (key) => !!fullSchedule[key] && shouldShow(schedule[key], fullSchedule[key].day, fullSchedule[key].time);
+  const selectKeys = (keys, extend) =>
+    setSelection(prev => [...new Set([...(extend ? prev : []), ...keys.filter(shownClass)])]);
+
+  const selectedKeys = useMemo(() => selection.filter(k => fullSchedule[k]), [selection, fullSchedule]);
+  const selectedSet  = new Set(selectedKeys);
+  const bandKeys     = new Set(band ? rectKeys(band.from, band.to) : []);
+
+  // Cells other admins have open in the class editor → their names
+  const liveEditors = useMemo(() => presence.reduce((acc, c) => {
+    if (c.cell) acc[c.cell] = [...(acc[c.cell] || []), c.user || t('auditUnknownUser')];
+    return acc;
+  }, {}), [presence, t]);
+
+  useEffect(() => { setSelection([]); }, [selectedDay, selectedGroup, selectedTeacher, selectedRoom, weekOffset]);
+
+  useEffect(() => {
+    if (!selection.length) return;
+    const onKey = (e) => { if (e.key === 'Escape') setSelection([]); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [selection.length]);
+
+  const handleSelectClick = (e, pos) => {
+    const key = posKey(pos);
+    if (e.shiftKey && anchor.current) { selectKeys(rectKeys(anchor.current, pos), e.ctrlKey || e.metaKey); return; }
+    setSelection(prev => (prev.includes(key) ? prev.filter(k => k !== key) : fullSchedule[key] ? [...prev, key] : prev));
+    anchor.current = pos;
+  };
+
+  const handleBandStart = (e, pos, cd) => {
+    if (e.button !== 0) return;
+    if (e.shiftKey) { e.preventDefault(); return; }   // no text selection on shift-click
+    if (cd) return;                                    // filled cells are dragged, not banded
+    e.preventDefault();
+    const extend = e.ctrlKey || e.metaKey;
+    bandRef.current = { from: pos, to: pos };
+    setBand(bandRef.current);
+    window.addEventListener('mouseup', () => {
+      const b = bandRef.current;
+      bandRef.current = null;
+      setBand(null);
+      if (b && posKey(b.from) !== posKey(b.to)) { selectKeys(rectKeys(b.from, b.to), extend); anchor.current = b.to; }
+    }, { once: true });
+  };
+
+  const handleBandEnter = (pos) => {
+    if (!bandRef.current) return;
+    bandRef.current = { ...bandRef.current, to: pos };
+    setBand(bandRef.current);
+  };
+
+  // ── Copy & paste (right-click a cell) ───────────────────────────────────
+  const [menu,         setMenu]         = useState(null);   // { x, y, group, day, time }
+  const [pasteOptions, setPasteOptions] = useState(DEFAULT_PASTE_OPTIONS);
+  const closeMenu = useCallback(() => setMenu(null), []);
+
   const Legend = () => (
     <div className="type-legend">
       {SUBJECT_TYPES.map(type => (
@@ -255,23 +399,33 @@ const ScheduleTable = ({
         <div className="legend-item"><span className="legend-dot" style={{ background: '#eab308' }} /><span className="legend-label">⏳ Pending</span></div>
         <div className="legend-item"><span className="legend-dot" style={{ background: '#22c55e' }} /><span className="legend-label">✅ Approved</span></div>
       </>)}
-      {isAuthenticated && <div className="legend-item legend-drag-hint">↔ {t('dragHint')}</div>}
+      {canEdit && <div className="legend-item legend-drag-hint">↔ {t('dragHint')} · ☑ {t('bulkSelectHint')} · 📋 {t('clipHint')}</div>}
     </div>
   );
 
   return (
     <div className="schedule-container">
+      <WeekNav>
+        {canEdit && (
+          <select className="holiday-select" value="" onChange={e => markHoliday(e.target.value)}>
+            <option value="">🏖 {t('excMarkHoliday')}</option>
+            {days.filter(d => !holidayOn(d)).map(d => <option key={d} value={d}>{t(d)}, {weekDays[d]?.label}</option>)}
+          </select>
+        )}
+      </WeekNav>
       <Legend />
+      {canEdit && <ClipboardBar options={pasteOptions} onOptions={setPasteOptions} />}
       <MobileView
         daysToShow={daysToShow} groupsToShow={groupsToShow} timeSlots={timeSlots}
         schedule={schedule} todayName={todayName} cellsToSkip={cellsToSkip}
         occupiedRoomCells={occupiedRoomCells} selectedRoom={selectedRoom}
-        normSelectedTeacher={normSelectedTeacher} isAuthenticated={isAuthenticated}
-        bookings={bookings} onEditClass={onEditClass} onGuestBookCell={onGuestBookCell}
+        normSelectedTeacher={normSelectedTeacher} teacherIndex={teacherIndex} roomIndex={roomIndex}
+        isAuthenticated={isAuthenticated} canEdit={canEdit && !subgroups.length}
+        bookings={bookings} onEditClass={onEditClass} onGuestBookCell={subgroups.length ? undefined : onGuestBookCell}
         onDeleteGroup={onDeleteGroup} typeLabels={typeLabels} t={t} showEmpty={showEmpty} onToggleEmpty={() => setShowEmpty(s => !s)}
       />
       <div className="table-wrapper">
-        <table className="schedule-table">
+        <table className={`schedule-table${band ? ' banding' : ''}`}>
           <thead>
             {/* Row 1: group corner + day name with date number */}
             <tr>
@@ -281,7 +435,13 @@ const ScheduleTable = ({
               </th>
               {daysToShow.map(day => (
                 <th key={day} className={`day-header ${day === todayName ? 'today-col' : ''}`} colSpan={timeSlots.length}>
-                  {t(day)}, {weekDateMap[day]}{day === todayName && <span className="today-badge"> ★</span>}
+                  {t(day)}, {weekDays[day]?.label}{day === todayName && <span className="today-badge"> ★</span>}
+                  {holidayOn(day) && (
+                    <span className="holiday-chip">
+                      🏖 {holidayOn(day).note || t('excHoliday')}
+                      {canEdit && <button onClick={() => removeException(holidayOn(day).id)} title={t('excRemove')}>✕</button>}
+                    </span>
+                  )}
                 </th>
               ))}
             </tr>
@@ -289,14 +449,21 @@ const ScheduleTable = ({
             <tr>
               <th className="group-header" />
               {daysToShow.map(day =>
-                timeSlots.map(tm => (
-                  <th key={`${day}-${tm}`} className={`time-header ${day === todayName ? 'today-time' : ''}`}>{tm}</th>
-                ))
+                timeSlots.map(tm => {
+                  // A break after this period: thicker edge, and a marker saying until when
+                  const br = breaksAfter(timeGrid, tm)[0];
+                  return (
+                    <th key={`${day}-${tm}`} className={`time-header ${day === todayName ? 'today-time' : ''}${br ? ' break-after' : ''}`}>
+                      {tm}
+                      {br && <div className="break-marker" title={`${br.start}-${br.end}`}>{br.lunch ? '🍽' : '☕'} {br.end}</div>}
+                    </th>
+                  );
+                })
               )}
             </tr>
           </thead>
           <tbody>
-            {groupsToShow.map((group, idx) => (<>
+            {groupsToShow.map((group, idx) => { const rowEdit = canEdit && !mergedRow(group); return (<>
               {/* Separator row before the first booking group */}
               {idx === regularGroups.length && bookingGroups.length > 0 && (
                 <tr key="__booking-separator__" className="booking-separator-row">
@@ -308,8 +475,11 @@ const ScheduleTable = ({
               <tr key={group}>
                 <td className={`group-cell${bookingGroupNames.has(group) ? ' group-cell-booking' : ''}`}>
                   <div className="group-cell-content">
-                    <span className="group-name">{group}</span>
-                    {isAuthenticated && (
+                    <span className="group-name">
+                      {group}
+                      {mergedRow(group) && <span className="group-merged-hint">👥 {subgroups.map(groupIndex.subgroupLabel).join(' + ')}</span>}
+                    </span>
+                    {rowEdit && (
                       <button className="delete-group-btn" onClick={() => { if (window.confirm(t('confirmDeleteGroup', { group }))) onDeleteGroup(group); }}>×</button>
                     )}
                   </div>
@@ -342,36 +512,63 @@ const ScheduleTable = ({
                     <td key={cellKey}
                       className={['schedule-cell',
                         cd ? 'filled' : '',
-                        isAuthenticated ? 'editable' : (!cd && !bk) ? 'guest-bookable' : '',
+                        rowEdit ? 'editable' : isAuthenticated || mergedRow(group) ? '' : (!cd && !bk) ? 'guest-bookable' : '',
                         isToday ? 'today-cell' : '',
                         cf.includes('teacher') ? 'conflict-teacher' : '',
                         cf.includes('room') ? 'conflict-room' : '',
                         isDragSrc ? 'drag-source' : '',
-                        isDragOvr ? (cd ? 'drag-over-filled' : 'drag-over-empty') : '',
+                        isDragOvr ? (dropProblem ? 'drag-over-blocked' : cd ? 'drag-over-filled' : 'drag-over-empty') : '',
                         dur > 1 ? 'multi-slot' : '',
+                        cd?.offWeek ? 'off-week' : '',
+                        cd?.cancelled ? 'exc-off' : '',
+                        cd?.movedIn || cd?.makeup ? 'exc-added' : '',
                         bk && !cd ? (bk.status === 'approved' ? 'booked-approved' : 'booked-pending') : '',
+                        selectedSet.has(cellKey) ? 'cell-selected' : '',
+                        bandKeys.has(cellKey) ? 'band-over' : '',
+                        liveEditors[cellKey] ? 'live-editing' : '',
+                        canEdit && draft[cellKey] ? 'cell-drafted' : '',
                       ].filter(Boolean).join(' ')}
                       style={cd && ts ? { background: ts.light, borderLeft: `3px solid ${ts.color}` } : {}}
                       colSpan={dur}
-                      onClick={() => { if (isAuthenticated && !dragSource) { onEditClass(group, day, tm); return; } if (!isAuthenticated && !cd && !bk && onGuestBookCell) onGuestBookCell(group, day, tm); }}
-                      draggable={isAuthenticated && !!cd}
+                      onClick={e => {
+                        if (rowEdit && (e.shiftKey || e.ctrlKey || e.metaKey)) { handleSelectClick(e, { group, day, time: tm }); return; }
+                        anchor.current = { group, day, time: tm };
+                        // A plain click ends a selection instead of opening the editor
+                        if (rowEdit && selectedKeys.length) { setSelection([]); return; }
+                        if (rowEdit && !dragSource) { onEditClass(group, day, tm); return; }
+                        if (!isAuthenticated && !cd && !bk && onGuestBookCell && !mergedRow(group)) onGuestBookCell(group, day, tm);
+                      }}
+                      onMouseDown={rowEdit ? e => handleBandStart(e, { group, day, time: tm }, cd) : undefined}
+                      onMouseEnter={rowEdit ? () => handleBandEnter({ group, day, time: tm }) : undefined}
+                      onContextMenu={rowEdit ? e => { e.preventDefault(); setMenu({ x: e.clientX, y: e.clientY, group, day, time: tm }); } : undefined}
+                      draggable={rowEdit && !!cd && !cd.movedIn && !cd.makeup}
                       onDragStart={cd ? e => handleDragStart(e, group, day, tm) : undefined}
                       onDragEnd={handleDragEnd}
-                      onDragOver={e => handleDragOver(e, group, day, tm)}
+                      onDragOver={rowEdit ? e => handleDragOver(e, group, day, tm) : undefined}
                       onDragLeave={handleDragLeave}
-                      onDrop={e => handleDrop(e, group, day, tm)}
+                      onDrop={rowEdit ? e => handleDrop(e, group, day, tm) : undefined}
+                      title={isDragOvr && dropProblem ? dropProblem : undefined}
                     >
+                      {canEdit && liveEditors[cellKey] && (
+                        <div className="live-editor-badge" title={t('liveEditingNow', { names: liveEditors[cellKey].join(', ') })}>
+                          ✏️ {liveEditors[cellKey].join(', ')}
+                        </div>
+                      )}
                       {cd ? (
                         <div className="cell-content">
                           {ts && <div className="type-pill" style={{ background: ts.color }}>{ts.icon} {typeLabels[cd.subjectType || 'lecture']}</div>}
                           {(cf.includes('teacher') || cf.includes('room')) && <div className="cell-conflict-icons">{cf.includes('teacher') && <span>⚠️</span>}{cf.includes('room') && <span>🚪⚠️</span>}</div>}
                           <div className="course-name">{cd.course}</div>
-                          {dur > 1 && <div className="duration-indicator">⏱ {dur * 40}min</div>}
+                          {cd.joint && <div className="merged-badge">👥 {t('greqJointClass')}</div>}
+                          {cd.recurrence && <div className="recur-badge" title={cd.offWeek ? t('offWeek') : undefined}>🔁 {recurrenceLabel(cd.recurrence, t)}</div>}
+                          <ExceptionBadge entry={cd} t={t} />
+                          <JointBadge entry={cd} t={t} />
+                          {dur > 1 && <div className="duration-indicator">⏱ {spanMinutes(tm, dur, timeSlots)}min</div>}
                           {cd.teacher && <div className={`teacher-name ${cf.includes('teacher') ? 'conflict-text' : ''}`}>👨‍🏫 {cd.teacher}</div>}
                           {cd.room    && <div className={`room-number ${cf.includes('room') ? 'conflict-text' : ''}`}>🚪 {cd.room}</div>}
                           {cd.meetingLink && <a href={cd.meetingLink} target="_blank" rel="noopener noreferrer" className="meeting-link-btn" onClick={e => e.stopPropagation()}>🔗 Join</a>}
                           {bkLabel}
-                          {isAuthenticated && <div className="drag-handle">⠿</div>}
+                          {rowEdit && <div className="drag-handle">⠿</div>}
                         </div>
                       ) : (<>
                         {bk ? (
@@ -381,8 +578,8 @@ const ScheduleTable = ({
                             {bkLabel}
                           </div>
                         ) : (<>
-                          {isAuthenticated  && <div className="empty-cell">+</div>}
-                          {!isAuthenticated && <div className="guest-book-hint">📅 Click to book</div>}
+                          {rowEdit          && <div className="empty-cell">+</div>}
+                          {!isAuthenticated && !mergedRow(group) && <div className="guest-book-hint">📅 Click to book</div>}
                           {isDragOvr        && <div className="drop-indicator">Drop here</div>}
                         </>)}
                       </>)}
@@ -391,10 +588,12 @@ const ScheduleTable = ({
                 }))}
               </tr>
             </>
-            ))}
+            ); })}
           </tbody>
         </table>
       </div>
+      {canEdit && selectedKeys.length > 0 && <BulkEditBar keys={selectedKeys} onClear={() => setSelection([])} />}
+      {canEdit && menu && <CellMenu menu={menu} options={pasteOptions} onClose={closeMenu} />}
     </div>
   );
 };
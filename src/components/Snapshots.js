@@ -0,0 +1,249 @@
+// src/components/Snapshots.js
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { useToast } from '../context/ToastContext';
+import { snapshotsAPI, listOf } from '../utils/api';
+import { snapshotSize, diffSchedules, inScope } from '../utils/snapshots';
+import './Snapshots.css';
+
+const PAGE = 100;
+
+const STATUS_ICONS = { added: '➕', removed: '➖', changed: '✏️' };
+
+const newestFirst = (list) => [...list].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+const summary = (e) => [e.course, e.teacher, e.room].filter(Boolean).join(' · ');
+
+// Toggles `value` in a selection where null means everything in `all`
+const toggle = (selected, all, value) => {
+  const list = selected || all;
+  const next = list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+  return next.length === all.length ? null : next;
+};
+
+// ─── Diff of one snapshot against the live timetable, with restore ────────────
+const SnapshotDiff = ({ snap, onClose }) => {
+  const { schedule, days: gridDays, restoreSnapshot, readOnly } = useSchedule();
+  const { t } = useLanguage();
+  const { showToast } = useToast();
+  const [groups,  setGroups]  = useState(null);   // null = every group
+  const [days,    setDays]    = useState(null);   // null = every day
+  const [shown,   setShown]   = useState(PAGE);
+  const [running, setRunning] = useState(false);
+
+  const diff = useMemo(() => diffSchedules(snap.schedule || {}, schedule), [snap, schedule]);
+
+  // Only groups and days that differ can be picked
+  const allGroups = useMemo(() => [...new Set(diff.map(r => (r.snapshot || r.live).group))].sort(), [diff]);
+  const allDays   = useMemo(() => {
+    const used = new Set(diff.map(r => (r.snapshot || r.live).day));
+    return [...gridDays.filter(d => used.has(d)), ...[...used].filter(d => !gridDays.includes(d))];
+  }, [diff, gridDays]);
+
+  const scope   = { groups, days };
+  const visible = diff.filter(row => inScope(row, scope))
+    .sort((a, b) => a.key.localeCompare(b.key));
+  const counts  = visible.reduce((acc, r) => ({ ...acc, [r.status]: acc[r.status] + 1 }), { added: 0, removed: 0, changed: 0 });
+  const partial = groups !== null || days !== null;
+
+  const handleRestore = async (restoreScope) => {
+    const count = restoreScope ? visible.length : diff.length;
+    if (!window.confirm(t('snapRestoreConfirm', { name: snap.name, count }))) return;
+    setRunning(true);
+    const ok = await restoreSnapshot(snap, restoreScope || {});
+    setRunning(false);
+    if (ok) showToast({ type: 'success', message: t('snapRestored', { name: snap.name }) });
+  };
+
+  return (
+    <section className="snap-diff">
+      <div className="snap-diff-head">
+        <h3 className="snap-section-title">🔍 {t('snapDiffTitle', { name: snap.name })}</h3>
+        <button className="snap-icon-btn" title={t('cancel')} onClick={onClose}>✕</button>
+      </div>
+      <p className="snap-hint">{t('snapDiffHint')}</p>
+
+      {diff.length === 0 ? <div className="snap-empty">{t('snapNoDiff')}</div> : (
+        <>
+          <div className="snap-scope">
+            <span className="snap-scope-label">{t('snapGroups')}</span>
+            {allGroups.map(g => (
+              <button key={g} className={`snap-chip${!groups || groups.includes(g) ? ' active' : ''}`}
+                onClick={() => setGroups(sel => toggle(sel, allGroups, g))}>{g}</button>
+            ))}
+          </div>
+          <div className="snap-scope">
+            <span className="snap-scope-label">{t('snapDays')}</span>
+            {allDays.map(d => (
+              <button key={d} className={`snap-chip${!days || days.includes(d) ? ' active' : ''}`}
+                onClick={() => setDays(sel => toggle(sel, allDays, d))}>{t(d)}</button>
+            ))}
+          </div>
+
+          <div className="snap-counts">
+            <span className="snap-count snap-added">➕ {t('snapAdded', { count: counts.added })}</span>
+            <span className="snap-count snap-removed">➖ {t('snapRemoved', { count: counts.removed })}</span>
+            <span className="snap-count snap-changed">✏️ {t('snapChanged', { count: counts.changed })}</span>
+          </div>
+
+          <div className="snap-rows">
+            {visible.slice(0, shown).map(row => {
+              const e = row.snapshot || row.live;
+              return (
+                <div key={row.key} className={`snap-row snap-${row.status}`}>
+                  <span className="snap-row-icon">{STATUS_ICONS[row.status]}</span>
+                  <div className="snap-row-main">
+                    <div className="snap-row-cell">{e.group} · {t(e.day)} · {e.time}</div>
+                    {row.status === 'changed' ? (
+                      <div className="snap-fields">
+                        {row.fields.map(f => (
+                          <div key={f.field} className="snap-field">
+                            <span className="snap-field-name">{f.field}</span>
+                            {f.from && <span className="snap-from">{f.from}</span>}
+                            {f.from && f.to && <span className="snap-arrow">→</span>}
+                            {f.to && <span className="snap-to">{f.to}</span>}
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <div className={row.status === 'added' ? 'snap-to' : 'snap-from'}>{summary(e)}</div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+            {visible.length > shown && (
+              <button className="snap-btn snap-more" onClick={() => setShown(n => n + PAGE)}>
+                {t('snapShowMore', { count: visible.length - shown })}
+              </button>
+            )}
+          </div>
+
+          <div className="snap-actions">
+            {partial && (
+              <button className="snap-btn" onClick={() => handleRestore(scope)}
+                disabled={running || readOnly || !visible.length} title={readOnly ? t('termReadOnly') : ''}>
+                {running ? '⏳' : t('snapRestoreSelected', { count: visible.length })}
+              </button>
+            )}
+            <button className="snap-btn snap-btn-primary" onClick={() => handleRestore(null)}
+              disabled={running || readOnly} title={readOnly ? t('termReadOnly') : ''}>
+              {running ? '⏳' : `↩ ${t('snapRestoreAll')}`}
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+// ─── Main screen ──────────────────────────────────────────────────────────────
+const Snapshots = () => {
+  const { createSnapshot } = useSchedule();
+  const { t } = useLanguage();
+  const { showToast } = useToast();
+  const [snaps,    setSnaps]    = useState([]);
+  const [loading,  setLoading]  = useState(true);
+  const [error,    setError]    = useState('');
+  const [name,     setName]     = useState('');
+  const [saving,   setSaving]   = useState(false);
+  const [selected, setSelected] = useState(null);   // full snapshot being compared
+  const [opening,  setOpening]  = useState(null);   // id being fetched
+
+  const load = useCallback(() => {
+    setLoading(true);
+    setError('');
+    snapshotsAPI.getAll()
+      .then(res => {
+        setSnaps(newestFirst(listOf(res)));
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setSaving(true);
+    const saved = await createSnapshot(name.trim());
+    setSaving(false);
+    if (!saved) return;
+    setName('');
+    showToast({ type: 'success', message: t('snapSaved', { name: saved.name }) });
+    load();
+  };
+
+  // The list may come without timetables, so the one to compare is fetched
+  const handleOpen = async (snap) => {
+    if (snap.schedule) { setSelected(snap); return; }
+    setOpening(snap.id);
+    try {
+      const full = await snapshotsAPI.get(snap.id);
+      setSelected({ ...snap, ...full });
+    } catch (err) {
+      showToast({ type: 'error', message: err.message });
+    } finally {
+      setOpening(null);
+    }
+  };
+
+  const handleDelete = async (snap) => {
+    if (!window.confirm(t('snapDeleteConfirm', { name: snap.name }))) return;
+    try {
+      await snapshotsAPI.delete(snap.id);
+      if (selected?.id === snap.id) setSelected(null);
+      setSnaps(list => list.filter(s => s.id !== snap.id));
+    } catch (err) {
+      showToast({ type: 'error', message: err.message });
+    }
+  };
+
+  return (
+    <div className="snap-page">
+      <div className="snap-header">
+        <div>
+          <h2 className="snap-title">📸 {t('snapTitle')}</h2>
+          <p className="snap-subtitle">{t('snapSubtitle')}</p>
+        </div>
+        <button className="snap-btn" onClick={load} disabled={loading}>🔄 {t('auditRefresh')}</button>
+      </div>
+
+      <form className="snap-create" onSubmit={handleCreate}>
+        <input className="snap-input" placeholder={t('snapNamePlaceholder')} value={name}
+          onChange={e => setName(e.target.value)} maxLength={120} />
+        <button type="submit" className="snap-btn snap-btn-primary" disabled={saving || !name.trim()}>
+          {saving ? '⏳' : `📸 ${t('snapCreate')}`}
+        </button>
+      </form>
+
+      {error && <div className="snap-error">{error}</div>}
+      {loading ? <div className="snap-empty">⏳</div> : (
+        <div className="snap-list">
+          {snaps.length === 0 && !error && <div className="snap-empty">{t('snapEmpty')}</div>}
+          {snaps.map(snap => (
+            <div key={snap.id} className={`snap-card${selected?.id === snap.id ? ' active' : ''}`}>
+              <div className="snap-card-main">
+                <div className="snap-card-name">{snap.name}</div>
+                <div className="snap-card-meta">
+                  👤 {snap.author || t('auditUnknownUser')} · 🕘 {snap.createdAt ? new Date(snap.createdAt).toLocaleString() : '—'}
+                  {' · '}{t('snapClasses', { count: snapshotSize(snap) })}
+                </div>
+              </div>
+              <button className="snap-btn" onClick={() => handleOpen(snap)} disabled={opening === snap.id}>
+                {opening === snap.id ? '⏳' : `🔍 ${t('snapCompare')}`}
+              </button>
+              <button className="snap-icon-btn" title={t('delete')} onClick={() => handleDelete(snap)}>🗑️</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Remounted per snapshot so the restore scope starts from everything */}
+      {selected && <SnapshotDiff key={selected.id} snap={selected} onClose={() => setSelected(null)} />}
+    </div>
+  );
+};
+
+export default Snapshots;
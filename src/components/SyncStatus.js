@@ -0,0 +1,46 @@
+// src/components/SyncStatus.js
+import React from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import './SyncStatus.css';
+
+const formatSynced = (ts, lang) => {
+  if (!ts) return '—';
+  const locale = (lang === 'ru' || lang === 'ky') ? 'ru-RU' : 'en-GB';
+  const d = new Date(ts);
+  const sameDay = d.toDateString() === new Date().toDateString();
+  return sameDay
+    ? d.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })
+    : d.toLocaleDateString(locale, { day: 'numeric', month: 'short' }) + ' ' +
+      d.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+};
+
+// Topbar chip: connection state and when the timetable was last loaded from the server
+const SyncStatus = () => {
+  const { online, syncing, lastSynced, fromCache, pending, syncNow } = useSchedule();
+  const { t, lang } = useLanguage();
+
+  const queued = pending.filter(m => m.status === 'queued').length;
+  const when   = formatSynced(lastSynced, lang);
+
+  let state, icon, label;
+  if (!online)                   { state = 'offline'; icon = '📴'; label = t('syncOffline'); }
+  else if (syncing)              { state = 'syncing'; icon = '⟳';  label = t('syncSyncing'); }
+  else if (fromCache || queued)  { state = 'stale';   icon = '⚠️'; label = t('syncStale'); }
+  else                           { state = 'synced';  icon = '✓';  label = t('syncSynced'); }
+
+  return (
+    <button
+      className={`sync-status sync-${state}`}
+      onClick={online && !syncing ? syncNow : undefined}
+      title={`${t('syncLastSynced')}: ${lastSynced ? new Date(lastSynced).toLocaleString() : '—'}${online ? ` — ${t('syncNow')}` : ''}`}
+    >
+      <span className={state === 'syncing' ? 'sync-spin' : ''}>{icon}</span>
+      <span className="tb-lbl">{label}</span>
+      <span className="sync-time">{when}</span>
+      {queued > 0 && <span className="sync-queued">{queued} {t('syncQueued')}</span>}
+    </button>
+  );
+};
+
+export default SyncStatus;
@@ -3,11 +3,11 @@ import React, { useState, useMemo } from 'react';
 import { useSchedule } from '../context/ScheduleContext';
 import { useLanguage } from '../context/LanguageContext';
 import { SUBJECT_TYPES, SUBJECT_TYPE_LABELS } from '../data/i18n';
-import { normalizeTeacherName } from '../context/ScheduleContext';
+import { entryTeachers } from '../context/ScheduleContext';
 import './TeacherDashboard.css';
 
 const TeacherDashboard = () => {
-  const { schedule, teachers, days, timeSlots } = useSchedule();
+  const { schedule, teachers, teacherIndex, days, timeSlots } = useSchedule();
   const { t, lang } = useLanguage();
   const typeLabels = SUBJECT_TYPE_LABELS[lang] || SUBJECT_TYPE_LABELS.en;
 
@@ -23,13 +23,13 @@ const TeacherDashboard = () => {
   const [selectedTeacher, setSelectedTeacher] = useState('');
   const effectiveSelected = selectedTeacher || allTeacherNames[0] || '';
 
-  // Build stats — match using normalizeTeacherName exactly like ScheduleContext does
+  // Build stats — match through entryTeachers exactly like ScheduleContext does
   const allStats = useMemo(() => {
     return allTeacherNames.map(teacher => {
-      // teacher is already normalized (from buildTeacherList in ScheduleContext)
-      // match raw schedule entries using the same normalize function
+      // teacher is already normalized (from buildTeacherList in ScheduleContext);
+      // a co-taught class counts for each of its teachers
       const classes = scheduleEntries.filter(e =>
-        normalizeTeacherName(e.teacher) === teacher
+        entryTeachers(e, teacherIndex).includes(teacher)
       );
 
       const byDay = {};
@@ -49,7 +49,7 @@ const TeacherDashboard = () => {
 
       return { teacher, classes, byDay, byType, freeDays, total: classes.length };
     }).sort((a, b) => b.total - a.total);
-  }, [allTeacherNames, scheduleEntries, days]);
+  }, [allTeacherNames, scheduleEntries, days, teacherIndex]);
 
   // Selected teacher detail
   const detail = useMemo(() => {
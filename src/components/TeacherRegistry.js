@@ -0,0 +1,201 @@
+// src/components/TeacherRegistry.js
+import React, { useState, useMemo } from 'react';
+import { useSchedule, entryTeachers } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { findLikelyDuplicates } from '../utils/teacherRegistry';
+import './TeacherRegistry.css';
+
+const EMPTY_FORM = { name: '', title: '', department: '', email: '', phone: '', aliases: '' };
+
+const toForm = (tc) => ({
+  ...EMPTY_FORM, ...tc,
+  aliases: (tc.aliases || []).join('\n'),
+});
+
+const fromForm = (form) => ({
+  name:       form.name.trim(),
+  title:      form.title.trim(),
+  department: form.department.trim(),
+  email:      form.email.trim(),
+  phone:      form.phone.trim(),
+  aliases:    [...new Set(form.aliases.split(/[\n;]+/).map(a => a.trim()).filter(Boolean))],
+});
+
+// ─── Add / edit form ──────────────────────────────────────────────────────────
+const TeacherForm = ({ initial, onSave, onCancel }) => {
+  const { teacherRegistry } = useSchedule();
+  const { t } = useLanguage();
+  const [form,   setForm]   = useState(() => (initial ? toForm(initial) : EMPTY_FORM));
+  const [error,  setError]  = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: e => setForm(f => ({ ...f, [key]: e.target.value })),
+  });
+
+  const handleSave = async () => {
+    const teacher = fromForm(form);
+    if (!teacher.name) { setError(t('treqNameRequired')); return; }
+    const clash = teacherRegistry.find(tc => tc.name.toLowerCase() === teacher.name.toLowerCase() && tc.name !== initial?.name);
+    if (clash) { setError(t('treqNameTaken', { name: clash.name })); return; }
+    setSaving(true);
+    const ok = await onSave({ ...initial, ...teacher });
+    setSaving(false);
+    if (ok) onCancel();
+  };
+
+  return (
+    <div className="treq-form">
+      <div className="treq-form-grid">
+        <label>{t('treqName')}<input className="treq-input" placeholder="Dr. Daniiar Satybaldiev" {...field('name')} autoFocus /></label>
+        <label>{t('treqTitle')}<input className="treq-input" placeholder="Associate Professor" {...field('title')} /></label>
+        <label>{t('treqDepartment')}<input className="treq-input" {...field('department')} /></label>
+        <label>{t('treqEmail')}<input className="treq-input" type="email" {...field('email')} /></label>
+        <label>{t('treqPhone')}<input className="treq-input" type="tel" {...field('phone')} /></label>
+      </div>
+      <label className="treq-aliases-label">
+        {t('treqAliases')}
+        <textarea className="treq-input treq-aliases-input" rows={3} placeholder={t('treqAliasesHint')} {...field('aliases')} />
+      </label>
+      {error && <div className="treq-error">⚠️ {error}</div>}
+      <div className="treq-form-actions">
+        <button className="treq-btn treq-btn-ghost" onClick={onCancel}>{t('cancel')}</button>
+        <button className="treq-btn treq-btn-primary" onClick={handleSave} disabled={saving}>{saving ? '⏳' : t('save')}</button>
+      </div>
+    </div>
+  );
+};
+
+// ─── Likely duplicate: pick the canonical spelling, merge the rest ────────────
+const DuplicateCard = ({ names, counts, onMerge, onDismiss }) => {
+  const { t } = useLanguage();
+  const [target,  setTarget]  = useState(() => [...names].sort((a, b) => (counts[b] || 0) - (counts[a] || 0))[0]);
+  const [merging, setMerging] = useState(false);
+
+  return (
+    <div className="treq-dup-card">
+      {names.map(n => (
+        <label key={n} className={`treq-dup-name${n === target ? ' treq-dup-target' : ''}`}>
+          <input type="radio" checked={n === target} onChange={() => setTarget(n)} />
+          <span>{n}</span>
+          <span className="treq-dup-count">{t('treqClassCount', { count: counts[n] || 0 })}</span>
+        </label>
+      ))}
+      <div className="treq-dup-actions">
+        <button className="treq-btn treq-btn-ghost" onClick={onDismiss}>{t('treqNotSame')}</button>
+        <button className="treq-btn treq-btn-primary" disabled={merging}
+          onClick={async () => { setMerging(true); await onMerge(names, target); setMerging(false); }}>
+          {merging ? '⏳' : t('treqMergeInto', { name: target })}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// ─── Main screen ──────────────────────────────────────────────────────────────
+const TeacherRegistry = () => {
+  const { schedule, teachers, teacherRegistry, teacherIndex, saveTeacher, deleteTeacher, mergeTeachers } = useSchedule();
+  const { t } = useLanguage();
+  const [editing,   setEditing]   = useState(null);   // registry entry, 'new' or null
+  const [search,    setSearch]    = useState('');
+  const [dismissed, setDismissed] = useState([]);     // cluster keys marked "not the same person"
+
+  // Classes per normalized name — shown next to each suggestion
+  const counts = useMemo(() => {
+    const out = {};
+    Object.values(schedule).forEach(e => {
+      entryTeachers(e, teacherIndex).forEach(n => { out[n] = (out[n] || 0) + 1; });
+    });
+    return out;
+  }, [schedule, teacherIndex]);
+
+  // `teachers` is memoized in the context, so this reruns only when the names change
+  const suggestions = useMemo(
+    () => findLikelyDuplicates(teachers).filter(c => !dismissed.includes(c.join('|'))),
+    [teachers, dismissed],
+  );
+
+  const shown = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    const list = [...teacherRegistry].sort((a, b) => a.name.localeCompare(b.name));
+    if (!q) return list;
+    return list.filter(tc => [tc.name, tc.department, tc.email, ...(tc.aliases || [])]
+      .some(v => v && v.toLowerCase().includes(q)));
+  }, [teacherRegistry, search]);
+
+  const handleDelete = (tc) => {
+    if (window.confirm(t('treqDeleteConfirm', { name: tc.name }))) deleteTeacher(tc.name);
+  };
+
+  return (
+    <div className="treq-page">
+      <div className="treq-header">
+        <div>
+          <h2 className="treq-title">📇 {t('treqTitleHeading')}</h2>
+          <p className="treq-subtitle">{t('treqSubtitle')}</p>
+        </div>
+        {editing !== 'new' && (
+          <button className="treq-btn treq-btn-primary" onClick={() => setEditing('new')}>＋ {t('treqAdd')}</button>
+        )}
+      </div>
+
+      {suggestions.length > 0 && (
+        <section className="treq-section">
+          <h3 className="treq-section-title">🔍 {t('treqDuplicates')} <span className="treq-count">{suggestions.length}</span></h3>
+          <p className="treq-hint">{t('treqDuplicatesHint')}</p>
+          <div className="treq-dup-grid">
+            {suggestions.map(names => (
+              <DuplicateCard key={names.join('|')} names={names} counts={counts}
+                onMerge={mergeTeachers}
+                onDismiss={() => setDismissed(d => [...d, names.join('|')])} />
+            ))}
+          </div>
+        </section>
+      )}
+
+      <section className="treq-section">
+        <div className="treq-list-head">
+          <h3 className="treq-section-title">{t('treqRegistry')} <span className="treq-count">{teacherRegistry.length}</span></h3>
+          <input className="treq-input treq-search" placeholder={`🔍 ${t('treqSearch')}`}
+            value={search} onChange={e => setSearch(e.target.value)} />
+        </div>
+
+        {editing === 'new' && (
+          <TeacherForm onSave={tc => saveTeacher(tc)} onCancel={() => setEditing(null)} />
+        )}
+
+        <div className="treq-list">
+          {shown.map(tc => (editing === tc ? (
+            <TeacherForm key={tc.name} initial={tc}
+              onSave={next => saveTeacher(next, tc.name)} onCancel={() => setEditing(null)} />
+          ) : (
+            <div key={tc.name} className="treq-row">
+              <div className="treq-row-main">
+                <div className="treq-row-name">
+                  {tc.name}
+                  <span className="treq-dup-count">{t('treqClassCount', { count: counts[tc.name] || 0 })}</span>
+                </div>
+                <div className="treq-row-meta">
+                  {[tc.title, tc.department, tc.email, tc.phone].filter(Boolean).join(' · ')}
+                </div>
+                {(tc.aliases || []).length > 0 && (
+                  <div className="treq-aliases">
+                    {tc.aliases.map(a => <span key={a} className="treq-alias">{a}</span>)}
+                  </div>
+                )}
+              </div>
+              <div className="treq-row-actions">
+                <button className="treq-icon-btn" title={t('edit')} onClick={() => setEditing(tc)}>✏️</button>
+                <button className="treq-icon-btn" title={t('delete')} onClick={() => handleDelete(tc)}>🗑️</button>
+              </div>
+            </div>
+          )))}
+          {shown.length === 0 && <div className="treq-empty">{t('treqEmpty')}</div>}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default TeacherRegistry;
@@ -1,27 +1,23 @@
 // Frontend: src/components/TeacherTelegramManagement.js
-import React, { useState, useEffect, useMemo } from 'react';
-import { useSchedule } from '../context/ScheduleContext';
+import React, { useState, useMemo } from 'react';
+import { useSchedule, normalizeTeacherName } from '../context/ScheduleContext';
 import { useAuth } from '../context/AuthContext';
 import { useLanguage } from '../context/LanguageContext';
+import { useQuery, invalidateQueries } from '../context/QueryContext';
 import BroadcastMessage from './BroadcastMessage';
+import { teachersAPI, groupChannelsAPI, settingsAPI, queries } from '../utils/api';
 import './TeacherTelegramManagement.css';
 
-const API_URL = process.env.REACT_APP_API_URL || 'https://timetablebackend-production.up.railway.app/api';
-const getToken = () =>
-  localStorage.getItem('scheduleToken') ||
-  localStorage.getItem('token') ||
-  localStorage.getItem('authToken') || '';
+// Runs a request and tells how it went, for handlers that branch on the outcome
+const settle = (request) =>
+  request.then(() => ({ success: true }), err => ({ success: false, error: err.message, auth: err.auth }));
 
 const TeacherTelegramManagement = ({ isDark = false }) => {
   const { isAuthenticated, loading: authLoading } = useAuth();
   const { t } = useLanguage();
-  const { teachers: canonicalTeachers } = useSchedule();
+  const { teachers: canonicalTeachers, teacherIndex } = useSchedule();
 
-  const [dbTeachers, setDbTeachers]   = useState([]);
-  const [groups, setGroups]           = useState([]);
-  const [loading, setLoading]         = useState(true);
   const [tab, setTab]                 = useState('teachers');
-  const [notificationsEnabled, setNotificationsEnabled] = useState(true);
   const [search, setSearch]           = useState('');
 
   const [editingName, setEditingName]       = useState(null);
@@ -37,66 +33,36 @@ const TeacherTelegramManagement = ({ isDark = false }) => {
   const [groupChatInput, setGroupChatInput] = useState('');
   const [confirmDelete, setConfirmDelete]   = useState(null);
 
-  const fetchDbTeachers = async () => {
-    try {
-      const res  = await fetch(`${API_URL}/teachers`, { headers: { Authorization: `Bearer ${getToken()}` } });
-      const data = await res.json();
-      if (data.success) setDbTeachers(data.data);
-    } catch (e) { console.error(e); }
-  };
-
-  const fetchGroups = async () => {
-    try {
-      const res  = await fetch(`${API_URL}/group-channels`, { headers: { Authorization: `Bearer ${getToken()}` } });
-      const data = await res.json();
-      if (data.success) setGroups(data.data);
-    } catch (e) { console.error(e); }
-  };
-
-  const fetchGlobalNotifSetting = async () => {
-    try {
-      const res  = await fetch(`${API_URL}/settings/notifications_enabled`);
-      const data = await res.json();
-      if (data.success) setNotificationsEnabled(data.value !== 'false');
-    } catch { /* ignore */ }
+  // Teachers and channels are shared with BroadcastMessage through the query cache
+  const enabled       = !authLoading && isAuthenticated;
+  const teachersQuery = useQuery(queries.teachers(), { enabled });
+  const channelsQuery = useQuery(queries.groupChannels(), { enabled });
+  const notifQuery    = useQuery(queries.setting('notifications_enabled'), { enabled });
+  const loading = !enabled || teachersQuery.loading || channelsQuery.loading || notifQuery.loading;
+
+  const dbTeachers = useMemo(() => teachersQuery.data || [], [teachersQuery.data]);
+  const groups     = channelsQuery.data || [];
+  const notificationsEnabled = notifQuery.data !== 'false';
+
+  const fetchDbTeachers = () => invalidateQueries(queries.teachers().key);
+  const fetchGroups     = () => invalidateQueries(queries.groupChannels().key);
+  const fetchAll        = () => {
+    fetchDbTeachers(); fetchGroups();
+    invalidateQueries(queries.setting('notifications_enabled').key);
   };
 
   const toggleGlobalNotifications = async () => {
     const newVal = !notificationsEnabled;
     try {
-      await fetch(`${API_URL}/settings/notifications_enabled`, {
-        method: 'PUT',
-        headers: { Authorization: `Bearer ${getToken()}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ value: String(newVal) }),
-      });
-      setNotificationsEnabled(newVal);
+      await settingsAPI.set('notifications_enabled', newVal);
+      notifQuery.setData(String(newVal));
     } catch (e) { alert('Error: ' + e.message); }
   };
 
-  const fetchAll = async () => {
-    setLoading(true);
-    await Promise.all([fetchDbTeachers(), fetchGroups(), fetchGlobalNotifSetting()]);
-    setLoading(false);
-  };
-
-  useEffect(() => {
-    if (!authLoading && isAuthenticated) {
-      fetchAll();
-    }
-  }, [isAuthenticated, authLoading]);
-
-  const { normalizeTeacherName } = useMemo(() => {
-    try {
-      return require('../context/ScheduleContext');
-    } catch {
-      return { normalizeTeacherName: (n) => n };
-    }
-  }, []);
-
   const merged = useMemo(() => {
     return canonicalTeachers.map(canonName => {
       const matches = dbTeachers.filter(row =>
-        (normalizeTeacherName(row.name) || row.name.trim()) === canonName
+        (normalizeTeacherName(row.name, teacherIndex) || row.name.trim()) === canonName
       );
       const winner = matches.find(r => r.telegram_id) || matches[0] || null;
       return {
@@ -108,7 +74,7 @@ const TeacherTelegramManagement = ({ isDark = false }) => {
         dupCount:              matches.length,
       };
     });
-  }, [canonicalTeachers, dbTeachers, normalizeTeacherName]);
+  }, [canonicalTeachers, dbTeachers, teacherIndex]);
 
   const displayed = useMemo(() => {
     if (!search.trim()) return merged;
@@ -119,21 +85,6 @@ const TeacherTelegramManagement = ({ isDark = false }) => {
   const linked   = merged.filter(t => t.telegram_id).length;
   const gLinked  = groups.filter(g => g.chat_id).length;
 
-  const apiCall = async (url, method, body) => {
-    try {
-      const res  = await fetch(url, {
-        method,
-        headers: { Authorization: `Bearer ${getToken()}`, 'Content-Type': 'application/json' },
-        ...(body ? { body: JSON.stringify(body) } : {}),
-      });
-      const text = await res.text();
-      try { return { ok: res.ok, ...JSON.parse(text) }; }
-      catch { return { ok: false, error: text }; }
-    } catch (err) {
-      return { ok: false, error: err.message };
-    }
-  };
-
   const startEdit = (t, field) => {
     setEditingName(t.canonName);
     setEditField(field);
@@ -146,13 +97,12 @@ const TeacherTelegramManagement = ({ isDark = false }) => {
   const saveTelegramId = async (t) => {
     const trimmed = telegramInput.trim();
     if (!trimmed) { cancelEdit(); return; }
-    const token = getToken();
-    if (!token) { alert('Not logged in — please refresh the page and try again.'); return; }
-    const data = await apiCall(`${API_URL}/teachers/save-telegram`, 'POST', {
+    if (!isAuthenticated) { alert('Not logged in — please refresh the page and try again.'); return; }
+    const data = await settle(teachersAPI.saveTelegram({
       id: t.id || null, name: t.canonName, telegram_id: trimmed,
-    });
+    }));
     if (data.success) { cancelEdit(); fetchDbTeachers(); }
-    else if (data.error?.includes('Access denied') || data.error?.includes('token')) {
+    else if (data.auth) {
       alert('Session expired — please refresh the page and log in again.');
     } else {
       alert('Error saving Telegram ID: ' + (data.error || 'unknown'));
@@ -162,7 +112,7 @@ const TeacherTelegramManagement = ({ isDark = false }) => {
   const removeTelegramId = async (t) => {
     if (!t.id || !t.telegram_id) return;
     if (!window.confirm(`Remove Telegram ID for ${t.canonName}?`)) return;
-    const data = await apiCall(`${API_URL}/teachers/${t.id}/telegram`, 'DELETE');
+    const data = await settle(teachersAPI.removeTelegram(t.id));
     if (data.success) fetchDbTeachers();
     else alert('Error: ' + (data.error || 'unknown'));
   };
@@ -172,16 +122,16 @@ const TeacherTelegramManagement = ({ isDark = false }) => {
     if (!newName || newName === t.canonName) { cancelEdit(); return; }
     if (!t.allIds.length) { cancelEdit(); return; }
     await Promise.all(t.allIds.map(id =>
-      apiCall(`${API_URL}/teachers/${id}/name`, 'PUT', { name: newName })
+      settle(teachersAPI.rename(id, newName))
     ));
     cancelEdit();
-    await fetchDbTeachers();
+    fetchDbTeachers();
   };
 
   const toggleNotifications = async (teacher) => {
     if (!teacher.id) return;
     const newVal = !teacher.notifications_enabled;
-    const data = await apiCall(`${API_URL}/teachers/${teacher.id}/notifications`, 'PUT', { enabled: newVal });
+    const data = await settle(teachersAPI.setNotifications(teacher.id, newVal));
     if (data.success) fetchDbTeachers();
     else alert('Error: ' + (data.error || 'unknown'));
   };
@@ -190,12 +140,12 @@ const TeacherTelegramManagement = ({ isDark = false }) => {
     if (!t.allIds.length) { alert(`"${t.canonName}" has no database record — nothing to delete.`); return; }
     const note = t.dupCount > 1 ? `\n(removes ${t.dupCount} duplicate DB records)` : '';
     if (!window.confirm(`Delete "${t.canonName}"?${note}`)) return;
-    await Promise.all(t.allIds.map(id => apiCall(`${API_URL}/teachers/${id}`, 'DELETE')));
+    await Promise.all(t.allIds.map(id => settle(teachersAPI.delete(id))));
     fetchDbTeachers();
   };
 
   const saveGroup = async (groupName) => {
-    const data = await apiCall(`${API_URL}/group-channels`, 'POST', { group_name: groupName, chat_id: groupChatInput.trim() });
+    const data = await settle(groupChannelsAPI.save({ group_name: groupName, chat_id: groupChatInput.trim() }));
     if (data.success) { setEditingGroup(null); setGroupChatInput(''); fetchGroups(); }
     else alert('Error: ' + data.error);
   };
@@ -204,9 +154,9 @@ const TeacherTelegramManagement = ({ isDark = false }) => {
     setGroupError('');
     if (!newGroupName.trim()) { setGroupError('Please enter a group name'); return; }
     if (!newGroupChat.trim()) { setGroupError('Please enter a Chat ID or @username'); return; }
-    const data = await apiCall(`${API_URL}/group-channels`, 'POST', {
+    const data = await settle(groupChannelsAPI.save({
       group_name: newGroupName.trim(), chat_id: newGroupChat.trim(),
-    });
+    }));
     if (data.success) {
       setAddingGroup(false); setNewGroupName(''); setNewGroupChat(''); setGroupError(''); fetchGroups();
     } else {
@@ -216,9 +166,9 @@ const TeacherTelegramManagement = ({ isDark = false }) => {
 
   const deleteGroup = async (groupName) => {
     setGroupError('');
-    setGroups(prev => prev.filter(g => g.group_name !== groupName));
+    channelsQuery.setData(prev => (prev || []).filter(g => g.group_name !== groupName));
     setConfirmDelete(null);
-    const data = await apiCall(`${API_URL}/group-channels/${encodeURIComponent(groupName)}`, 'DELETE');
+    const data = await settle(groupChannelsAPI.delete(groupName));
     if (!data.success) { setGroupError('Delete failed: ' + (data.error || 'unknown')); fetchGroups(); }
   };
 
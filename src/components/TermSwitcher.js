@@ -0,0 +1,160 @@
+// src/components/TermSwitcher.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import './TermSwitcher.css';
+
+// "COMSE-25" → "COMSE-26", "COMSE-23/1-Group" → "COMSE-24/1-Group"
+export const bumpGroupYear = (name, by = 1) =>
+  name.replace(/-(\d{2})(?!\d)/, (_, yy) => `-${String((Number(yy) + by + 100) % 100).padStart(2, '0')}`);
+
+// ─── New term modal — copy-forward from an existing term ──────────────────────
+const NewTermModal = ({ onClose }) => {
+  const { terms, activeTermId, startNewTerm, getTermGroups } = useSchedule();
+  const { t } = useLanguage();
+
+  const [form, setForm] = useState({ name: '', startDate: '', endDate: '', fromTermId: activeTermId });
+  const [sourceGroups, setSourceGroups] = useState([]);
+  const [renames,      setRenames]      = useState({});   // group → new name
+  const [skipped,      setSkipped]      = useState([]);   // groups left behind
+  const [saving,       setSaving]       = useState(false);
+  const [error,        setError]        = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setSourceGroups([]);
+    setRenames({});
+    setSkipped([]);
+    if (!form.fromTermId) return;
+    getTermGroups(form.fromTermId)
+      .then(list => { if (!cancelled) setSourceGroups(list); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [form.fromTermId, getTermGroups]);
+
+  const targetOf = (g) => (g in renames ? renames[g] : g);
+  const toggleSkip = (g) => setSkipped(s => s.includes(g) ? s.filter(x => x !== g) : [...s, g]);
+  const bumpAll  = () => setRenames(Object.fromEntries(sourceGroups.map(g => [g, bumpGroupYear(g)])));
+
+  const handleCreate = async () => {
+    if (!form.name.trim()) { setError(t('termNameRequired')); return; }
+    setSaving(true); setError('');
+    try {
+      await startNewTerm({
+        fromTermId: form.fromTermId,
+        name:       form.name.trim(),
+        startDate:  form.startDate,
+        endDate:    form.endDate,
+        renames: Object.fromEntries(sourceGroups.map(g => [g, skipped.includes(g) ? '' : targetOf(g).trim()])),
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={e => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="modal-content term-modal">
+        <div className="modal-header term-modal-header">
+          <h2>🗓 {t('termNew')}</h2>
+          <button className="term-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-body term-modal-body">
+          <label className="term-label">{t('termName')}</label>
+          <input className="term-input" placeholder="Fall 2026" value={form.name}
+            onChange={e => setForm(f => ({ ...f, name: e.target.value }))} autoFocus />
+
+          <div className="term-row">
+            <div>
+              <label className="term-label">{t('termStart')}</label>
+              <input type="date" className="term-input" value={form.startDate}
+                onChange={e => setForm(f => ({ ...f, startDate: e.target.value }))} />
+            </div>
+            <div>
+              <label className="term-label">{t('termEnd')}</label>
+              <input type="date" className="term-input" value={form.endDate}
+                onChange={e => setForm(f => ({ ...f, endDate: e.target.value }))} />
+            </div>
+          </div>
+
+          <label className="term-label">{t('termCopyFrom')}</label>
+          <select className="term-input" value={form.fromTermId}
+            onChange={e => setForm(f => ({ ...f, fromTermId: e.target.value }))}>
+            <option value="">{t('termEmpty')}</option>
+            {terms.map(tm => <option key={tm.id} value={String(tm.id)}>{tm.name}{tm.archived ? ' 🗄' : ''}</option>)}
+          </select>
+
+          {sourceGroups.length > 0 && (<>
+            <div className="term-groups-head">
+              <span className="term-label">{t('termGroupNames')}</span>
+              <button type="button" className="term-bump-btn" onClick={bumpAll}>{t('termBumpYear')}</button>
+            </div>
+            <div className="term-groups">
+              {sourceGroups.map(g => {
+                const skip = skipped.includes(g);
+                return (
+                  <div key={g} className={`term-group-row${skip ? ' term-group-skipped' : ''}`}>
+                    <input type="checkbox" checked={!skip} onChange={() => toggleSkip(g)} />
+                    <span className="term-group-old">{g}</span>
+                    <span className="term-group-arrow">→</span>
+                    <input className="term-input term-group-new" value={targetOf(g)} disabled={skip}
+                      onChange={e => setRenames(r => ({ ...r, [g]: e.target.value }))} />
+                  </div>
+                );
+              })}
+            </div>
+          </>)}
+
+          {error && <div className="term-error">⚠️ {error}</div>}
+        </div>
+
+        <div className="modal-footer term-modal-footer">
+          <button className="term-btn term-btn-cancel" onClick={onClose}>{t('cancel') || 'Cancel'}</button>
+          <button className="term-btn term-btn-primary" onClick={handleCreate} disabled={saving}>
+            {saving ? '⏳' : t('termCreate')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ─── Topbar switcher ──────────────────────────────────────────────────────────
+const TermSwitcher = ({ selectStyle }) => {
+  const { isAuthenticated } = useAuth();
+  const { terms, activeTerm, activeTermId, selectTerm, setTermArchived } = useSchedule();
+  const { t } = useLanguage();
+  const [showNew, setShowNew] = useState(false);
+
+  if (!terms.length) return null;
+
+  return (<>
+    <select value={activeTermId} style={selectStyle} title={t('termLabel')}
+      onChange={e => {
+        if (e.target.value === '__new__') { setShowNew(true); return; }
+        selectTerm(e.target.value);
+      }}>
+      {terms.map(tm => <option key={tm.id} value={String(tm.id)}>{tm.archived ? '🗄 ' : '🗓 '}{tm.name}</option>)}
+      {isAuthenticated && <option value="__new__">＋ {t('termNew')}…</option>}
+    </select>
+    {isAuthenticated && activeTerm && (
+      <button className="term-archive-btn"
+        title={activeTerm.archived ? t('termUnarchive') : t('termArchive')}
+        onClick={() => {
+          if (activeTerm.archived || window.confirm(t('termArchiveConfirm', { term: activeTerm.name }))) {
+            setTermArchived(activeTerm.id, !activeTerm.archived);
+          }
+        }}>
+        {activeTerm.archived ? '🔓' : '🗄'}
+      </button>
+    )}
+    {showNew && <NewTermModal onClose={() => setShowNew(false)} />}
+  </>);
+};
+
+export default TermSwitcher;
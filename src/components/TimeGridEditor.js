@@ -0,0 +1,210 @@
+// src/components/TimeGridEditor.js
+import React, { useState, useMemo } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import {
+  WEEK_DAYS, toMinutes, fromMinutes, slotLabel, matchSlot, validateGrid, sortGrid, orphanedSlots, planSlotMigration,
+} from '../utils/timeGrid';
+import './TimeGridEditor.css';
+
+const length = (r) => toMinutes(r.end) - toMinutes(r.start);
+
+// A new period starts one changeover after the last and lasts as long as it
+const nextPeriod = (periods) => {
+  const last = periods[periods.length - 1];
+  if (!last || Number.isNaN(length(last))) return { start: '08:00', end: '08:40' };
+  const prev  = periods[periods.length - 2];
+  const gap   = prev ? Math.max(0, toMinutes(last.start) - toMinutes(prev.end)) : 5;
+  const start = toMinutes(last.end) + gap;
+  return { start: fromMinutes(start), end: fromMinutes(start + length(last)) };
+};
+
+// ─── Grid form: days, periods, breaks ─────────────────────────────────────────
+const GridForm = () => {
+  const { timeGrid, saveTimeGrid, schedule, timeSlots, days } = useSchedule();
+  const { t } = useLanguage();
+  const [draft,  setDraft]  = useState(timeGrid);
+  const [error,  setError]  = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const dirty = JSON.stringify(draft) !== JSON.stringify(timeGrid);
+
+  // Classes now in the grid that the draft would leave outside it
+  const stranded = useMemo(() => {
+    const labels  = draft.periods.map(slotLabel);
+    const entries = Object.values(schedule);
+    return {
+      slots: entries.filter(e => timeSlots.includes(e.time) && !labels.includes(e.time)).length,
+      days:  entries.filter(e => days.includes(e.day) && !draft.days.includes(e.day)).length,
+    };
+  }, [draft, schedule, timeSlots, days]);
+
+  const update = (list, i, patch) => setDraft(d => ({ ...d, [list]: d[list].map((r, j) => (j === i ? { ...r, ...patch } : r)) }));
+  const remove = (list, i) => setDraft(d => ({ ...d, [list]: d[list].filter((_, j) => j !== i) }));
+  const toggleDay = (day) => setDraft(d => ({
+    ...d, days: d.days.includes(day) ? d.days.filter(x => x !== day) : [...d.days, day],
+  }));
+
+  const handleSave = async () => {
+    const grid = sortGrid(draft);
+    const err  = validateGrid(grid);
+    if (err) { setError(t(err)); return; }
+    if (stranded.slots > 0 || stranded.days > 0) {
+      if (!window.confirm(t('tgridStrandConfirm', { slots: stranded.slots, days: stranded.days }))) return;
+    }
+    setError('');
+    setSaving(true);
+    await saveTimeGrid(grid);
+    setSaving(false);
+  };
+
+  return (
+    <section className="tgrid-section">
+      <h3 className="tgrid-section-title">📅 {t('tgridDays')}</h3>
+      <div className="tgrid-days">
+        {WEEK_DAYS.map(day => (
+          <label key={day} className={`tgrid-day${draft.days.includes(day) ? ' active' : ''}`}>
+            <input type="checkbox" checked={draft.days.includes(day)} onChange={() => toggleDay(day)} />
+            {t(day)}
+          </label>
+        ))}
+      </div>
+
+      <h3 className="tgrid-section-title">🕘 {t('tgridPeriods')} <span className="tgrid-count">{draft.periods.length}</span></h3>
+      <div className="tgrid-list">
+        {draft.periods.map((p, i) => (
+          <div key={i} className="tgrid-row">
+            <span className="tgrid-num">{i + 1}</span>
+            <input type="time" className="tgrid-input" value={p.start} onChange={e => update('periods', i, { start: e.target.value })} />
+            <span className="tgrid-dash">—</span>
+            <input type="time" className="tgrid-input" value={p.end} onChange={e => update('periods', i, { end: e.target.value })} />
+            <span className="tgrid-len">{length(p) > 0 ? t('tgridMinutes', { count: length(p) }) : ''}</span>
+            <button className="tgrid-icon-btn" title={t('delete')} onClick={() => remove('periods', i)}>🗑️</button>
+          </div>
+        ))}
+      </div>
+      <button className="tgrid-btn tgrid-btn-ghost tgrid-add"
+        onClick={() => setDraft(d => ({ ...d, periods: [...d.periods, nextPeriod(d.periods)] }))}>
+        ＋ {t('tgridAddPeriod')}
+      </button>
+
+      <h3 className="tgrid-section-title">☕ {t('tgridBreaks')} <span className="tgrid-count">{(draft.breaks || []).length}</span></h3>
+      <p className="tgrid-hint">{t('tgridBreaksHint')}</p>
+      <div className="tgrid-list">
+        {(draft.breaks || []).map((b, i) => (
+          <div key={i} className="tgrid-row">
+            <span className="tgrid-num">{b.lunch ? '🍽' : '☕'}</span>
+            <input type="time" className="tgrid-input" value={b.start} onChange={e => update('breaks', i, { start: e.target.value })} />
+            <span className="tgrid-dash">—</span>
+            <input type="time" className="tgrid-input" value={b.end} onChange={e => update('breaks', i, { end: e.target.value })} />
+            <label className="tgrid-lunch">
+              <input type="checkbox" checked={!!b.lunch} onChange={e => update('breaks', i, { lunch: e.target.checked })} />
+              {t('tgridLunch')}
+            </label>
+            <button className="tgrid-icon-btn" title={t('delete')} onClick={() => remove('breaks', i)}>🗑️</button>
+          </div>
+        ))}
+      </div>
+      <button className="tgrid-btn tgrid-btn-ghost tgrid-add"
+        onClick={() => setDraft(d => ({ ...d, breaks: [...(d.breaks || []), { start: '12:25', end: '13:10', lunch: true }] }))}>
+        ＋ {t('tgridAddBreak')}
+      </button>
+
+      {error && <div className="tgrid-error">{error}</div>}
+      <div className="tgrid-form-actions">
+        <button className="tgrid-btn tgrid-btn-ghost" onClick={() => { setDraft(timeGrid); setError(''); }} disabled={!dirty || saving}>
+          {t('tgridDiscard')}
+        </button>
+        <button className="tgrid-btn tgrid-btn-primary" onClick={handleSave} disabled={!dirty || saving}>
+          {saving ? '⏳' : t('save')}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+// ─── Migration: move classes off slots the grid no longer has ─────────────────
+const SlotMigration = () => {
+  const { schedule, timeSlots, migrateSlots, readOnly } = useSchedule();
+  const { t } = useLanguage();
+  const [targets, setTargets] = useState({});   // old slot label → chosen new slot ('' = leave)
+  const [running, setRunning] = useState(false);
+
+  const orphans = useMemo(() => Object.entries(orphanedSlots(schedule, timeSlots))
+    .map(([slot, entries]) => ({ slot, count: entries.length, suggested: matchSlot(slot, timeSlots) || '' }))
+    .sort((a, b) => toMinutes(a.slot.split('-')[0]) - toMinutes(b.slot.split('-')[0]))
+  , [schedule, timeSlots]);
+
+  const mapping = useMemo(() => Object.fromEntries(orphans
+    .map(row => [row.slot, row.slot in targets ? targets[row.slot] : row.suggested])
+    .filter(([, to]) => to))
+  , [orphans, targets]);
+
+  const plan = useMemo(() => planSlotMigration(schedule, mapping), [schedule, mapping]);
+
+  if (!orphans.length) return null;
+
+  const handleApply = async () => {
+    if (!window.confirm(t('tgridMigrateConfirm', { count: plan.moves.length, blocked: plan.blocked.length }))) return;
+    setRunning(true);
+    if (await migrateSlots(mapping)) setTargets({});
+    setRunning(false);
+  };
+
+  return (
+    <section className="tgrid-section">
+      <h3 className="tgrid-section-title">🔀 {t('tgridMigrate')} <span className="tgrid-count">{orphans.length}</span></h3>
+      <p className="tgrid-hint">{t('tgridMigrateHint')}</p>
+      <div className="tgrid-migrate">
+        {orphans.map(row => (
+          <div key={row.slot} className="tgrid-migrate-row">
+            <span className="tgrid-migrate-old">{row.slot}</span>
+            <span className="tgrid-migrate-count">×{row.count}</span>
+            <span className="tgrid-dash">→</span>
+            <select className="tgrid-input"
+              value={row.slot in targets ? targets[row.slot] : row.suggested}
+              onChange={e => setTargets(tg => ({ ...tg, [row.slot]: e.target.value }))}>
+              <option value="">{t('tgridLeave')}</option>
+              {timeSlots.map(tm => <option key={tm} value={tm}>{tm}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+      {plan.blocked.length > 0 && (
+        <div className="tgrid-warning">
+          ⚠️ {t('tgridBlocked', { count: plan.blocked.length })}
+          <div className="tgrid-blocked">
+            {plan.blocked.map(e => <span key={`${e.group}-${e.day}-${e.time}`}>{e.group} · {t(e.day)} · {e.time}</span>)}
+          </div>
+        </div>
+      )}
+      <div className="tgrid-form-actions">
+        <button className="tgrid-btn tgrid-btn-primary" onClick={handleApply}
+          disabled={running || readOnly || !plan.moves.length}
+          title={readOnly ? t('termReadOnly') : ''}>
+          {running ? '⏳' : t('tgridMigrateApply', { count: plan.moves.length })}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+// ─── Main screen ──────────────────────────────────────────────────────────────
+const TimeGridEditor = () => {
+  const { timeGrid } = useSchedule();
+  const { t } = useLanguage();
+
+  return (
+    <div className="tgrid-page">
+      <div className="tgrid-header">
+        <h2 className="tgrid-title">⏰ {t('tgridTitle')}</h2>
+        <p className="tgrid-subtitle">{t('tgridSubtitle')}</p>
+      </div>
+      <SlotMigration />
+      {/* Remounted when the saved grid changes so the draft starts from it */}
+      <GridForm key={JSON.stringify(timeGrid)} />
+    </div>
+  );
+};
+
+export default TimeGridEditor;
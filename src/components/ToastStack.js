@@ -0,0 +1,30 @@
+// src/components/ToastStack.js
+import React from 'react';
+import { useToast } from '../context/ToastContext';
+import './ToastStack.css';
+
+const ICONS = { info: 'ℹ️', success: '✅', error: '⚠️' };
+
+const ToastStack = () => {
+  const { toasts, dismissToast } = useToast();
+  if (!toasts.length) return null;
+
+  return (
+    <div className="toast-stack" role="status" aria-live="polite">
+      {toasts.map(toast => (
+        <div key={toast.id} className={`toast toast-${toast.type}`}>
+          <span className="toast-icon">{ICONS[toast.type] || ICONS.info}</span>
+          <span className="toast-message">{toast.message}</span>
+          {toast.action && (
+            <button className="toast-action" onClick={() => { dismissToast(toast.id); toast.action.onClick(); }}>
+              {toast.action.label}
+            </button>
+          )}
+          <button className="toast-close" onClick={() => dismissToast(toast.id)}>✕</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ToastStack;
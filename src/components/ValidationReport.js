@@ -0,0 +1,67 @@
+// src/components/ValidationReport.js
+import React, { useState } from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import './ValidationReport.css';
+
+const PAGE = 100;
+
+// What a rejected row was, as far as it can be told
+const rowLabel = (row, t) => {
+  if (row && typeof row === 'object') {
+    const where = [row.group, row.day && t(row.day), row.time].filter(Boolean).join(' · ');
+    const what  = row.course || row.subject || row.name || row.group_name || row.room || row.message;
+    if (where || what) return [where, what].filter(Boolean).join(' — ');
+  }
+  const json = JSON.stringify(row);
+  return json && json.length > 80 ? `${json.slice(0, 80)}…` : String(json);
+};
+
+// The rows the last load or import left out, each with why
+const ValidationReport = () => {
+  const { validationReport, closeReport } = useSchedule();
+  const { t } = useLanguage();
+  const [shown, setShown] = useState(PAGE);
+  const { source, rejected } = validationReport;
+
+  return (
+    <div className="modal-overlay" onClick={e => { if (e.target === e.currentTarget) closeReport(); }}>
+      <div className="modal-content vr-modal">
+        <div className="modal-header vr-header">
+          <h2>⚠️ {t('vrTitle')}</h2>
+          <button className="vr-close" title={t('cancel')} onClick={closeReport}>✕</button>
+        </div>
+
+        <div className="modal-body vr-body">
+          <p className="vr-hint">
+            {t('vrHint', { count: rejected.length, source: t(`vrSource_${source}`) })}
+          </p>
+          <div className="vr-list">
+            {rejected.slice(0, shown).map(r => (
+              <div key={r.key ?? r.index} className="vr-item">
+                <div className="vr-item-head">
+                  <span className="vr-row-no">{r.key || t('vrRow', { n: r.index + 1 })}</span>
+                  <span className="vr-row">{rowLabel(r.row, t)}</span>
+                </div>
+                <ul className="vr-reasons">
+                  {r.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                </ul>
+              </div>
+            ))}
+            {rejected.length > shown && (
+              <button className="vr-btn vr-more" onClick={() => setShown(n => n + PAGE)}>
+                {t('snapShowMore', { count: rejected.length - shown })}
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="modal-footer vr-footer">
+          <button className="vr-btn" onClick={closeReport}>{t('vrClose')}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,32 @@
+// src/components/WeekNav.js
+import React from 'react';
+import { useSchedule } from '../context/ScheduleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { addWeeks, weekNumber } from '../utils/recurrence';
+import './WeekNav.css';
+
+// Prev / this / next week buttons driving the week shared by the timetable,
+// the empty-room finder and the print view. `children` render after the label.
+const WeekNav = ({ children }) => {
+  const { weekOffset, setWeekOffset, weekStart, activeTerm } = useSchedule();
+  const { t, lang } = useLanguage();
+
+  const locale = (lang === 'ru' || lang === 'ky') ? 'ru-RU' : 'en-GB';
+  const end    = addWeeks(weekStart, 1);
+  end.setDate(end.getDate() - 1);
+  const fmt = (d) => d.toLocaleDateString(locale, { day: 'numeric', month: 'long' });
+
+  return (
+    <div className="week-nav">
+      <button className="week-nav-btn" onClick={() => setWeekOffset(o => o - 1)} title={t('weekPrev')}>‹</button>
+      <button className={`week-nav-btn week-nav-today${weekOffset === 0 ? ' active' : ''}`} onClick={() => setWeekOffset(0)}>{t('weekThis')}</button>
+      <button className="week-nav-btn" onClick={() => setWeekOffset(o => o + 1)} title={t('weekNext')}>›</button>
+      <span className="week-nav-label">
+        {t('weekNumber', { n: weekNumber(weekStart, activeTerm?.startDate) })} · {fmt(weekStart)} – {fmt(end)}
+      </span>
+      {children}
+    </div>
+  );
+};
+
+export default WeekNav;
@@ -1,6 +1,6 @@
 // src/context/AuthContext.js
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI } from '../utils/api';
+import { authAPI, TOKEN_KEYS } from '../utils/api';
 
 const AuthContext = createContext();
 
@@ -10,7 +10,6 @@ export const useAuth = () => {
   return context;
 };
 
-const TOKEN_KEYS = ['scheduleToken', 'token', 'authToken', 'jwt'];
 const USER_KEYS  = ['scheduleUser',  'user',  'authUser'];
 
 const clearAuth = () => {
@@ -0,0 +1,79 @@
+// src/context/QueryContext.js
+//
+// Screens read server data through useQuery, which keeps it in the shared
+// cache of utils/queryCache: two screens asking for the same key share one
+// request, and a screen opened again shows what it had at once while a stale
+// copy is refetched behind it. QueryProvider refreshes what is on screen when
+// the tab comes back into view and empties the cache when the session changes.
+
+import React, { useEffect, useRef, useCallback, useSyncExternalStore } from 'react';
+import { useAuth } from './AuthContext';
+import {
+  STALE_MS, fetchQuery, primeQuery, subscribeQuery, querySnapshot,
+  setQueryData, invalidateQueries, revalidateStale, resetQueries,
+} from '../utils/queryCache';
+
+export { setQueryData, invalidateQueries };
+
+export const QueryProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const session = useRef(isAuthenticated);
+
+  useEffect(() => {
+    const onVisible = () => { if (!document.hidden) revalidateStale(); };
+    window.addEventListener('focus', onVisible);
+    document.addEventListener('visibilitychange', onVisible);
+    return () => {
+      window.removeEventListener('focus', onVisible);
+      document.removeEventListener('visibilitychange', onVisible);
+    };
+  }, []);
+
+  // Guests and admins are answered differently — nothing carries over
+  useEffect(() => {
+    if (session.current === isAuthenticated) return;
+    session.current = isAuthenticated;
+    resetQueries();
+  }, [isAuthenticated]);
+
+  return <>{children}</>;
+};
+
+// useQuery(queries.bookings(), { staleTime, refetchInterval, enabled })
+//   → { data, error, loading, fetching, refetch, setData }
+// `data` stays undefined until the first answer; `refetch` resolves to the
+// fresh data or rejects with the ApiError. `refetchInterval` polls only while
+// the tab is visible. A disabled query fetches nothing but still shows what
+// other screens load under its key.
+export const useQuery = ({ key, fetch }, { staleTime = STALE_MS, refetchInterval = 0, enabled = true } = {}) => {
+  const fetchRef = useRef(fetch);
+  fetchRef.current = fetch;
+  const fetcher = useCallback(signal => fetchRef.current(signal), []);
+
+  const subscribe = useCallback(listener => subscribeQuery(key, listener), [key]);
+  const snapshot  = useSyncExternalStore(subscribe, () => querySnapshot(key));
+
+  useEffect(() => {
+    if (enabled) primeQuery(key, fetcher, staleTime);
+  }, [key, enabled, staleTime, fetcher]);
+
+  useEffect(() => {
+    if (!enabled || !refetchInterval) return;
+    const id = setInterval(() => {
+      if (!document.hidden) fetchQuery(key, fetcher).catch(() => {});
+    }, refetchInterval);
+    return () => clearInterval(id);
+  }, [key, enabled, refetchInterval, fetcher]);
+
+  const refetch = useCallback(() => fetchQuery(key, fetcher), [key, fetcher]);
+  const setData = useCallback(updater => setQueryData(key, updater), [key]);
+
+  return {
+    data:     snapshot.data,
+    error:    snapshot.error,
+    loading:  enabled && snapshot.data === undefined && !snapshot.error,
+    fetching: snapshot.fetching,
+    refetch,
+    setData,
+  };
+};
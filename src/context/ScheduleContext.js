@@ -1,9 +1,33 @@
 // src/context/ScheduleContext.js
 
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { UNIVERSITY_GROUPS, TIME_SLOTS, DAYS } from '../data/constants';
-import { scheduleAPI, groupsAPI } from '../utils/api';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { UNIVERSITY_GROUPS, DEFAULT_TIME_GRID, DEFAULT_TEACHERS, DEFAULT_GROUPS, DEFAULT_DEPARTMENTS } from '../data/constants';
+import { scheduleAPI, groupsAPI, termsAPI, exceptionsAPI, teacherRegistryAPI, roomRegistryAPI, courseCatalogAPI, groupRegistryAPI, departmentsAPI, timeGridAPI, snapshotsAPI, getTermId, listOf } from '../utils/api';
+import { offlineStore } from '../utils/offlineStore';
+import { normalizeRecurrence, startOfWeek, addWeeks, weekDateMap, cellClasses, joinCell } from '../utils/recurrence';
+import { buildWeekSchedule } from '../utils/exceptions';
+import { indexTeachers, splitTeachers, CO_TEACHER_SEPARATOR } from '../utils/teacherRegistry';
+import { indexRooms } from '../utils/roomRegistry';
+import { indexCourses } from '../utils/courseCatalog';
+import { indexGroups } from '../utils/groupRegistry';
+import { slotLabel, planSlotMigration } from '../utils/timeGrid';
+import { logChange, logChanges, commandRecords, currentUser } from '../utils/auditLog';
+import { diffSchedules, restoreCells } from '../utils/snapshots';
+import { planPatch, planDelete, planShift } from '../utils/bulkEdit';
+import { makeClip, planPaste } from '../utils/scheduleClipboard';
+import { planReplace } from '../utils/findReplace';
+import { planMove } from '../utils/scheduleMove';
+import { subscribeLive, publishChange, announceEditing, HEARTBEAT_MS } from '../utils/liveSync';
+import { mergeIntoDraft, draftCells, draftConflicts } from '../utils/drafts';
+import { planClear } from '../utils/scopedClear';
+import { checkRows, checkSchedule } from '../utils/schemas';
+import { attendees, normalizeGroups, sameEvent } from '../utils/jointClasses';
 import { useAuth } from './AuthContext';
+import { useToast } from './ToastContext';
+import { useLanguage } from './LanguageContext';
+import {
+  HISTORY_LIMIT, cellKey, makeCommand, applyCells, rollbackCells, persistCells, replayCommand, moveRequest, changeRows, sameEntry, saveEntry,
+} from '../utils/scheduleHistory';
 
 const ScheduleContext = createContext();
 
@@ -13,30 +37,9 @@ export const useSchedule = () => {
   return context;
 };
 
-const TEACHER_CANONICAL = {
-  'dr. daniyar satybaldiev':          'Dr. Daniiar Satybaldiev',
-  'mr. daniyar satybaldiev':          'Dr. Daniiar Satybaldiev',
-  'dr daniiar satybaldiev':           'Dr. Daniiar Satybaldiev',
-  'mr. daniiar satybaldiev':          'Dr. Daniiar Satybaldiev',
-  'dr. daniar satybaldiev':           'Dr. Daniiar Satybaldiev',
-  'mr. daniar satybaldiev':           'Dr. Daniiar Satybaldiev',
-  'mr. nurlan mukambetov':            'Mr. Nurlan Mukambaev',
-  'mr. erustan erkebulanov':          'Mr. Erustan Erkebulanov',
-  'dr. sheraly matanov':              'Dr. Sherali Matanov',
-  'mr. hussien chebsi':               'Mr. Hussein Chebsi',
-  'mr. ahmad sarosh':                 'Dr. Ahmad Sarosh',
-  'ms. cholpon alieva':               'Dr. Cholpon Alieva',
-  'dr.cholpon alieva':                'Dr. Cholpon Alieva',
-  'alimpieva.l.v':                    'Alimpieva L.',
-  'ms. saidalieva a.':                'Ms. Saidalieva',
-  'ms. bopushova asina':              'Ms. Asina',
-  'ms. meerim':                       'Ms. Meerim Chukaeva',
-  'ms. meerim chukaeva (own device)': 'Ms. Meerim Chukaeva',
-  'mr. murrey':                       'Mr. Murrey Eldred',
-  'ms. tattybubu arap kyzy':          'Ms. Tattybubu',
-};
-
-export function normalizeTeacherName(raw) {
+// Spelling variants are resolved through `teacherIndex`, the context's index
+// of the teacher registry (utils/teacherRegistry) the admin Teachers screen edits.
+export function normalizeTeacherName(raw, teacherIndex) {
   if (!raw) return '';
   let s = raw.trim();
 
@@ -65,35 +68,117 @@ export function normalizeTeacherName(raw) {
   if (/^[Bb]\d+(\(\w+\))?$/.test(s)) return '';
   if (/^(ALATOO|German\s|DevOps\s|Time\s+club|Programs\s|COURSE|COM\b|\(COM\)|B201)/i.test(s)) return '';
 
-  const canonical = TEACHER_CANONICAL[s.toLowerCase()];
+  const canonical = teacherIndex.canonicalTeacher(s);
   if (canonical) s = canonical;
 
   return s;
 }
 
-function buildTeacherList(scheduleMap) {
+// Normalized names of everyone teaching `entry` — one for most classes, more
+// for co-taught labs
+export function entryTeachers(entry, teacherIndex) {
+  return [...new Set(splitTeachers(entry).map(name => normalizeTeacherName(name, teacherIndex)).filter(Boolean))];
+}
+
+// True when at least one instructor teaches both `a` and `b`
+export const sharesTeacher = (a, b, teacherIndex) => {
+  const theirs = entryTeachers(b, teacherIndex);
+  return entryTeachers(a, teacherIndex).some(name => theirs.includes(name));
+};
+
+// /api/schedules returns plain object {"GROUP-day-time": {...}} — no wrapper.
+// apiData has already unwrapped a { success, data } reply; one without data
+// holds no timetable.
+function unwrapSchedule(scheduleRes) {
+  if (!scheduleRes || typeof scheduleRes !== 'object' || Array.isArray(scheduleRes)) return {};
+  return 'success' in scheduleRes ? {} : scheduleRes;
+}
+
+// /api/groups returns plain string array ['COMSE-25', ...]
+function unwrapGroups(groupsRes) {
+  return listOf(groupsRes)
+    .map(g => typeof g === 'string' ? g : (g?.name || g?.group_name || null))
+    .filter(Boolean);
+}
+
+const snapshotKey = () => getTermId() || 'current';
+
+const storeTermId = (id) => {
+  if (id) localStorage.setItem('scheduleTerm', String(id));
+  else localStorage.removeItem('scheduleTerm');
+};
+
+// Latest term that is still open, falling back to the first one listed
+const pickDefaultTerm = (terms) =>
+  [...terms].filter(tm => !tm.archived)
+    .sort((a, b) => String(b.startDate || '').localeCompare(String(a.startDate || '')))[0] || terms[0];
+
+function buildTeacherList(scheduleMap, teacherIndex) {
   const seen   = new Set();
   const result = [];
   Object.values(scheduleMap).forEach(entry => {
-    const norm = normalizeTeacherName(entry.teacher);
-    if (!norm || seen.has(norm)) return;
-    seen.add(norm);
-    result.push(norm);
+    entryTeachers(entry, teacherIndex).forEach(norm => {
+      if (seen.has(norm)) return;
+      seen.add(norm);
+      result.push(norm);
+    });
   });
   return result.sort();
 }
 
 export const ScheduleProvider = ({ children }) => {
-  const { loading: authLoading } = useAuth();
+  const { loading: authLoading, isAuthenticated } = useAuth();
+  const { showToast } = useToast();
+  const { t } = useLanguage();
 
   const [groups,   setGroups]   = useState(UNIVERSITY_GROUPS);
   const [schedule, setSchedule] = useState({});
   const [loading,  setLoading]  = useState(true);
   const [error,    setError]    = useState(null);
 
+  // ── Rejected rows ─────────────────────────────────────────────────────────
+  // Rows that fail their schema (utils/schemas) are left out and listed in a
+  // report. Admins get a toast leading to it; a report already raised isn't
+  // raised again when the next load finds the same rows.
+  const [validationReport, setValidationReport] = useState(null);
+  const [reportOpen,       setReportOpen]       = useState(false);
+  const reportedRef = useRef(new Set());
+  const toastedRef  = useRef(null);   // the report the last toast was for
+
+  const reportRejected = useCallback((source, rejected, { open = false } = {}) => {
+    if (!rejected.length) return;
+    const signature = `${source}:${JSON.stringify(rejected.map(r => [r.key ?? r.index, r.reasons]))}`;
+    if (!open && reportedRef.current.has(signature)) return;
+    reportedRef.current.add(signature);
+    setValidationReport({ source, rejected, at: Date.now() });
+    setReportOpen(open);
+  }, []);
+
+  useEffect(() => {
+    if (!validationReport || reportOpen || !isAuthenticated || toastedRef.current === validationReport) return;
+    toastedRef.current = validationReport;
+    showToast({
+      type: 'error', duration: 0,
+      message: t('vrToast', { count: validationReport.rejected.length, source: t(`vrSource_${validationReport.source}`) }),
+      action: { label: t('vrDetails'), onClick: () => setReportOpen(true) },
+    });
+  }, [validationReport, reportOpen, isAuthenticated, showToast, t]);
+
+  // ── Offline cache ─────────────────────────────────────────────────────────
+  const [lastSynced, setLastSynced] = useState(null);
+  const [fromCache,  setFromCache]  = useState(false);
+  const [syncing,    setSyncing]    = useState(false);
+  const [online,     setOnline]     = useState(() => navigator.onLine);
+  const hasDataRef  = useRef(false);
+  const syncedRef   = useRef(false);
+  const pendingRef  = useRef([]);
+  const draftRef    = useRef({});
+
   const loadAll = useCallback(async () => {
-    setLoading(true);
+    if (!hasDataRef.current) setLoading(true);
+    setSyncing(true);
     setError(null);
+    const term = getTermId();
 
     const MAX_ATTEMPTS = 4;
     for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
@@ -107,177 +192,1060 @@ export const ScheduleProvider = ({ children }) => {
         console.log('[ScheduleContext] scheduleRes keys:', scheduleRes ? Object.keys(scheduleRes).slice(0,5) : 'null');
         console.log('[ScheduleContext] groupsRes sample:', JSON.stringify(groupsRes)?.slice(0,100));
 
-        // /api/schedules returns plain object {"GROUP-day-time": {...}} — no wrapper
-        // But handle wrapped { success, data } just in case
-        let scheduleData = {};
-        if (scheduleRes && typeof scheduleRes === 'object' && !Array.isArray(scheduleRes)) {
-          // If it has a 'data' key that is also a plain object, unwrap it
-          if (scheduleRes.data && typeof scheduleRes.data === 'object' && !Array.isArray(scheduleRes.data)) {
-            scheduleData = scheduleRes.data;
-          } else if (!scheduleRes.success && !scheduleRes.error) {
-            // Plain schedule object — use directly
-            scheduleData = scheduleRes;
-          } else if (scheduleRes.success && scheduleRes.data) {
-            scheduleData = scheduleRes.data;
-          }
-        }
+        // Rows that fail their schema stay out of the timetable and go into the report
+        const { valid: scheduleData, rejected: badEntries } = checkSchedule(unwrapSchedule(scheduleRes));
         console.log('[ScheduleContext] scheduleData entries:', Object.keys(scheduleData).length);
 
-        // /api/groups returns plain string array ['COMSE-25', ...]
-        const rawGroups = Array.isArray(groupsRes)
-          ? groupsRes
-          : Array.isArray(groupsRes?.data) ? groupsRes.data : [];
-        const groupsData = rawGroups
-          .map(g => typeof g === 'string' ? g : (g?.name || g?.group_name || null))
-          .filter(Boolean);
+        const { valid: groupList, rejected: badGroups } = checkRows('group', listOf(groupsRes));
+        const groupsData = unwrapGroups(groupList);
         console.log('[ScheduleContext] groupsData:', groupsData.slice(0,3));
 
-                setSchedule(scheduleData);
+        // The user switched terms while this request was in flight
+        if (term !== getTermId()) return;
+        reportRejected('server', badEntries);
+        reportRejected('groups', badGroups);
+
+        // Offline edits that are still queued, and the draft, stay visible on top of fresh data
+        const queued = pendingRef.current.filter(m => m.status === 'queued' && m.term === term);
+        const merged = queued.reduce((acc, m) => applyCells(acc, m.command.cells, 'after'), scheduleData);
+        setSchedule(applyCells(merged, draftCells(draftRef.current), 'after'));
         if (groupsData.length > 0) setGroups(groupsData);
+        const syncedAt = Date.now();
+        syncedRef.current  = true;
+        hasDataRef.current = true;
+        setLastSynced(syncedAt);
+        setFromCache(false);
+        offlineStore.saveSnapshot({ schedule: scheduleData, groups: groupsData, syncedAt }, snapshotKey());
         setError(null);
         setLoading(false);
+        setSyncing(false);
         return;
       } catch (err) {
-        const isAuthError = err.message?.includes('Auth failed') ||
-                            err.message?.includes('401') ||
-                            err.message?.includes('403') ||
-                            err.message?.includes('Access denied');
+        const isAuthError = err.auth;
 
         if (!isAuthError && attempt < MAX_ATTEMPTS) {
           const delay = attempt * 800;
           console.warn(`⚠️ Load attempt ${attempt} failed, retrying in ${delay}ms...`);
           await new Promise(r => setTimeout(r, delay));
         } else {
-          if (!isAuthError) {
+          // With a cached copy on screen the sync indicator is enough — no error banner
+          if (!isAuthError && !hasDataRef.current) {
             console.error('Failed to load data from backend:', err);
             setError(err.message);
           }
           setLoading(false);
+          setSyncing(false);
           return;
         }
       }
     }
+  }, [reportRejected]);
+
+  // ── Academic terms ────────────────────────────────────────────────────────
+  // A backend without /terms leaves `terms` empty and every request unscoped.
+  const [terms,        setTerms]        = useState([]);
+  const [activeTermId, setActiveTermId] = useState(getTermId);
+  const activeTerm = terms.find(tm => String(tm.id) === activeTermId) || null;
+  const readOnly   = !!activeTerm?.archived;
+
+  const loadTerms = useCallback(async () => {
+    try {
+      const list = listOf(await termsAPI.getAll());
+      setTerms(list);
+      return list;
+    } catch {
+      setTerms([]);
+      return [];
+    }
   }, []);
 
+  useEffect(() => {
+    if (authLoading) return;
+    loadTerms().then(list => {
+      if (!list.length || list.some(tm => String(tm.id) === getTermId())) return;
+      const id = String(pickDefaultTerm(list).id);
+      storeTermId(id);
+      setActiveTermId(id);
+    });
+  }, [authLoading, loadTerms]);
+
   useEffect(() => {
     if (!authLoading) {
       loadAll();
     }
-  }, [authLoading, loadAll]);
+  }, [authLoading, activeTermId, loadAll]);
+
+  // Registries, catalogs and the time grid are written whole with `save`, and
+  // `apply` puts the value on screen once the server has it. False, after an
+  // error toast, when the save fails.
+  const persistList = async (save, apply, next) => {
+    try {
+      await save(next);
+      apply(next);
+      return true;
+    } catch (err) {
+      showToast({ type: 'error', message: err.message });
+      return false;
+    }
+  };
 
-  const teachers = buildTeacherList(schedule);
+  // ── Teacher registry ──────────────────────────────────────────────────────
+  // Canonical names and their aliases. Until the backend has saved a registry
+  // of its own, the seed list from constants stands in for it.
+  const [teacherRegistry, setTeacherRegistry] = useState(DEFAULT_TEACHERS);
+  const teacherIndex = useMemo(() => indexTeachers(teacherRegistry), [teacherRegistry]);
+
+  useEffect(() => {
+    if (authLoading) return;
+    let cancelled = false;
+    teacherRegistryAPI.getAll()
+      .then(res => {
+        const list = listOf(res);
+        if (!cancelled && list.length) setTeacherRegistry(list);
+      })
+      .catch(() => { /* keep the seed list */ });
+    return () => { cancelled = true; };
+  }, [authLoading]);
+
+  // The registry is small and edited rarely, so every change writes the whole
+  // list — that also persists the seed entries on the first edit.
+  const persistRegistry = (next) => persistList(teacherRegistryAPI.saveAll, setTeacherRegistry, next);
+
+  // `previousName` identifies the entry being edited; omit it to add one
+  const saveTeacher = (teacher, previousName) => persistRegistry(previousName
+    ? teacherRegistry.map(tc => (tc.name === previousName ? teacher : tc))
+    : [...teacherRegistry, teacher]);
+
+  const deleteTeacher = (name) => persistRegistry(teacherRegistry.filter(tc => tc.name !== name));
+
+  // Folds the spellings in `names` into the teacher called `target`, creating
+  // the entry if needed. Schedule rows keep their original text and resolve
+  // to `target` through the aliases.
+  const mergeTeachers = (names, target) => {
+    const existing = teacherRegistry.find(tc => tc.name === target);
+    const absorbed = teacherRegistry.filter(tc => tc !== existing && names.includes(tc.name));
+    const base     = existing || { name: target, aliases: [] };
+    const aliases  = [...new Set([
+      ...(base.aliases || []),
+      ...absorbed.flatMap(tc => [tc.name, ...(tc.aliases || [])]),
+      ...names.filter(n => n !== target),
+    ])];
+    const rest = teacherRegistry.filter(tc => tc !== existing && !absorbed.includes(tc));
+    return persistRegistry([...rest, { ...base, aliases }]);
+  };
+
+  const teachers = useMemo(() => buildTeacherList(schedule, teacherIndex), [schedule, teacherIndex]);
 
   const getScheduleByTeacher = (teacherName) => {
-    const target = normalizeTeacherName(teacherName);
-    return Object.entries(schedule).filter(
-      ([, v]) => normalizeTeacherName(v.teacher) === target
-    );
+    const target = normalizeTeacherName(teacherName, teacherIndex);
+    // Classes sharing a cell in other weeks count for their own teachers
+    return Object.entries(schedule)
+      .flatMap(([key, v]) => cellClasses(v).map(e => [key, e]))
+      .filter(([, e]) => entryTeachers(e, teacherIndex).includes(target));
+  };
+
+  // ── Undo / redo & pending mutations ──────────────────────────────────────
+  const [history,     setHistory]     = useState({ past: [], future: [] });
+  const [historyBusy, setHistoryBusy] = useState(false);
+  const [pending,     setPending]     = useState([]);
+  const mutationSeq = useRef(0);
+  const inFlight    = pending.some(m => m.status === 'pending' || m.status === 'queued');
+  pendingRef.current = pending;
+
+  // Every confirmed command also goes to the audit log and to the other admins
+  const record = (command) => {
+    if (!command.cells.length && !command.removedGroups.length) return;
+    setHistory(h => ({ past: [...h.past, command].slice(-HISTORY_LIMIT), future: [] }));
+    logChanges(commandRecords(command));
+    publishChange(command.cells);
   };
 
-  const addOrUpdateClass = async (group, day, time, classData) => {
-    const { course, teacher, room, subjectType, duration = 1, meetingLink = '' } = classData;
+  const applyLocally = (command, side) => {
+    setSchedule(prev => applyCells(prev, command.cells, side));
+    if (!command.removedGroups.length) return;
+    const names = command.removedGroups.map(g => g.name);
+    if (side === 'after') {
+      setGroups(prev => prev.filter(g => !names.includes(g)));
+    } else {
+      setGroups(prev => {
+        const next = prev.filter(g => !names.includes(g));
+        command.removedGroups.forEach(({ name, index }) => next.splice(Math.min(index, next.length), 0, name));
+        return next;
+      });
+    }
+  };
+
+  const stepHistory = async (direction) => {
+    const undoing = direction === 'undo';
+    const command = undoing ? history.past[history.past.length - 1] : history.future[0];
+    if (!command || historyBusy || inFlight || blockedByTerm()) return;
+    const side = undoing ? 'before' : 'after';
+    if (draftMode && !command.removedGroups.length) {
+      stageCommand(command, side);
+      setHistory(h => undoing
+        ? { past: h.past.slice(0, -1), future: [command, ...h.future] }
+        : { past: [...h.past, command], future: h.future.slice(1) });
+      return;
+    }
+    setHistoryBusy(true);
     try {
-      await scheduleAPI.save(group, day, time, course, teacher, room, subjectType, duration, meetingLink);
-      const key = `${group}-${day}-${time}`;
-      setSchedule(prev => ({
-        ...prev,
-        [key]: { group, day, time, course, teacher: teacher || '', room: room || '', subjectType: subjectType || 'lecture', duration, meetingLink: meetingLink || '' }
-      }));
+      // Rejects unless the server took every write; only then do the cells
+      // and the history pointer move
+      await replayCommand(command, side);
+      applyLocally(command, side);
+      logChanges(commandRecords(command, side, direction));
+      publishChange(command.cells.map(c => ({ key: c.key, after: c[side] })));
+      setHistory(h => undoing
+        ? { past: h.past.slice(0, -1), future: [command, ...h.future] }
+        : { past: [...h.past, command], future: h.future.slice(1) });
     } catch (err) {
-      alert(`Failed to save class: ${err.message}`);
+      // A plain command stops at its first refused write; put back what it
+      // already wrote so the server matches the unmoved pointer again
+      if (command.cells.length > 1 && !command.moves && !command.batch) {
+        try { await persistCells(command.cells, undoing ? 'after' : 'before'); } catch { /* reloaded below */ }
+      }
+      showToast({ type: 'error', message: `${t(direction)}: ${err.message}` });
+      loadAll();
+    } finally {
+      setHistoryBusy(false);
     }
   };
 
-  const deleteClass = async (group, day, time) => {
+  const undo = () => stepHistory('undo');
+  const redo = () => stepHistory('redo');
+
+  // ── Optimistic mutations ──────────────────────────────────────────────────
+  // Each class edit is applied locally first and tracked in `pending` until the
+  // server confirms it. On failure the touched cells are rolled back, anything
+  // already written by a multi-cell command is restored, and the mutation stays
+  // in the queue as 'failed' so it can be retried or discarded. Edits made
+  // without a connection are 'queued' in IndexedDB and replayed on reconnect.
+  const blockedByTerm = () => {
+    if (!readOnly) return false;
+    showToast({ type: 'error', message: t('termReadOnly') });
+    return true;
+  };
+
+  // `term` is where the write goes; a retried offline write from another term
+  // leaves the timetable on screen alone. A retry keeps the mutation's `id`,
+  // so an offline write leaves the outbox only once the server has taken it.
+  const runMutation = async (command, send, term = getTermId(), id = ++mutationSeq.current) => {
+    if (blockedByTerm()) return false;
+    if (draftMode) {
+      stageCommand(command);
+      setHistory(h => ({ past: [...h.past, { ...command, draft: true }].slice(-HISTORY_LIMIT), future: [] }));
+      return true;
+    }
+    const mutation = { id, labelKey: command.labelKey, command, send, term, status: 'pending', error: null };
+    const onScreen = term === getTermId();
+    if (onScreen) applyLocally(command, 'after');
+    if (!navigator.onLine) { queueMutation(mutation); return true; }
+    setPending(q => [...q, mutation]);
     try {
-      await scheduleAPI.delete(group, day, time);
-      const key = `${group}-${day}-${time}`;
-      setSchedule(prev => { const next = { ...prev }; delete next[key]; return next; });
+      await send();
+      setPending(q => q.filter(m => m.id !== mutation.id));
+      offlineStore.removeOutbox(mutation.id);
+      if (onScreen) record(command);
+      return true;
     } catch (err) {
-      alert(`Failed to delete class: ${err.message}`);
+      if (err.network) {
+        setPending(q => q.filter(m => m.id !== mutation.id));
+        queueMutation(mutation);
+        return true;
+      }
+      // A multi-cell send stops at its first refused write; put back what it
+      // already wrote. An atomic move or batch has left the server untouched.
+      if (command.cells.length > 1 && !command.moves && !command.batch) {
+        try { await persistCells(command.cells, 'before', term); } catch { loadAll(); }
+      }
+      if (onScreen) setSchedule(prev => rollbackCells(prev, command.cells));
+      failMutation(mutation, err.message, t('retryBtn'));
+      return false;
     }
   };
 
-  const moveClass = async (fromGroup, fromDay, fromTime, toGroup, toDay, toTime) => {
-    const fromKey  = `${fromGroup}-${fromDay}-${fromTime}`;
-    const toKey    = `${toGroup}-${toDay}-${toTime}`;
-    const fromData = schedule[fromKey];
-    const toData   = schedule[toKey];
-    if (!fromData) return;
+  const discardMutation = (mutation) => {
+    setPending(q => q.filter(m => m.id !== mutation.id));
+    offlineStore.removeOutbox(mutation.id);
+  };
+
+  const retryMutation = (mutation) => {
+    setPending(q => q.filter(m => m.id !== mutation.id));
+    return runMutation(mutation.command, mutation.send || (() => replayCommand(mutation.command, 'after', mutation.term)), mutation.term, mutation.id);
+  };
+
+  const failMutation = (mutation, message, actionLabel) => {
+    setPending(q => q.map(m => m.id === mutation.id ? { ...m, send: mutation.send, status: 'failed', error: message } : m));
+    showToast({
+      type: 'error',
+      duration: 0,
+      message: `${t(mutation.labelKey)}: ${message}`,
+      action: { label: actionLabel, onClick: () => retryMutation(mutation) },
+    });
+  };
+
+  // ── Offline write queue ───────────────────────────────────────────────────
+  const queueMutation = (mutation) => {
+    const queuedAt = Date.now();
+    setPending(q => [...q, { ...mutation, status: 'queued', queuedAt }]);
+    offlineStore.putOutbox({ id: mutation.id, command: mutation.command, term: mutation.term, queuedAt });
+  };
+
+  // Replays queued writes oldest first, each in the term it was made in. A
+  // write whose cells were changed on the server since it was queued is not
+  // applied — it becomes a failed mutation the admin can force through
+  // ("Overwrite") or discard. Every write stays in the outbox until the server
+  // has accepted it, so a refused session or a conflict loses nothing.
+  const flushing = useRef(false);
+  const flushOutbox = async () => {
+    const queued = pendingRef.current.filter(m => m.status === 'queued');
+    if (!queued.length || flushing.current) return false;
+    flushing.current = true;
     try {
-      await scheduleAPI.save(toGroup, toDay, toTime, fromData.course, fromData.teacher, fromData.room, fromData.subjectType);
-      if (toData) {
-        await scheduleAPI.save(fromGroup, fromDay, fromTime, toData.course, toData.teacher, toData.room, toData.subjectType);
-      } else {
-        await scheduleAPI.delete(fromGroup, fromDay, fromTime);
+      const servers = {};   // term → its timetable on the server
+      for (const m of queued) {
+        if (!servers[m.term]) servers[m.term] = unwrapSchedule(await scheduleAPI.getAll(m.term));
+        const server = servers[m.term];
+        const conflict = m.command.cells.some(c =>
+          !sameEntry(server[c.key], c.before) && !sameEntry(server[c.key], c.after));
+        const send = () => replayCommand(m.command, 'after', m.term);
+        if (conflict) {
+          failMutation({ ...m, send }, t('offlineConflict'), t('offlineOverwrite'));
+          continue;
+        }
+        try {
+          await send();
+          offlineStore.removeOutbox(m.id);
+          setPending(q => q.filter(p => p.id !== m.id));
+          // Undo history only covers the term on screen
+          if (m.term === getTermId()) record(m.command);
+          Object.assign(server, applyCells(server, m.command.cells, 'after'));
+        } catch (err) {
+          if (err.network) break;
+          failMutation({ ...m, send }, err.message, t('retryBtn'));
+        }
       }
-      setSchedule(prev => {
-        const next = { ...prev };
-        next[toKey] = { ...fromData, group: toGroup, day: toDay, time: toTime };
-        if (toData) { next[fromKey] = { ...toData, group: fromGroup, day: fromDay, time: fromTime }; }
-        else { delete next[fromKey]; }
-        return next;
-      });
+    } catch {
+      return false; // still unreachable — keep everything queued
+    } finally {
+      flushing.current = false;
+    }
+    await loadAll();
+    return true;
+  };
+  const flushRef = useRef(flushOutbox);
+  flushRef.current = flushOutbox;
+
+  const syncNow = () => flushRef.current().then(done => { if (!done) loadAll(); });
+
+  // Render the last synced copy (plus queued edits) before the network answers
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([offlineStore.loadSnapshot(snapshotKey()), offlineStore.getOutbox()]).then(([snapshot, outbox]) => {
+      if (cancelled) return;
+      // Items queued before terms were recorded belong to the term in use
+      const restored = outbox.map(item => ({
+        id: item.id, labelKey: item.command.labelKey, command: item.command,
+        term: item.term ?? getTermId(), status: 'queued', error: null, queuedAt: item.queuedAt,
+      }));
+      if (restored.length) {
+        mutationSeq.current = Math.max(mutationSeq.current, ...restored.map(m => m.id));
+        setPending(q => [...q, ...restored]);
+      }
+      if (snapshot && !syncedRef.current) {
+        hasDataRef.current = true;
+        setSchedule(restored.filter(m => m.term === getTermId())
+          .reduce((acc, m) => applyCells(acc, m.command.cells, 'after'), snapshot.schedule || {}));
+        if (snapshot.groups?.length) setGroups(snapshot.groups);
+        setLastSynced(snapshot.syncedAt || null);
+        setFromCache(true);
+        setLoading(false);
+      }
+      if (restored.length && navigator.onLine) setTimeout(() => flushRef.current(), 0);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    const goOnline  = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online',  goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online',  goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  const wentOffline = useRef(false);
+  useEffect(() => {
+    if (!online) { wentOffline.current = true; return; }
+    if (authLoading || !wentOffline.current) return;
+    wentOffline.current = false;
+    flushRef.current().then(done => { if (!done) loadAll(); });
+  }, [online, authLoading, loadAll]);
+
+  // Keep the cached copy current while every edit is confirmed by the server;
+  // drafted cells are cached as published
+  const unsynced = pending.some(m => m.status !== 'failed');
+  useEffect(() => {
+    if (loading || fromCache || unsynced || !lastSynced) return;
+    const published = applyCells(schedule, draftCells(draftRef.current), 'before');
+    offlineStore.saveSnapshot({ schedule: published, groups, syncedAt: lastSynced }, snapshotKey());
+  }, [schedule, groups, loading, fromCache, unsynced, lastSynced]);
+
+  // ── Live collaboration (utils/liveSync) ───────────────────────────────────
+  // Signed-in admins see each other's confirmed changes as they happen. Undo
+  // steps touching a cell someone else changed are dropped, since replaying
+  // them would silently overwrite that edit. `remoteEdits` remembers who last
+  // changed each cell from elsewhere, for the class editor's stale warning.
+  const [liveStatus,  setLiveStatus]  = useState('off');
+  const [presence,    setPresence]    = useState([]);
+  const [editingCell, setEditingCell] = useState(null);
+  const [remoteEdits, setRemoteEdits] = useState({});
+
+  useEffect(() => {
+    if (authLoading || !isAuthenticated) return;
+    const close = subscribeLive({
+      onStatus:   setLiveStatus,
+      onPresence: setPresence,
+      onChange: ({ cells, user, at }) => {
+        const keys    = new Set(cells.map(c => c.key));
+        const touches = (command) => command.cells.some(c => keys.has(c.key));
+        // Drafted cells keep the draft on screen; publishing reports the clash
+        setSchedule(prev => applyCells(prev, cells.filter(c => !(c.key in draftRef.current)), 'after'));
+        setHistory(h => ({ past: h.past.filter(c => !touches(c)), future: h.future.filter(c => !touches(c)) }));
+        setRemoteEdits(prev => ({ ...prev, ...Object.fromEntries(cells.map(c => [c.key, { user, at }])) }));
+      },
+    });
+    return () => {
+      close();
+      setLiveStatus('off');
+      setPresence([]);
+      setRemoteEdits({});
+    };
+  }, [authLoading, isAuthenticated, activeTermId]);
+
+  // The open cell is announced whenever it changes, and again as a heartbeat
+  useEffect(() => {
+    if (liveStatus !== 'live') return;
+    announceEditing(editingCell);
+    const timer = setInterval(() => announceEditing(editingCell), HEARTBEAT_MS);
+    return () => clearInterval(timer);
+  }, [liveStatus, editingCell]);
+
+  // ── Draft & publish (utils/drafts) ────────────────────────────────────────
+  // In draft mode timetable edits are staged in a private per-term draft kept
+  // on this device instead of being saved. Undo and redo move through the
+  // draft too. Adding and deleting groups still takes effect at once. The
+  // draft is published in one request, which becomes a single undoable step.
+  const [draftMode, setDraftMode] = useState(false);
+  const [draft,     setDraft]     = useState({});
+  const draftLoaded = useRef(false);
+  draftRef.current = draft;
+
+  const stageCommand = (command, side = 'after') => {
+    const from  = side === 'after' ? 'before' : 'after';
+    const cells = command.cells.map(c => ({ key: c.key, before: c[from], after: c[side] }));
+    setSchedule(prev => applyCells(prev, cells, 'after'));
+    setDraft(d => mergeIntoDraft(d, cells));
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    draftLoaded.current = false;
+    setDraft({});
+    setDraftMode(false);
+    offlineStore.loadDraft(snapshotKey()).then(saved => {
+      if (cancelled) return;
+      draftLoaded.current = true;
+      if (!saved || !Object.keys(saved).length) return;
+      setDraft(saved);
+      setDraftMode(true);
+      setSchedule(prev => applyCells(prev, draftCells(saved), 'after'));
+    });
+    return () => { cancelled = true; };
+  }, [activeTermId]);
+
+  useEffect(() => {
+    if (!draftLoaded.current) return;
+    if (Object.keys(draft).length) offlineStore.saveDraft(draft, snapshotKey());
+    else offlineStore.clearDraft(snapshotKey());
+  }, [draft]);
+
+  const startDraft = () => { if (!blockedByTerm()) setDraftMode(true); };
+
+  // Staged steps can no longer be undone once the draft is gone
+  const dropDraftHistory = () =>
+    setHistory(h => ({ past: h.past.filter(c => !c.draft), future: [] }));
+
+  const discardDraft = () => {
+    setSchedule(prev => applyCells(prev, draftCells(draft), 'before'));
+    draftRef.current = {};
+    setDraft({});
+    setDraftMode(false);
+    dropDraftHistory();
+    loadAll();
+  };
+
+  // Keys of drafted cells someone else has changed since; null when the
+  // published timetable could not be loaded
+  const checkDraft = useCallback(async () => {
+    try {
+      return draftConflicts(draft, unwrapSchedule(await scheduleAPI.getAll()));
+    } catch {
+      return null;
+    }
+  }, [draft]);
+
+  // Applies the whole draft at once; `notify` sends change notifications
+  const publishDraft = async ({ notify = false } = {}) => {
+    if (blockedByTerm()) return false;
+    const command = makeCommand('historyPublish', draftCells(draft));
+    if (!command.cells.length) { setDraftMode(false); return true; }
+    try {
+      await scheduleAPI.publish(changeRows(command.cells), notify);
     } catch (err) {
-      alert(`Failed to move class: ${err.message}`);
-      loadAll();
+      showToast({ type: 'error', message: `${t('historyPublish')}: ${err.message}` });
+      return false;
     }
+    draftRef.current = {};
+    setDraft({});
+    setDraftMode(false);
+    dropDraftHistory();
+    record(command);
+    return true;
+  };
+
+  // The copies of a joint class change together or not at all: one batch,
+  // replayed as one by undo
+  const runJoint = (command) => {
+    const joint = { ...command, batch: true };
+    return runMutation(joint, () => scheduleAPI.batch(changeRows(joint.cells)));
+  };
+
+  // Copies of a joint class other than `entry` itself, as command cells
+  const siblingCells = (entry, after) => attendees(entry)
+    .filter(g => g !== entry.group)
+    .map(g => cellKey(g, entry.day, entry.time))
+    .filter(key => sameEvent(schedule[key], entry))
+    .map(key => ({ key, before: schedule[key], after: after ? after(schedule[key]) : null }));
+
+  // The class an editor form describes. `classData.teachers` lists the
+  // instructors of a co-taught class; `teacher` then holds them joined for display.
+  const classFields = (classData) => {
+    const { course, room, subjectType, duration = 1, meetingLink = '' } = classData;
+    const teacherList = [...new Set((classData.teachers || []).map(n => String(n).trim()).filter(Boolean))];
+    const teachers    = teacherList.length > 1 ? teacherList : null;
+    const teacher     = teachers ? teachers.join(CO_TEACHER_SEPARATOR) : (teacherList[0] ?? classData.teacher);
+    return {
+      course, teacher: teacher || '', room: room || '', subjectType: subjectType || 'lecture', duration, meetingLink: meetingLink || '',
+      recurrence: normalizeRecurrence(classData.recurrence),
+      ...(teachers ? { teachers } : {}),
+    };
+  };
+
+  // A one-cell change: saves the cell, or deletes it when it ends up empty
+  const runCell = (command) => {
+    const { after, before } = command.cells[0];
+    return runMutation(command, () => (after ? saveEntry(after) : scheduleAPI.delete(before.group, before.day, before.time)));
+  };
+
+  // `classData.groups` lists the other groups attending a joint class; every
+  // attendee's cell gets a copy, and copies of groups dropped from the list
+  // are removed, all in one batch. Classes sharing the cell in other weeks
+  // stay in it.
+  const addOrUpdateClass = (group, day, time, classData) => {
+    const groupList = normalizeGroups(group, classData.groups);
+    const key   = cellKey(group, day, time);
+    const prev  = schedule[key] || null;
+    const entry = { group, day, time, ...classFields(classData), ...(groupList ? { groups: groupList } : {}) };
+    const dropped = prev ? siblingCells(prev).filter(c => !groupList?.includes(c.before.group)) : [];
+    const copies  = (groupList || [group]).map(g => {
+      const k = cellKey(g, day, time);
+      const after = g === group && prev?.alternates ? { ...entry, alternates: prev.alternates } : { ...entry, group: g };
+      return { key: k, before: schedule[k] || null, after };
+    });
+    const command = makeCommand(prev ? 'historyUpdate' : 'historyAdd', [...copies, ...dropped]);
+    if (command.cells.length > 1) return runJoint(command);
+    return runCell(command);
+  };
+
+  // Deleting any copy of a joint class deletes it for every group. Another
+  // class sharing the cell in other weeks takes the slot over.
+  const deleteClass = (group, day, time) => {
+    const key = cellKey(group, day, time);
+    const prev = schedule[key] || null;
+    const after = joinCell(cellClasses(prev).slice(1));
+    const command = makeCommand('historyDelete', [{ key, before: prev, after }, ...(prev ? siblingCells(prev) : [])]);
+    if (command.cells.length > 1) return runJoint(command);
+    return runCell(command);
+  };
+
+  // Puts another class in an occupied cell, for weeks none of the cell's
+  // classes meets in (utils/recurrence cellClash — the class editor checks)
+  const addAlternate = (group, day, time, classData) => {
+    const key  = cellKey(group, day, time);
+    const prev = schedule[key];
+    const after = joinCell([...cellClasses(prev), { group, day, time, ...classFields(classData) }]);
+    return runCell(makeCommand('historyUpdate', [{ key, before: prev, after }]));
+  };
+
+  // `index` is the class's place in the cell's `alternates`
+  const removeAlternate = (group, day, time, index) => {
+    const key  = cellKey(group, day, time);
+    const prev = schedule[key];
+    const after = joinCell(cellClasses(prev).filter((_, i) => i !== index + 1));
+    return runCell(makeCommand('historyUpdate', [{ key, before: prev, after }]));
+  };
+
+  // Drag and drop (utils/scheduleMove): the class and whatever it displaces
+  // change places in one server-side operation, after checking that each
+  // still fits its whole duration
+  const moveClass = (fromGroup, fromDay, fromTime, toGroup, toDay, toTime) => {
+    const plan = planMove(schedule, { group: fromGroup, day: fromDay, time: fromTime }, { group: toGroup, day: toDay, time: toTime }, timeSlots);
+    if (plan.error) {
+      showToast({ type: 'error', message: t(plan.error, plan.params) });
+      return Promise.resolve(false);
+    }
+    const command = makeCommand(plan.labelKey, plan.cells, [], plan.moves);
+    if (!command.cells.length) return Promise.resolve(false);
+    return runMutation(command, () => scheduleAPI.move(moveRequest(command, 'after')));
+  };
+
+  // Turns separate per-group copies of one lecture into a single joint class
+  const markJoint = (entries) => {
+    const groupList = normalizeGroups(entries[0].group, entries.map(e => e.group));
+    return runJoint(makeCommand('historyMarkJoint', entries.map(e => ({
+      key: cellKey(e.group, e.day, e.time), before: e, after: { ...entries[0], group: e.group, groups: groupList },
+    }))));
+  };
+
+  // ── Bulk edits of selected cells (utils/bulkEdit) ─────────────────────────
+  // Each is one undoable change however many cells it touches
+  const runBulk = (labelKey, { cells }) => {
+    const command = makeCommand(labelKey, cells);
+    if (!command.cells.length) return Promise.resolve(true);
+    return runMutation(command, () => persistCells(command.cells, 'after'));
+  };
+
+  const bulkUpdateClasses = (keys, patch) => runBulk('historyBulkEdit', planPatch(schedule, keys, patch));
+  const bulkDeleteClasses = (keys) => runBulk('historyBulkDelete', planDelete(schedule, keys));
+  const bulkShiftClasses  = (keys, shift) => runBulk('historyBulkShift', planShift(schedule, keys, shift, timeSlots));
+
+  // Find-and-replace (utils/findReplace): every changed entry goes to the
+  // server in one batch, and undo replays it as one
+  const replaceInClasses = (options) => {
+    const { cells = [] } = planReplace(schedule, options, groupIndex);
+    const command = { ...makeCommand('historyReplace', cells.map(({ key, before, after }) => ({ key, before, after }))), batch: true };
+    if (!command.cells.length) return Promise.resolve(true);
+    return runMutation(command, () => scheduleAPI.batch(changeRows(command.cells)));
+  };
+
+  // ── Clipboard (utils/scheduleClipboard) ───────────────────────────────────
+  // Survives switching views and terms, so a week can be pasted into another term
+  const [clipboard, setClipboard] = useState(null);
+
+  // Copies a cell, a group's day or a group's week; false when there was nothing to copy
+  const copyClasses = (kind, place) => {
+    const clip = makeClip(schedule, kind, place);
+    if (!clip.entries.length) return false;
+    setClipboard(clip);
+    return true;
+  };
+
+  // Pastes the clipboard at `target` as one undoable change; the classes
+  // already in cells it left alone, or false when the paste failed
+  const pasteClipboard = async (target, options) => {
+    if (!clipboard) return false;
+    const { cells, skipped } = planPaste(schedule, clipboard, target, options);
+    if (!(await runBulk('historyPaste', { cells }))) return false;
+    return skipped;
+  };
+
+  // ── Room catalog ──────────────────────────────────────────────────────────
+  // Saved as a whole list like the teacher registry. An empty catalog leaves
+  // every room picker as free text over the rooms found in the timetable.
+  const [roomRegistry, setRoomRegistry] = useState([]);
+  const roomIndex = useMemo(() => indexRooms(roomRegistry), [roomRegistry]);
+
+  useEffect(() => {
+    if (authLoading) return;
+    let cancelled = false;
+    roomRegistryAPI.getAll()
+      .then(res => {
+        const list = listOf(res);
+        if (!cancelled) setRoomRegistry(list);
+      })
+      .catch(() => { /* no catalog yet */ });
+    return () => { cancelled = true; };
+  }, [authLoading]);
+
+  const persistRooms = (next) => persistList(roomRegistryAPI.saveAll, setRoomRegistry, next);
+
+  // `previousCode` identifies the room being edited; omit it to add one
+  const saveRoom = (room, previousCode) => persistRooms(previousCode
+    ? roomRegistry.map(r => (r.code === previousCode ? room : r))
+    : [...roomRegistry, room]);
+
+  const deleteRoom = (code) => persistRooms(roomRegistry.filter(r => r.code !== code));
+
+  // Maps free-text room strings onto catalog codes: `mapping` is
+  // { 'B110 LAB': 'B110', … }. Codes not yet in the catalog are created, each
+  // string is kept as an alias of its room, and timetable entries are rewritten
+  // to the code as one undoable change.
+  const migrateRooms = async (mapping) => {
+    const next = roomRegistry.map(r => ({ ...r, aliases: [...(r.aliases || [])] }));
+    Object.entries(mapping).forEach(([raw, code]) => {
+      let room = next.find(r => r.code === code);
+      if (!room) {
+        room = { code, aliases: [], building: '', floor: '', capacity: '', type: /LAB/i.test(raw) ? 'lab' : 'lecture', equipment: [], bookable: true };
+        next.push(room);
+      }
+      if (raw !== code && !room.aliases.includes(raw)) room.aliases.push(raw);
+    });
+    if (!(await persistRooms(next))) return false;
+
+    const cells = Object.entries(schedule)
+      .filter(([, e]) => e.room && mapping[e.room] && mapping[e.room] !== e.room)
+      .map(([key, e]) => ({ key, before: e, after: { ...e, room: mapping[e.room] } }));
+    if (!cells.length) return true;
+    const command = makeCommand('historyRoomMigration', cells);
+    return runMutation(command, () => persistCells(command.cells, 'after'));
+  };
+
+  // ── Course catalog ────────────────────────────────────────────────────────
+  // Same whole-list persistence as the room catalog; empty until set up.
+  const [courseCatalog, setCourseCatalog] = useState([]);
+  const courseIndex = useMemo(() => indexCourses(courseCatalog), [courseCatalog]);
+
+  useEffect(() => {
+    if (authLoading) return;
+    let cancelled = false;
+    courseCatalogAPI.getAll()
+      .then(res => {
+        const list = listOf(res);
+        if (!cancelled) setCourseCatalog(list);
+      })
+      .catch(() => { /* no catalog yet */ });
+    return () => { cancelled = true; };
+  }, [authLoading]);
+
+  const persistCourses = (next) => persistList(courseCatalogAPI.saveAll, setCourseCatalog, next);
+
+  // `previousCode` identifies the course being edited; omit it to add one
+  const saveCourse = (course, previousCode) => persistCourses(previousCode
+    ? courseCatalog.map(c => (c.code === previousCode ? course : c))
+    : [...courseCatalog, course]);
+
+  const deleteCourse = (code) => persistCourses(courseCatalog.filter(c => c.code !== code));
+
+  // ── Group registry & departments ──────────────────────────────────────────
+  // Group records (department, study year, size, parent) and the departments
+  // they belong to, both with seed lists from constants until the backend has
+  // its own. The timetable's `groups` list stays the per-term list of rows.
+  const [groupRegistry, setGroupRegistry] = useState(DEFAULT_GROUPS);
+  const [departments,   setDepartments]   = useState(DEFAULT_DEPARTMENTS);
+  const groupIndex = useMemo(() => indexGroups(groupRegistry, departments), [groupRegistry, departments]);
+
+  const applyGroupRegistry = (list, depts) => {
+    setGroupRegistry(list);
+    setDepartments(depts);
+  };
+
+  useEffect(() => {
+    if (authLoading) return;
+    let cancelled = false;
+    Promise.all([
+      groupRegistryAPI.getAll().catch(() => null),
+      departmentsAPI.getAll().catch(() => null),
+    ]).then(([groupsRes, deptsRes]) => {
+      if (cancelled) return;
+      const list  = listOf(groupsRes);
+      const depts = listOf(deptsRes);
+      applyGroupRegistry(list.length ? list : DEFAULT_GROUPS, depts.length ? depts : DEFAULT_DEPARTMENTS);
+    });
+    return () => { cancelled = true; };
+  }, [authLoading]);
+
+  const persistGroupRegistry = (next) => persistList(groupRegistryAPI.saveAll, list => applyGroupRegistry(list, departments), next);
+
+  const persistDepartments = (next) => persistList(departmentsAPI.saveAll, depts => applyGroupRegistry(groupRegistry, depts), next);
+
+  // `previousName` identifies the record being edited; omit it to add one.
+  // Renaming a record carries its subgroups along.
+  const saveGroupRecord = (record, previousName) => persistGroupRegistry(previousName
+    ? groupRegistry.map(g => (g.name === previousName ? record
+      : g.parent === previousName ? { ...g, parent: record.name } : g))
+    : [...groupRegistry, record]);
+
+  // Subgroups of a deleted record lose their parent rather than disappearing
+  const deleteGroupRecord = (name) => persistGroupRegistry(groupRegistry
+    .filter(g => g.name !== name)
+    .map(g => (g.parent === name ? { ...g, parent: '' } : g)));
+
+  // Adds records for timetable groups the registry doesn't know yet
+  const registerGroups = (records) => persistGroupRegistry([...groupRegistry, ...records]);
+
+  const saveDepartment = (dept, previousId) => persistDepartments(previousId
+    ? departments.map(d => (d.id === previousId ? dept : d))
+    : [...departments, dept]);
+
+  const deleteDepartment = (id) => persistDepartments(departments.filter(d => d.id !== id));
+
+  // ── Time grid ─────────────────────────────────────────────────────────────
+  // Teaching days, periods and breaks (utils/timeGrid) — one object for the
+  // whole timetable, seeded from constants until the backend has one.
+  const [timeGrid, setTimeGrid] = useState(DEFAULT_TIME_GRID);
+
+  useEffect(() => {
+    if (authLoading) return;
+    let cancelled = false;
+    timeGridAPI.get().catch(() => null).then(res => {
+      if (cancelled) return;
+      const grid = Array.isArray(res?.periods) ? res : null;
+      setTimeGrid(grid?.periods.length ? grid : DEFAULT_TIME_GRID);
+    });
+    return () => { cancelled = true; };
+  }, [authLoading]);
+
+  const saveTimeGrid = (grid) => persistList(timeGridAPI.save, setTimeGrid, grid);
+
+  const timeSlots = useMemo(() => timeGrid.periods.map(slotLabel), [timeGrid]);
+  const days      = timeGrid.days;
+
+  // Moves classes from slots the grid no longer has onto current ones:
+  // `mapping` is { '13:10-13:55': '13:15-13:55', … }. Classes whose target
+  // cell is taken stay put; all others move as one undoable change.
+  const migrateSlots = (mapping) => {
+    const { moves } = planSlotMigration(schedule, mapping);
+    if (!moves.length) return Promise.resolve(true);
+    const cells = moves.flatMap(({ fromKey, toKey, entry, to }) => [
+      { key: fromKey, before: entry, after: null },
+      { key: toKey, before: null, after: { ...entry, time: to } },
+    ]);
+    const command = makeCommand('historySlotMigration', cells);
+    return runMutation(command, () => persistCells(command.cells, 'after'));
   };
 
   const addGroup = async (groupName) => {
+    if (blockedByTerm()) return;
     try {
       await groupsAPI.add(groupName);
       setGroups(prev => [...prev, groupName]);
+      logChange('group', groupName, null, { name: groupName });
     } catch (err) {
-      alert(`Failed to add group: ${err.message}`);
+      showToast({ type: 'error', message: `Failed to add group: ${err.message}` });
     }
   };
 
   const deleteGroup = async (groupName) => {
+    if (blockedByTerm()) return;
+    const cells = Object.entries(schedule)
+      .filter(([, v]) => v.group === groupName || (v.groups || []).includes(groupName))
+      .map(([key, v]) => ({
+        key, before: v,
+        after: v.group === groupName ? null : { ...v, groups: normalizeGroups(v.group, v.groups.filter(g => g !== groupName)) },
+      }));
+    const index = groups.indexOf(groupName);
+    const command = makeCommand('historyDeleteGroup', cells, index >= 0 ? [{ name: groupName, index }] : []);
     try {
       await groupsAPI.delete(groupName);
-      setGroups(prev => prev.filter(g => g !== groupName));
-      setSchedule(prev => {
-        const next = {};
-        Object.entries(prev).forEach(([k, v]) => { if (v.group !== groupName) next[k] = v; });
-        return next;
-      });
+      // Joint classes the group attended stay on for the other groups
+      await persistCells(command.cells.filter(c => c.after), 'after');
+      applyLocally(command, 'after');
+      record(command);
     } catch (err) {
-      alert(`Failed to delete group: ${err.message}`);
+      showToast({ type: 'error', message: `Failed to delete group: ${err.message}` });
+    }
+  };
+
+  // Undoes one audit-log record (utils/auditLog) for a timetable cell or a
+  // group. A cell goes back to its `before` value whatever it holds now, as
+  // an undoable edit of its own.
+  const revertChange = (rec) => {
+    if (rec.entity === 'group') {
+      return rec.after ? deleteGroup(rec.key) : addGroup(rec.key);
     }
+    const cells = [{ key: rec.key, before: schedule[rec.key] || null, after: rec.before }];
+    if (sameEntry(cells[0].before, cells[0].after)) return Promise.resolve(true);
+    const command = makeCommand('auditRevert', cells);
+    return runMutation(command, () => persistCells(command.cells, 'after'));
   };
 
-  const clearSchedule = async () => {
+  // ── Named snapshots (utils/snapshots) ─────────────────────────────────────
+  // Saves the active term's whole timetable under `name`; the saved snapshot,
+  // or null on failure
+  const createSnapshot = async (name) => {
     try {
-      await Promise.all(Object.values(schedule).map(e => scheduleAPI.delete(e.group, e.day, e.time)));
-      setSchedule({});
+      const snap = { name, author: currentUser(), createdAt: new Date().toISOString(), groups, schedule };
+      const saved = await snapshotsAPI.create(snap);
+      return { ...snap, ...(saved && typeof saved === 'object' ? saved : {}) };
     } catch (err) {
-      alert(`Failed to clear schedule: ${err.message}`);
-      loadAll();
+      showToast({ type: 'error', message: err.message });
+      return null;
+    }
+  };
+
+  // Puts the groups and days in `scope` ({ groups, days }, null = all) back
+  // the way `snap` had them, as one undoable change. Groups deleted since the
+  // snapshot was taken are created again first.
+  const restoreSnapshot = async (snap, scope = {}) => {
+    if (blockedByTerm()) return false;
+    const missing = (snap.groups || [])
+      .filter(g => !groups.includes(g) && (!scope.groups || scope.groups.includes(g)));
+    for (const g of missing) {
+      try { await groupsAPI.add(g); } catch { /* exists */ }
+      logChange('group', g, null, { name: g }, 'historyRestoreSnapshot');
+    }
+    if (missing.length) setGroups(prev => [...prev, ...missing.filter(g => !prev.includes(g))]);
+    const command = makeCommand('historyRestoreSnapshot', restoreCells(diffSchedules(snap.schedule || {}, schedule), scope));
+    if (!command.cells.length) return true;
+    return runMutation(command, () => persistCells(command.cells, 'after'));
+  };
+
+  // Clears the classes in `scope` (utils/scopedClear) as one undoable change
+  // sent in a single batch. A snapshot of the whole timetable is saved first,
+  // and nothing is cleared when that fails; a draft needs none. Resolves to
+  // the snapshot (true in draft mode), or false.
+  const clearSchedule = async (scope = {}) => {
+    if (blockedByTerm()) return false;
+    const command = { ...makeCommand('historyClear', planClear(schedule, scope, groupIndex).cells), batch: true };
+    if (!command.cells.length) return true;
+    if (draftMode) return runMutation(command);
+    const snap = await createSnapshot(t('clearSnapshotName', { count: command.cells.filter(c => !c.after).length, date: new Date().toLocaleString() }));
+    if (!snap) return false;
+    const ok = await runMutation(command, () => scheduleAPI.batch(changeRows(command.cells)));
+    return ok && snap;
+  };
+
+  // ── Term switching & copy-forward ─────────────────────────────────────────
+  const selectTerm = (id) => {
+    id = id ? String(id) : '';
+    if (id === activeTermId) return;
+    if (inFlight) { showToast({ type: 'error', message: t('termSwitchBlocked') }); return; }
+    storeTermId(id);
+    hasDataRef.current = false;
+    syncedRef.current  = false;
+    setHistory({ past: [], future: [] });
+    setSchedule({});
+    setFromCache(false);
+    setLoading(true);
+    setActiveTermId(id);
+  };
+
+  const getTermGroups = useCallback(async (termId) => unwrapGroups(await groupsAPI.getAll(termId)), []);
+
+  const setTermArchived = async (termId, archived) => {
+    try {
+      await termsAPI.update(termId, { archived });
+      await loadTerms();
+    } catch (err) {
+      showToast({ type: 'error', message: err.message });
     }
   };
 
+  // Creates a term and copies another term's timetable into it. `renames`
+  // maps old group names to new ones; an empty name leaves the group behind.
+  const startNewTerm = async ({ fromTermId, name, startDate, endDate, renames = {} }) => {
+    const term = await termsAPI.create({ name, startDate, endDate, archived: false });
+    if (!term?.id) throw new Error('Failed to create term');
+
+    const [scheduleRes, groupsRes] = await Promise.all([
+      scheduleAPI.getAll(fromTermId),
+      groupsAPI.getAll(fromTermId),
+    ]);
+    const rename    = (g) => (g in renames ? renames[g] : g);
+    const newGroups = [...new Set(unwrapGroups(groupsRes).map(rename).filter(Boolean))];
+    // Joint classes carry their attendees in `groups` too; a copy left with
+    // one group becomes a plain class
+    const entries   = Object.values(unwrapSchedule(scheduleRes))
+      .map(e => {
+        const { groups, ...rest } = e;
+        const group = rename(e.group);
+        const list  = groups && normalizeGroups(group, groups.map(rename));
+        return list ? { ...rest, group, groups: list } : { ...rest, group };
+      })
+      .filter(e => e.group);
+    if (newGroups.length || entries.length) await scheduleAPI.bulk(newGroups, entries, term.id);
+
+    await loadTerms();
+    selectTerm(term.id);
+    return term;
+  };
+
+  // ── Date exceptions & the week being viewed ───────────────────────────────
+  // Like terms, a backend without /exceptions just leaves the list empty.
+  const [exceptions, setExceptions] = useState([]);
+  const [weekOffset, setWeekOffset] = useState(0);   // 0 = this week
+  const weekStart = useMemo(() => addWeeks(startOfWeek(new Date()), weekOffset), [weekOffset]);
+
+  useEffect(() => {
+    if (authLoading) return;
+    let cancelled = false;
+    exceptionsAPI.getAll()
+      .then(res => {
+        if (cancelled) return;
+        setExceptions(listOf(res));
+      })
+      .catch(() => { if (!cancelled) setExceptions([]); });
+    return () => { cancelled = true; };
+  }, [authLoading, activeTermId]);
+
+  const addException = async (ex) => {
+    if (blockedByTerm()) return false;
+    try {
+      const saved = await exceptionsAPI.create(ex);
+      setExceptions(prev => [...prev, { ...ex, id: saved?.id ?? `${Date.now()}` }]);
+      return true;
+    } catch (err) {
+      showToast({ type: 'error', message: err.message });
+      return false;
+    }
+  };
+
+  const removeException = async (id) => {
+    if (blockedByTerm()) return false;
+    try {
+      await exceptionsAPI.delete(id);
+      setExceptions(prev => prev.filter(ex => ex.id !== id));
+      return true;
+    } catch (err) {
+      showToast({ type: 'error', message: err.message });
+      return false;
+    }
+  };
+
+  // What actually runs in the viewed week — recurrence and exceptions applied
+  const weekSchedule = useMemo(() => buildWeekSchedule(schedule, {
+    dates: weekDateMap(days, weekStart), termStart: activeTerm?.startDate, exceptions,
+  }), [schedule, days, weekStart, activeTerm?.startDate, exceptions]);
+
   const getClassByKey    = (group, day, time) => schedule[`${group}-${day}-${time}`] || null;
   const getScheduleByDay = (day) => Object.entries(schedule).filter(([, v]) => v.day === day);
   const exportSchedule   = () => JSON.stringify({ groups, schedule, exportDate: new Date().toISOString() }, null, 2);
 
   const importSchedule = async (jsonData) => {
+    if (readOnly) return { success: false, error: t('termReadOnly') };
     try {
       const data = JSON.parse(jsonData);
-      let entries = [], groupList = [];
+      let rows = [], groupList = [];
       if (Array.isArray(data)) {
-        entries   = data;
-        groupList = [...new Set(data.map(e => e.group).filter(Boolean))];
-      } else if (data.schedule) {
-        entries   = Object.values(data.schedule);
-        groupList = data.groups || [...new Set(entries.map(e => e.group).filter(Boolean))];
+        rows = data;
+      } else if (data && typeof data.schedule === 'object') {
+        rows      = Object.values(data.schedule || {});
+        groupList = unwrapGroups(checkRows('group', data.groups || []).valid);
       } else {
         return { success: false, error: 'Invalid data format' };
       }
-      if (entries.length === 0) return { success: false, error: 'No schedule entries found in file' };
+      if (rows.length === 0) return { success: false, error: 'No schedule entries found in file' };
+      // Imported classes must land on the current grid
+      const { valid: entries, rejected } = checkRows('entry', rows, { timeSlots, days });
+      reportRejected('import', rejected, { open: true });
+      if (entries.length === 0) return { success: false, error: t('vrNothingValid', { count: rejected.length }) };
+      groupList = [...new Set([...groupList, ...entries.map(e => e.group)])];
       if (scheduleAPI.bulk) {
-        const result = await scheduleAPI.bulk(groupList, entries);
-        if (!result.success) return { success: false, error: result.error || 'Bulk import failed' };
+        await scheduleAPI.bulk(groupList, entries);
       } else {
         for (const g of groupList) {
           if (!groups.includes(g)) { try { await groupsAPI.add(g); } catch { /* exists */ } }
@@ -291,7 +1259,9 @@ export const ScheduleProvider = ({ children }) => {
         }
       }
       await loadAll();
-      return { success: true };
+      // Imported rows overwrite cells the recorded commands know nothing about
+      setHistory({ past: [], future: [] });
+      return { success: true, imported: entries.length, rejected: rejected.length };
     } catch (err) {
       return { success: false, error: err.message };
     }
@@ -300,14 +1270,38 @@ export const ScheduleProvider = ({ children }) => {
   return (
     <ScheduleContext.Provider value={{
       groups, schedule, teachers,
-      timeSlots: TIME_SLOTS,
-      days: DAYS,
+      timeSlots, days,
       loading, error,
-      addOrUpdateClass, deleteClass, moveClass,
+      addOrUpdateClass, deleteClass, addAlternate, removeAlternate, moveClass, markJoint,
+      bulkUpdateClasses, bulkDeleteClasses, bulkShiftClasses, replaceInClasses,
+      clipboard, setClipboard, copyClasses, pasteClipboard,
       addGroup, deleteGroup, clearSchedule,
       getClassByKey, getScheduleByDay, getScheduleByTeacher,
       exportSchedule, importSchedule,
+      undo, redo, historyBusy,
+      canUndo:   history.past.length > 0 && !historyBusy && !inFlight,
+      canRedo:   history.future.length > 0 && !historyBusy && !inFlight,
+      undoLabel: history.past[history.past.length - 1]?.labelKey || null,
+      redoLabel: history.future[0]?.labelKey || null,
+      pending, retryMutation, discardMutation,
+      online, syncing, lastSynced, fromCache, syncNow,
+      liveStatus, presence, remoteEdits, setEditingCell,
+      draftMode, draft, startDraft, discardDraft, checkDraft, publishDraft,
+      terms, activeTerm, activeTermId, readOnly,
+      selectTerm, startNewTerm, setTermArchived, getTermGroups,
+      exceptions, addException, removeException,
+      weekOffset, setWeekOffset, weekStart, weekSchedule,
+      teacherRegistry, teacherIndex, saveTeacher, deleteTeacher, mergeTeachers,
+      roomRegistry, roomIndex, saveRoom, deleteRoom, migrateRooms,
+      courseCatalog, courseIndex, saveCourse, deleteCourse,
+      groupRegistry, departments, groupIndex, saveGroupRecord, deleteGroupRecord, registerGroups,
+      saveDepartment, deleteDepartment,
+      timeGrid, saveTimeGrid, migrateSlots,
+      revertChange,
+      createSnapshot, restoreSnapshot,
       reload: loadAll,
+      validationReport, reportOpen, reportRejected,
+      openReport: () => setReportOpen(true), closeReport: () => setReportOpen(false),
     }}>
       {children}
     </ScheduleContext.Provider>
@@ -0,0 +1,37 @@
+// src/context/ToastContext.js
+
+import React, { createContext, useContext, useState, useCallback, useRef } from 'react';
+
+const ToastContext = createContext();
+
+export const useToast = () => {
+  const context = useContext(ToastContext);
+  if (!context) throw new Error('useToast must be used within a ToastProvider');
+  return context;
+};
+
+const DEFAULT_DURATION = 5000;
+
+export const ToastProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]);
+  const seq = useRef(0);
+
+  const dismissToast = useCallback((id) => {
+    setToasts(prev => prev.filter(t => t.id !== id));
+  }, []);
+
+  // showToast({ message, type: 'info'|'success'|'error', action: { label, onClick }, duration })
+  // duration 0 keeps the toast until the user dismisses it.
+  const showToast = useCallback(({ message, type = 'info', action = null, duration = DEFAULT_DURATION }) => {
+    const id = ++seq.current;
+    setToasts(prev => [...prev, { id, message, type, action }]);
+    if (duration > 0) setTimeout(() => dismissToast(id), duration);
+    return id;
+  }, [dismissToast]);
+
+  return (
+    <ToastContext.Provider value={{ toasts, showToast, dismissToast }}>
+      {children}
+    </ToastContext.Provider>
+  );
+};
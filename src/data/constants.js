@@ -1,22 +1,84 @@
 // src/data/constants.js
 
-export const UNIVERSITY_GROUPS = [
-  'COMSE-25', 'COMCEH-25', 'COMFCI-25', 'COMCEH-24',
-  'COMSE-24', 'COMFCI-24', 'COMSEH-23', 'COMSE-23/1-Group',
-  'COMSE-23/2-Group', 'COMFCI-23', 'COM-22/1-Group',
-  'COM-22/2-Group', 'MATDAIS-25', 'MATMIE-25',
-  'MATDAIS-24', 'MATMIE-24', 'MATDAIS-23', 'MATMIE-23',
-  'MATH-22', 'EEAIR-25', 'IEMIT-25', 'EEAIR-24',
-  'IEMIT-24', 'EEAIR-23', 'IEMIT-23'
+// Seed for the department list, used until the backend has one of its own.
+// `prefixes` place groups that aren't in the group registry yet ("COMSE-26" →
+// cs); `theme` holds the colours the topbar theme picker applies.
+export const DEFAULT_DEPARTMENTS = [
+  { id: 'cs', icon: '💻', prefixes: ['COM'],
+    names: { en: 'Computer Science', ru: 'Компьютерные науки', ky: 'Компьютердик илимдер' },
+    theme: { primary: '#2563eb', hover: '#1d4ed8', light: '#dbeafe', accent: '#06b6d4', darkPrimary: '#60a5fa', darkLight: '#1e3a6a' } },
+  { id: 'math', icon: '📐', prefixes: ['MAT'],
+    names: { en: 'Applied Math', ru: 'Прикладная математика', ky: 'Колдонмо математика' },
+    theme: { primary: '#7c3aed', hover: '#6d28d9', light: '#ede9fe', accent: '#a78bfa', darkPrimary: '#a78bfa', darkLight: '#3b2a6e' } },
+  { id: 'ie', icon: '⚙️', prefixes: ['IE'],
+    names: { en: 'Industrial Engineering', ru: 'Промышленная инженерия', ky: 'Өнөр жай инженерия' },
+    theme: { primary: '#d97706', hover: '#b45309', light: '#fef3c7', accent: '#f59e0b', darkPrimary: '#fbbf24', darkLight: '#5a3a00' } },
+  { id: 'ee', icon: '⚡', prefixes: ['EE'],
+    names: { en: 'Electronics', ru: 'Электроника', ky: 'Электроника' },
+    theme: { primary: '#059669', hover: '#047857', light: '#d1fae5', accent: '#34d399', darkPrimary: '#34d399', darkLight: '#054d38' } },
 ];
 
-export const TIME_SLOTS = [
-  '08:00-08:40', '08:45-09:25', '09:30-10:10', '10:15-10:55', '11:00-11:40', '11:45-12:25',
-  '12:30-13:10', '13:15-13:55', '14:00-14:40', '14:45-15:25', '15:30-16:10', '16:15-16:55',
-  '17:00-17:40', '17:45-18:25'
+// Seed for the group registry: { name, department, year, size, parent }.
+// `year` is the study year, `size` the number of students (blank when not
+// known), `parent` the group a subgroup was split from. Parent-only records
+// (COMSE-23, COM-22) have no timetable row of their own.
+const group = (name, department, year, parent = '') => ({ name, department, year, size: '', parent });
+
+export const DEFAULT_GROUPS = [
+  group('COMSE-25', 'cs', 1), group('COMCEH-25', 'cs', 1), group('COMFCI-25', 'cs', 1),
+  group('COMCEH-24', 'cs', 2), group('COMSE-24', 'cs', 2), group('COMFCI-24', 'cs', 2),
+  group('COMSEH-23', 'cs', 3),
+  group('COMSE-23', 'cs', 3),
+  group('COMSE-23/1-Group', 'cs', 3, 'COMSE-23'), group('COMSE-23/2-Group', 'cs', 3, 'COMSE-23'),
+  group('COMFCI-23', 'cs', 3),
+  group('COM-22', 'cs', 4),
+  group('COM-22/1-Group', 'cs', 4, 'COM-22'), group('COM-22/2-Group', 'cs', 4, 'COM-22'),
+  group('MATDAIS-25', 'math', 1), group('MATMIE-25', 'math', 1),
+  group('MATDAIS-24', 'math', 2), group('MATMIE-24', 'math', 2),
+  group('MATDAIS-23', 'math', 3), group('MATMIE-23', 'math', 3),
+  group('MATH-22', 'math', 4),
+  group('EEAIR-25', 'ee', 1), group('IEMIT-25', 'ie', 1),
+  group('EEAIR-24', 'ee', 2), group('IEMIT-24', 'ie', 2),
+  group('EEAIR-23', 'ee', 3), group('IEMIT-23', 'ie', 3),
 ];
 
-export const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Default timetable rows: every registered group except parent-only records
+export const UNIVERSITY_GROUPS = DEFAULT_GROUPS
+  .filter(g => !DEFAULT_GROUPS.some(c => c.parent === g.name))
+  .map(g => g.name);
+
+// Seed for the time grid (utils/timeGrid), used until the backend has one.
+// 40-minute periods with 5-minute changeovers.
+export const DEFAULT_TIME_GRID = {
+  days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+  periods: [
+    ['08:00', '08:40'], ['08:45', '09:25'], ['09:30', '10:10'], ['10:15', '10:55'], ['11:00', '11:40'],
+    ['11:45', '12:25'], ['12:30', '13:10'], ['13:15', '13:55'], ['14:00', '14:40'], ['14:45', '15:25'],
+    ['15:30', '16:10'], ['16:15', '16:55'], ['17:00', '17:40'], ['17:45', '18:25'],
+  ].map(([start, end]) => ({ start, end })),
+  breaks: [],
+};
+
+// Seed for the teacher registry, used until the backend has one of its own.
+// Aliases are matched case-insensitively after normalizeTeacherName's cleanup.
+export const DEFAULT_TEACHERS = [
+  { name: 'Dr. Daniiar Satybaldiev', aliases: [
+    'dr. daniyar satybaldiev', 'mr. daniyar satybaldiev', 'dr daniiar satybaldiev',
+    'mr. daniiar satybaldiev', 'dr. daniar satybaldiev', 'mr. daniar satybaldiev',
+  ] },
+  { name: 'Mr. Nurlan Mukambaev',    aliases: ['mr. nurlan mukambetov'] },
+  { name: 'Mr. Erustan Erkebulanov', aliases: ['mr. erustan erkebulanov'] },
+  { name: 'Dr. Sherali Matanov',     aliases: ['dr. sheraly matanov'] },
+  { name: 'Mr. Hussein Chebsi',      aliases: ['mr. hussien chebsi'] },
+  { name: 'Dr. Ahmad Sarosh',        aliases: ['mr. ahmad sarosh'] },
+  { name: 'Dr. Cholpon Alieva',      aliases: ['ms. cholpon alieva', 'dr.cholpon alieva'] },
+  { name: 'Alimpieva L.',            aliases: ['alimpieva.l.v'] },
+  { name: 'Ms. Saidalieva',          aliases: ['ms. saidalieva a.'] },
+  { name: 'Ms. Asina',               aliases: ['ms. bopushova asina'] },
+  { name: 'Ms. Meerim Chukaeva',     aliases: ['ms. meerim', 'ms. meerim chukaeva (own device)'] },
+  { name: 'Mr. Murrey Eldred',       aliases: ['mr. murrey'] },
+  { name: 'Ms. Tattybubu',           aliases: ['ms. tattybubu arap kyzy'] },
+];
 
 export const DEFAULT_ADMIN = {
   username: 'admin',
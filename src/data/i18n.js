@@ -105,6 +105,7 @@ export const translations = {
     Thursday: 'Thursday',
     Friday: 'Friday',
     Saturday: 'Saturday',
+    Sunday: 'Sunday',
     today: 'Today',
 
     // Schedule table
@@ -458,6 +459,471 @@ export const translations = {
     feedbackEmail: 'Email',
     feedbackSubmittedAt: 'Submitted',
     feedbackAnonymous: 'Anonymous',
+
+    // History (undo / redo)
+    undo: 'Undo',
+    redo: 'Redo',
+    historyAdd: 'Add class',
+    historyUpdate: 'Edit class',
+    historyDelete: 'Delete class',
+    historyMove: 'Move class',
+    historySwap: 'Swap classes',
+    historyDeleteGroup: 'Delete group',
+    historyClear: 'Clear schedule',
+
+    // Pending changes
+    pendingTitle: 'Pending changes',
+    pendingSaving: 'Saving…',
+    pendingFailed: 'Not saved',
+    pendingQueued: 'Queued offline',
+
+    // Offline / sync status
+    syncSynced: 'Synced',
+    syncSyncing: 'Syncing…',
+    syncStale: 'Cached copy',
+    syncOffline: 'Offline',
+    syncQueued: 'queued',
+    syncLastSynced: 'Last synced',
+    syncNow: 'click to sync now',
+    offlineConflict: 'changed on the server while you were offline',
+    offlineOverwrite: 'Overwrite',
+
+    // Academic terms
+    termLabel: 'Academic term',
+    termNew: 'New term',
+    termName: 'Term name',
+    termStart: 'Starts',
+    termEnd: 'Ends',
+    termCopyFrom: 'Copy timetable from',
+    termEmpty: '— Start empty —',
+    termGroupNames: 'Groups in the new term',
+    termBumpYear: '+1 year to all',
+    termNameRequired: 'Enter a term name',
+    termCreate: 'Create term',
+    termArchive: 'Archive term (read only)',
+    termUnarchive: 'Unarchive term',
+    termArchiveConfirm: 'Archive "{term}"? It will become read only.',
+    termReadOnly: 'archived term, read only',
+    termSwitchBlocked: 'Wait for pending changes to save before switching terms',
+
+    // Recurrence & week navigation
+    recurrence: 'Repeats',
+    recurWeekly: 'Every week',
+    recurOdd: 'Odd weeks',
+    recurEven: 'Even weeks',
+    recurRange: 'Date range',
+    recurWeeks: 'Specific weeks',
+    recurFrom: 'From',
+    recurTo: 'To',
+    recurWeeksHint: 'Week numbers, e.g. 1-4, 7, 9',
+    recurRangeError: 'Pick a start and/or end date; the end cannot be before the start',
+    recurWeeksError: 'Enter week numbers, e.g. 1-4, 7, 9',
+    recurCellTaken: '{course} already meets in this cell in some of these weeks — pick weeks it leaves free',
+    recurBeside: 'Saved beside {course}: the cell holds both, each in its own weeks',
+    recurAlsoHere: 'Also in this cell:',
+    recurRemoveAlternate: 'Remove this class from the cell',
+    recurOddShort: 'odd weeks',
+    recurEvenShort: 'even weeks',
+    recurWeekShort: 'wk',
+    offWeek: 'Not this week',
+    weekPrev: 'Previous week',
+    weekNext: 'Next week',
+    weekThis: 'This week',
+    weekNumber: 'Week {n}',
+
+    // Date exceptions
+    excCancelled: 'Cancelled',
+    excHoliday: 'Holiday',
+    excMakeup: 'Make-up',
+    excMovedTo: 'Moved to {when}',
+    excMovedFrom: 'Moved from {when}',
+    excThisDate: 'Only on {date}',
+    excCancelOne: 'Cancel on this date',
+    excMoveOne: 'Move this occurrence',
+    excSaveMove: 'Move',
+    excNote: 'Note for students (optional)',
+    excMakeupOnly: 'One-off make-up on {date} (not weekly)',
+    excRemove: 'Remove this change',
+    excMarkHoliday: 'Mark holiday…',
+    excHolidayPrompt: 'Holiday name (optional)',
+    weekOf: 'Week of',
+
+    // Teacher registry
+    navTeachers: 'Teachers',
+    treqTitleHeading: 'Teacher Registry',
+    treqSubtitle: 'Canonical teacher names and the spellings that map to them. The timetable, filters and stats group classes by these names.',
+    treqAdd: 'Add teacher',
+    treqRegistry: 'Registry',
+    treqSearch: 'Search name, alias, department…',
+    treqName: 'Canonical name',
+    treqTitle: 'Title',
+    treqDepartment: 'Department',
+    treqEmail: 'Email',
+    treqPhone: 'Phone',
+    treqAliases: 'Aliases',
+    treqAliasesHint: 'One spelling per line, e.g. Mr. Daniyar Satybaldiev',
+    treqNameRequired: 'Enter the canonical name',
+    treqNameTaken: '{name} is already in the registry',
+    treqDeleteConfirm: 'Remove {name} from the registry? Their classes stay in the timetable.',
+    treqEmpty: 'No teachers found',
+    treqDuplicates: 'Likely duplicates',
+    treqDuplicatesHint: 'These names in the timetable look like spellings of the same teacher. Pick the correct one and merge — the others become its aliases.',
+    treqClassCount: '{count} classes',
+    treqMergeInto: 'Merge into {name}',
+    treqNotSame: 'Different people',
+
+    // Room catalog
+    navRooms: 'Rooms',
+    rregTitle: 'Room Catalog',
+    rregSubtitle: 'Every room with its building, capacity, type and equipment. Room pickers across the app suggest these codes.',
+    rregAdd: 'Add room',
+    rregCatalog: 'Catalog',
+    rregAllTypes: 'All types',
+    rregCode: 'Code',
+    rregType: 'Type',
+    rregBuilding: 'Building',
+    rregFloor: 'Floor',
+    rregFloorN: 'floor {floor}',
+    rregCapacity: 'Capacity',
+    rregEquipment: 'Equipment',
+    rregEquipmentHint: 'Projector, PCs, Whiteboard',
+    rregBookable: 'Guests can book this room',
+    rregNotBookable: 'Not bookable',
+    rregAliases: 'Aliases',
+    rregAliasesHint: 'Other spellings, one per line, e.g. B110 LAB',
+    rregCodeRequired: 'Enter the room code',
+    rregCodeTaken: '{code} is already in the catalog',
+    rregDeleteConfirm: 'Remove {code} from the catalog? Classes keep their room text.',
+    rregEmpty: 'The catalog is empty — add rooms or map the ones used in the timetable above.',
+    rregNoMatch: 'No rooms match',
+    rregMigrate: 'Rooms used in the timetable',
+    rregMigrateHint: 'These room strings are not catalog codes yet. Check the suggested code for each one, then apply: new codes are added to the catalog, each string becomes an alias, and classes are switched to the code.',
+    rregNew: 'new',
+    rregMigrateApply: 'Map {count} room strings',
+    rregMigrateConfirm: 'Update {count} classes and add {rooms} new rooms to the catalog?',
+    roomType_lecture: 'Lecture hall',
+    roomType_seminar: 'Seminar room',
+    roomType_lab: 'Lab',
+    roomType_computer: 'Computer lab',
+    roomType_online: 'Online',
+    roomType_other: 'Other',
+    roomSeats: '{count} seats',
+    roomNotInCatalog: 'Not in the room catalog',
+    roomNotBookable: 'This room is not open for booking',
+    roomsFromCatalog: 'From catalog',
+    historyRoomMigration: 'Room mapping',
+    historySlotMigration: 'Time slot migration',
+
+    // Course catalog
+    navCourses: 'Courses',
+    ccatTitle: 'Course Catalog',
+    ccatSubtitle: 'Courses with their names in every language, department and required weekly hours by class type.',
+    ccatCatalog: 'Catalog',
+    ccatHoursReport: 'Hours report',
+    ccatAdd: 'Add course',
+    ccatSearch: 'Search code, name, group…',
+    ccatCode: 'Code',
+    ccatDepartment: 'Department',
+    ccatNameEn: 'Name (English)',
+    ccatNameRu: 'Name (Russian)',
+    ccatNameKy: 'Name (Kyrgyz)',
+    ccatHoursPerWeek: 'h / week',
+    ccatGroups: 'Groups taking this course (comma separated)',
+    ccatAliases: 'Other spellings',
+    ccatAliasesHint: 'One per line, as they appear in the timetable',
+    ccatCodeRequired: 'Enter the course code',
+    ccatNameRequired: 'Enter the English name',
+    ccatCodeTaken: '{code} is already in the catalog',
+    ccatDeleteConfirm: 'Remove {code} from the catalog? Classes keep their course text.',
+    ccatEmpty: 'The catalog is empty — add the courses taught this term.',
+    ccatNoMatch: 'No courses match',
+    ccatUnder: '{count} under-scheduled',
+    ccatOver: '{count} over-scheduled',
+    ccatOnlyMismatches: 'Only mismatches',
+    ccatReportHint: 'Scheduled / required hours per week. Every-other-week classes count as half.',
+    ccatTotal: 'Total',
+    ccatDiff: 'Difference',
+    ccatNotInCatalog: 'not in catalog',
+    ccatReportEmpty: 'Nothing to report yet',
+    courseNotInCatalog: 'Not in the course catalog',
+    coursesFromCatalog: 'From catalog',
+    hoursShort: 'h',
+    perWeek: 'per week',
+
+    // Group registry
+    navGroups: 'Groups',
+    navTimeGrid: 'Time grid',
+    greqTitle: 'Groups & Departments',
+    greqSubtitle: 'Department, study year, size and subgroups of every group. Filters, printing, department themes and room capacity checks use this list.',
+    greqAdd: 'Add group',
+    greqGroups: 'Groups',
+    greqName: 'Name',
+    greqDepartment: 'Department',
+    greqYear: 'Study year',
+    greqSize: 'Students',
+    greqParent: 'Subgroup of',
+    greqNameRequired: 'Enter the group name',
+    greqNameTaken: '{name} is already in the list',
+    greqDeleteConfirm: 'Remove {name} from the group list? Its timetable row is not affected.',
+    greqSearch: 'Search groups',
+    greqAllDepartments: 'All departments',
+    greqNoDepartment: 'No department',
+    greqYearN: 'year {year}',
+    greqStudents: '{count} students',
+    greqSubgroupOf: 'subgroup of {group}',
+    greqParentOnly: 'Split into subgroups',
+    greqNotInTerm: 'Not in this term',
+    greqEmpty: 'No groups match',
+    greqUnregistered: 'Not in the list yet',
+    greqUnregisteredHint: 'These timetable groups have no record. Department and parent are guessed from the name; fill in year and size afterwards.',
+    greqRegisterAll: 'Add {count} groups',
+    greqDepartments: 'Departments',
+    greqAddDept: 'Add department',
+    greqDeptId: 'ID',
+    greqDeptIcon: 'Icon',
+    greqDeptNameEn: 'Name (EN)',
+    greqDeptNameRu: 'Name (RU)',
+    greqDeptNameKy: 'Name (KY)',
+    greqDeptPrefixes: 'Group prefixes',
+    greqDeptPrefixesHint: 'Groups not in the list are placed by name prefix, e.g. COM → COMSE-26.',
+    greqDeptColor: 'Theme colour',
+    greqDeptRequired: 'Enter an ID and an English name',
+    greqDeptTaken: 'A department with ID {id} already exists',
+    greqDeptDeleteConfirm: 'Delete the {name} department? Its groups stay, without a department.',
+    greqGroupCount: '{count} groups',
+    greqAllSubgroups: '{group} (all subgroups)',
+    greqJointClass: 'All subgroups',
+    greqOverCapacity: '{group} has {students} students; this room seats {seats}',
+
+    // Joint classes
+    jointGroups: 'Joint class',
+    jointGroupsHint: 'other groups attending',
+    jointAddGroup: 'Add group',
+    jointWith: 'with {groups}',
+    jointReplaces: '{group} already has {course} at this time — it will be replaced',
+    jointDeleteConfirm: 'Delete this joint class for all {count} groups?',
+    jointMoveBlocked: 'A joint class can only be moved into free cells — clear the target slot first',
+    jointLooksSame: 'Same lecture in each group — probably one streamed class',
+    jointMarkBtn: 'Make joint ({count} groups)',
+    historyMarkJoint: 'Mark joint class',
+
+    // Co-teaching
+    coTeachersHint: 'press Enter to add a co-teacher',
+    coTeacherAdd: 'Add co-teacher',
+    coTeacherBusy: '{teacher} already teaches {group} — {course} at this time',
+
+    // Time grid
+    tgridTitle: 'Time grid',
+    tgridSubtitle: 'Teaching days, class periods and breaks. The timetable, class editor and imports all use this grid.',
+    tgridDays: 'Teaching days',
+    tgridPeriods: 'Periods',
+    tgridAddPeriod: 'Add period',
+    tgridMinutes: '{count} min',
+    tgridBreaks: 'Breaks',
+    tgridBreaksHint: 'Longer gaps between periods, shown in the timetable header. Mark the lunch break.',
+    tgridAddBreak: 'Add break',
+    tgridLunch: 'Lunch',
+    tgridDiscard: 'Discard changes',
+    tgridNoDays: 'Pick at least one teaching day',
+    tgridNoPeriods: 'Add at least one period',
+    tgridBadRange: 'Every period and break needs a start time before its end time',
+    tgridOverlap: 'Periods and breaks must not overlap',
+    tgridStrandConfirm: '{slots} classes are in periods and {days} classes on days this grid drops. They stay saved but won\'t show until moved. Save anyway?',
+    tgridMigrate: 'Classes outside the grid',
+    tgridMigrateHint: 'These classes sit in periods the grid no longer has. Pick the period each old one becomes; the closest start time is suggested.',
+    tgridLeave: '— leave as is —',
+    tgridBlocked: '{count} classes can\'t move because their new cell is already taken:',
+    tgridMigrateApply: 'Move {count} classes',
+    tgridMigrateConfirm: 'Move {count} classes to the new periods? {blocked} stay where they are. This can be undone.',
+
+    // Audit log
+    navAudit: 'Audit log',
+    auditTitle: 'Audit log',
+    auditSubtitle: 'Every change to classes, groups, exams, bookings and announcements: who made it, when, and what it was before.',
+    auditRefresh: 'Refresh',
+    auditAllEntities: 'Everything',
+    auditUser: 'User',
+    auditFrom: 'From',
+    auditTo: 'To',
+    auditSearch: 'Group, course, room…',
+    auditEmpty: 'No changes match these filters',
+    auditShowMore: 'Show {count} more',
+    auditCellEmpty: 'No recorded changes for this cell yet',
+    auditHistoryTab: 'History',
+    auditRevert: 'Revert',
+    auditRevertConfirm: 'Put {target} back the way it was before this change?',
+    auditReverted: 'Change reverted',
+    auditUnknownUser: 'unknown',
+    audit_create: 'Created',
+    audit_update: 'Changed',
+    audit_delete: 'Deleted',
+    auditSchedule: 'Class',
+    auditGroup: 'Group',
+    auditExam: 'Exam',
+    auditBooking: 'Booking',
+    auditAnnouncement: 'Announcement',
+
+    // Snapshots
+    navSnapshots: 'Snapshots',
+    historyRestoreSnapshot: 'Restore snapshot',
+    snapTitle: 'Schedule snapshots',
+    snapSubtitle: 'Save the whole timetable under a name before a big change, compare it with the live one later and bring back all of it or just some groups and days.',
+    snapNamePlaceholder: 'Snapshot name, e.g. Before spring reshuffle',
+    snapCreate: 'Save snapshot',
+    snapSaved: 'Snapshot “{name}” saved',
+    snapEmpty: 'No snapshots yet',
+    snapClasses: '{count} classes',
+    snapCompare: 'Compare',
+    snapDeleteConfirm: 'Delete snapshot “{name}”?',
+    snapDiffTitle: '“{name}” vs. live schedule',
+    snapDiffHint: 'Added and removed are counted from the snapshot to today. Pick groups and days to see and restore only those.',
+    snapNoDiff: 'The live schedule matches this snapshot',
+    snapGroups: 'Groups',
+    snapDays: 'Days',
+    snapAdded: '{count} added',
+    snapRemoved: '{count} removed',
+    snapChanged: '{count} changed',
+    snapShowMore: 'Show {count} more',
+    snapRestoreSelected: 'Restore selected ({count})',
+    snapRestoreAll: 'Restore whole snapshot',
+    snapRestoreConfirm: 'Restore {count} cells from “{name}”? This can be undone.',
+    snapRestored: 'Restored from “{name}”',
+
+    // Bulk editing
+    historyBulkEdit: 'Bulk edit',
+    historyBulkDelete: 'Bulk delete',
+    historyBulkShift: 'Bulk move',
+    bulkSelectHint: 'Ctrl-click, Shift-click or drag from an empty cell to select several',
+    bulkSelected: '{count} classes selected',
+    bulkHint: 'Esc or a plain click clears the selection',
+    bulkClear: 'Clear selection',
+    bulkSet: 'Set',
+    bulkShift: 'Shift',
+    bulkSameDay: 'Same day',
+    bulkMove: 'Move',
+    bulkPreviewChange: '{count} cells will be written',
+    bulkPreviewDelete: '{count} cells will be cleared',
+    bulkBlocked: '{count} classes stay where they are — their target slot is taken or off the grid',
+    bulkConflicts: '{count} teacher or room conflicts after this change',
+    bulkApply: 'Apply',
+
+    // Copy & paste
+    historyPaste: 'Paste',
+    clipHint: 'right-click a cell to copy or paste',
+    clipEmpty: 'Clipboard is empty — right-click a cell to copy a class, a day or a week',
+    clipKind_cell: 'Class',
+    clipKind_day: 'Day',
+    clipKind_week: 'Week',
+    clipClasses: '{count} classes',
+    clipKeepTeacher: 'Keep teacher',
+    clipKeepRoom: 'Keep room',
+    clipOverwrite: 'Overwrite occupied cells',
+    clipCopyTsv: 'Copy as TSV',
+    clipImportTsv: 'Paste from spreadsheet',
+    clipLoadTsv: 'Load into clipboard',
+    clipTsvPlaceholder: 'Paste rows copied from Excel or Google Sheets: group, day, time, course, teacher, room, subjectType, duration',
+    clipTsvCopied: 'Copied as tab-separated text — paste it into a spreadsheet',
+    clipTsvEmpty: 'No rows with a course were found',
+    clipTsvBadRow: 'None of the rows could be read — see the list of rejected rows',
+    clipTsvOneGroup: 'Rows must all belong to one group',
+    clipClear: 'Clear clipboard',
+    clipCopyCell: 'Copy class',
+    clipCopyDay: 'Copy {group} · {day}',
+    clipCopyWeek: 'Copy {group}\'s week',
+    clipPasteOnto: 'Paste onto {target}',
+    clipCopied_cell: 'Class copied',
+    clipCopied_day: 'Day copied',
+    clipCopied_week: 'Week copied',
+    clipNothing: 'Nothing to copy here',
+    clipSkipped: '{count} occupied cells were left as they were',
+
+    // Find & replace
+    navReplace: 'Replace',
+    historyReplace: 'Find and replace',
+    frTitle: 'Find and replace',
+    frSubtitle: 'Rename a teacher, a room or a course in every class at once. Check the preview, then apply it as one change that can be undone.',
+    frFind: 'Find…',
+    frReplace: 'Replace with…',
+    frMatch: 'Match',
+    frMode_exact: 'Exact',
+    frMode_ignoreCase: 'Ignore case',
+    frMode_regex: 'Regex',
+    frWholeField: 'Whole field only',
+    frFields: 'Fields',
+    frDepartment: 'Department',
+    frAllDepartments: 'All departments',
+    frAllGroups: 'all',
+    frMatches: '{count} classes will change',
+    frNoMatches: 'Nothing matches',
+    frApply: 'Replace in {count} classes',
+    frConfirm: 'Replace “{find}” with “{replace}” in {count} classes?',
+    frDone: 'Replaced in {count} classes',
+    frEmptyFind: 'Enter what to find',
+    frBadRegex: 'This is not a valid regular expression',
+
+    // Live collaboration
+    liveLabel: 'Live',
+    liveConnected: 'Live updates are on — other admins\' changes appear as they happen',
+    liveConnecting: 'Connecting…',
+    liveEditingCell: 'editing {cell}',
+    liveEditingNow: '{names} also has this class open',
+    liveChangedSince: '{user} changed this class after you opened it',
+    liveStaleConfirm: '{user} changed this class after you opened it. Save over their change?',
+
+    // Draft & publish
+    historyPublish: 'Publish draft',
+    draftStart: 'Draft',
+    draftStartHint: 'Start a draft: your next edits stay private until you publish them',
+    draftChip: 'Draft',
+    draftReviewTitle: 'Review changes',
+    draftReviewHint: 'Students and other admins still see the published timetable. Publishing applies every change below at once.',
+    draftEmpty: 'The draft has no changes yet',
+    draftNotify: 'Send change notifications',
+    draftPublish: 'Publish {count} changes',
+    draftPublishConfirm: 'Publish {count} changes? Everyone will see them right away.',
+    draftPublished: 'Published {count} changes',
+    draftConflicts: '{count} of these classes were changed by someone else since you drafted them — publishing overwrites those changes',
+    draftConflictBadge: 'changed since',
+    draftDiscard: 'Discard draft',
+    draftDiscardConfirm: 'Discard {count} unpublished changes?',
+    draftDiscarded: 'Draft discarded',
+
+    // Drag-and-drop moves
+    moveNoRoom: '“{course}” doesn\'t fit there: it runs past the last period of the day',
+    moveSpanTaken: '{group} already has “{course}” at {time} — the class needs every period of its duration free',
+
+    // Scoped clear
+    clearTitle: 'Clear classes',
+    clearHint: 'Choose what to clear. A snapshot of the current timetable is saved first, so it can be restored from Snapshots.',
+    clearHintDraft: 'Choose what to clear. In draft mode the deletions go into the draft and reach the timetable only when it is published.',
+    clearAllCourses: 'All courses',
+    clearCount: '{count} classes will be deleted',
+    clearEverything: 'Nothing is narrowed — all {count} classes of the term will be deleted',
+    clearJointKept: '{count} joint classes stay for groups outside the selection',
+    clearNothing: 'No classes match the selection',
+    clearApply: 'Delete {count}',
+    clearConfirm: 'Delete {count} classes? A snapshot is saved first.',
+    clearConfirmAll: 'Delete ALL {count} classes of the term? A snapshot is saved first.',
+    clearDone: '{count} classes deleted. Snapshot saved: {name}',
+    clearDoneDraft: '{count} deletions added to the draft',
+    clearSnapshotName: 'Before clearing {count} classes · {date}',
+
+    // Schema validation report
+    vrTitle: 'Rejected rows',
+    vrHint: '{count} rows from {source} failed the data checks and were left out. Fix them at the source and load again.',
+    vrToast: '{count} rows from {source} failed the data checks and were left out',
+    vrDetails: 'Details',
+    vrClose: 'Close',
+    vrRow: 'Row {n}',
+    vrNothingValid: 'None of the {count} rows passed the data checks — nothing was imported',
+    vrImportRejected: '{count} rows were rejected — see the report.',
+    vrSource_server: 'the timetable',
+    vrSource_groups: 'the group list',
+    vrSource_import: 'the imported file',
+    vrSource_tsv: 'the pasted text',
+    vrSource_exams: 'exams',
+    vrSource_bookings: 'room bookings',
+    vrSource_feedback: 'feedback',
   },
 
   // ── RUSSIAN ────────────────────────────────────────────────────────────────
@@ -551,6 +1017,7 @@ export const translations = {
     Thursday: 'Четверг',
     Friday: 'Пятница',
     Saturday: 'Суббота',
+    Sunday: 'Воскресенье',
     today: 'Сегодня',
 
     groupTime: 'Группа / Время',
@@ -890,6 +1357,453 @@ export const translations = {
     feedbackEmail: 'Email',
     feedbackSubmittedAt: 'Отправлено',
     feedbackAnonymous: 'Анонимно',
+    undo: 'Отменить',
+    redo: 'Повторить',
+    historyAdd: 'Добавление занятия',
+    historyUpdate: 'Изменение занятия',
+    historyDelete: 'Удаление занятия',
+    historyMove: 'Перенос занятия',
+    historySwap: 'Обмен занятий',
+    historyDeleteGroup: 'Удаление группы',
+    historyClear: 'Очистка расписания',
+    pendingTitle: 'Несохранённые изменения',
+    pendingSaving: 'Сохранение…',
+    pendingFailed: 'Не сохранено',
+    pendingQueued: 'В очереди (офлайн)',
+    syncSynced: 'Синхронизировано',
+    syncSyncing: 'Синхронизация…',
+    syncStale: 'Кэшированная копия',
+    syncOffline: 'Офлайн',
+    syncQueued: 'в очереди',
+    syncLastSynced: 'Последняя синхронизация',
+    syncNow: 'нажмите, чтобы синхронизировать',
+    offlineConflict: 'изменено на сервере, пока вы были офлайн',
+    offlineOverwrite: 'Перезаписать',
+    termLabel: 'Учебный семестр',
+    termNew: 'Новый семестр',
+    termName: 'Название семестра',
+    termStart: 'Начало',
+    termEnd: 'Конец',
+    termCopyFrom: 'Скопировать расписание из',
+    termEmpty: '— Начать с нуля —',
+    termGroupNames: 'Группы в новом семестре',
+    termBumpYear: '+1 год всем',
+    termNameRequired: 'Введите название семестра',
+    termCreate: 'Создать семестр',
+    termArchive: 'Архивировать семестр (только чтение)',
+    termUnarchive: 'Разархивировать семестр',
+    termArchiveConfirm: 'Архивировать «{term}»? Он станет доступен только для чтения.',
+    termReadOnly: 'архивный семестр, только чтение',
+    termSwitchBlocked: 'Дождитесь сохранения изменений перед сменой семестра',
+    recurrence: 'Повторение',
+    recurWeekly: 'Каждую неделю',
+    recurOdd: 'Нечётные недели',
+    recurEven: 'Чётные недели',
+    recurRange: 'Период',
+    recurWeeks: 'Отдельные недели',
+    recurFrom: 'С',
+    recurTo: 'По',
+    recurWeeksHint: 'Номера недель, напр. 1-4, 7, 9',
+    recurRangeError: 'Укажите начало и/или конец; конец не может быть раньше начала',
+    recurWeeksError: 'Введите номера недель, напр. 1-4, 7, 9',
+    recurCellTaken: 'В некоторые из этих недель в ячейке уже идёт {course} — выберите недели, когда она свободна',
+    recurBeside: 'Сохранится рядом с {course}: в ячейке будут оба занятия, каждое в свои недели',
+    recurAlsoHere: 'Также в этой ячейке:',
+    recurRemoveAlternate: 'Убрать это занятие из ячейки',
+    recurOddShort: 'нечёт. недели',
+    recurEvenShort: 'чёт. недели',
+    recurWeekShort: 'нед.',
+    offWeek: 'Не на этой неделе',
+    weekPrev: 'Предыдущая неделя',
+    weekNext: 'Следующая неделя',
+    weekThis: 'Эта неделя',
+    weekNumber: 'Неделя {n}',
+    excCancelled: 'Отменено',
+    excHoliday: 'Праздник',
+    excMakeup: 'Отработка',
+    excMovedTo: 'Перенесено на {when}',
+    excMovedFrom: 'Перенесено с {when}',
+    excThisDate: 'Только {date}',
+    excCancelOne: 'Отменить в этот день',
+    excMoveOne: 'Перенести это занятие',
+    excSaveMove: 'Перенести',
+    excNote: 'Примечание для студентов (необязательно)',
+    excMakeupOnly: 'Разовая отработка {date} (не еженедельно)',
+    excRemove: 'Убрать это изменение',
+    excMarkHoliday: 'Отметить праздник…',
+    excHolidayPrompt: 'Название праздника (необязательно)',
+    weekOf: 'Неделя с',
+    navTeachers: 'Преподаватели',
+    treqTitleHeading: 'Реестр преподавателей',
+    treqSubtitle: 'Канонические имена преподавателей и варианты написания, которые к ним приводятся. Расписание, фильтры и статистика группируют занятия по этим именам.',
+    treqAdd: 'Добавить преподавателя',
+    treqRegistry: 'Реестр',
+    treqSearch: 'Поиск по имени, варианту, кафедре…',
+    treqName: 'Каноническое имя',
+    treqTitle: 'Должность',
+    treqDepartment: 'Кафедра',
+    treqEmail: 'Email',
+    treqPhone: 'Телефон',
+    treqAliases: 'Варианты написания',
+    treqAliasesHint: 'По одному на строку, например Mr. Daniyar Satybaldiev',
+    treqNameRequired: 'Введите каноническое имя',
+    treqNameTaken: '{name} уже есть в реестре',
+    treqDeleteConfirm: 'Удалить {name} из реестра? Занятия останутся в расписании.',
+    treqEmpty: 'Преподаватели не найдены',
+    treqDuplicates: 'Возможные дубликаты',
+    treqDuplicatesHint: 'Эти имена в расписании похожи на варианты написания одного преподавателя. Выберите правильное и объедините — остальные станут его вариантами.',
+    treqClassCount: 'занятий: {count}',
+    treqMergeInto: 'Объединить в {name}',
+    treqNotSame: 'Разные люди',
+    navRooms: 'Аудитории',
+    rregTitle: 'Каталог аудиторий',
+    rregSubtitle: 'Все аудитории с корпусом, вместимостью, типом и оборудованием. Поля выбора аудитории в приложении предлагают эти коды.',
+    rregAdd: 'Добавить аудиторию',
+    rregCatalog: 'Каталог',
+    rregAllTypes: 'Все типы',
+    rregCode: 'Код',
+    rregType: 'Тип',
+    rregBuilding: 'Корпус',
+    rregFloor: 'Этаж',
+    rregFloorN: '{floor} этаж',
+    rregCapacity: 'Вместимость',
+    rregEquipment: 'Оборудование',
+    rregEquipmentHint: 'Проектор, ПК, доска',
+    rregBookable: 'Гости могут бронировать',
+    rregNotBookable: 'Без брони',
+    rregAliases: 'Варианты написания',
+    rregAliasesHint: 'По одному на строку, например B110 LAB',
+    rregCodeRequired: 'Введите код аудитории',
+    rregCodeTaken: '{code} уже есть в каталоге',
+    rregDeleteConfirm: 'Удалить {code} из каталога? У занятий останется текст аудитории.',
+    rregEmpty: 'Каталог пуст — добавьте аудитории или сопоставьте используемые в расписании выше.',
+    rregNoMatch: 'Аудитории не найдены',
+    rregMigrate: 'Аудитории из расписания',
+    rregMigrateHint: 'Эти записи аудиторий ещё не являются кодами каталога. Проверьте предложенный код и примените: новые коды добавятся в каталог, запись станет вариантом написания, а занятия получат код.',
+    rregNew: 'новая',
+    rregMigrateApply: 'Сопоставить записей: {count}',
+    rregMigrateConfirm: 'Обновить занятий: {count} и добавить в каталог новых аудиторий: {rooms}?',
+    roomType_lecture: 'Лекционная',
+    roomType_seminar: 'Семинарская',
+    roomType_lab: 'Лаборатория',
+    roomType_computer: 'Компьютерный класс',
+    roomType_online: 'Онлайн',
+    roomType_other: 'Другое',
+    roomSeats: '{count} мест',
+    roomNotInCatalog: 'Нет в каталоге аудиторий',
+    roomNotBookable: 'Эту аудиторию нельзя забронировать',
+    roomsFromCatalog: 'Из каталога',
+    historyRoomMigration: 'Сопоставление аудиторий',
+    historySlotMigration: 'Перенос по новой сетке времени',
+    navCourses: 'Курсы',
+    ccatTitle: 'Каталог курсов',
+    ccatSubtitle: 'Курсы с названиями на всех языках, кафедрой и обязательными часами в неделю по типу занятий.',
+    ccatCatalog: 'Каталог',
+    ccatHoursReport: 'Отчёт по часам',
+    ccatAdd: 'Добавить курс',
+    ccatSearch: 'Поиск по коду, названию, группе…',
+    ccatCode: 'Код',
+    ccatDepartment: 'Кафедра',
+    ccatNameEn: 'Название (англ.)',
+    ccatNameRu: 'Название (рус.)',
+    ccatNameKy: 'Название (кырг.)',
+    ccatHoursPerWeek: 'ч / нед',
+    ccatGroups: 'Группы, изучающие курс (через запятую)',
+    ccatAliases: 'Другие написания',
+    ccatAliasesHint: 'По одному на строку, как в расписании',
+    ccatCodeRequired: 'Введите код курса',
+    ccatNameRequired: 'Введите английское название',
+    ccatCodeTaken: '{code} уже есть в каталоге',
+    ccatDeleteConfirm: 'Удалить {code} из каталога? У занятий останется название курса.',
+    ccatEmpty: 'Каталог пуст — добавьте курсы этого семестра.',
+    ccatNoMatch: 'Курсы не найдены',
+    ccatUnder: 'недобор: {count}',
+    ccatOver: 'перебор: {count}',
+    ccatOnlyMismatches: 'Только расхождения',
+    ccatReportHint: 'Часы в расписании / обязательные часы в неделю. Занятия через неделю считаются за половину.',
+    ccatTotal: 'Всего',
+    ccatDiff: 'Разница',
+    ccatNotInCatalog: 'нет в каталоге',
+    ccatReportEmpty: 'Пока нечего показать',
+    courseNotInCatalog: 'Нет в каталоге курсов',
+    coursesFromCatalog: 'Из каталога',
+    hoursShort: 'ч',
+    perWeek: 'в неделю',
+
+    // Group registry
+    navGroups: 'Группы',
+    navTimeGrid: 'Сетка времени',
+    greqTitle: 'Группы и кафедры',
+    greqSubtitle: 'Кафедра, курс, численность и подгруппы каждой группы. Фильтры, печать, цветовые темы кафедр и проверка вместимости аудиторий берутся отсюда.',
+    greqAdd: 'Добавить группу',
+    greqGroups: 'Группы',
+    greqName: 'Название',
+    greqDepartment: 'Кафедра',
+    greqYear: 'Курс',
+    greqSize: 'Студентов',
+    greqParent: 'Подгруппа группы',
+    greqNameRequired: 'Введите название группы',
+    greqNameTaken: '{name} уже есть в списке',
+    greqDeleteConfirm: 'Удалить {name} из списка групп? Строка в расписании не изменится.',
+    greqSearch: 'Поиск группы',
+    greqAllDepartments: 'Все кафедры',
+    greqNoDepartment: 'Без кафедры',
+    greqYearN: '{year} курс',
+    greqStudents: '{count} студ.',
+    greqSubgroupOf: 'подгруппа {group}',
+    greqParentOnly: 'Разделена на подгруппы',
+    greqNotInTerm: 'Нет в этом семестре',
+    greqEmpty: 'Группы не найдены',
+    greqUnregistered: 'Ещё не в списке',
+    greqUnregisteredHint: 'У этих групп из расписания нет записи. Кафедра и основная группа определяются по названию; курс и численность заполните потом.',
+    greqRegisterAll: 'Добавить групп: {count}',
+    greqDepartments: 'Кафедры',
+    greqAddDept: 'Добавить кафедру',
+    greqDeptId: 'ID',
+    greqDeptIcon: 'Значок',
+    greqDeptNameEn: 'Название (EN)',
+    greqDeptNameRu: 'Название (RU)',
+    greqDeptNameKy: 'Название (KY)',
+    greqDeptPrefixes: 'Префиксы групп',
+    greqDeptPrefixesHint: 'Группы не из списка относятся к кафедре по префиксу названия, например COM → COMSE-26.',
+    greqDeptColor: 'Цвет темы',
+    greqDeptRequired: 'Введите ID и английское название',
+    greqDeptTaken: 'Кафедра с ID {id} уже существует',
+    greqDeptDeleteConfirm: 'Удалить кафедру «{name}»? Её группы останутся без кафедры.',
+    greqGroupCount: 'групп: {count}',
+    greqAllSubgroups: '{group} (все подгруппы)',
+    greqJointClass: 'Все подгруппы',
+    greqOverCapacity: 'В {group} {students} студ., а аудитория вмещает {seats}',
+
+    // Joint classes
+    jointGroups: 'Совместное занятие',
+    jointGroupsHint: 'другие группы на этом занятии',
+    jointAddGroup: 'Добавить группу',
+    jointWith: 'вместе с {groups}',
+    jointReplaces: 'У {group} в это время уже стоит {course} — оно будет заменено',
+    jointDeleteConfirm: 'Удалить это совместное занятие у всех групп ({count})?',
+    jointMoveBlocked: 'Совместное занятие можно перенести только в свободные ячейки — сначала освободите целевой слот',
+    jointLooksSame: 'Одна и та же лекция у каждой группы — вероятно, это поток',
+    jointMarkBtn: 'Сделать совместным ({count} гр.)',
+    historyMarkJoint: 'Объединение в совместное занятие',
+
+    // Co-teaching
+    coTeachersHint: 'Enter — добавить второго преподавателя',
+    coTeacherAdd: 'Добавить преподавателя',
+    coTeacherBusy: '{teacher} в это время уже ведёт {course} у {group}',
+
+    // Time grid
+    tgridTitle: 'Сетка времени',
+    tgridSubtitle: 'Учебные дни, пары и перерывы. Расписание, редактор занятий и импорт используют эту сетку.',
+    tgridDays: 'Учебные дни',
+    tgridPeriods: 'Пары',
+    tgridAddPeriod: 'Добавить пару',
+    tgridMinutes: '{count} мин',
+    tgridBreaks: 'Перерывы',
+    tgridBreaksHint: 'Длинные промежутки между парами, показываются в шапке расписания. Отметьте обеденный перерыв.',
+    tgridAddBreak: 'Добавить перерыв',
+    tgridLunch: 'Обед',
+    tgridDiscard: 'Отменить изменения',
+    tgridNoDays: 'Выберите хотя бы один учебный день',
+    tgridNoPeriods: 'Добавьте хотя бы одну пару',
+    tgridBadRange: 'У каждой пары и перерыва начало должно быть раньше конца',
+    tgridOverlap: 'Пары и перерывы не должны пересекаться',
+    tgridStrandConfirm: '{slots} занятий стоят в парах и {days} — в днях, которых не будет в новой сетке. Они сохранятся, но не будут видны, пока их не перенести. Сохранить?',
+    tgridMigrate: 'Занятия вне сетки',
+    tgridMigrateHint: 'Эти занятия стоят в парах, которых больше нет в сетке. Выберите, какой паре соответствует каждая старая; предложена ближайшая по началу.',
+    tgridLeave: '— оставить —',
+    tgridBlocked: '{count} занятий нельзя перенести — новая ячейка занята:',
+    tgridMigrateApply: 'Перенести занятия: {count}',
+    tgridMigrateConfirm: 'Перенести {count} занятий в новые пары? {blocked} останутся на месте. Это можно отменить.',
+
+    // Audit log
+    navAudit: 'Журнал изменений',
+    auditTitle: 'Журнал изменений',
+    auditSubtitle: 'Все изменения занятий, групп, экзаменов, бронирований и объявлений: кто, когда и что было до этого.',
+    auditRefresh: 'Обновить',
+    auditAllEntities: 'Все',
+    auditUser: 'Пользователь',
+    auditFrom: 'С',
+    auditTo: 'По',
+    auditSearch: 'Группа, предмет, аудитория…',
+    auditEmpty: 'Нет изменений по этим фильтрам',
+    auditShowMore: 'Показать ещё {count}',
+    auditCellEmpty: 'Для этой ячейки изменений пока нет',
+    auditHistoryTab: 'История',
+    auditRevert: 'Откатить',
+    auditRevertConfirm: 'Вернуть {target} к состоянию до этого изменения?',
+    auditReverted: 'Изменение отменено',
+    auditUnknownUser: 'неизвестно',
+    audit_create: 'Создано',
+    audit_update: 'Изменено',
+    audit_delete: 'Удалено',
+    auditSchedule: 'Занятие',
+    auditGroup: 'Группа',
+    auditExam: 'Экзамен',
+    auditBooking: 'Бронирование',
+    auditAnnouncement: 'Объявление',
+
+    // Snapshots
+    navSnapshots: 'Снимки',
+    historyRestoreSnapshot: 'Восстановление снимка',
+    snapTitle: 'Снимки расписания',
+    snapSubtitle: 'Сохраните всё расписание под именем перед большими изменениями, потом сравните его с текущим и верните целиком или только отдельные группы и дни.',
+    snapNamePlaceholder: 'Название снимка, например «До весенней перестановки»',
+    snapCreate: 'Сохранить снимок',
+    snapSaved: 'Снимок «{name}» сохранён',
+    snapEmpty: 'Снимков пока нет',
+    snapClasses: 'занятий: {count}',
+    snapCompare: 'Сравнить',
+    snapDeleteConfirm: 'Удалить снимок «{name}»?',
+    snapDiffTitle: '«{name}» и текущее расписание',
+    snapDiffHint: 'Добавленные и удалённые считаются от снимка к сегодняшнему дню. Выберите группы и дни, чтобы смотреть и восстанавливать только их.',
+    snapNoDiff: 'Текущее расписание совпадает со снимком',
+    snapGroups: 'Группы',
+    snapDays: 'Дни',
+    snapAdded: 'добавлено: {count}',
+    snapRemoved: 'удалено: {count}',
+    snapChanged: 'изменено: {count}',
+    snapShowMore: 'Показать ещё {count}',
+    snapRestoreSelected: 'Восстановить выбранное ({count})',
+    snapRestoreAll: 'Восстановить весь снимок',
+    snapRestoreConfirm: 'Восстановить {count} ячеек из «{name}»? Это можно отменить.',
+    snapRestored: 'Восстановлено из «{name}»',
+
+    // Bulk editing
+    historyBulkEdit: 'Массовое изменение',
+    historyBulkDelete: 'Массовое удаление',
+    historyBulkShift: 'Массовый перенос',
+    bulkSelectHint: 'Ctrl-клик, Shift-клик или протяжка от пустой ячейки — выбрать несколько',
+    bulkSelected: 'Выбрано занятий: {count}',
+    bulkHint: 'Esc или обычный клик снимает выделение',
+    bulkClear: 'Снять выделение',
+    bulkSet: 'Задать',
+    bulkShift: 'Сдвиг',
+    bulkSameDay: 'Тот же день',
+    bulkMove: 'Перенести',
+    bulkPreviewChange: 'Будет записано ячеек: {count}',
+    bulkPreviewDelete: 'Будет очищено ячеек: {count}',
+    bulkBlocked: 'Занятий останется на месте: {count} — целевой слот занят или вне сетки',
+    bulkConflicts: 'Конфликтов преподавателей или аудиторий после изменения: {count}',
+    bulkApply: 'Применить',
+
+    // Copy & paste
+    historyPaste: 'Вставка',
+    clipHint: 'правый клик по ячейке — копировать или вставить',
+    clipEmpty: 'Буфер пуст — правый клик по ячейке, чтобы скопировать занятие, день или неделю',
+    clipKind_cell: 'Занятие',
+    clipKind_day: 'День',
+    clipKind_week: 'Неделя',
+    clipClasses: 'занятий: {count}',
+    clipKeepTeacher: 'Сохранить преподавателя',
+    clipKeepRoom: 'Сохранить аудиторию',
+    clipOverwrite: 'Заменять занятые ячейки',
+    clipCopyTsv: 'Копировать как TSV',
+    clipImportTsv: 'Вставить из таблицы',
+    clipLoadTsv: 'Загрузить в буфер',
+    clipTsvPlaceholder: 'Вставьте строки из Excel или Google Таблиц: group, day, time, course, teacher, room, subjectType, duration',
+    clipTsvCopied: 'Скопировано как текст с табуляциями — вставьте в таблицу',
+    clipTsvEmpty: 'Не найдено строк с предметом',
+    clipTsvBadRow: 'Ни одну строку не удалось прочитать — см. список отклонённых строк',
+    clipTsvOneGroup: 'Все строки должны относиться к одной группе',
+    clipClear: 'Очистить буфер',
+    clipCopyCell: 'Копировать занятие',
+    clipCopyDay: 'Копировать {group} · {day}',
+    clipCopyWeek: 'Копировать неделю {group}',
+    clipPasteOnto: 'Вставить в {target}',
+    clipCopied_cell: 'Занятие скопировано',
+    clipCopied_day: 'День скопирован',
+    clipCopied_week: 'Неделя скопирована',
+    clipNothing: 'Здесь нечего копировать',
+    clipSkipped: 'Занятых ячеек оставлено без изменений: {count}',
+
+    // Find & replace
+    navReplace: 'Замена',
+    historyReplace: 'Найти и заменить',
+    frTitle: 'Найти и заменить',
+    frSubtitle: 'Переименуйте преподавателя, аудиторию или предмет сразу во всех занятиях. Проверьте список и примените одним изменением, которое можно отменить.',
+    frFind: 'Найти…',
+    frReplace: 'Заменить на…',
+    frMatch: 'Совпадение',
+    frMode_exact: 'Точно',
+    frMode_ignoreCase: 'Без учёта регистра',
+    frMode_regex: 'Регулярное выражение',
+    frWholeField: 'Только всё поле целиком',
+    frFields: 'Поля',
+    frDepartment: 'Кафедра',
+    frAllDepartments: 'Все кафедры',
+    frAllGroups: 'все',
+    frMatches: 'Изменится занятий: {count}',
+    frNoMatches: 'Совпадений нет',
+    frApply: 'Заменить в {count} занятиях',
+    frConfirm: 'Заменить «{find}» на «{replace}» в {count} занятиях?',
+    frDone: 'Заменено в {count} занятиях',
+    frEmptyFind: 'Введите, что искать',
+    frBadRegex: 'Это некорректное регулярное выражение',
+
+    // Live collaboration
+    liveLabel: 'В сети',
+    liveConnected: 'Обновления в реальном времени включены — изменения других администраторов появляются сразу',
+    liveConnecting: 'Подключение…',
+    liveEditingCell: 'редактирует {cell}',
+    liveEditingNow: '{names} тоже открыл(а) это занятие',
+    liveChangedSince: '{user} изменил(а) это занятие после того, как вы его открыли',
+    liveStaleConfirm: '{user} изменил(а) это занятие после того, как вы его открыли. Перезаписать его изменение?',
+
+    // Draft & publish
+    historyPublish: 'Публикация черновика',
+    draftStart: 'Черновик',
+    draftStartHint: 'Начать черновик: следующие изменения видны только вам, пока вы их не опубликуете',
+    draftChip: 'Черновик',
+    draftReviewTitle: 'Просмотр изменений',
+    draftReviewHint: 'Студенты и другие администраторы видят опубликованное расписание. Публикация применит все изменения ниже сразу.',
+    draftEmpty: 'В черновике пока нет изменений',
+    draftNotify: 'Отправить уведомления об изменениях',
+    draftPublish: 'Опубликовать изменений: {count}',
+    draftPublishConfirm: 'Опубликовать изменений: {count}? Все увидят их сразу.',
+    draftPublished: 'Опубликовано изменений: {count}',
+    draftConflicts: '{count} из этих занятий изменили другие после того, как вы внесли их в черновик, — публикация перезапишет эти изменения',
+    draftConflictBadge: 'изменено с тех пор',
+    draftDiscard: 'Удалить черновик',
+    draftDiscardConfirm: 'Удалить неопубликованные изменения: {count}?',
+    draftDiscarded: 'Черновик удалён',
+
+    // Drag-and-drop moves
+    moveNoRoom: '«{course}» туда не помещается: занятие выходит за последнюю пару дня',
+    moveSpanTaken: 'У {group} уже есть «{course}» в {time} — для занятия должны быть свободны все пары его длительности',
+
+    // Scoped clear
+    clearTitle: 'Очистка занятий',
+    clearHint: 'Выберите, что очистить. Перед очисткой сохраняется снимок текущего расписания — его можно восстановить в «Снимках».',
+    clearHintDraft: 'Выберите, что очистить. В режиме черновика удаления попадут в черновик и применятся только после публикации.',
+    clearAllCourses: 'Все предметы',
+    clearCount: 'Будет удалено занятий: {count}',
+    clearEverything: 'Ничего не выбрано — будут удалены все занятия семестра ({count})',
+    clearJointKept: '{count} совместных занятий останутся у групп вне выбора',
+    clearNothing: 'Нет занятий, подходящих под выбор',
+    clearApply: 'Удалить {count}',
+    clearConfirm: 'Удалить занятия ({count})? Перед этим сохранится снимок.',
+    clearConfirmAll: 'Удалить ВСЕ занятия семестра ({count})? Перед этим сохранится снимок.',
+    clearDone: 'Удалено занятий: {count}. Снимок сохранён: {name}',
+    clearDoneDraft: 'В черновик добавлено удалений: {count}',
+    clearSnapshotName: 'Перед очисткой {count} занятий · {date}',
+
+    // Schema validation report
+    vrTitle: 'Отклонённые строки',
+    vrHint: '{count} строк из источника «{source}» не прошли проверку и были пропущены. Исправьте их в источнике и загрузите снова.',
+    vrToast: '{count} строк из источника «{source}» не прошли проверку и пропущены',
+    vrDetails: 'Подробнее',
+    vrClose: 'Закрыть',
+    vrRow: 'Строка {n}',
+    vrNothingValid: 'Ни одна из {count} строк не прошла проверку — ничего не импортировано',
+    vrImportRejected: 'Отклонено строк: {count} — см. отчёт.',
+    vrSource_server: 'расписание',
+    vrSource_groups: 'список групп',
+    vrSource_import: 'импортируемый файл',
+    vrSource_tsv: 'вставленный текст',
+    vrSource_exams: 'экзамены',
+    vrSource_bookings: 'бронирования аудиторий',
+    vrSource_feedback: 'отзывы',
   },
 
   // ── KYRGYZ ─────────────────────────────────────────────────────────────────
@@ -983,6 +1897,7 @@ export const translations = {
     Thursday: 'Бейшемби',
     Friday: 'Жума',
     Saturday: 'Ишемби',
+    Sunday: 'Жекшемби',
     today: 'Бүгүн',
 
     groupTime: 'Топ / Убакыт',
@@ -1322,6 +2237,453 @@ export const translations = {
     feedbackEmail: 'Email',
     feedbackSubmittedAt: 'Жөнөтүлдү',
     feedbackAnonymous: 'Аноним',
+    undo: 'Жокко чыгаруу',
+    redo: 'Кайталоо',
+    historyAdd: 'Сабак кошуу',
+    historyUpdate: 'Сабакты өзгөртүү',
+    historyDelete: 'Сабакты өчүрүү',
+    historyMove: 'Сабакты жылдыруу',
+    historySwap: 'Сабактарды алмаштыруу',
+    historyDeleteGroup: 'Топту өчүрүү',
+    historyClear: 'Расписаниени тазалоо',
+    pendingTitle: 'Сакталбаган өзгөртүүлөр',
+    pendingSaving: 'Сакталууда…',
+    pendingFailed: 'Сакталган жок',
+    pendingQueued: 'Кезекте (офлайн)',
+    syncSynced: 'Шайкештирилди',
+    syncSyncing: 'Шайкештирүү…',
+    syncStale: 'Сакталган көчүрмө',
+    syncOffline: 'Офлайн',
+    syncQueued: 'кезекте',
+    syncLastSynced: 'Акыркы шайкештирүү',
+    syncNow: 'азыр шайкештирүү үчүн басыңыз',
+    offlineConflict: 'сиз офлайн болгондо серверде өзгөртүлдү',
+    offlineOverwrite: 'Үстүнөн жазуу',
+    termLabel: 'Окуу семестри',
+    termNew: 'Жаңы семестр',
+    termName: 'Семестрдин аталышы',
+    termStart: 'Башталышы',
+    termEnd: 'Аякталышы',
+    termCopyFrom: 'Жадыбалды көчүрүү',
+    termEmpty: '— Бош баштоо —',
+    termGroupNames: 'Жаңы семестрдеги топтор',
+    termBumpYear: 'Баарына +1 жыл',
+    termNameRequired: 'Семестрдин аталышын жазыңыз',
+    termCreate: 'Семестр түзүү',
+    termArchive: 'Семестрди архивдөө (окуу үчүн гана)',
+    termUnarchive: 'Семестрди архивден чыгаруу',
+    termArchiveConfirm: '«{term}» архивделсинби? Ал окуу үчүн гана болот.',
+    termReadOnly: 'архивделген семестр, окуу үчүн гана',
+    termSwitchBlocked: 'Семестрди алмаштыруудан мурун өзгөртүүлөр сакталганын күтүңүз',
+    recurrence: 'Кайталануу',
+    recurWeekly: 'Ар жума',
+    recurOdd: 'Так жумалар',
+    recurEven: 'Жуп жумалар',
+    recurRange: 'Мөөнөт',
+    recurWeeks: 'Айрым жумалар',
+    recurFrom: 'Баштап',
+    recurTo: 'Чейин',
+    recurWeeksHint: 'Жума номерлери, мис. 1-4, 7, 9',
+    recurRangeError: 'Башталышын жана/же аягын тандаңыз; аягы башталышынан мурун боло албайт',
+    recurWeeksError: 'Жума номерлерин жазыңыз, мис. 1-4, 7, 9',
+    recurCellTaken: 'Бул жумалардын айрымдарында уячада {course} өтөт — ал бош жумаларды тандаңыз',
+    recurBeside: '{course} менен катар сакталат: уячада эки сабак тең болот, ар бири өз жумаларында',
+    recurAlsoHere: 'Бул уячада дагы:',
+    recurRemoveAlternate: 'Бул сабакты уячадан алып салуу',
+    recurOddShort: 'так жумалар',
+    recurEvenShort: 'жуп жумалар',
+    recurWeekShort: 'жума',
+    offWeek: 'Бул жумада эмес',
+    weekPrev: 'Мурунку жума',
+    weekNext: 'Кийинки жума',
+    weekThis: 'Бул жума',
+    weekNumber: '{n}-жума',
+    excCancelled: 'Жокко чыгарылды',
+    excHoliday: 'Майрам',
+    excMakeup: 'Кайра өтүү',
+    excMovedTo: '{when} которулду',
+    excMovedFrom: '{when} күнүнөн которулду',
+    excThisDate: '{date} гана',
+    excCancelOne: 'Бул күнү жокко чыгаруу',
+    excMoveOne: 'Бул сабакты которуу',
+    excSaveMove: 'Которуу',
+    excNote: 'Студенттер үчүн эскертүү (милдеттүү эмес)',
+    excMakeupOnly: '{date} бир жолку кайра өтүү (ар жума эмес)',
+    excRemove: 'Бул өзгөртүүнү алып салуу',
+    excMarkHoliday: 'Майрам белгилөө…',
+    excHolidayPrompt: 'Майрамдын аталышы (милдеттүү эмес)',
+    weekOf: 'Жума',
+    navTeachers: 'Мугалимдер',
+    treqTitleHeading: 'Мугалимдердин реестри',
+    treqSubtitle: 'Мугалимдердин негизги аттары жана аларга туура келген жазылыш варианттары. Жадыбал, чыпкалар жана статистика сабактарды ушул аттар боюнча топтойт.',
+    treqAdd: 'Мугалим кошуу',
+    treqRegistry: 'Реестр',
+    treqSearch: 'Аты, вариант, кафедра боюнча издөө…',
+    treqName: 'Негизги аты',
+    treqTitle: 'Кызматы',
+    treqDepartment: 'Кафедра',
+    treqEmail: 'Email',
+    treqPhone: 'Телефон',
+    treqAliases: 'Жазылыш варианттары',
+    treqAliasesHint: 'Ар бир сапка бирден, мисалы Mr. Daniyar Satybaldiev',
+    treqNameRequired: 'Негизги атын жазыңыз',
+    treqNameTaken: '{name} реестрде мурунтан эле бар',
+    treqDeleteConfirm: '{name} реестрден өчүрүлсүнбү? Сабактары жадыбалда калат.',
+    treqEmpty: 'Мугалим табылган жок',
+    treqDuplicates: 'Мүмкүн болгон кайталоолор',
+    treqDuplicatesHint: 'Жадыбалдагы бул аттар бир мугалимдин ар кандай жазылышына окшош. Туурасын тандап бириктириңиз — калгандары анын варианттары болот.',
+    treqClassCount: '{count} сабак',
+    treqMergeInto: '{name} менен бириктирүү',
+    treqNotSame: 'Башка адамдар',
+    navRooms: 'Аудиториялар',
+    rregTitle: 'Аудиториялар каталогу',
+    rregSubtitle: 'Ар бир аудитория имараты, сыйымдуулугу, түрү жана жабдуулары менен. Колдонмодогу аудитория тандоо талаалары ушул коддорду сунуштайт.',
+    rregAdd: 'Аудитория кошуу',
+    rregCatalog: 'Каталог',
+    rregAllTypes: 'Бардык түрлөр',
+    rregCode: 'Код',
+    rregType: 'Түрү',
+    rregBuilding: 'Имарат',
+    rregFloor: 'Кабат',
+    rregFloorN: '{floor}-кабат',
+    rregCapacity: 'Сыйымдуулук',
+    rregEquipment: 'Жабдуулар',
+    rregEquipmentHint: 'Проектор, компьютерлер, доска',
+    rregBookable: 'Коноктор брондой алат',
+    rregNotBookable: 'Брондолбойт',
+    rregAliases: 'Жазылыш варианттары',
+    rregAliasesHint: 'Ар бир сапка бирден, мисалы B110 LAB',
+    rregCodeRequired: 'Аудиториянын кодун жазыңыз',
+    rregCodeTaken: '{code} каталогдо мурунтан эле бар',
+    rregDeleteConfirm: '{code} каталогдон өчүрүлсүнбү? Сабактарда аудиториянын тексти калат.',
+    rregEmpty: 'Каталог бош — аудиторияларды кошуңуз же жогорудагы жадыбалдагыларды байланыштырыңыз.',
+    rregNoMatch: 'Аудитория табылган жок',
+    rregMigrate: 'Жадыбалдагы аудиториялар',
+    rregMigrateHint: 'Бул жазуулар азырынча каталогдун коддору эмес. Сунушталган кодду текшерип, колдонуңуз: жаңы коддор каталогго кошулат, жазуу вариант болуп калат, сабактар кодго которулат.',
+    rregNew: 'жаңы',
+    rregMigrateApply: '{count} жазууну байланыштыруу',
+    rregMigrateConfirm: '{count} сабак жаңыртылып, каталогго {rooms} жаңы аудитория кошулсунбу?',
+    roomType_lecture: 'Лекция залы',
+    roomType_seminar: 'Семинар бөлмөсү',
+    roomType_lab: 'Лаборатория',
+    roomType_computer: 'Компьютер классы',
+    roomType_online: 'Онлайн',
+    roomType_other: 'Башка',
+    roomSeats: '{count} орун',
+    roomNotInCatalog: 'Аудиториялар каталогунда жок',
+    roomNotBookable: 'Бул аудиторияны брондоого болбойт',
+    roomsFromCatalog: 'Каталогдон',
+    historyRoomMigration: 'Аудиторияларды байланыштыруу',
+    historySlotMigration: 'Жаңы убакыт торчосуна көчүрүү',
+    navCourses: 'Курстар',
+    ccatTitle: 'Курстар каталогу',
+    ccatSubtitle: 'Курстар бардык тилдеги аталыштары, кафедрасы жана сабак түрү боюнча жумасына милдеттүү сааттары менен.',
+    ccatCatalog: 'Каталог',
+    ccatHoursReport: 'Сааттар боюнча отчёт',
+    ccatAdd: 'Курс кошуу',
+    ccatSearch: 'Код, аталыш, топ боюнча издөө…',
+    ccatCode: 'Код',
+    ccatDepartment: 'Кафедра',
+    ccatNameEn: 'Аталышы (англ.)',
+    ccatNameRu: 'Аталышы (орус.)',
+    ccatNameKy: 'Аталышы (кырг.)',
+    ccatHoursPerWeek: 'саат / жума',
+    ccatGroups: 'Курсту окуган топтор (үтүр менен)',
+    ccatAliases: 'Башка жазылыштары',
+    ccatAliasesHint: 'Ар бир сапка бирден, жадыбалдагыдай',
+    ccatCodeRequired: 'Курстун кодун жазыңыз',
+    ccatNameRequired: 'Англисче аталышын жазыңыз',
+    ccatCodeTaken: '{code} каталогдо мурунтан эле бар',
+    ccatDeleteConfirm: '{code} каталогдон өчүрүлсүнбү? Сабактарда курстун аталышы калат.',
+    ccatEmpty: 'Каталог бош — ушул семестрдин курстарын кошуңуз.',
+    ccatNoMatch: 'Курс табылган жок',
+    ccatUnder: 'жетишсиз: {count}',
+    ccatOver: 'ашыкча: {count}',
+    ccatOnlyMismatches: 'Дал келбегендер гана',
+    ccatReportHint: 'Жадыбалдагы / милдеттүү сааттар жумасына. Жума аралап өтүүчү сабактар жарым болуп эсептелет.',
+    ccatTotal: 'Баары',
+    ccatDiff: 'Айырма',
+    ccatNotInCatalog: 'каталогдо жок',
+    ccatReportEmpty: 'Азырынча көрсөтө турган эч нерсе жок',
+    courseNotInCatalog: 'Курстар каталогунда жок',
+    coursesFromCatalog: 'Каталогдон',
+    hoursShort: 'с',
+    perWeek: 'жумасына',
+
+    // Group registry
+    navGroups: 'Топтор',
+    navTimeGrid: 'Убакыт торчосу',
+    greqTitle: 'Топтор жана кафедралар',
+    greqSubtitle: 'Ар бир топтун кафедрасы, курсу, саны жана топчолору. Чыпкалар, басып чыгаруу, кафедра темалары жана аудитория сыйымдуулугу ушул тизмеден алынат.',
+    greqAdd: 'Топ кошуу',
+    greqGroups: 'Топтор',
+    greqName: 'Аталышы',
+    greqDepartment: 'Кафедра',
+    greqYear: 'Курс',
+    greqSize: 'Студенттер',
+    greqParent: 'Топчосу',
+    greqNameRequired: 'Топтун аталышын жазыңыз',
+    greqNameTaken: '{name} тизмеде бар',
+    greqDeleteConfirm: '{name} топтор тизмесинен өчүрүлсүнбү? Жадыбалдагы сабы өзгөрбөйт.',
+    greqSearch: 'Топ издөө',
+    greqAllDepartments: 'Бардык кафедралар',
+    greqNoDepartment: 'Кафедрасыз',
+    greqYearN: '{year}-курс',
+    greqStudents: '{count} студент',
+    greqSubgroupOf: '{group} топчосу',
+    greqParentOnly: 'Топчолорго бөлүнгөн',
+    greqNotInTerm: 'Бул семестрде жок',
+    greqEmpty: 'Топтор табылган жок',
+    greqUnregistered: 'Тизмеде жок',
+    greqUnregisteredHint: 'Бул жадыбал топторунун жазуусу жок. Кафедра жана негизги топ аталышынан аныкталат; курсун жана санын кийин толтуруңуз.',
+    greqRegisterAll: '{count} топ кошуу',
+    greqDepartments: 'Кафедралар',
+    greqAddDept: 'Кафедра кошуу',
+    greqDeptId: 'ID',
+    greqDeptIcon: 'Белги',
+    greqDeptNameEn: 'Аталышы (EN)',
+    greqDeptNameRu: 'Аталышы (RU)',
+    greqDeptNameKy: 'Аталышы (KY)',
+    greqDeptPrefixes: 'Топ префикстери',
+    greqDeptPrefixesHint: 'Тизмеде жок топтор аталышынын префикси боюнча бөлүштүрүлөт, мисалы COM → COMSE-26.',
+    greqDeptColor: 'Теманын түсү',
+    greqDeptRequired: 'ID жана англисче аталышын жазыңыз',
+    greqDeptTaken: '{id} ID менен кафедра бар',
+    greqDeptDeleteConfirm: '«{name}» кафедрасы өчүрүлсүнбү? Анын топтору кафедрасыз калат.',
+    greqGroupCount: '{count} топ',
+    greqAllSubgroups: '{group} (бардык топчолор)',
+    greqJointClass: 'Бардык топчолор',
+    greqOverCapacity: '{group} тобунда {students} студент, аудитория {seats} орундуу',
+
+    // Joint classes
+    jointGroups: 'Биргелешкен сабак',
+    jointGroupsHint: 'сабакка катышкан башка топтор',
+    jointAddGroup: 'Топ кошуу',
+    jointWith: '{groups} менен',
+    jointReplaces: '{group} тобунда бул убакта {course} бар — ал алмаштырылат',
+    jointDeleteConfirm: 'Бул биргелешкен сабак бардык {count} топтон өчүрүлсүнбү?',
+    jointMoveBlocked: 'Биргелешкен сабакты бош уячаларга гана жылдырууга болот — адегенде максаттуу убакытты бошотуңуз',
+    jointLooksSame: 'Ар бир топто бир эле лекция — балким, бул агым',
+    jointMarkBtn: 'Биргелешкен кылуу ({count} топ)',
+    historyMarkJoint: 'Биргелешкен сабак кылуу',
+
+    // Co-teaching
+    coTeachersHint: 'Enter — экинчи окутуучуну кошуу',
+    coTeacherAdd: 'Окутуучу кошуу',
+    coTeacherBusy: '{teacher} бул убакта {group} тобунда {course} сабагын өтөт',
+
+    // Time grid
+    tgridTitle: 'Убакыт торчосу',
+    tgridSubtitle: 'Окуу күндөрү, сабак мезгилдери жана тыныгуулар. Жадыбал, сабак редактору жана импорт ушул торчону колдонот.',
+    tgridDays: 'Окуу күндөрү',
+    tgridPeriods: 'Сабак мезгилдери',
+    tgridAddPeriod: 'Мезгил кошуу',
+    tgridMinutes: '{count} мүн',
+    tgridBreaks: 'Тыныгуулар',
+    tgridBreaksHint: 'Мезгилдердин ортосундагы узун тыныгуулар жадыбалдын башында көрсөтүлөт. Түшкү тыныгууну белгилеңиз.',
+    tgridAddBreak: 'Тыныгуу кошуу',
+    tgridLunch: 'Түшкү тамак',
+    tgridDiscard: 'Өзгөртүүлөрдү жокко чыгаруу',
+    tgridNoDays: 'Жок дегенде бир окуу күнүн тандаңыз',
+    tgridNoPeriods: 'Жок дегенде бир мезгил кошуңуз',
+    tgridBadRange: 'Ар бир мезгилдин жана тыныгуунун башталышы аягынан эрте болушу керек',
+    tgridOverlap: 'Мезгилдер жана тыныгуулар кесилишпеши керек',
+    tgridStrandConfirm: '{slots} сабак алынып салынган мезгилдерде жана {days} сабак алынып салынган күндөрдө турат. Алар сакталат, бирок көчүрүлмөйүнчө көрүнбөйт. Сактайлыбы?',
+    tgridMigrate: 'Торчодон тышкаркы сабактар',
+    tgridMigrateHint: 'Бул сабактар торчодо жок мезгилдерде турат. Ар бир эски мезгил кайсы мезгилге айланарын тандаңыз; башталышы эң жакыны сунушталат.',
+    tgridLeave: '— калтыруу —',
+    tgridBlocked: '{count} сабакты көчүрүүгө болбойт — жаңы уячасы бош эмес:',
+    tgridMigrateApply: '{count} сабакты көчүрүү',
+    tgridMigrateConfirm: '{count} сабакты жаңы мезгилдерге көчүрөлүбү? {blocked} ордунда калат. Муну артка кайтарса болот.',
+
+    // Audit log
+    navAudit: 'Өзгөртүүлөр журналы',
+    auditTitle: 'Өзгөртүүлөр журналы',
+    auditSubtitle: 'Сабактардын, топтордун, экзамендердин, брондоолордун жана жарыялардын бардык өзгөрүүлөрү: ким, качан жана мурун эмне болгон.',
+    auditRefresh: 'Жаңыртуу',
+    auditAllEntities: 'Баары',
+    auditUser: 'Колдонуучу',
+    auditFrom: 'Баштап',
+    auditTo: 'Чейин',
+    auditSearch: 'Топ, сабак, аудитория…',
+    auditEmpty: 'Бул чыпкаларга туура келген өзгөртүү жок',
+    auditShowMore: 'Дагы {count} көрсөтүү',
+    auditCellEmpty: 'Бул уяча үчүн азырынча өзгөртүү жок',
+    auditHistoryTab: 'Тарых',
+    auditRevert: 'Артка кайтаруу',
+    auditRevertConfirm: '{target} бул өзгөртүүгө чейинки абалына кайтарылсынбы?',
+    auditReverted: 'Өзгөртүү артка кайтарылды',
+    auditUnknownUser: 'белгисиз',
+    audit_create: 'Түзүлдү',
+    audit_update: 'Өзгөртүлдү',
+    audit_delete: 'Өчүрүлдү',
+    auditSchedule: 'Сабак',
+    auditGroup: 'Топ',
+    auditExam: 'Экзамен',
+    auditBooking: 'Брондоо',
+    auditAnnouncement: 'Жарыя',
+
+    // Snapshots
+    navSnapshots: 'Көчүрмөлөр',
+    historyRestoreSnapshot: 'Көчүрмөнү калыбына келтирүү',
+    snapTitle: 'Расписание көчүрмөлөрү',
+    snapSubtitle: 'Чоң өзгөртүүлөрдүн алдында бүт расписаниени ат менен сактаңыз, кийин аны учурдагысы менен салыштырып, толугу менен же айрым топторду жана күндөрдү гана кайтарыңыз.',
+    snapNamePlaceholder: 'Көчүрмөнүн аты, мисалы «Жазгы өзгөртүүгө чейин»',
+    snapCreate: 'Көчүрмөнү сактоо',
+    snapSaved: '«{name}» көчүрмөсү сакталды',
+    snapEmpty: 'Азырынча көчүрмө жок',
+    snapClasses: '{count} сабак',
+    snapCompare: 'Салыштыруу',
+    snapDeleteConfirm: '«{name}» көчүрмөсү өчүрүлсүнбү?',
+    snapDiffTitle: '«{name}» жана учурдагы расписание',
+    snapDiffHint: 'Кошулган жана өчүрүлгөндөр көчүрмөдөн бүгүнкү күнгө чейин эсептелет. Ошолорду гана көрүү жана калыбына келтирүү үчүн топторду жана күндөрдү тандаңыз.',
+    snapNoDiff: 'Учурдагы расписание бул көчүрмө менен дал келет',
+    snapGroups: 'Топтор',
+    snapDays: 'Күндөр',
+    snapAdded: '{count} кошулду',
+    snapRemoved: '{count} өчүрүлдү',
+    snapChanged: '{count} өзгөрдү',
+    snapShowMore: 'Дагы {count} көрсөтүү',
+    snapRestoreSelected: 'Тандалганды калыбына келтирүү ({count})',
+    snapRestoreAll: 'Бүт көчүрмөнү калыбына келтирүү',
+    snapRestoreConfirm: '«{name}» көчүрмөсүнөн {count} уячаны калыбына келтиресизби? Муну жокко чыгарса болот.',
+    snapRestored: '«{name}» көчүрмөсүнөн калыбына келтирилди',
+
+    // Bulk editing
+    historyBulkEdit: 'Массалык өзгөртүү',
+    historyBulkDelete: 'Массалык өчүрүү',
+    historyBulkShift: 'Массалык көчүрүү',
+    bulkSelectHint: 'Бир нечесин тандоо үчүн Ctrl-чыкылдатуу, Shift-чыкылдатуу же бош уячадан сүйрөө',
+    bulkSelected: '{count} сабак тандалды',
+    bulkHint: 'Esc же жөнөкөй чыкылдатуу тандоону алып салат',
+    bulkClear: 'Тандоону алып салуу',
+    bulkSet: 'Коюу',
+    bulkShift: 'Жылдыруу',
+    bulkSameDay: 'Ошол эле күн',
+    bulkMove: 'Жылдыруу',
+    bulkPreviewChange: '{count} уяча жазылат',
+    bulkPreviewDelete: '{count} уяча тазаланат',
+    bulkBlocked: '{count} сабак ордунда калат — максаттуу уяча бош эмес же торчодон тышкары',
+    bulkConflicts: 'Бул өзгөртүүдөн кийин мугалим же аудитория боюнча {count} кагылышуу',
+    bulkApply: 'Колдонуу',
+
+    // Copy & paste
+    historyPaste: 'Чаптоо',
+    clipHint: 'көчүрүү же чаптоо үчүн уячаны оң баскыч менен басыңыз',
+    clipEmpty: 'Буфер бош — сабакты, күндү же жуманы көчүрүү үчүн уячаны оң баскыч менен басыңыз',
+    clipKind_cell: 'Сабак',
+    clipKind_day: 'Күн',
+    clipKind_week: 'Жума',
+    clipClasses: '{count} сабак',
+    clipKeepTeacher: 'Мугалимди калтыруу',
+    clipKeepRoom: 'Аудиторияны калтыруу',
+    clipOverwrite: 'Бош эмес уячаларды алмаштыруу',
+    clipCopyTsv: 'TSV катары көчүрүү',
+    clipImportTsv: 'Таблицадан чаптоо',
+    clipLoadTsv: 'Буферге жүктөө',
+    clipTsvPlaceholder: 'Excel же Google Sheets\'тен көчүрүлгөн саптарды чаптаңыз: group, day, time, course, teacher, room, subjectType, duration',
+    clipTsvCopied: 'Табуляция менен бөлүнгөн текст катары көчүрүлдү — таблицага чаптаңыз',
+    clipTsvEmpty: 'Сабагы бар сап табылган жок',
+    clipTsvBadRow: 'Бир да сап окулган жок — четке кагылган саптардын тизмесин караңыз',
+    clipTsvOneGroup: 'Бардык саптар бир топко тиешелүү болушу керек',
+    clipClear: 'Буферди тазалоо',
+    clipCopyCell: 'Сабакты көчүрүү',
+    clipCopyDay: '{group} · {day} көчүрүү',
+    clipCopyWeek: '{group} жумасын көчүрүү',
+    clipPasteOnto: '{target} ичине чаптоо',
+    clipCopied_cell: 'Сабак көчүрүлдү',
+    clipCopied_day: 'Күн көчүрүлдү',
+    clipCopied_week: 'Жума көчүрүлдү',
+    clipNothing: 'Бул жерде көчүрө турган нерсе жок',
+    clipSkipped: '{count} бош эмес уяча өзгөрүүсүз калды',
+
+    // Find & replace
+    navReplace: 'Алмаштыруу',
+    historyReplace: 'Таап алмаштыруу',
+    frTitle: 'Таап алмаштыруу',
+    frSubtitle: 'Мугалимдин, аудиториянын же сабактын атын бардык сабактарда бир убакта өзгөртүңүз. Тизмени текшерип, жокко чыгарса боло турган бир өзгөртүү катары колдонуңуз.',
+    frFind: 'Табуу…',
+    frReplace: 'Муну менен алмаштыруу…',
+    frMatch: 'Дал келүү',
+    frMode_exact: 'Так',
+    frMode_ignoreCase: 'Регистрсиз',
+    frMode_regex: 'Регулярдык туюнтма',
+    frWholeField: 'Бүт талаа гана',
+    frFields: 'Талаалар',
+    frDepartment: 'Кафедра',
+    frAllDepartments: 'Бардык кафедралар',
+    frAllGroups: 'баары',
+    frMatches: '{count} сабак өзгөрөт',
+    frNoMatches: 'Дал келгени жок',
+    frApply: '{count} сабакта алмаштыруу',
+    frConfirm: '{count} сабакта «{find}» «{replace}» менен алмаштырылсынбы?',
+    frDone: '{count} сабакта алмаштырылды',
+    frEmptyFind: 'Эмнени издөө керектигин жазыңыз',
+    frBadRegex: 'Бул туура эмес регулярдык туюнтма',
+
+    // Live collaboration
+    liveLabel: 'Онлайн',
+    liveConnected: 'Тирүү жаңыртуулар күйүк — башка администраторлордун өзгөртүүлөрү дароо көрүнөт',
+    liveConnecting: 'Туташууда…',
+    liveEditingCell: '{cell} оңдоодо',
+    liveEditingNow: '{names} да бул сабакты ачып турат',
+    liveChangedSince: 'Сиз ачкандан кийин {user} бул сабакты өзгөрттү',
+    liveStaleConfirm: 'Сиз ачкандан кийин {user} бул сабакты өзгөрттү. Анын өзгөртүүсүнүн үстүнө сактайсызбы?',
+
+    // Draft & publish
+    historyPublish: 'Долбоорду жарыялоо',
+    draftStart: 'Долбоор',
+    draftStartHint: 'Долбоор баштоо: кийинки өзгөртүүлөр жарыялаганга чейин сизге гана көрүнөт',
+    draftChip: 'Долбоор',
+    draftReviewTitle: 'Өзгөртүүлөрдү карап чыгуу',
+    draftReviewHint: 'Студенттер жана башка администраторлор жарыяланган жадыбалды көрүшөт. Жарыялоо төмөнкү бардык өзгөртүүлөрдү бир убакта колдонот.',
+    draftEmpty: 'Долбоордо азырынча өзгөртүү жок',
+    draftNotify: 'Өзгөртүүлөр тууралуу билдирүү жөнөтүү',
+    draftPublish: '{count} өзгөртүүнү жарыялоо',
+    draftPublishConfirm: '{count} өзгөртүү жарыялансынбы? Аларды баары дароо көрөт.',
+    draftPublished: '{count} өзгөртүү жарыяланды',
+    draftConflicts: 'Бул сабактардын {count} долбоорго кошулгандан кийин башкалар тарабынан өзгөртүлгөн — жарыялоо ал өзгөртүүлөрдүн үстүнө жазат',
+    draftConflictBadge: 'ошондон бери өзгөргөн',
+    draftDiscard: 'Долбоорду өчүрүү',
+    draftDiscardConfirm: 'Жарыялана элек {count} өзгөртүү өчүрүлсүнбү?',
+    draftDiscarded: 'Долбоор өчүрүлдү',
+
+    // Drag-and-drop moves
+    moveNoRoom: '«{course}» ал жерге батпайт: сабак күндүн акыркы парасынан ашып кетет',
+    moveSpanTaken: '{group} тобунда {time} убагында «{course}» бар — сабакка анын узактыгындагы бардык паралар бош болушу керек',
+
+    // Scoped clear
+    clearTitle: 'Сабактарды тазалоо',
+    clearHint: 'Эмнени тазалоону тандаңыз. Алдын ала учурдагы жадыбалдын сүрөтү сакталат — аны «Сүрөттөрдөн» калыбына келтирсе болот.',
+    clearHintDraft: 'Эмнени тазалоону тандаңыз. Долбоор режиминде өчүрүүлөр долбоорго түшөт жана жарыялангандан кийин гана колдонулат.',
+    clearAllCourses: 'Бардык сабактар',
+    clearCount: 'Өчүрүлө турган сабактар: {count}',
+    clearEverything: 'Эч нерсе тандалган жок — семестрдин бардык сабактары өчүрүлөт ({count})',
+    clearJointKept: '{count} бирдиктүү сабак тандоодон тышкаркы топтордо калат',
+    clearNothing: 'Тандоого туура келген сабактар жок',
+    clearApply: '{count} өчүрүү',
+    clearConfirm: '{count} сабакты өчүрөсүзбү? Алдын ала сүрөт сакталат.',
+    clearConfirmAll: 'Семестрдин БАРДЫК сабактарын ({count}) өчүрөсүзбү? Алдын ала сүрөт сакталат.',
+    clearDone: '{count} сабак өчүрүлдү. Сүрөт сакталды: {name}',
+    clearDoneDraft: 'Долбоорго {count} өчүрүү кошулду',
+    clearSnapshotName: '{count} сабакты тазалоодон мурун · {date}',
+
+    // Schema validation report
+    vrTitle: 'Четке кагылган саптар',
+    vrHint: '«{source}» булагынан {count} сап текшерүүдөн өткөн жок жана калтырылды. Аларды булакта оңдоп, кайра жүктөңүз.',
+    vrToast: '«{source}» булагынан {count} сап текшерүүдөн өтпөй калтырылды',
+    vrDetails: 'Толугураак',
+    vrClose: 'Жабуу',
+    vrRow: '{n}-сап',
+    vrNothingValid: '{count} саптын бири да текшерүүдөн өткөн жок — эч нерсе импорттолгон жок',
+    vrImportRejected: '{count} сап четке кагылды — отчетту караңыз.',
+    vrSource_server: 'жадыбал',
+    vrSource_groups: 'топтордун тизмеси',
+    vrSource_import: 'импорттолгон файл',
+    vrSource_tsv: 'чапталган текст',
+    vrSource_exams: 'экзамендер',
+    vrSource_bookings: 'аудиторияларды брондоо',
+    vrSource_feedback: 'пикирлер',
   },
 };
 
@@ -2,6 +2,7 @@
 // Parser for Ala-Too University Excel format - FIXED VERSION
 
 import * as XLSX from 'xlsx';
+import { matchSlot } from './timeGrid';
 
 // ─── Bug Fix 1: Room extraction ──────────────────────────────────────────────
 // OLD: took only the LAST word as room → "B110 LAB" became just "LAB"
@@ -48,8 +49,15 @@ function buildMergeMap(sheet) {
 }
 
 // ─── Main parser ─────────────────────────────────────────────────────────────
-export const parseAlatooSchedule = (file) => {
+// `timeSlots` are the grid's slot labels that the sheet's headers are matched
+// onto; without them no class could be placed, so they are required
+export const parseAlatooSchedule = (file, timeSlots) => {
   return new Promise((resolve, reject) => {
+    if (!Array.isArray(timeSlots) || !timeSlots.length) {
+      reject(new Error('The time grid has no periods to place the classes in.'));
+      return;
+    }
+
     const reader = new FileReader();
 
     reader.onload = (e) => {
@@ -58,41 +66,17 @@ export const parseAlatooSchedule = (file) => {
         const workbook = XLSX.read(data, { type: 'array' });
 
         const schedule = [];
-        const timeSlots = {
-          '08.00-08.40':    '08:00-08:40',
-          '08.45-09.25':    '08:45-09:25',
-          '09.30-10.10':    '09:30-10:10',
-          '10.15-10.55':    '10:15-10:55',
-          '11.00-11.40':    '11:00-11:40',
-          '11.45-12.25':    '11:45-12:25',
-          '12:30-13.10':    '12:30-13:10',
-          '13.10-13.55':    '13:10-13:55',
-          '14.00-14.40':    '14:00-14:40',
-          '14:45 - 15:25':  '14:45-15:25',
-          '15:30 - 16:10':  '15:30-16:10',
-          '16:15 - 16:55':  '16:15-16:55',
-          '17:00 - 17:40':  '17:00-17:40',
-          '17:45 - 18:25':  '17:45-18:25',
-        };
-
-        const daySheets = [
-          'MONDAY Spring25',
-          'TUESDAY Spring25',
-          'WEDNESDAY Spring25',
-          'THURSDAY Spring25',
-          'FRIDAY Spring25',
-          'SATURDAY Spring25',
-        ];
+        // "MONDAY Spring25", "MONDAY Fall26", … — any term suffix
+        const daySheets = workbook.SheetNames.filter(n =>
+          /^(MONDAY|TUESDAY|WEDNESDAY|THURSDAY|FRIDAY|SATURDAY)\b/i.test(n.trim()));
 
         console.log('🔍 Starting Ala-Too parser (fixed)…');
 
-        daySheets.forEach(sheetName => {
-          if (!workbook.SheetNames.includes(sheetName)) {
-            console.log(`⚠️  Sheet "${sheetName}" not found`);
-            return;
-          }
+        if (!daySheets.length) console.log('⚠️  No weekday sheets found');
 
-          const day  = sheetName.split(' ')[0].charAt(0) + sheetName.split(' ')[0].slice(1).toLowerCase();
+        daySheets.forEach(sheetName => {
+          const word = sheetName.trim().split(/\s+/)[0];
+          const day  = word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
           const sheet = workbook.Sheets[sheetName];
 
           // ── Bug Fix 2: build merge lookup before iterating rows ──
@@ -125,8 +109,12 @@ export const parseAlatooSchedule = (file) => {
 
           console.log(`✅ Time header at row ${headerRowIndex + 1}, col ${timeColumnStart + 1}`);
 
-          // Build ordered list of time-slot keys (in column order)
-          const timeColumnKeys = Object.keys(timeSlots); // same order as the sheet
+          // Time columns from the header row, mapped onto the configured grid
+          // (utils/timeGrid): the sheet writes "13.10-13.55" for the period
+          // the grid may call 13:15-13:55. Headers that match no period are skipped.
+          const timeColumns = jsonData[headerRowIndex].slice(timeColumnStart)
+            .map((text, i) => ({ col: timeColumnStart + i, time: matchSlot(text, timeSlots) }))
+            .filter(c => c.time);
 
           let classCount = 0;
 
@@ -143,8 +131,7 @@ export const parseAlatooSchedule = (file) => {
             const groupName = rawGroup;
 
             // Iterate time-slot columns
-            for (let timeIdx = 0; timeIdx < timeColumnKeys.length; timeIdx++) {
-              const colIdx = timeColumnStart + timeIdx;
+            for (const { col: colIdx, time } of timeColumns) {
               if (colIdx >= row.length) break;
 
               const cellValue = row[colIdx];
@@ -189,7 +176,7 @@ export const parseAlatooSchedule = (file) => {
               schedule.push({
                 group:       groupName,
                 day:         day,
-                time:        timeSlots[timeColumnKeys[timeIdx]],
+                time:        time,
                 course:      course,
                 teacher:     teacher,
                 room:        room,
@@ -1,51 +1,88 @@
 // src/utils/api.js — connects to Railway backend
 const BASE_URL = process.env.REACT_APP_API_URL || 'https://timetablebackend-production.up.railway.app/api';
 
-const getToken = () =>
-  localStorage.getItem('scheduleToken') ||
-  localStorage.getItem('token') ||
-  localStorage.getItem('authToken') || '';
+// Keys a session token has been stored under; the app writes the first
+export const TOKEN_KEYS = ['scheduleToken', 'token', 'authToken', 'jwt'];
+
+const getToken = () => TOKEN_KEYS.map(k => localStorage.getItem(k)).find(Boolean) || '';
+
+export const hasToken = () => !!getToken();
+
+// Active academic term — schedules, groups and exams are scoped to it.
+// Empty when the backend has no terms, which keeps the old unscoped endpoints.
+export const getTermId = () => localStorage.getItem('scheduleTerm') || '';
+
+export const withTerm = (endpoint, term = getTermId()) =>
+  term ? `${endpoint}${endpoint.includes('?') ? '&' : '?'}term=${encodeURIComponent(term)}` : endpoint;
+
+// Every failed request rejects with one of these:
+//   status   the HTTP status; 0 when no response came back
+//   network  the server was unreachable or didn't answer in time — writes
+//            with this set can be queued and sent again later
+//   auth     the server refused the session (401 / 403)
+//   aborted  the caller cancelled the request through `options.signal`
+const apiError = (message, { status = 0, network = false, aborted = false, data = null } = {}) =>
+  Object.assign(new Error(message), { name: 'ApiError', status, network, aborted, auth: status === 401 || status === 403, data });
+
+const REQUEST_TIMEOUT_MS = 20000;
 
 // ── Retry helper ──────────────────────────────────────────────────────────────
+// `endpoint` is a path under BASE_URL, or a full URL for services hosted elsewhere.
+// `options.timeout` overrides how long one attempt may take; aborting
+// `options.signal` cancels the request without further attempts.
 const apiCall = async (endpoint, options = {}, retries = 3) => {
-  const url = `${BASE_URL}${endpoint}`;
+  const url = /^https?:\/\//.test(endpoint) ? endpoint : `${BASE_URL}${endpoint}`;
+  const { timeout = REQUEST_TIMEOUT_MS, headers, signal, ...init } = options;
+  const cancelled = () => apiError('Request cancelled', { aborted: true });
 
   for (let attempt = 1; attempt <= retries; attempt++) {
+    if (signal?.aborted) throw cancelled();
     const token = getToken();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
 
-    let response;
+    let response, text;
     try {
       response = await fetch(url, {
+        ...init,
+        signal: controller.signal,
         headers: {
           'Content-Type': 'application/json',
           // ⚠️ Only send Authorization header when a real token exists.
           // An empty "Bearer " header causes the backend to return 401
           // even for guests who never logged in.
           ...(token ? { Authorization: `Bearer ${token}` } : {}),
-          ...options.headers,
+          ...headers,
         },
-        ...options,
       });
+      text = await response.text();
     } catch (networkErr) {
+      if (signal?.aborted) throw cancelled();
       if (attempt < retries) {
         const delay = attempt * 500;
         console.warn(`⚠️ API attempt ${attempt} failed, retrying in ${delay}ms...`);
         await new Promise(r => setTimeout(r, delay));
         continue;
       }
-      throw new Error(
+      const reason = networkErr.name === 'AbortError' ? `no answer within ${timeout / 1000}s` : networkErr.message;
+      throw apiError(
         `Cannot reach server at ${BASE_URL}. ` +
-        `Check your REACT_APP_API_URL in Vercel. (${networkErr.message})`
+        `Check your REACT_APP_API_URL in Vercel. (${reason})`,
+        { network: true },
       );
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
     }
 
+    // An empty body is a bare acknowledgement, as DELETEs often send
     let data;
     try {
-      data = await response.json();
+      data = text ? JSON.parse(text) : { success: response.ok };
     } catch {
-      throw new Error(
-        `Server at ${url} returned non-JSON (status ${response.status}).`
-      );
+      throw apiError(`Server at ${url} returned non-JSON (status ${response.status}).`, { status: response.status });
     }
 
     if (!response.ok) {
@@ -53,7 +90,7 @@ const apiCall = async (endpoint, options = {}, retries = 3) => {
         // Silently return the error data — don't throw, don't log to console.
         // This prevents browser password manager autofill attempts from
         // showing as red 401 errors in the console.
-        return { success: false, error: data.error || data.message || 'Auth failed' };
+        return { success: false, error: data.error || data.message || 'Auth failed', status: response.status };
       }
       if (response.status >= 500 && attempt < retries) {
         const delay = attempt * 500;
@@ -61,13 +98,31 @@ const apiCall = async (endpoint, options = {}, retries = 3) => {
         await new Promise(r => setTimeout(r, delay));
         continue;
       }
-      throw new Error(data.error || data.message || `Request failed: ${response.status}`);
+      throw apiError(data.error || data.message || `Request failed: ${response.status}`, { status: response.status, data });
     }
 
     return data;
   }
 };
 
+// For the resource clients below: resolves to the payload of a `{ success,
+// data }` reply — or to the whole reply when it carries other fields, such as
+// the counts of a broadcast — and rejects with an ApiError when the server
+// answers `success: false`, refused sessions included.
+const apiData = async (endpoint, options, retries) => {
+  const res = await apiCall(endpoint, options, retries);
+  if (res && res.success === false) {
+    throw apiError(res.error || res.message || 'Request failed', { status: res.status || 0, data: res });
+  }
+  return res && typeof res === 'object' && 'data' in res ? res.data : res;
+};
+
+// Rows of a list reply. apiData has already unwrapped `{ success, data }`, so
+// anything but an array means the endpoint had no list to give.
+export const listOf = (res) => (Array.isArray(res) ? res : []);
+
+const json = (method, body) => ({ method, body: JSON.stringify(body) });
+
 // ── Auth ─────────────────────────────────────────────────────────────────────
 export const authAPI = {
   login: (username, password) =>
@@ -84,29 +139,240 @@ export const authAPI = {
 
 // ── Schedule ─────────────────────────────────────────────────────────────────
 export const scheduleAPI = {
-  getAll: () => apiCall('/schedules'),
-  save: (group, day, time, course, teacher, room, subjectType, duration = 1) =>
-    apiCall('/schedules', {
+  getAll: (term = getTermId()) => apiData(withTerm('/schedules', term)),
+  // `groups` lists every attendee of a joint class (see utils/jointClasses);
+  // `teachers` lists the instructors of a co-taught one; `alternates` the
+  // classes sharing the cell in other weeks (see utils/recurrence)
+  save: (group, day, time, course, teacher, room, subjectType, duration = 1, meetingLink = '', recurrence = null, groups = null, teachers = null, alternates = null, term = getTermId()) =>
+    apiData('/schedules', {
       method: 'POST',
-      body: JSON.stringify({ group, day, time, course, teacher, room, subjectType, duration }),
+      body: JSON.stringify({ group, day, time, course, teacher, room, subjectType, duration, meetingLink, recurrence, groups, teachers, alternates, term: term || undefined }),
     }),
-  bulk: (groups, entries) =>
-    apiCall('/schedules/bulk', {
+  bulk: (groups, entries, term = getTermId()) =>
+    apiData('/schedules/bulk', {
       method: 'POST',
       body: JSON.stringify({
         groups,
         schedule: Object.fromEntries(
           entries.map(e => [`${e.group}-${e.day}-${e.time}`, e])
         ),
+        term: term || undefined,
       }),
     }),
-  delete: (group, day, time) =>
-    apiCall('/schedules', { method: 'DELETE', body: JSON.stringify({ group, day, time }) }),
+  delete: (group, day, time, term = getTermId()) =>
+    apiData('/schedules', { method: 'DELETE', body: JSON.stringify({ group, day, time, term: term || undefined }) }),
+  // Moves classes between cells in one transaction: `moves` is [{ from, to,
+  // entry, swap }] with full classes — `entry` lands at `to` and `swap`, the
+  // class it displaces, at `from` (see utils/scheduleMove). The server checks
+  // that each class's whole duration is free for its group and applies all
+  // of them or none.
+  move: (moves, term = getTermId()) =>
+    apiData('/schedules/move', { method: 'POST', body: JSON.stringify({ moves, term: term || undefined }) }),
+  // Applies many cell changes in one transaction: `changes` is [{ group, day,
+  // time, before, after }] with after = null for a deletion (see
+  // scheduleHistory.changeRows)
+  batch: (changes, term = getTermId()) =>
+    apiData('/schedules/batch', { method: 'POST', body: JSON.stringify({ changes, term: term || undefined }) }),
+  // Applies a draft (utils/drafts) like batch; `notify` sends the usual
+  // change notifications for the classes it touches
+  publish: (changes, notify = false) =>
+    apiData('/schedules/publish', { method: 'POST', body: JSON.stringify({ changes, notify, term: getTermId() || undefined }) }),
 };
 
 // ── Groups ───────────────────────────────────────────────────────────────────
 export const groupsAPI = {
-  getAll: () => apiCall('/groups'),
-  add:    (name) => apiCall('/groups', { method: 'POST', body: JSON.stringify({ name }) }),
-  delete: (name) => apiCall(`/groups/${encodeURIComponent(name)}`, { method: 'DELETE' }),
+  getAll: (term = getTermId()) => apiData(withTerm('/groups', term)),
+  add:    (name, term = getTermId()) => apiData('/groups', { method: 'POST', body: JSON.stringify({ name, term: term || undefined }) }),
+  delete: (name, term = getTermId()) => apiData(withTerm(`/groups/${encodeURIComponent(name)}`, term), { method: 'DELETE' }),
+};
+
+// ── Date exceptions (cancellations, moved occurrences, make-ups, holidays) ─────
+export const exceptionsAPI = {
+  getAll: ()     => apiData(withTerm('/exceptions')),
+  create: (ex)   => apiData('/exceptions', { method: 'POST', body: JSON.stringify({ ...ex, term: getTermId() || undefined }) }),
+  delete: (id)   => apiData(`/exceptions/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+};
+
+// ── Teacher registry (canonical names and spelling aliases) ──────────────────
+// [{ name, aliases, title, department, email, phone }] — saved as a whole list
+export const teacherRegistryAPI = {
+  getAll:  ()         => apiData('/teacher-registry'),
+  saveAll: (teachers) => apiData('/teacher-registry', { method: 'PUT', body: JSON.stringify({ teachers }) }),
+};
+
+// ── Room catalog ─────────────────────────────────────────────────────────────
+// [{ code, aliases, building, floor, capacity, type, equipment, bookable }]
+export const roomRegistryAPI = {
+  getAll:  ()      => apiData('/room-registry'),
+  saveAll: (rooms) => apiData('/room-registry', { method: 'PUT', body: JSON.stringify({ rooms }) }),
+};
+
+// ── Course catalog ───────────────────────────────────────────────────────────
+// [{ code, names: { en, ru, ky }, aliases, department, hours: { lecture, lab, seminar }, groups }]
+export const courseCatalogAPI = {
+  getAll:  ()        => apiData('/course-catalog'),
+  saveAll: (courses) => apiData('/course-catalog', { method: 'PUT', body: JSON.stringify({ courses }) }),
+};
+
+// ── Group registry & departments ─────────────────────────────────────────────
+// [{ name, department, year, size, parent }] and
+// [{ id, icon, names: { en, ru, ky }, prefixes, theme }] — each saved as a whole list
+export const groupRegistryAPI = {
+  getAll:  ()       => apiData('/group-registry'),
+  saveAll: (groups) => apiData('/group-registry', { method: 'PUT', body: JSON.stringify({ groups }) }),
+};
+
+export const departmentsAPI = {
+  getAll:  ()            => apiData('/departments'),
+  saveAll: (departments) => apiData('/departments', { method: 'PUT', body: JSON.stringify({ departments }) }),
+};
+
+// ── Time grid ────────────────────────────────────────────────────────────────
+// { days, periods: [{ start, end }], breaks: [{ start, end, lunch }] }
+export const timeGridAPI = {
+  get:  ()     => apiData('/time-grid'),
+  save: (grid) => apiData('/time-grid', { method: 'PUT', body: JSON.stringify({ grid }) }),
+};
+
+// ── Audit log ────────────────────────────────────────────────────────────────
+// [{ id, entity, action, key, before, after, user, at, labelKey }] — see utils/auditLog
+export const auditAPI = {
+  getAll: (filters = {}) => {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, v]) => v)).toString();
+    return apiData(query ? `/audit?${query}` : '/audit');
+  },
+  record: (entries) => apiData('/audit', { method: 'POST', body: JSON.stringify({ entries }) }),
+};
+
+// ── Snapshots ────────────────────────────────────────────────────────────────
+// { id, name, author, createdAt, groups, schedule } — a saved copy of one term's
+// timetable (see utils/snapshots). The list may leave out `schedule`.
+export const snapshotsAPI = {
+  getAll: ()         => apiData(withTerm('/snapshots')),
+  get:    (id)       => apiData(withTerm(`/snapshots/${encodeURIComponent(id)}`)),
+  create: (snapshot) => apiData('/snapshots', { method: 'POST', body: JSON.stringify({ ...snapshot, term: getTermId() || undefined }) }),
+  delete: (id)       => apiData(`/snapshots/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+};
+
+// ── Live collaboration ───────────────────────────────────────────────────────
+// A server-sent event stream per term that relays changes and presence between
+// admins (see utils/liveSync). REACT_APP_LIVE_URL points at a relay hosted
+// apart from the API, such as scripts/live-server.js during development.
+const LIVE_URL = process.env.REACT_APP_LIVE_URL || `${BASE_URL}/live`;
+
+export const liveAPI = {
+  // EventSource cannot send headers, so the stream is opened with a ticket:
+  // single-use and short-lived, asked for with the session token like any
+  // other request. Keeps the token itself out of URLs and server logs.
+  ticket: async (term = getTermId()) =>
+    (await apiData(`${LIVE_URL}/ticket`, json('POST', { term: term || undefined }), 1)).ticket,
+  streamUrl: (clientId, user, ticket, term = getTermId()) => {
+    const query = new URLSearchParams({ clientId, user, ticket, ...(term ? { term } : {}) });
+    return `${LIVE_URL}/events?${query}`;
+  },
+  // Presence heartbeats are frequent and disposable — no retries
+  publish: (event) =>
+    apiData(`${LIVE_URL}/publish`, { method: 'POST', body: JSON.stringify({ ...event, term: getTermId() || undefined }) }, 1),
+};
+
+// ── Plain REST resources ─────────────────────────────────────────────────────
+// A collection under `base` with rows addressed by id. The audit log's revert
+// (utils/auditLog) uses these for exams, bookings and announcements.
+// A POST that creates something is sent once: a retry after a reply got lost
+// would create it twice.
+export const recordAPI = (base) => ({
+  getAll: (init)    => apiData(base, init),
+  create: (rec)     => apiData(base, json('POST', rec), 1),
+  update: (id, rec) => apiData(`${base}/${encodeURIComponent(id)}`, json('PUT', rec)),
+  delete: (id)      => apiData(`${base}/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+});
+
+// { id, subject, group_names, teacher, room, exam_date, start_time, duration, notes }
+export const examsAPI = {
+  ...recordAPI('/exams'),
+  getAll: (init)      => apiData(withTerm('/exams'), init),
+  create: (exam)      => apiData('/exams', json('POST', { ...exam, term: getTermId() || undefined }), 1),
+  update: (id, exam)  => apiData(`/exams/${encodeURIComponent(id)}`, json('PUT', { ...exam, term: getTermId() || undefined })),
+};
+
+// { id, name, email, phone, entity, day, start_time, end_time, room, purpose, status }
+// Guests create them without a session; admins set `status`.
+export const bookingsAPI = {
+  ...recordAPI('/booking-requests'),
+  setStatus: (id, status) => apiData(`/booking-requests/${encodeURIComponent(id)}`, json('PUT', { status })),
+};
+
+// { id, message, color, expires }
+export const announcementsAPI = recordAPI('/announcements');
+
+// { id, category, subject, message, anonymous, sender_name, sender_email, status, created_at }
+export const feedbackAPI = {
+  getAll:    (init)         => apiData('/feedback', init),
+  // { total, unread, … } next to `success`
+  stats:     (init)         => apiData('/feedback/stats', init),
+  submit:    (feedback)     => apiData('/feedback', json('POST', feedback), 1),
+  setStatus: (id, status)   => apiData(`/feedback/${encodeURIComponent(id)}/status`, json('PUT', { status })),
+  delete:    (id)           => apiData(`/feedback/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+};
+
+// ── Telegram ─────────────────────────────────────────────────────────────────
+// Teacher rows { id, name, telegram_id, notifications_enabled } and group
+// channels { group_name, chat_id } that notifications and broadcasts go to
+export const teachersAPI = {
+  getAll:           (init)         => apiData('/teachers', init),
+  saveTelegram:     (teacher)      => apiData('/teachers/save-telegram', json('POST', teacher), 1),
+  removeTelegram:   (id)           => apiData(`/teachers/${encodeURIComponent(id)}/telegram`, { method: 'DELETE' }),
+  rename:           (id, name)     => apiData(`/teachers/${encodeURIComponent(id)}/name`, json('PUT', { name })),
+  setNotifications: (id, enabled)  => apiData(`/teachers/${encodeURIComponent(id)}/notifications`, json('PUT', { enabled })),
+  delete:           (id)           => apiData(`/teachers/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+};
+
+export const groupChannelsAPI = {
+  getAll: (init)    => apiData('/group-channels', init),
+  save:   (channel) => apiData('/group-channels', json('POST', channel)),
+  delete: (name)    => apiData(`/group-channels/${encodeURIComponent(name)}`, { method: 'DELETE' }),
+};
+
+// { subject, message, teacherIds, groupNames } → { sent, failed }
+export const broadcastAPI = {
+  send: (broadcast) => apiData('/broadcast', json('POST', broadcast), 1),
+};
+
+// ── Settings ─────────────────────────────────────────────────────────────────
+// String values by key, e.g. show_exams_to_guests, notifications_enabled
+export const settingsAPI = {
+  get: async (key, init) => (await apiData(`/settings/${encodeURIComponent(key)}`, init)).value,
+  set: (key, value)  => apiData(`/settings/${encodeURIComponent(key)}`, json('PUT', { value: String(value) })),
+};
+
+// ── Cached reads ─────────────────────────────────────────────────────────────
+// What screens read through the shared cache (context/QueryContext): `key`
+// names the entry and is the prefix writes invalidate, `fetch(signal)` loads it.
+const query = (key, fetch) => ({ key, fetch: (signal) => fetch({ signal }) });
+
+export const queries = {
+  bookings:      () => query('/booking-requests', bookingsAPI.getAll),
+  exams:         () => query(withTerm('/exams'), examsAPI.getAll),
+  announcements: () => query('/announcements', announcementsAPI.getAll),
+  feedback:      () => query('/feedback', feedbackAPI.getAll),
+  feedbackStats: () => query('/feedback/stats', feedbackAPI.stats),
+  teachers:      () => query('/teachers', teachersAPI.getAll),
+  groupChannels: () => query('/group-channels', groupChannelsAPI.getAll),
+  setting:   (key) => query(`/settings/${encodeURIComponent(key)}`, init => settingsAPI.get(key, init)),
+};
+
+// ── AI assistant ─────────────────────────────────────────────────────────────
+// The model's answer is the `text` of the reply. Answers take long and each
+// request is billed, so one attempt with a generous timeout.
+export const aiAPI = {
+  fixSchedule: async (prompt) =>
+    (await apiData('/claude/fix-schedule', { ...json('POST', { prompt }), timeout: 120000 }, 1)).text,
+};
+
+// ── Terms ────────────────────────────────────────────────────────────────────
+// { id, name, startDate, endDate, archived }
+export const termsAPI = {
+  getAll: ()           => apiData('/terms'),
+  create: (term)       => apiData('/terms', { method: 'POST', body: JSON.stringify(term) }),
+  update: (id, patch)  => apiData(`/terms/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(patch) }),
 };
\ No newline at end of file
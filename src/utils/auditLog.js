@@ -0,0 +1,89 @@
+// src/utils/auditLog.js — who changed what, and when.
+//
+// Audit record:
+//   { id, entity, action, key, before, after, user, at, labelKey }
+// entity    'schedule' | 'group' | 'exam' | 'booking' | 'announcement'
+// action    'create' | 'update' | 'delete' — from which of before/after is null
+// key       the schedule cell key, group name or record id
+// before /  the full record on either side of the change, null when absent
+// after
+// labelKey  i18n key of the user action that caused it (undo history labels)
+// The client writes records once the change itself has gone through; the
+// backend stores them under /audit and assigns `id`.
+import { auditAPI, examsAPI, bookingsAPI, announcementsAPI } from './api';
+import { invalidateQueries } from './queryCache';
+
+export const AUDIT_ENTITIES = ['schedule', 'group', 'exam', 'booking', 'announcement'];
+
+// Name of the signed-in admin, as saved by AuthContext
+export const currentUser = () => {
+  try {
+    const u = JSON.parse(localStorage.getItem('scheduleUser') || 'null');
+    return u?.username || u?.name || u?.email || '';
+  } catch { return ''; }
+};
+
+export const actionOf = (before, after) => (!before ? 'create' : !after ? 'delete' : 'update');
+
+export const auditRecord = (entity, key, before, after, labelKey = '') => ({
+  entity,
+  key:    String(key),
+  action: actionOf(before, after),
+  before: before || null,
+  after:  after || null,
+  user:   currentUser(),
+  at:     new Date().toISOString(),
+  labelKey,
+});
+
+// A failed audit write is only logged — the change it describes already happened
+export const logChanges = (records) => {
+  if (!records.length) return Promise.resolve();
+  return auditAPI.record(records).catch(err => console.warn('⚠️ Audit log write failed:', err.message));
+};
+
+export const logChange = (entity, key, before, after, labelKey) =>
+  logChanges([auditRecord(entity, key, before, after, labelKey)]);
+
+// Records for a timetable command (utils/scheduleHistory) applied towards
+// `side`; undo passes 'before'
+export const commandRecords = (command, side = 'after', labelKey = command.labelKey) => {
+  const from = side === 'after' ? 'before' : 'after';
+  return [
+    ...command.cells.map(c => auditRecord('schedule', c.key, c[from], c[side], labelKey)),
+    ...command.removedGroups.map(({ name }) => (side === 'after'
+      ? auditRecord('group', name, { name }, null, labelKey)
+      : auditRecord('group', name, null, { name }, labelKey))),
+  ];
+};
+
+const HIDDEN_FIELDS = ['id', 'group', 'day', 'time', 'created_at', 'updated_at'];
+
+const show = (v) => (v == null || v === '' ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+// Fields that differ between a record's two sides: [{ field, from, to }]
+export const changedFields = (rec) => {
+  const before = rec.before || {}, after = rec.after || {};
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(f => !HIDDEN_FIELDS.includes(f) && show(before[f]) !== show(after[f]))
+    .map(f => ({ field: f, from: show(before[f]), to: show(after[f]) }));
+};
+
+const RESOURCES = { exam: examsAPI, booking: bookingsAPI, announcement: announcementsAPI };
+
+// Cache entries (utils/queryCache) that show each resource — every term's exams
+const CACHED = { exam: '/exams', booking: '/booking-requests', announcement: '/announcements' };
+
+export const revertable = (rec) => !!rec && (rec.entity in RESOURCES || rec.entity === 'schedule' || rec.entity === 'group');
+
+// Puts an exam, booking or announcement back the way it was before `rec`.
+// Timetable cells and groups are reverted through ScheduleContext instead, so
+// the revert is undoable like any other edit.
+export const revertRecord = async (rec) => {
+  const api = RESOURCES[rec.entity];
+  if (!rec.before) await api.delete(rec.after?.id ?? rec.key);
+  else if (!rec.after) await api.create(rec.before);
+  else await api.update(rec.before.id ?? rec.key, rec.before);
+  invalidateQueries(CACHED[rec.entity]);
+  await logChange(rec.entity, rec.key, rec.after, rec.before, 'auditRevert');
+};
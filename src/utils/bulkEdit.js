@@ -0,0 +1,101 @@
+// src/utils/bulkEdit.js — one change applied to many timetable cells at once
+// (ScheduleTable's multi-cell selection and bulk bar).
+//
+// Each planner takes the schedule map and the selected cell keys and returns
+// the `cells` of an undoable command (utils/scheduleHistory). A selected copy
+// of a joint class brings its sibling copies along, as it does everywhere
+// else; a shift also reports the classes it has to leave where they are.
+import { attendees, sameEvent } from './jointClasses';
+import { cellKey } from './scheduleHistory';
+import { splitTeachers, CO_TEACHER_SEPARATOR } from './teacherRegistry';
+
+export const BULK_FIELDS = ['teacher', 'room', 'subjectType', 'duration'];
+
+// Selected classes grouped into events: [[[key, entry], …], …] where an
+// event is a single class or all copies of a joint one
+export const selectedEvents = (schedule, keys) => {
+  const seen = new Set();
+  const events = [];
+  keys.forEach(key => {
+    const e = schedule[key];
+    if (!e || seen.has(key)) return;
+    const copies = [[key, e], ...attendees(e)
+      .map(g => cellKey(g, e.day, e.time))
+      .filter(k => k !== key && sameEvent(schedule[k], e))
+      .map(k => [k, schedule[k]])];
+    copies.forEach(([k]) => seen.add(k));
+    events.push(copies);
+  });
+  return events;
+};
+
+// Teacher text as stored: co-teachers typed "A / B" also get a `teachers` list
+const withTeacher = (entry, teacher) => {
+  const { teachers, ...rest } = entry;
+  const list = splitTeachers({ teacher });
+  return list.length > 1
+    ? { ...rest, teacher: list.join(CO_TEACHER_SEPARATOR), teachers: list }
+    : { ...rest, teacher: list[0] || '' };
+};
+
+// Sets the fields of `patch` (only those that are not empty) on every
+// selected class
+export const planPatch = (schedule, keys, patch) => {
+  const fields = BULK_FIELDS.filter(f => patch[f] !== undefined && patch[f] !== '');
+  if (!fields.length) return { cells: [] };
+  const cells = selectedEvents(schedule, keys).flat().map(([key, e]) => {
+    let after = { ...e };
+    if (fields.includes('teacher'))     after = withTeacher(after, String(patch.teacher).trim());
+    if (fields.includes('room'))        after.room = String(patch.room).trim();
+    if (fields.includes('subjectType')) after.subjectType = patch.subjectType;
+    if (fields.includes('duration'))    after.duration = Number(patch.duration) || 1;
+    return { key, before: e, after };
+  });
+  return { cells };
+};
+
+export const planDelete = (schedule, keys) => ({
+  cells: selectedEvents(schedule, keys).flat().map(([key, e]) => ({ key, before: e, after: null })),
+});
+
+// Moves every selected class `slots` periods later (earlier when negative)
+// and/or onto `day`. A class stays put when its target slot is off the grid
+// or its target cell holds a class that isn't moving too; joint classes move
+// or stay with all their copies.
+export const planShift = (schedule, keys, { slots = 0, day = '' }, timeSlots) => {
+  const target = (e) => {
+    const idx = timeSlots.indexOf(e.time);
+    const to  = idx < 0 ? (slots ? null : e.time) : timeSlots[idx + slots];
+    return to ? { day: day || e.day, time: to } : null;
+  };
+  const staysPut = (e) => {
+    const to = target(e);
+    return !!to && to.day === e.day && to.time === e.time;
+  };
+  const events = selectedEvents(schedule, keys).filter(ev => !staysPut(ev[0][1]));
+
+  // Drop events whose target is off the grid or taken by a class that stays,
+  // until none are
+  let moving = events.filter(ev => target(ev[0][1]));
+  for (;;) {
+    const leaving = new Set(moving.flatMap(ev => ev.map(([k]) => k)));
+    const free = moving.filter(ev => ev.every(([, e]) => {
+      const to = target(e);
+      const toKey = cellKey(e.group, to.day, to.time);
+      return !schedule[toKey] || leaving.has(toKey);
+    }));
+    if (free.length === moving.length) break;
+    moving = free;
+  }
+
+  const after = {};
+  moving.forEach(ev => ev.forEach(([k]) => { after[k] = null; }));
+  moving.forEach(ev => ev.forEach(([, e]) => {
+    const to = target(e);
+    after[cellKey(e.group, to.day, to.time)] = { ...e, ...to };
+  }));
+  return {
+    cells: Object.entries(after).map(([key, value]) => ({ key, before: schedule[key] || null, after: value })),
+    blocked: events.filter(ev => !moving.includes(ev)).map(ev => ev[0][1]),
+  };
+};
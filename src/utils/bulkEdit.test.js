@@ -0,0 +1,81 @@
+import { selectedEvents, planPatch, planDelete, planShift } from './bulkEdit';
+import { applyCells } from './scheduleHistory';
+import { cls, key, mapOf } from './testFixtures';
+
+const SLOTS = ['08:00-08:40', '08:45-09:25', '09:30-10:10'];
+
+const joint = ['A', 'B'].map(g => cls(g, 'Monday', SLOTS[0], { course: 'History', groups: ['A', 'B'] }));
+const solo  = cls('C', 'Monday', SLOTS[0]);
+
+describe('selectedEvents', () => {
+  it('brings the sibling copies of a joint class along, once', () => {
+    const schedule = mapOf(...joint, solo);
+    const events = selectedEvents(schedule, [key(joint[0]), key(joint[1]), key(solo), 'missing']);
+    expect(events.map(ev => ev.map(([k]) => k))).toEqual([[key(joint[0]), key(joint[1])], [key(solo)]]);
+  });
+});
+
+describe('planPatch', () => {
+  it('sets only the fields that were filled in', () => {
+    const { cells } = planPatch(mapOf(solo), [key(solo)], { teacher: '', room: ' B201 ', subjectType: '', duration: '2' });
+    expect(cells).toEqual([{ key: key(solo), before: solo, after: { ...solo, room: 'B201', duration: 2 } }]);
+  });
+
+  it('turns "A / B" into a co-taught class', () => {
+    const { cells } = planPatch(mapOf(solo), [key(solo)], { teacher: 'Dr. X / Ms. Y' });
+    expect(cells[0].after).toMatchObject({ teacher: 'Dr. X / Ms. Y', teachers: ['Dr. X', 'Ms. Y'] });
+  });
+
+  it('plans nothing for an empty patch', () => {
+    expect(planPatch(mapOf(solo), [key(solo)], { teacher: '', room: '' }).cells).toEqual([]);
+  });
+});
+
+describe('planDelete', () => {
+  it('clears every copy of a selected joint class', () => {
+    const { cells } = planDelete(mapOf(...joint), [key(joint[0])]);
+    expect(cells.map(c => [c.key, c.after])).toEqual([[key(joint[0]), null], [key(joint[1]), null]]);
+  });
+});
+
+describe('planShift', () => {
+  it('moves classes by periods and onto another day', () => {
+    const schedule = mapOf(solo);
+    const later = applyCells(schedule, planShift(schedule, [key(solo)], { slots: 1 }, SLOTS).cells, 'after');
+    expect(Object.keys(later)).toEqual([`C-Monday-${SLOTS[1]}`]);
+    const tuesday = applyCells(schedule, planShift(schedule, [key(solo)], { day: 'Tuesday' }, SLOTS).cells, 'after');
+    expect(tuesday[`C-Tuesday-${SLOTS[0]}`]).toMatchObject({ day: 'Tuesday', course: 'Math' });
+  });
+
+  it('lets a class move into a cell that is being vacated', () => {
+    const first  = cls('C', 'Monday', SLOTS[0], { course: 'First' });
+    const second = cls('C', 'Monday', SLOTS[1], { course: 'Second' });
+    const schedule = mapOf(first, second);
+    const { cells, blocked } = planShift(schedule, [key(first), key(second)], { slots: 1 }, SLOTS);
+    const next = applyCells(schedule, cells, 'after');
+    expect(blocked).toEqual([]);
+    expect(next[`C-Monday-${SLOTS[1]}`].course).toBe('First');
+    expect(next[`C-Monday-${SLOTS[2]}`].course).toBe('Second');
+  });
+
+  it('leaves classes whose target is taken or off the grid', () => {
+    const last  = cls('C', 'Monday', SLOTS[2]);
+    const stays = cls('D', 'Monday', SLOTS[1], { course: 'Stays' });
+    const moves = cls('D', 'Monday', SLOTS[0]);
+    const schedule = mapOf(last, stays, moves);
+    const { cells, blocked } = planShift(schedule, [key(last), key(moves)], { slots: 1 }, SLOTS);
+    expect(cells).toEqual([]);
+    expect(blocked).toEqual([last, moves]);
+  });
+
+  it('moves a joint class with all its copies or not at all', () => {
+    const schedule = mapOf(...joint);
+    const next = applyCells(schedule, planShift(schedule, [key(joint[0])], { slots: 1 }, SLOTS).cells, 'after');
+    expect(Object.keys(next).sort()).toEqual([`A-Monday-${SLOTS[1]}`, `B-Monday-${SLOTS[1]}`]);
+
+    const busy = mapOf(...joint, cls('B', 'Monday', SLOTS[1]));
+    const { cells, blocked } = planShift(busy, [key(joint[0])], { slots: 1 }, SLOTS);
+    expect(cells).toEqual([]);
+    expect(blocked).toEqual([joint[0]]);
+  });
+});
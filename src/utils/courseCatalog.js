@@ -0,0 +1,85 @@
+// src/utils/courseCatalog.js — the course catalog, matching of course strings
+// onto it, and the scheduled-vs-required hours report.
+//
+// Catalog entry:
+//   { code, names: { en, ru, ky }, aliases: [], department,
+//     hours: { lecture, lab, seminar }, groups: [] }
+// `hours` are required academic hours (timetable slots) per week by class
+// type; `groups` lists the groups that take the course, if known.
+// Timetable entries keep storing the course as text; the English name is what
+// the pickers write, and every spelling in `names` or `aliases` matches.
+
+export const COURSE_HOUR_TYPES = ['lecture', 'lab', 'seminar'];
+
+const nameKey = (name) => String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Lookups over one catalog; ScheduleContext builds them as `courseIndex`
+// whenever the catalog changes.
+export const indexCourses = (courses) => {
+  const byKey = new Map();   // nameKey of code, name or alias → catalog entry
+  (courses || []).forEach(c => {
+    if (!c?.code) return;
+    [c.code, ...Object.values(c.names || {}), ...(c.aliases || [])].forEach(alias => {
+      const key = nameKey(alias);
+      if (key && !byKey.has(key)) byKey.set(key, c);
+    });
+  });
+
+  const findCourse = (course) => byKey.get(nameKey(course)) || null;
+
+  return { findCourse };
+};
+
+// Display name in `lang`, falling back to English and then the code
+export const courseName = (c, lang = 'en') => c.names?.[lang] || c.names?.en || c.code;
+
+// The text a timetable entry stores for a catalog course
+export const courseEntryText = (c) => c.names?.en || c.code;
+
+export const requiredHours = (c) =>
+  COURSE_HOUR_TYPES.reduce((sum, tp) => sum + (Number(c.hours?.[tp]) || 0), 0);
+
+// Weekly hours an entry contributes: its slot count, halved for classes that
+// meet every other week
+const weeklyHours = (e) => {
+  const slots = Math.max(1, Number(e.duration) || 1);
+  return ['odd', 'even'].includes(e.recurrence?.type) ? slots / 2 : slots;
+};
+
+// Anything that isn't a lab or a seminar counts towards lecture hours
+const hourType = (subjectType) => (COURSE_HOUR_TYPES.includes(subjectType) ? subjectType : 'lecture');
+
+// One row per group and course, from both the timetable and the groups the
+// catalog assigns each course to:
+//   { group, course, catalog, scheduled: { lecture, lab, seminar }, required: {…}, diff }
+// `catalog` is null for course text that matches nothing in the catalog.
+export const buildHoursReport = (schedule, catalog) => {
+  const { findCourse } = indexCourses(catalog);
+  const rows = {};
+  const rowFor = (group, key, label, c) => {
+    const id = `${group}\u0000${key}`;
+    if (!rows[id]) {
+      rows[id] = {
+        group, course: label, catalog: c,
+        scheduled: { lecture: 0, lab: 0, seminar: 0 },
+        required:  c ? Object.fromEntries(COURSE_HOUR_TYPES.map(tp => [tp, Number(c.hours?.[tp]) || 0])) : null,
+      };
+    }
+    return rows[id];
+  };
+
+  catalog.forEach(c => (c.groups || []).forEach(g => rowFor(g, c.code, courseEntryText(c), c)));
+
+  Object.values(schedule).forEach(e => {
+    if (!e.group || !e.course) return;
+    const c = findCourse(e.course);
+    const row = rowFor(e.group, c ? c.code : nameKey(e.course), c ? courseEntryText(c) : e.course.trim(), c);
+    row.scheduled[hourType(e.subjectType)] += weeklyHours(e);
+  });
+
+  return Object.values(rows).map(row => {
+    const scheduled = COURSE_HOUR_TYPES.reduce((s, tp) => s + row.scheduled[tp], 0);
+    const required  = row.required ? COURSE_HOUR_TYPES.reduce((s, tp) => s + row.required[tp], 0) : null;
+    return { ...row, diff: required === null ? null : scheduled - required };
+  });
+};
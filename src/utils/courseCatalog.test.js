@@ -0,0 +1,50 @@
+import { indexCourses, courseName, requiredHours, buildHoursReport } from './courseCatalog';
+import { cls, mapOf } from './testFixtures';
+
+const calculus = {
+  code: 'MATH101', names: { en: 'Calculus', ru: 'Математический анализ' }, aliases: ['Calc I'],
+  hours: { lecture: 2, lab: 0, seminar: 2 }, groups: ['COMSE-25', 'MATH-25'],
+};
+const catalog = [calculus, { code: 'CS100', names: { en: 'Intro to Programming' }, hours: { lecture: 2, lab: 2 } }];
+
+describe('course matching', () => {
+  it('finds a course by code, any name or alias', () => {
+    const { findCourse } = indexCourses(catalog);
+    ['math101', 'Математический  анализ', 'calc i', ' Calculus '].forEach(text => expect(findCourse(text)).toBe(calculus));
+    expect(findCourse('Art')).toBeNull();
+  });
+
+  it('names a course in the asked language, falling back to English', () => {
+    expect(courseName(calculus, 'ru')).toBe('Математический анализ');
+    expect(courseName(calculus, 'ky')).toBe('Calculus');
+    expect(requiredHours(calculus)).toBe(4);
+  });
+});
+
+describe('buildHoursReport', () => {
+  const schedule = mapOf(
+    cls('COMSE-25', 'Monday', '08:00-08:40', { course: 'Calc I', duration: 2 }),
+    cls('COMSE-25', 'Tuesday', '08:00-08:40', { course: 'calculus', subjectType: 'seminar', recurrence: { type: 'odd' } }),
+    cls('COMSE-25', 'Wednesday', '08:00-08:40', { course: 'Art ' }),
+  );
+  const report = buildHoursReport(schedule, catalog);
+  const row = (group, course) => report.find(r => r.group === group && r.course === course);
+
+  it('counts slots per class type and halves alternate-week classes', () => {
+    expect(row('COMSE-25', 'Calculus')).toMatchObject({
+      catalog: calculus,
+      scheduled: { lecture: 2, lab: 0, seminar: 0.5 },
+      required:  { lecture: 2, lab: 0, seminar: 2 },
+      diff: -1.5,
+    });
+  });
+
+  it('lists catalog groups with nothing scheduled yet', () => {
+    expect(row('MATH-25', 'Calculus')).toMatchObject({ scheduled: { lecture: 0, lab: 0, seminar: 0 }, diff: -4 });
+  });
+
+  it('keeps course text the catalog does not know, without a requirement', () => {
+    expect(row('COMSE-25', 'Art')).toMatchObject({ catalog: null, required: null, diff: null });
+    expect(report).toHaveLength(3);
+  });
+});
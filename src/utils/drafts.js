@@ -0,0 +1,35 @@
+// src/utils/drafts.js — a private layer of unpublished timetable changes.
+//
+// Draft cells:
+//   { cellKey: { before, after } }
+// before  the published class in the cell when the draft first touched it
+// after   what the draft turns it into; null when the draft deletes it
+// A cell the draft brings back to its published value leaves the draft.
+// Nothing in a draft reaches the server until it is published as a whole,
+// so guests and other admins keep seeing the published timetable.
+import { sameEntry } from './scheduleHistory';
+
+// Folds command cells (utils/scheduleHistory) into the draft; the earliest
+// `before` of a cell is the one kept
+export const mergeIntoDraft = (draft, cells) => {
+  const next = { ...draft };
+  cells.forEach(({ key, before, after }) => {
+    const base = key in next ? next[key].before : before || null;
+    if (sameEntry(base, after)) delete next[key];
+    else next[key] = { before: base, after: after || null };
+  });
+  return next;
+};
+
+// The draft as command cells
+export const draftCells = (draft) =>
+  Object.entries(draft).map(([key, { before, after }]) => ({ key, before, after }));
+
+export const draftSize = (draft) => Object.keys(draft).length;
+
+// Keys of drafted cells whose published class has changed since they were
+// drafted — publishing would overwrite someone else's edit
+export const draftConflicts = (draft, published) =>
+  Object.entries(draft)
+    .filter(([key, c]) => !sameEntry(published[key], c.before) && !sameEntry(published[key], c.after))
+    .map(([key]) => key);
@@ -0,0 +1,44 @@
+import { mergeIntoDraft, draftCells, draftSize, draftConflicts } from './drafts';
+import { cls, key } from './testFixtures';
+
+const math    = cls('A', 'Monday', '08:00-08:40');
+const physics = { ...math, course: 'Physics' };
+const art     = { ...math, course: 'Art' };
+const k       = key(math);
+
+describe('mergeIntoDraft', () => {
+  it('keeps the published class the draft first replaced', () => {
+    const once  = mergeIntoDraft({}, [{ key: k, before: math, after: physics }]);
+    const twice = mergeIntoDraft(once, [{ key: k, before: physics, after: art }]);
+    expect(twice).toEqual({ [k]: { before: math, after: art } });
+  });
+
+  it('drops a cell brought back to its published class', () => {
+    const draft = mergeIntoDraft({}, [{ key: k, before: math, after: physics }]);
+    expect(mergeIntoDraft(draft, [{ key: k, before: physics, after: { ...math } }])).toEqual({});
+  });
+
+  it('records new and deleted classes with null sides', () => {
+    const draft = mergeIntoDraft({}, [{ key: k, before: math, after: null }, { key: 'B-Monday-08:00-08:40', before: null, after: art }]);
+    expect(draftCells(draft)).toEqual([
+      { key: k, before: math, after: null },
+      { key: 'B-Monday-08:00-08:40', before: null, after: art },
+    ]);
+    expect(draftSize(draft)).toBe(2);
+    expect(mergeIntoDraft(draft, [{ key: 'B-Monday-08:00-08:40', before: art, after: null }])).toEqual({ [k]: { before: math, after: null } });
+  });
+});
+
+describe('draftConflicts', () => {
+  const draft = { [k]: { before: math, after: physics } };
+
+  it('flags cells someone else changed after they were drafted', () => {
+    expect(draftConflicts(draft, { [k]: art })).toEqual([k]);
+    expect(draftConflicts(draft, {})).toEqual([k]);
+  });
+
+  it('accepts an unchanged cell or one that already holds the draft', () => {
+    expect(draftConflicts(draft, { [k]: { ...math } })).toEqual([]);
+    expect(draftConflicts(draft, { [k]: physics })).toEqual([]);
+  });
+});
@@ -1,6 +1,8 @@
 // src/utils/excelUtils.js
 // Excel import/export using SheetJS (loaded from CDN)
 
+import { matchSlot } from './timeGrid';
+
 const loadXLSX = () => {
   return new Promise((resolve, reject) => {
     if (window.XLSX) { resolve(window.XLSX); return; }
@@ -13,22 +15,17 @@ const loadXLSX = () => {
 };
 
 // ── Ala-Too format detection ──────────────────────────────────────────────────
-const ALATOO_SHEETS = [
-  'MONDAY Spring25', 'TUESDAY Spring25', 'WEDNESDAY Spring25',
-  'THURSDAY Spring25', 'FRIDAY Spring25', 'SATURDAY Spring25',
-];
-
-const ALATOO_DAY_MAP = {
-  'MONDAY Spring25':    'Monday',
-  'TUESDAY Spring25':   'Tuesday',
-  'WEDNESDAY Spring25': 'Wednesday',
-  'THURSDAY Spring25':  'Thursday',
-  'FRIDAY Spring25':    'Friday',
-  'SATURDAY Spring25':  'Saturday',
-};
+// Day sheets are named "<WEEKDAY> <term>", e.g. "MONDAY Spring25" or
+// "MONDAY Fall26", so match on the weekday and ignore the term suffix.
+const ALATOO_SHEET_RE = /^(MONDAY|TUESDAY|WEDNESDAY|THURSDAY|FRIDAY|SATURDAY)\b/i;
+
+function alatooDayOf(sheetName) {
+  const m = sheetName.trim().match(ALATOO_SHEET_RE);
+  return m ? m[1].charAt(0).toUpperCase() + m[1].slice(1).toLowerCase() : null;
+}
 
 function isAlatooFormat(wb) {
-  return wb.SheetNames.some(n => ALATOO_SHEETS.includes(n));
+  return wb.SheetNames.some(n => alatooDayOf(n));
 }
 
 // ── Normalize time: strip spaces, keep original separators (dots/colons) ─────
@@ -77,14 +74,14 @@ function detectSubjectType(course, room) {
 }
 
 // ── Parser for Ala-Too university format ──────────────────────────────────────
-function parseAlatooWorkbook(wb, XLSX) {
+function parseAlatooWorkbook(wb, XLSX, gridSlots) {
   const schedule = {};
   const groupsSet = new Set();
 
-  ALATOO_SHEETS.forEach(sheetName => {
-    if (!wb.SheetNames.includes(sheetName)) return;
+  wb.SheetNames.forEach(sheetName => {
+    const dayName = alatooDayOf(sheetName);
+    if (!dayName) return;
 
-    const dayName = ALATOO_DAY_MAP[sheetName];
     const sheet   = wb.Sheets[sheetName];
     const mergeMap = buildMergeMap(sheet);
     const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
@@ -98,7 +95,8 @@ function parseAlatooWorkbook(wb, XLSX) {
       for (let j = 3; j <= 16; j++) {
         const c = rows[i][j];
         if (c && /\d{2}[.:]\d{2}/.test(c.toString())) {
-          slots.push({ col: j, time: normalizeTime(c) });
+          // The configured grid's slot when one starts close to the header's time
+          slots.push({ col: j, time: matchSlot(c, gridSlots) || normalizeTime(c) });
         }
       }
       if (slots.length >= 4) { timeRowIdx = i; timeSlots = slots; break; }
@@ -243,8 +241,9 @@ export const exportToExcel = async (groups, schedule, timeSlots, days, fileName)
 /**
  * IMPORT: .xlsx file → schedule data
  * Auto-detects Ala-Too format OR standard export format
+ * `timeSlots` are the grid's slot labels that sheet headers are matched onto
  */
-export const importFromExcel = async (file) => {
+export const importFromExcel = async (file, timeSlots = []) => {
   const XLSX = await loadXLSX();
 
   return new Promise((resolve, reject) => {
@@ -258,7 +257,7 @@ export const importFromExcel = async (file) => {
         console.log('📂 Sheets:', wb.SheetNames);
 
         const result = isAlatooFormat(wb)
-          ? (() => { console.log('✅ Ala-Too format detected'); return parseAlatooWorkbook(wb, XLSX); })()
+          ? (() => { console.log('✅ Ala-Too format detected'); return parseAlatooWorkbook(wb, XLSX, timeSlots); })()
           : (() => { console.log('✅ Standard format detected'); return parseStandardWorkbook(wb, XLSX); })();
 
         const count = Object.keys(result.schedule).length;
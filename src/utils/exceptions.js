@@ -0,0 +1,96 @@
+// src/utils/exceptions.js — one-off changes layered over the weekly timetable
+//
+// An exception touches a single date rather than every week:
+//   { id, type: 'cancel',  date, group, day, time, note }
+//   { id, type: 'move',    date, group, day, time, toDate, toTime, toRoom, note }
+//   { id, type: 'makeup',  date, group, time, entry: { course, teacher, room, subjectType, duration }, note }
+//   { id, type: 'holiday', date, note }                  — cancels every class that day
+// `date` / `toDate` are 'YYYY-MM-DD'. `day` is the weekday of the weekly entry
+// and is derived from `date` for make-ups.
+import { occursOn, classOn, toISODate, parseISODate, shortDate } from './recurrence';
+
+export const EXCEPTION_TYPES = ['cancel', 'move', 'makeup', 'holiday'];
+
+const DAY_NAMES = ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'];
+
+export const dayNameOf = (isoDate) => {
+  const d = parseISODate(isoDate);
+  return d ? DAY_NAMES[d.getDay()] : '';
+};
+
+// Entries dimmed for other weeks or cancelled for this date take no room or teacher
+export const isActive = (entry) => !!entry && !entry.offWeek && !entry.cancelled;
+
+// Does exception `ex` apply to the cell `group-day-time` on `isoDate`?
+export const exceptionHitsCell = (ex, group, day, time, isoDate) => {
+  if (ex.type === 'holiday') return ex.date === isoDate;
+  if (ex.type === 'makeup')  return ex.date === isoDate && ex.group === group && ex.time === time;
+  if (ex.type === 'move' && ex.toDate === isoDate && ex.group === group && (ex.toTime || ex.time) === time) return true;
+  return ex.date === isoDate && ex.group === group && ex.day === day && ex.time === time;
+};
+
+// The timetable as it actually runs in one week: a cell shows whichever of its
+// classes (utils/recurrence cellClasses) meets that week; one where none does
+// is dropped (or kept with `offWeek` for editors), and exceptions mark
+// cancelled occurrences and place moved and make-up sessions.
+// `dates` maps weekday names to the real Date of that day in the week.
+export const buildWeekSchedule = (schedule, { dates, termStart, exceptions = [], keepOffWeek = false }) => {
+  const isoByDay = {};
+  const dayByIso = {};
+  Object.entries(dates).forEach(([day, d]) => {
+    const iso = toISODate(d);
+    isoByDay[day] = iso;
+    dayByIso[iso] = day;
+  });
+  const inWeek = exceptions.filter(ex => dayByIso[ex.date] || dayByIso[ex.toDate]);
+
+  const out = {};
+  Object.entries(schedule).forEach(([key, cell]) => {
+    const e = occursOn(cell, dates[cell.day], termStart) ? cell : classOn(cell, dates[cell.day], termStart);
+    if (!e) {
+      if (keepOffWeek) out[key] = { ...cell, offWeek: true };
+      return;
+    }
+    const iso = isoByDay[e.day];
+    const ex = inWeek.find(x => x.date === iso && (
+      x.type === 'holiday' ||
+      ((x.type === 'cancel' || x.type === 'move') && x.group === e.group && x.day === e.day && x.time === e.time)
+    ));
+    out[key] = ex ? { ...e, cancelled: true, exception: ex } : e;
+  });
+
+  // Moved-in and make-up sessions only take a slot that is free that day
+  const place = (group, day, time, entry, ex) => {
+    const key = `${group}-${day}-${time}`;
+    if (out[key] && isActive(out[key])) return;
+    out[key] = { ...entry, group, day, time, exception: ex };
+  };
+  inWeek.forEach(ex => {
+    if (ex.type === 'move' && dayByIso[ex.toDate]) {
+      const source = schedule[`${ex.group}-${ex.day}-${ex.time}`];
+      if (!source) return;
+      place(ex.group, dayByIso[ex.toDate], ex.toTime || ex.time,
+        { ...source, room: ex.toRoom || source.room, movedIn: true }, ex);
+    }
+    if (ex.type === 'makeup' && dayByIso[ex.date]) {
+      place(ex.group, dayByIso[ex.date], ex.time, { ...ex.entry, makeup: true }, ex);
+    }
+  });
+  return out;
+};
+
+// Badge for a cell carrying an exception: { kind, text } or null.
+// `kind` picks the colour: cancelled, moved, makeup.
+export const exceptionBadge = (entry, t) => {
+  const ex = entry?.exception;
+  if (!ex) return null;
+  const note = ex.note ? ` · ${ex.note}` : '';
+  if (entry.makeup)  return { kind: 'makeup', text: `${t('excMakeup')}${note}` };
+  if (entry.movedIn) return { kind: 'moved', text: t('excMovedFrom', { when: `${t(ex.day)} ${shortDate(ex.date)} ${ex.time}` }) };
+  if (ex.type === 'holiday') return { kind: 'cancelled', text: `${t('excHoliday')}${note}` };
+  if (ex.type === 'move') {
+    const when = `${t(dayNameOf(ex.toDate))} ${shortDate(ex.toDate)} ${ex.toTime || ex.time}`;
+    return { kind: 'moved', text: t('excMovedTo', { when }) };
+  }
+  return { kind: 'cancelled', text: `${t('excCancelled')}${note}` };
+};
@@ -0,0 +1,103 @@
+import { dayNameOf, isActive, exceptionHitsCell, buildWeekSchedule, exceptionBadge } from './exceptions';
+import { parseISODate, weekDateMap } from './recurrence';
+
+const TERM_START = '2026-02-02';
+const DAYS = ['Monday', 'Tuesday', 'Wednesday'];
+const week = (monday) => weekDateMap(DAYS, parseISODate(monday));
+const t = (key, vars) => (vars ? `${key} ${JSON.stringify(vars)}` : key);
+
+const math    = { group: 'COMSE-25', day: 'Monday', time: '08:00-08:40', course: 'Math', room: 'B110' };
+const physics = { group: 'COMSE-25', day: 'Tuesday', time: '08:00-08:40', course: 'Physics', room: 'B201', recurrence: { type: 'odd' } };
+const schedule = {
+  'COMSE-25-Monday-08:00-08:40': math,
+  'COMSE-25-Tuesday-08:00-08:40': physics,
+};
+
+describe('helpers', () => {
+  it('names the weekday of a date', () => {
+    expect(dayNameOf('2026-02-04')).toBe('Wednesday');
+    expect(dayNameOf('')).toBe('');
+  });
+
+  it('treats cancelled and off-week entries as inactive', () => {
+    expect(isActive(math)).toBe(true);
+    expect(isActive({ ...math, cancelled: true })).toBe(false);
+    expect(isActive({ ...math, offWeek: true })).toBe(false);
+    expect(isActive(null)).toBe(false);
+  });
+
+  it('matches exceptions to the cell they touch', () => {
+    const cancel = { type: 'cancel', date: '2026-02-02', group: 'COMSE-25', day: 'Monday', time: '08:00-08:40' };
+    expect(exceptionHitsCell(cancel, 'COMSE-25', 'Monday', '08:00-08:40', '2026-02-02')).toBe(true);
+    expect(exceptionHitsCell(cancel, 'COMSE-25', 'Monday', '08:00-08:40', '2026-02-09')).toBe(false);
+    const move = { ...cancel, type: 'move', toDate: '2026-02-04', toTime: '10:00-10:40' };
+    expect(exceptionHitsCell(move, 'COMSE-25', 'Wednesday', '10:00-10:40', '2026-02-04')).toBe(true);
+    expect(exceptionHitsCell({ type: 'holiday', date: '2026-02-02' }, 'ANY', 'Monday', '12:00-12:40', '2026-02-02')).toBe(true);
+  });
+});
+
+describe('buildWeekSchedule', () => {
+  it('drops classes that do not meet that week, or dims them for editors', () => {
+    const even = buildWeekSchedule(schedule, { dates: week('2026-02-09'), termStart: TERM_START });
+    expect(Object.keys(even)).toEqual(['COMSE-25-Monday-08:00-08:40']);
+    const dimmed = buildWeekSchedule(schedule, { dates: week('2026-02-09'), termStart: TERM_START, keepOffWeek: true });
+    expect(dimmed['COMSE-25-Tuesday-08:00-08:40']).toMatchObject({ course: 'Physics', offWeek: true });
+  });
+
+  it('shows the class of a shared cell that meets that week', () => {
+    const shared = { ...physics, alternates: [{ course: 'Chemistry', room: 'B305', recurrence: { type: 'even' } }] };
+    const key = 'COMSE-25-Tuesday-08:00-08:40';
+    const odd = buildWeekSchedule({ [key]: shared }, { dates: week('2026-02-02'), termStart: TERM_START });
+    expect(odd[key]).toBe(shared);
+    const even = buildWeekSchedule({ [key]: shared }, { dates: week('2026-02-09'), termStart: TERM_START });
+    expect(even[key]).toMatchObject({ group: 'COMSE-25', day: 'Tuesday', course: 'Chemistry', room: 'B305' });
+    expect(even[key]).not.toHaveProperty('offWeek');
+  });
+
+  it('cancels a single occurrence and every class on a holiday', () => {
+    const cancel = { id: 1, type: 'cancel', date: '2026-02-02', group: 'COMSE-25', day: 'Monday', time: '08:00-08:40' };
+    const out = buildWeekSchedule(schedule, { dates: week('2026-02-02'), termStart: TERM_START, exceptions: [cancel] });
+    expect(out['COMSE-25-Monday-08:00-08:40']).toMatchObject({ cancelled: true, exception: cancel });
+    expect(out['COMSE-25-Tuesday-08:00-08:40'].cancelled).toBeUndefined();
+
+    const holiday = { id: 2, type: 'holiday', date: '2026-02-03' };
+    const off = buildWeekSchedule(schedule, { dates: week('2026-02-02'), termStart: TERM_START, exceptions: [holiday] });
+    expect(off['COMSE-25-Tuesday-08:00-08:40']).toMatchObject({ cancelled: true });
+  });
+
+  it('places a moved session in its new slot with the new room', () => {
+    const move = {
+      id: 3, type: 'move', date: '2026-02-02', group: 'COMSE-25', day: 'Monday', time: '08:00-08:40',
+      toDate: '2026-02-04', toTime: '10:00-10:40', toRoom: 'B305',
+    };
+    const out = buildWeekSchedule(schedule, { dates: week('2026-02-02'), termStart: TERM_START, exceptions: [move] });
+    expect(out['COMSE-25-Monday-08:00-08:40'].cancelled).toBe(true);
+    expect(out['COMSE-25-Wednesday-10:00-10:40']).toMatchObject({ course: 'Math', room: 'B305', movedIn: true, day: 'Wednesday' });
+  });
+
+  it('adds a make-up session only where the slot is free', () => {
+    const makeup = { id: 4, type: 'makeup', date: '2026-02-04', group: 'COMSE-25', time: '08:00-08:40', entry: { course: 'Chemistry' } };
+    const out = buildWeekSchedule(schedule, { dates: week('2026-02-02'), termStart: TERM_START, exceptions: [makeup] });
+    expect(out['COMSE-25-Wednesday-08:00-08:40']).toMatchObject({ course: 'Chemistry', makeup: true });
+
+    const clash = { ...makeup, date: '2026-02-02' };
+    const kept = buildWeekSchedule(schedule, { dates: week('2026-02-02'), termStart: TERM_START, exceptions: [clash] });
+    expect(kept['COMSE-25-Monday-08:00-08:40'].course).toBe('Math');
+  });
+
+  it('ignores exceptions from other weeks', () => {
+    const cancel = { id: 5, type: 'cancel', date: '2026-02-09', group: 'COMSE-25', day: 'Monday', time: '08:00-08:40' };
+    const out = buildWeekSchedule(schedule, { dates: week('2026-02-02'), termStart: TERM_START, exceptions: [cancel] });
+    expect(out['COMSE-25-Monday-08:00-08:40']).toBe(math);
+  });
+});
+
+describe('exceptionBadge', () => {
+  it('describes what happened to the cell', () => {
+    expect(exceptionBadge(math, t)).toBeNull();
+    expect(exceptionBadge({ ...math, exception: { type: 'cancel', note: 'ill' } }, t))
+      .toEqual({ kind: 'cancelled', text: 'excCancelled · ill' });
+    expect(exceptionBadge({ ...math, makeup: true, exception: { type: 'makeup' } }, t).kind).toBe('makeup');
+    expect(exceptionBadge({ ...math, exception: { type: 'move', toDate: '2026-02-04', time: '08:00-08:40' } }, t).kind).toBe('moved');
+  });
+});
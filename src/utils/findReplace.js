@@ -0,0 +1,75 @@
+// src/utils/findReplace.js — find-and-replace over the text fields of the
+// timetable's classes.
+//
+// Options:
+//   { find, replace, fields: ['course', …], mode, wholeField,
+//     scope: { groups, days, department } }
+// mode        'exact' (case-sensitive text), 'ignoreCase', or 'regex' — a
+//             regex replacement may use $1 … for captured groups
+// wholeField  only fields that match as a whole, e.g. a room code that is
+//             not a prefix of another
+// scope       null / '' parts mean everything
+// Copies of a joint class always change together, even when some of their
+// groups are outside the scope. The department part of a scope is resolved
+// through `groupIndex` (utils/groupRegistry indexGroups).
+import { splitTeachers, CO_TEACHER_SEPARATOR } from './teacherRegistry';
+import { selectedEvents } from './bulkEdit';
+
+export const REPLACE_FIELDS = ['course', 'teacher', 'room', 'meetingLink'];
+export const MATCH_MODES    = ['exact', 'ignoreCase', 'regex'];
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The RegExp `find` stands for, or { error } with an i18n key
+export const buildMatcher = ({ find, mode = 'exact', wholeField = false }) => {
+  if (!find) return { error: 'frEmptyFind' };
+  const source = mode === 'regex' ? find : escapeRegExp(find);
+  try {
+    return { re: new RegExp(wholeField ? `^(?:${source})$` : source, mode === 'ignoreCase' ? 'gi' : 'g') };
+  } catch {
+    return { error: 'frBadRegex' };
+  }
+};
+
+export const inReplaceScope = (e, { groups = null, days = null, department = '' } = {}, groupIndex) =>
+  (!groups || groups.includes(e.group)) &&
+  (!days || days.includes(e.day)) &&
+  (!department || groupIndex.departmentOf(e.group) === department);
+
+// `entry` with the replacement applied to `fields`; a changed teacher list of
+// a co-taught class is split again
+const replaceIn = (entry, re, replace, fields, literal) => {
+  const after = { ...entry };
+  fields.forEach(f => {
+    if (!entry[f]) return;
+    re.lastIndex = 0;
+    after[f] = String(entry[f]).replace(re, literal ? () => replace : replace);
+  });
+  if (after.teacher !== entry.teacher && entry.teachers) {
+    const list = splitTeachers({ teacher: after.teacher });
+    delete after.teachers;
+    if (list.length > 1) Object.assign(after, { teacher: list.join(CO_TEACHER_SEPARATOR), teachers: list });
+  }
+  return after;
+};
+
+// Every entry the options change, as command cells with the fields that
+// change: { cells: [{ key, before, after, changes: [{ field, from, to }] }] }
+// or { error }
+export const planReplace = (schedule, options, groupIndex) => {
+  const { re, error } = buildMatcher(options);
+  if (error) return { error, cells: [] };
+  const fields  = REPLACE_FIELDS.filter(f => (options.fields || REPLACE_FIELDS).includes(f));
+  const literal = options.mode !== 'regex';
+  const matches = (e) => fields.some(f => { re.lastIndex = 0; return e[f] && re.test(String(e[f])); });
+  const keys = Object.entries(schedule)
+    .filter(([, e]) => inReplaceScope(e, options.scope, groupIndex) && matches(e))
+    .map(([key]) => key);
+  const cells = selectedEvents(schedule, keys).flat().map(([key, e]) => {
+    const after = replaceIn(e, re, options.replace ?? '', fields, literal);
+    const changes = fields.filter(f => (e[f] || '') !== (after[f] || ''))
+      .map(f => ({ field: f, from: e[f] || '', to: after[f] || '' }));
+    return { key, before: e, after, changes };
+  }).filter(c => c.changes.length);
+  return { cells };
+};
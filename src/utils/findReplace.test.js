@@ -0,0 +1,85 @@
+import { buildMatcher, inReplaceScope, planReplace } from './findReplace';
+import { indexGroups } from './groupRegistry';
+import { cls, key, mapOf } from './testFixtures';
+
+const groupIndex = indexGroups(
+  [{ name: 'COMSE-25', department: 'cs' }, { name: 'MATH-25', department: 'math' }],
+  [{ id: 'cs', prefixes: ['COM'] }, { id: 'math', prefixes: ['MATH'] }],
+);
+const intro = (group, day, time, extra = {}) => cls(group, day, time, { course: 'Intro to Programming', teacher: 'Dr. Satybaldiev', ...extra });
+
+const cs   = intro('COMSE-25', 'Monday', '08:00-08:40');
+const math = intro('MATH-25', 'Tuesday', '08:00-08:40', { course: 'Calculus', room: 'B1101' });
+const schedule = mapOf(cs, math);
+
+const plan = (options) => planReplace(schedule, { fields: ['course', 'teacher', 'room'], ...options }, groupIndex);
+
+describe('buildMatcher', () => {
+  it('escapes literal text and reports bad input', () => {
+    expect(buildMatcher({ find: 'B1.0' }).re.test('B110')).toBe(false);
+    expect(buildMatcher({ find: '' }).error).toBe('frEmptyFind');
+    expect(buildMatcher({ find: '(', mode: 'regex' }).error).toBe('frBadRegex');
+  });
+});
+
+describe('inReplaceScope', () => {
+  it('filters by group, day and department', () => {
+    expect(inReplaceScope(cs, { department: 'cs' }, groupIndex)).toBe(true);
+    expect(inReplaceScope(math, { department: 'cs' }, groupIndex)).toBe(false);
+    expect(inReplaceScope(cs, { days: ['Tuesday'] }, groupIndex)).toBe(false);
+    expect(inReplaceScope(cs, { groups: ['COMSE-25'] }, groupIndex)).toBe(true);
+    expect(inReplaceScope(cs, undefined, groupIndex)).toBe(true);
+  });
+});
+
+describe('planReplace', () => {
+  it('replaces text in the chosen fields and lists what changes', () => {
+    const { cells } = plan({ find: 'B110', replace: 'B210' });
+    expect(cells).toHaveLength(2);
+    expect(cells[0].changes).toEqual([{ field: 'room', from: 'B110', to: 'B210' }]);
+    expect(cells[1].after.room).toBe('B2101');
+  });
+
+  it('matches whole fields only when asked to', () => {
+    const { cells } = plan({ find: 'B110', replace: 'B210', wholeField: true });
+    expect(cells.map(c => c.key)).toEqual([key(cs)]);
+  });
+
+  it('leaves fields outside the chosen ones alone', () => {
+    expect(plan({ find: 'B110', replace: 'B210', fields: ['course'] }).cells).toEqual([]);
+  });
+
+  it('matches case-insensitively and with regular expressions', () => {
+    expect(plan({ find: 'intro', replace: 'Introduction', mode: 'exact' }).cells).toEqual([]);
+    expect(plan({ find: 'intro to', replace: 'Introduction to', mode: 'ignoreCase' }).cells[0].after.course)
+      .toBe('Introduction to Programming');
+    expect(plan({ find: '^Dr\\. (\\w+)$', replace: 'Prof. $1', mode: 'regex' }).cells[0].after.teacher)
+      .toBe('Prof. Satybaldiev');
+  });
+
+  it('inserts "$1" literally outside regex mode', () => {
+    expect(plan({ find: 'Calculus', replace: 'Calc $1' }).cells[0].after.course).toBe('Calc $1');
+  });
+
+  it('keeps to the scope', () => {
+    const { cells } = plan({ find: 'B110', replace: 'B210', scope: { department: 'math' } });
+    expect(cells.map(c => c.key)).toEqual([key(math)]);
+  });
+
+  it('changes every copy of a joint class, even outside the scope', () => {
+    const a = intro('COMSE-25', 'Friday', '08:00-08:40', { groups: ['COMSE-25', 'MATH-25'] });
+    const b = { ...a, group: 'MATH-25' };
+    const { cells } = planReplace(mapOf(a, b), { find: 'B110', replace: 'B210', scope: { department: 'cs' } }, groupIndex);
+    expect(cells.map(c => c.after.group)).toEqual(['COMSE-25', 'MATH-25']);
+  });
+
+  it('splits a co-taught teacher list again after the change', () => {
+    const coTaught = intro('COMSE-25', 'Monday', '08:00-08:40', { teacher: 'Dr. A / Dr. B', teachers: ['Dr. A', 'Dr. B'] });
+    const { cells } = planReplace(mapOf(coTaught), { find: 'Dr. B', replace: 'Ms. C' }, groupIndex);
+    expect(cells[0].after).toMatchObject({ teacher: 'Dr. A / Ms. C', teachers: ['Dr. A', 'Ms. C'] });
+  });
+
+  it('returns the matcher error with no cells', () => {
+    expect(plan({ find: '[', mode: 'regex' })).toEqual({ error: 'frBadRegex', cells: [] });
+  });
+});
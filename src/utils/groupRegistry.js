@@ -0,0 +1,115 @@
+// src/utils/groupRegistry.js — group records (department, study year, size,
+// parent/subgroup relations) and the department list they belong to.
+//
+// Group record:
+//   { name, department, year, size, parent }
+// Department:
+//   { id, icon, names: { en, ru, ky }, prefixes: [], theme: { primary, hover,
+//     light, accent, darkPrimary, darkLight } }
+// Timetable rows keep using the plain group name; everything here is looked up
+// by that name, so groups missing from the registry still work — their parent
+// and department are inferred from the name ("COMSE-23/1-Group" → COMSE-23, cs).
+
+// Lookups over one registry and department list; ScheduleContext builds them
+// as `groupIndex` whenever either changes.
+export const indexGroups = (groups, departments = []) => {
+  const byName = new Map((groups || []).filter(g => g?.name).map(g => [g.name, g]));
+
+  const findGroup = (name) => byName.get(name) || null;
+
+  // "COMSE-23/1-Group" → "COMSE-23"; '' for groups that aren't split off anything
+  const parentOf = (name) => {
+    const rec = findGroup(name);
+    if (rec) return rec.parent || '';
+    const slash = String(name || '').indexOf('/');
+    return slash > 0 ? name.slice(0, slash) : '';
+  };
+
+  const subgroupsOf = (parent, names) => names.filter(n => parentOf(n) === parent);
+
+  // Parents of the given groups, in first-seen order
+  const parentGroups = (names) => [...new Set(names.map(parentOf).filter(Boolean))];
+
+  // Subgroup name with its parent's prefix dropped: "COMSE-23/1-Group" → "1-Group"
+  const subgroupLabel = (name) => {
+    const parent = parentOf(name);
+    return parent && name.startsWith(`${parent}/`) ? name.slice(parent.length + 1) : name;
+  };
+
+  // Department id of a group: its own record, its parent's, or the department
+  // whose name prefix matches longest
+  const departmentOf = (name) => {
+    const rec = findGroup(name);
+    if (rec?.department) return rec.department;
+    const parent = parentOf(name);
+    if (parent && findGroup(parent)?.department) return findGroup(parent).department;
+    const upper = String(name || '').toUpperCase();
+    let best = '', bestLen = 0;
+    (departments || []).forEach(d => (d.prefixes || []).forEach(p => {
+      if (p && upper.startsWith(p.toUpperCase()) && p.length > bestLen) { best = d.id; bestLen = p.length; }
+    }));
+    return best;
+  };
+
+  // Students in a group; a parent without a size of its own counts its
+  // subgroups. Null when not known.
+  const groupSize = (name) => {
+    const own = Number(findGroup(name)?.size);
+    if (own) return own;
+    const sizes = [...byName.values()].filter(g => g.parent === name).map(g => Number(g.size));
+    return sizes.length && sizes.every(Boolean) ? sizes.reduce((a, b) => a + b, 0) : null;
+  };
+
+  return { findGroup, parentOf, subgroupsOf, parentGroups, subgroupLabel, departmentOf, groupSize };
+};
+
+export const departmentName = (d, lang = 'en') => (d && (d.names?.[lang] || d.names?.en || d.id)) || '';
+
+// CSS custom properties for a department's colour theme
+export const departmentThemeVars = (d, dark) => {
+  const th = d?.theme;
+  if (!th?.primary) return {};
+  return {
+    '--primary':       (dark && th.darkPrimary) || th.primary,
+    '--primary-hover': th.hover || th.primary,
+    '--primary-light': (dark ? th.darkLight : th.light) || `${th.primary}26`,
+    '--accent':        th.accent || th.primary,
+  };
+};
+
+const sameClass = (a, b) => ['course', 'teacher', 'room', 'subjectType'].every(f => (a[f] || '') === (b[f] || ''));
+const distinct  = (values) => [...new Set(values.filter(Boolean))];
+
+// One read-only row for a parent group: at every slot where any of its
+// subgroups has a class, a single entry keyed under the parent. A class all
+// subgroups share shows as is; different classes are listed per subgroup.
+// `groupIndex` (indexGroups) names the subgroups.
+export const mergeSubgroups = (schedule, parent, subgroups, { subgroupLabel }) => {
+  const bySlot = {};
+  subgroups.forEach(g => Object.values(schedule).forEach(e => {
+    if (e.group !== g) return;
+    (bySlot[`${e.day}-${e.time}`] = bySlot[`${e.day}-${e.time}`] || []).push(e);
+  }));
+  const out = {};
+  Object.values(bySlot).forEach(parts => {
+    const [first] = parts;
+    const joint   = parts.length === subgroups.length && parts.every(p => sameClass(p, first));
+    const durations = distinct(parts.map(p => String(p.duration || 1)));
+    const label   = (p) => `${subgroupLabel(p.group)}: `;
+    out[`${parent}-${first.day}-${first.time}`] = {
+      ...first,
+      group:       parent,
+      merged:      parts.map(p => p.group),
+      joint,
+      course:      joint ? first.course : parts.map(p => `${label(p)}${p.course}`).join(' · '),
+      teacher:     joint ? first.teacher : distinct(parts.map(p => p.teacher)).join(' / '),
+      teachers:    joint ? first.teachers : undefined,
+      room:        joint ? first.room : distinct(parts.map(p => p.room)).join(' / '),
+      duration:    durations.length === 1 ? first.duration : 1,
+      meetingLink: joint ? first.meetingLink : '',
+      cancelled:   parts.every(p => p.cancelled),
+      offWeek:     parts.every(p => p.offWeek),
+    };
+  });
+  return out;
+};
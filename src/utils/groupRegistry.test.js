@@ -0,0 +1,84 @@
+import { indexGroups, departmentName, mergeSubgroups } from './groupRegistry';
+import { cls, mapOf } from './testFixtures';
+
+const departments = [
+  { id: 'cs', names: { en: 'Computer Science', ru: 'Информатика' }, prefixes: ['COM'] },
+  { id: 'cse', names: { en: 'Software Engineering' }, prefixes: ['COMSE'] },
+];
+const groupIndex = indexGroups([
+  { name: 'MATH-25', department: 'math', size: 20 },
+  { name: 'LAB-A', parent: 'MATH-25', size: 12 },
+  { name: 'LAB-B', parent: 'MATH-25', size: 9 },
+  { name: 'ECO-25', size: 0 },
+  { name: 'ECO-25/1', parent: 'ECO-25', size: 14 },
+  { name: 'ECO-25/2', parent: 'ECO-25' },
+], departments);
+
+describe('subgroups', () => {
+  it('takes the parent from the record, else from the name', () => {
+    expect(groupIndex.parentOf('LAB-A')).toBe('MATH-25');
+    expect(groupIndex.parentOf('COMSE-23/1-Group')).toBe('COMSE-23');
+    expect(groupIndex.parentOf('MATH-25')).toBe('');
+  });
+
+  it('lists and labels the subgroups of a parent', () => {
+    const names = ['COMSE-23/1-Group', 'COMSE-23', 'COMSE-23/2-Group', 'LAB-A'];
+    expect(groupIndex.subgroupsOf('COMSE-23', names)).toEqual(['COMSE-23/1-Group', 'COMSE-23/2-Group']);
+    expect(groupIndex.parentGroups(names)).toEqual(['COMSE-23', 'MATH-25']);
+    expect(groupIndex.subgroupLabel('COMSE-23/1-Group')).toBe('1-Group');
+    expect(groupIndex.subgroupLabel('LAB-A')).toBe('LAB-A');
+  });
+});
+
+describe('departmentOf', () => {
+  it('uses the record, then the parent, then the longest name prefix', () => {
+    expect(groupIndex.departmentOf('MATH-25')).toBe('math');
+    expect(groupIndex.departmentOf('LAB-B')).toBe('math');
+    expect(groupIndex.departmentOf('comse-24')).toBe('cse');
+    expect(groupIndex.departmentOf('COMCEH-24')).toBe('cs');
+    expect(groupIndex.departmentOf('HIST-24')).toBe('');
+    expect(departmentName(departments[0], 'ru')).toBe('Информатика');
+    expect(departmentName(departments[1], 'ky')).toBe('Software Engineering');
+  });
+});
+
+describe('groupSize', () => {
+  it('prefers the own size and otherwise adds up the subgroups', () => {
+    expect(groupIndex.groupSize('MATH-25')).toBe(20);
+    expect(indexGroups([{ name: 'LAB-A', parent: 'P', size: 12 }, { name: 'LAB-B', parent: 'P', size: 9 }]).groupSize('P')).toBe(21);
+  });
+
+  it('is unknown when a subgroup has no size', () => {
+    expect(groupIndex.groupSize('ECO-25')).toBeNull();
+    expect(groupIndex.groupSize('HIST-24')).toBeNull();
+  });
+});
+
+describe('mergeSubgroups', () => {
+  const subs = ['COMSE-23/1-Group', 'COMSE-23/2-Group'];
+  const schedule = mapOf(
+    ...subs.map(g => cls(g, 'Monday', '08:00-08:40', { course: 'Physics' })),
+    cls(subs[0], 'Tuesday', '08:00-08:40', { course: 'Art', teacher: 'Dr. A', room: 'B110' }),
+    cls(subs[1], 'Tuesday', '08:00-08:40', { course: 'Music', teacher: 'Ms. B', room: 'B120', duration: 2 }),
+    cls('COMSE-23', 'Wednesday', '08:00-08:40'),
+  );
+  const merged = mergeSubgroups(schedule, 'COMSE-23', subs, groupIndex);
+
+  it('shows a class all subgroups share once, under the parent', () => {
+    expect(merged['COMSE-23-Monday-08:00-08:40']).toMatchObject({ group: 'COMSE-23', course: 'Physics', joint: true, merged: subs });
+  });
+
+  it('lists different classes per subgroup', () => {
+    expect(merged['COMSE-23-Tuesday-08:00-08:40']).toMatchObject({
+      joint: false,
+      course: '1-Group: Art · 2-Group: Music',
+      teacher: 'Dr. A / Ms. B',
+      room: 'B110 / B120',
+      duration: 1,
+    });
+  });
+
+  it('leaves out classes of other groups', () => {
+    expect(Object.keys(merged)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,47 @@
+// src/utils/jointClasses.js — classes attended by several groups at once
+// (streamed lectures).
+//
+// The server keeps a joint class as one copy per group, each under that
+// group's cell key and each carrying the full attendee list in `groups` (which
+// includes the copy's own `group`). Single-group classes have no `groups`
+// field. The copies are written and deleted in one scheduleAPI.batch call, so
+// they change together or not at all, and conflict checks count them as one
+// event.
+
+export const isJoint = (e) => Array.isArray(e?.groups) && e.groups.length > 1;
+
+// Every group attending `e`
+export const attendees = (e) => (isJoint(e) ? e.groups : e ? [e.group] : []);
+
+// Unique attendee list with `group` first, or null when only `group` attends
+export const normalizeGroups = (group, groups) => {
+  const list = [...new Set([group, ...(groups || [])].filter(Boolean))];
+  return list.length > 1 ? list : null;
+};
+
+// True when `a` and `b` are copies of the same joint class
+export const sameEvent = (a, b) =>
+  !!a && !!b && a !== b && isJoint(a) && isJoint(b) &&
+  a.day === b.day && a.time === b.time &&
+  a.groups.includes(b.group) && b.groups.includes(a.group);
+
+// Drops all but the first copy of each joint class, so a streamed lecture is
+// counted once wherever entries at a slot are compared
+export const distinctEvents = (entries) =>
+  entries.filter((e, i) => !entries.slice(0, i).some(p => sameEvent(p, e)));
+
+// "COMSE-25, COMCEH-25 +2" — compact attendee label
+export const jointLabel = (e, max = 3) => {
+  const list = attendees(e);
+  return list.length > max ? `${list.slice(0, max).join(', ')} +${list.length - max}` : list.join(', ');
+};
+
+// Entries that look like copies of one lecture typed in per group: same slot,
+// course, teacher and room, in different groups, not yet marked joint
+export const looksJoint = (entries) => {
+  if (entries.length < 2 || entries.some(isJoint)) return false;
+  const [first] = entries;
+  const key = (e) => ['course', 'teacher', 'room'].map(f => String(e[f] || '').trim().toLowerCase()).join('|');
+  return new Set(entries.map(e => e.group)).size === entries.length &&
+    entries.every(e => e.day === first.day && e.time === first.time && key(e) === key(first));
+};
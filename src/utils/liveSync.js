@@ -0,0 +1,89 @@
+// src/utils/liveSync.js — live updates between admins editing one term.
+//
+// Each browser tab subscribes to the term's event stream (liveAPI.streamUrl,
+// opened with a single-use ticket from liveAPI.ticket) and publishes its own confirmed timetable changes and the cell it has open
+// in the class editor. The relay forwards them to every other subscriber.
+// Events on the stream:
+//   change    { clientId, user, at, cells: [{ key, after }] }
+//   presence  { clients: [{ clientId, user, cell, at }] } — everyone connected
+// `cell` is the key of the cell being edited, or null. Presence is announced
+// again every HEARTBEAT_MS; the relay drops clients it stops hearing from.
+import { liveAPI } from './api';
+import { currentUser } from './auditLog';
+import { sameEntry } from './scheduleHistory';
+
+export const HEARTBEAT_MS = 20000;
+const RECONNECT_MS = 3000;
+
+// One id per tab, so an admin with two tabs open sees the other one too
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const parse = (text) => {
+  try { return JSON.parse(text); } catch { return null; }
+};
+
+// Opens the stream; returns a function that closes it. `onStatus` gets
+// 'connecting', 'live', or 'off' once the relay has refused the stream —
+// a backend without one answers 404. A ticket is good for one connection
+// only, so a dropped stream is reopened with a fresh one.
+export const subscribeLive = ({ onChange, onPresence, onStatus }) => {
+  if (typeof EventSource === 'undefined') { onStatus('off'); return () => {}; }
+  let source = null;
+  let retry  = null;
+  let closed = false;
+  const reconnect = () => { if (!closed) retry = setTimeout(open, RECONNECT_MS); };
+
+  const open = async () => {
+    onStatus('connecting');
+    let ticket;
+    try {
+      ticket = await liveAPI.ticket();
+    } catch (err) {
+      if (closed) return;
+      if (err.status === 404 || err.auth) onStatus('off');
+      else reconnect();
+      return;
+    }
+    if (closed) return;
+    source = new EventSource(liveAPI.streamUrl(CLIENT_ID, currentUser(), ticket));
+    source.onopen  = () => onStatus('live');
+    source.onerror = () => {
+      source.close();
+      onStatus('connecting');
+      reconnect();
+    };
+    source.addEventListener('change', (e) => {
+      const data = parse(e.data);
+      if (data && data.clientId !== CLIENT_ID && Array.isArray(data.cells)) onChange(data);
+    });
+    source.addEventListener('presence', (e) => {
+      const data = parse(e.data);
+      if (data && Array.isArray(data.clients)) onPresence(data.clients.filter(c => c.clientId !== CLIENT_ID));
+    });
+  };
+
+  open();
+  return () => {
+    closed = true;
+    clearTimeout(retry);
+    source?.close();
+  };
+};
+
+// Failed publishes are dropped: the others pick the change up on their next load
+export const publishChange = (cells) => {
+  if (!cells.length) return Promise.resolve();
+  return liveAPI.publish({
+    type: 'change', clientId: CLIENT_ID, user: currentUser(), at: new Date().toISOString(),
+    cells: cells.map(({ key, after }) => ({ key, after: after || null })),
+  }).catch(() => {});
+};
+
+export const announceEditing = (cell) =>
+  liveAPI.publish({ type: 'presence', clientId: CLIENT_ID, user: currentUser(), cell: cell || null }).catch(() => {});
+
+// The other admins with `key` open in the class editor
+export const editorsOf = (presence, key) => presence.filter(c => c.cell === key);
+
+// True when a cell no longer holds what the editor was opened with
+export const changedSince = (opened, current) => !sameEntry(opened || null, current || null);
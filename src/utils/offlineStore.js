@@ -0,0 +1,66 @@
+// src/utils/offlineStore.js — IndexedDB cache for the last loaded timetable,
+// the queue of admin writes made while offline, and unpublished drafts.
+const DB_NAME    = 'timetable-offline';
+const DB_VERSION = 2;
+const SNAPSHOT   = 'snapshot';
+const OUTBOX     = 'outbox';
+const DRAFT      = 'draft';
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB unavailable')); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(SNAPSHOT)) db.createObjectStore(SNAPSHOT);
+      if (!db.objectStoreNames.contains(OUTBOX))   db.createObjectStore(OUTBOX, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(DRAFT))    db.createObjectStore(DRAFT);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+};
+
+const run = async (storeName, mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+};
+
+// The cache is best-effort: private browsing or a full disk must never break
+// the app, so every helper resolves with an empty value instead of rejecting.
+export const offlineStore = {
+  // { schedule, groups, syncedAt }, one per academic term
+  loadSnapshot: (key = 'current') =>
+    run(SNAPSHOT, 'readonly', s => s.get(key)).then(r => r || null).catch(() => null),
+  saveSnapshot: (snapshot, key = 'current') =>
+    run(SNAPSHOT, 'readwrite', s => s.put(snapshot, key)).catch(() => {}),
+
+  // [{ id, command, term, queuedAt }] in the order they were made; `term` is
+  // the academic term the write was made in
+  getOutbox: () =>
+    run(OUTBOX, 'readonly', s => s.getAll())
+      .then(r => (r || []).sort((a, b) => a.queuedAt - b.queuedAt || a.id - b.id))
+      .catch(() => []),
+  putOutbox: (item) =>
+    run(OUTBOX, 'readwrite', s => s.put(item)).catch(() => {}),
+  removeOutbox: (id) =>
+    run(OUTBOX, 'readwrite', s => s.delete(id)).catch(() => {}),
+
+  // Draft cells (utils/drafts), one per academic term
+  loadDraft: (key = 'current') =>
+    run(DRAFT, 'readonly', s => s.get(key)).then(r => r || null).catch(() => null),
+  saveDraft: (draft, key = 'current') =>
+    run(DRAFT, 'readwrite', s => s.put(draft, key)).catch(() => {}),
+  clearDraft: (key = 'current') =>
+    run(DRAFT, 'readwrite', s => s.delete(key)).catch(() => {}),
+};
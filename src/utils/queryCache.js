@@ -0,0 +1,123 @@
+// src/utils/queryCache.js — one shared cache of server reads, an entry per key.
+//
+// Entry snapshot:
+//   { data, error, updatedAt, fetching }
+// Reads are stale-while-revalidate: a screen gets the cached data at once,
+// and an entry older than its stale time is fetched again in the background.
+// Concurrent fetches of one key share a single request; a request nobody
+// listens to any more is aborted. Writes call invalidateQueries so every
+// screen showing the data refetches it (see context/QueryContext for the hook).
+
+export const STALE_MS = 30000;
+
+const entries = new Map();
+
+const entryOf = (key) => {
+  if (!entries.has(key)) {
+    entries.set(key, {
+      data: undefined, error: null, updatedAt: 0, promise: null, controller: null,
+      fetcher: null, staleTime: STALE_MS, listeners: new Set(),
+      snapshot: { data: undefined, error: null, updatedAt: 0, fetching: false },
+    });
+  }
+  return entries.get(key);
+};
+
+const update = (entry, patch) => {
+  Object.assign(entry, patch);
+  entry.snapshot = { data: entry.data, error: entry.error, updatedAt: entry.updatedAt, fetching: !!entry.promise };
+  entry.listeners.forEach(listener => listener());
+};
+
+export const querySnapshot = (key) => entryOf(key).snapshot;
+
+const isStale = (entry) => Date.now() - entry.updatedAt >= entry.staleTime;
+
+// Fetches `key`, joining the request already under way if there is one.
+// `fetcher(signal)` is remembered for later revalidation.
+export const fetchQuery = (key, fetcher) => {
+  const entry = entryOf(key);
+  if (fetcher) entry.fetcher = fetcher;
+  if (entry.promise) return entry.promise;
+  if (!entry.fetcher) return Promise.resolve(entry.data);
+  const controller = new AbortController();
+  const promise = entry.fetcher(controller.signal).then(
+    (data) => {
+      if (entry.promise === promise) update(entry, { data, error: null, updatedAt: Date.now(), promise: null, controller: null });
+      return data;
+    },
+    (error) => {
+      // An aborted request leaves the entry as it was; whoever awaited it
+      // gets the request that replaced it, if there is one
+      if (controller.signal.aborted && entry.promise && entry.promise !== promise) return entry.promise;
+      if (entry.promise === promise) update(entry, { error: controller.signal.aborted ? entry.error : error, promise: null, controller: null });
+      throw error;
+    },
+  );
+  update(entry, { promise, controller });
+  return promise;
+};
+
+// Background refresh: failures stay on the entry instead of being thrown
+const revalidate = (key) => { fetchQuery(key).catch(() => {}); };
+
+// Registers what a screen needs of `key` and fetches it when missing or stale
+export const primeQuery = (key, fetcher, staleTime = STALE_MS) => {
+  const entry = entryOf(key);
+  entry.fetcher   = fetcher;
+  entry.staleTime = staleTime;
+  if (isStale(entry)) revalidate(key);
+};
+
+export const subscribeQuery = (key, listener) => {
+  const entry = entryOf(key);
+  entry.listeners.add(listener);
+  return () => {
+    entry.listeners.delete(listener);
+    // Waits a tick: a screen replacing this one may want the same data
+    setTimeout(() => {
+      if (entry.listeners.size || !entry.controller) return;
+      entry.controller.abort();
+      update(entry, { promise: null, controller: null });
+    }, 0);
+  };
+};
+
+// Keys starting with `prefix`, so '/feedback' covers '/feedback/stats' too
+const matching = (prefix) => [...entries.keys()].filter(key => key.startsWith(prefix));
+
+// Marks the data stale after a write. Shown entries refetch right away — past
+// any request already in flight, which may have started before the write.
+// Callers awaiting the aborted request are handed the new one.
+export const invalidateQueries = (prefix) => {
+  matching(prefix).forEach(key => {
+    const entry = entries.get(key);
+    const inFlight = !!entry.controller;
+    if (inFlight) entry.controller.abort();
+    update(entry, { updatedAt: 0, promise: null, controller: null });
+    if (entry.listeners.size || inFlight) revalidate(key);
+  });
+};
+
+// Local edit of the cached data, e.g. right after a write the server confirmed
+export const setQueryData = (key, updater) => {
+  const entry = entryOf(key);
+  update(entry, { data: typeof updater === 'function' ? updater(entry.data) : updater });
+};
+
+// Refreshes the stale entries someone is looking at, e.g. when the tab regains focus
+export const revalidateStale = () => {
+  entries.forEach((entry, key) => {
+    if (entry.listeners.size && isStale(entry)) revalidate(key);
+  });
+};
+
+// Forgets everything — another session must not see this one's data
+export const resetQueries = () => {
+  entries.forEach((entry, key) => {
+    const inFlight = !!entry.controller;
+    if (inFlight) entry.controller.abort();
+    update(entry, { data: undefined, error: null, updatedAt: 0, promise: null, controller: null });
+    if (entry.listeners.size || inFlight) revalidate(key);
+  });
+};
@@ -0,0 +1,138 @@
+import {
+  fetchQuery, primeQuery, subscribeQuery, querySnapshot, invalidateQueries, setQueryData, revalidateStale, resetQueries,
+} from './queryCache';
+
+// A fetcher whose requests are answered by hand: `calls[i].resolve(data)`
+const deferredFetcher = () => {
+  const calls = [];
+  const fetcher = signal => new Promise((resolve, reject) => {
+    calls.push({ resolve, reject, signal });
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('Request cancelled'), { aborted: true })));
+  });
+  return { fetcher, calls };
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('fetchQuery', () => {
+  it('shares one request between concurrent callers', async () => {
+    const { fetcher, calls } = deferredFetcher();
+    const a = fetchQuery('/dedupe', fetcher);
+    const b = fetchQuery('/dedupe', fetcher);
+    expect(a).toBe(b);
+    expect(querySnapshot('/dedupe').fetching).toBe(true);
+    calls[0].resolve(['row']);
+    await expect(a).resolves.toEqual(['row']);
+    expect(calls).toHaveLength(1);
+    expect(querySnapshot('/dedupe')).toMatchObject({ data: ['row'], error: null, fetching: false });
+  });
+
+  it('keeps the data and records the error of a failed request', async () => {
+    const { fetcher, calls } = deferredFetcher();
+    const first = fetchQuery('/fails', fetcher);
+    calls[0].resolve('old');
+    await first;
+    const second = fetchQuery('/fails', fetcher);
+    calls[1].reject(new Error('boom'));
+    await expect(second).rejects.toThrow('boom');
+    expect(querySnapshot('/fails')).toMatchObject({ data: 'old', error: expect.objectContaining({ message: 'boom' }) });
+  });
+});
+
+describe('primeQuery', () => {
+  it('fetches only missing or stale data', async () => {
+    const { fetcher, calls } = deferredFetcher();
+    primeQuery('/prime', fetcher);
+    calls[0].resolve(1);
+    await tick();
+    primeQuery('/prime', fetcher);
+    expect(calls).toHaveLength(1);
+    primeQuery('/prime', fetcher, 0);
+    expect(calls).toHaveLength(2);
+  });
+});
+
+describe('invalidateQueries', () => {
+  it('refetches shown entries under the prefix, and only those', async () => {
+    const { fetcher, calls } = deferredFetcher();
+    ['/feedback', '/feedback/stats', '/bookings'].forEach(key => {
+      subscribeQuery(key, () => {});
+      fetchQuery(key, fetcher).catch(() => {});
+    });
+    expect(calls).toHaveLength(3);
+    invalidateQueries('/feedback');
+    expect(calls).toHaveLength(5);
+    expect(calls[0].signal.aborted).toBe(true);
+    expect(calls[2].signal.aborted).toBe(false);
+  });
+
+  it('hands callers of the aborted request the new one', async () => {
+    const { fetcher, calls } = deferredFetcher();
+    const pending = fetchQuery('/joined', fetcher);
+    invalidateQueries('/joined');
+    expect(calls[0].signal.aborted).toBe(true);
+    calls[1].resolve('fresh');
+    await expect(pending).resolves.toBe('fresh');
+    expect(querySnapshot('/joined')).toMatchObject({ data: 'fresh', error: null });
+  });
+
+  it('only marks idle entries stale when nobody shows them', async () => {
+    const { fetcher, calls } = deferredFetcher();
+    const first = fetchQuery('/idle', fetcher);
+    calls[0].resolve('v1');
+    await first;
+    invalidateQueries('/idle');
+    expect(calls).toHaveLength(1);
+    expect(querySnapshot('/idle').updatedAt).toBe(0);
+    primeQuery('/idle', fetcher);
+    expect(calls).toHaveLength(2);
+  });
+});
+
+describe('subscribeQuery', () => {
+  it('notifies listeners and aborts a request nobody listens to any more', async () => {
+    const { fetcher, calls } = deferredFetcher();
+    const listener = jest.fn();
+    const unsubscribe = subscribeQuery('/listened', listener);
+    const settled = fetchQuery('/listened', fetcher).catch(err => err);
+    expect(listener).toHaveBeenCalled();
+    unsubscribe();
+    await tick();
+    expect(calls[0].signal.aborted).toBe(true);
+    await expect(settled).resolves.toMatchObject({ aborted: true });
+    expect(querySnapshot('/listened')).toMatchObject({ error: null, fetching: false });
+  });
+
+  it('keeps a request another screen picks up within the tick', async () => {
+    const { fetcher, calls } = deferredFetcher();
+    const unsubscribe = subscribeQuery('/handover', () => {});
+    fetchQuery('/handover', fetcher).catch(() => {});
+    unsubscribe();
+    subscribeQuery('/handover', () => {});
+    await tick();
+    expect(calls[0].signal.aborted).toBe(false);
+  });
+});
+
+describe('local edits and refreshes', () => {
+  it('edits cached data in place', () => {
+    setQueryData('/local', [1]);
+    setQueryData('/local', rows => [...rows, 2]);
+    expect(querySnapshot('/local').data).toEqual([1, 2]);
+  });
+
+  it('refreshes stale shown entries and forgets everything on reset', async () => {
+    const { fetcher, calls } = deferredFetcher();
+    subscribeQuery('/stale', () => {});
+    primeQuery('/stale', fetcher, 0);
+    calls[0].resolve('a');
+    await tick();
+    revalidateStale();
+    expect(calls).toHaveLength(2);
+    calls[1].resolve('b');
+    await tick();
+    resetQueries();
+    expect(querySnapshot('/stale').data).toBeUndefined();
+    expect(calls).toHaveLength(3);
+  });
+});
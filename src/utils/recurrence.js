@@ -0,0 +1,190 @@
+// src/utils/recurrence.js — which teaching weeks a timetable entry meets in
+//
+// `entry.recurrence` is optional; a missing value means every week.
+//   { type: 'weekly' }
+//   { type: 'odd' } | { type: 'even' }                  — by teaching week number
+//   { type: 'range', from: '2026-02-02', to: '2026-03-27' }
+//   { type: 'weeks', weeks: [1, 2, 3, 7] }
+// Week 1 is the week containing the term start date. Without a term start
+// the ISO week number is used, so odd/even still alternate predictably.
+
+export const RECURRENCE_TYPES = ['weekly', 'odd', 'even', 'range', 'weeks'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' → local midnight (Date parses bare ISO dates as UTC)
+export const parseISODate = (str) => {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(str || '');
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+};
+
+export const toISODate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const startOfWeek = (date) => {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const dow = d.getDay();
+  d.setDate(d.getDate() + (dow === 0 ? -6 : 1 - dow));
+  return d;
+};
+
+export const addWeeks = (date, n) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n * 7);
+  return d;
+};
+
+const WEEK_ORDER = ['Monday','Tuesday','Wednesday','Thursday','Friday','Saturday','Sunday'];
+
+// { Monday → Date, … } for the week starting on the Monday `weekStart`
+export const weekDateMap = (days, weekStart) => {
+  const map = {};
+  days.forEach((dayName, i) => {
+    const idx = WEEK_ORDER.indexOf(dayName);
+    const d = new Date(weekStart);
+    d.setDate(weekStart.getDate() + (idx >= 0 ? idx : i));
+    map[dayName] = d;
+  });
+  return map;
+};
+
+const isoWeek = (date) => {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  return Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+};
+
+export const weekNumber = (date, termStart) => {
+  const start = parseISODate(termStart);
+  if (!start) return isoWeek(date);
+  // Math.round absorbs the hour lost or gained at a DST switch
+  return Math.round((startOfWeek(date) - startOfWeek(start)) / (7 * DAY_MS)) + 1;
+};
+
+// "1-4, 7, 9" → [1, 2, 3, 4, 7, 9]; null when the text is not a week list
+export const parseWeekList = (text) => {
+  const weeks = new Set();
+  const parts = String(text || '').split(/[,\s]+/).filter(Boolean);
+  for (const part of parts) {
+    const m = /^(\d{1,2})(?:[-–](\d{1,2}))?$/.exec(part);
+    if (!m) return null;
+    const a = Number(m[1]), b = Number(m[2] || m[1]);
+    if (!a || b < a) return null;
+    for (let w = a; w <= b; w++) weeks.add(w);
+  }
+  return weeks.size ? [...weeks].sort((x, y) => x - y) : null;
+};
+
+// [1, 2, 3, 4, 7] → "1–4, 7"
+export const formatWeekList = (weeks = []) => {
+  const out = [];
+  [...weeks].sort((a, b) => a - b).forEach(w => {
+    const last = out[out.length - 1];
+    if (last && w === last[1] + 1) last[1] = w;
+    else out.push([w, w]);
+  });
+  return out.map(([a, b]) => (a === b ? `${a}` : `${a}–${b}`)).join(', ');
+};
+
+// Drops incomplete values so callers can treat null as "every week"
+export const normalizeRecurrence = (rec) => {
+  if (!rec || !RECURRENCE_TYPES.includes(rec.type) || rec.type === 'weekly') return null;
+  if (rec.type === 'range') {
+    if (!parseISODate(rec.from) && !parseISODate(rec.to)) return null;
+    return { type: 'range', from: rec.from || '', to: rec.to || '' };
+  }
+  if (rec.type === 'weeks') {
+    const weeks = (rec.weeks || []).map(Number).filter(w => w > 0);
+    return weeks.length ? { type: 'weeks', weeks } : null;
+  }
+  return { type: rec.type };
+};
+
+export const sameRecurrence = (a, b) =>
+  JSON.stringify(normalizeRecurrence(a)) === JSON.stringify(normalizeRecurrence(b));
+
+// Does `entry` meet on `date` (the real calendar date of its weekday)?
+export const occursOn = (entry, date, termStart) => {
+  const rec = normalizeRecurrence(entry?.recurrence);
+  if (!rec || !date) return true;
+  switch (rec.type) {
+    case 'odd':   return Math.abs(weekNumber(date, termStart)) % 2 === 1;
+    case 'even':  return Math.abs(weekNumber(date, termStart)) % 2 === 0;
+    case 'weeks': return rec.weeks.includes(weekNumber(date, termStart));
+    case 'range': {
+      const day = toISODate(date);
+      return (!rec.from || day >= rec.from) && (!rec.to || day <= rec.to);
+    }
+    default:      return true;
+  }
+};
+
+// Could two entries in the same slot ever meet in the same week? Used by the
+// conflict checks so an odd-week and an even-week class can share a room.
+export const mayOverlap = (a, b) => {
+  const ra = normalizeRecurrence(a?.recurrence);
+  const rb = normalizeRecurrence(b?.recurrence);
+  if (!ra || !rb) return true;
+  const parity = { odd: 1, even: 0 };
+  if (ra.type in parity && rb.type in parity) return ra.type === rb.type;
+  if (ra.type === 'weeks' && rb.type === 'weeks') return ra.weeks.some(w => rb.weeks.includes(w));
+  if (ra.type === 'weeks' && rb.type in parity) return ra.weeks.some(w => w % 2 === parity[rb.type]);
+  if (rb.type === 'weeks' && ra.type in parity) return rb.weeks.some(w => w % 2 === parity[ra.type]);
+  if (ra.type === 'range' && rb.type === 'range') {
+    return (!ra.from || !rb.to || ra.from <= rb.to) && (!rb.from || !ra.to || rb.from <= ra.to);
+  }
+  return true;
+};
+
+// ── Several classes in one cell ──────────────────────────────────────────────
+// A cell's entry may carry `alternates`: further classes for weeks its own
+// class never meets, such as an even-week course beside an odd-week one in a
+// group's slot. Each is { course, teacher, teachers, room, subjectType,
+// duration, meetingLink, recurrence }; no two classes of a cell meet in the
+// same week.
+
+// The cell's classes as full entries, its own class first (without `alternates`)
+export const cellClasses = (entry) => {
+  if (!entry) return [];
+  const { alternates, ...main } = entry;
+  return [main, ...(alternates || []).map(alt => ({ ...alt, group: main.group, day: main.day, time: main.time }))];
+};
+
+// Back from cellClasses: the first class, carrying the others as alternates;
+// null for none
+export const joinCell = ([main, ...others]) => {
+  if (!main) return null;
+  const { alternates, ...entry } = main;
+  if (!others.length) return entry;
+  return { ...entry, alternates: others.map(({ group, day, time, groups, alternates: nested, ...alt }) => alt) };
+};
+
+// The class of the cell that meets on `date`, or null when none does
+export const classOn = (entry, date, termStart) =>
+  cellClasses(entry).find(e => occursOn(e, date, termStart)) || null;
+
+// The class of the cell that a class meeting by `recurrence` would share a
+// week with, or null when it can sit beside them all. `skip` is the index
+// (in cellClasses) of the class it replaces, if any.
+export const cellClash = (entry, recurrence, skip = -1) =>
+  cellClasses(entry).find((e, i) => i !== skip && mayOverlap(e, { recurrence })) || null;
+
+// '2026-02-02' → '2.02'
+export const shortDate = (str) => {
+  const d = parseISODate(str);
+  return d ? `${d.getDate()}.${String(d.getMonth() + 1).padStart(2, '0')}` : '…';
+};
+
+// Compact badge text for a cell: "odd", "2.02–27.03", "wk 1–4, 7"
+export const recurrenceLabel = (rec, t) => {
+  const r = normalizeRecurrence(rec);
+  if (!r) return '';
+  switch (r.type) {
+    case 'odd':   return t('recurOddShort');
+    case 'even':  return t('recurEvenShort');
+    case 'range': return `${shortDate(r.from)}–${shortDate(r.to)}`;
+    case 'weeks': return `${t('recurWeekShort')} ${formatWeekList(r.weeks)}`;
+    default:      return '';
+  }
+};
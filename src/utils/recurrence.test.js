@@ -0,0 +1,140 @@
+import {
+  parseISODate, toISODate, startOfWeek, weekDateMap, weekNumber, parseWeekList, formatWeekList,
+  normalizeRecurrence, sameRecurrence, occursOn, mayOverlap, cellClasses, joinCell, classOn, cellClash,
+} from './recurrence';
+
+const TERM_START = '2026-02-02';   // a Monday: week 1
+const date = (iso) => parseISODate(iso);
+const entry = (recurrence) => ({ course: 'Math', recurrence });
+
+describe('dates and weeks', () => {
+  it('parses and formats local dates', () => {
+    expect(toISODate(date('2026-03-01'))).toBe('2026-03-01');
+    expect(parseISODate('not a date')).toBeNull();
+  });
+
+  it('finds the Monday of a week', () => {
+    expect(toISODate(startOfWeek(date('2026-02-08')))).toBe('2026-02-02');   // Sunday
+    expect(toISODate(startOfWeek(date('2026-02-04')))).toBe('2026-02-02');
+  });
+
+  it('maps weekday names onto the dates of a week', () => {
+    const map = weekDateMap(['Monday', 'Wednesday'], date('2026-02-09'));
+    expect(toISODate(map.Monday)).toBe('2026-02-09');
+    expect(toISODate(map.Wednesday)).toBe('2026-02-11');
+  });
+
+  it('counts teaching weeks from the term start', () => {
+    expect(weekNumber(date('2026-02-06'), TERM_START)).toBe(1);
+    expect(weekNumber(date('2026-02-09'), TERM_START)).toBe(2);
+    expect(weekNumber(date('2026-03-30'), TERM_START)).toBe(9);   // across the DST switch
+  });
+});
+
+describe('week lists', () => {
+  it('parses ranges and single weeks', () => {
+    expect(parseWeekList('1-4, 7 9')).toEqual([1, 2, 3, 4, 7, 9]);
+    expect(parseWeekList('4-1')).toBeNull();
+    expect(parseWeekList('one')).toBeNull();
+    expect(parseWeekList('')).toBeNull();
+  });
+
+  it('formats runs of weeks compactly', () => {
+    expect(formatWeekList([7, 1, 2, 3, 4, 9])).toBe('1–4, 7, 9');
+  });
+});
+
+describe('normalizeRecurrence', () => {
+  it('treats weekly and incomplete values as every week', () => {
+    expect(normalizeRecurrence({ type: 'weekly' })).toBeNull();
+    expect(normalizeRecurrence({ type: 'range' })).toBeNull();
+    expect(normalizeRecurrence({ type: 'weeks', weeks: [] })).toBeNull();
+    expect(normalizeRecurrence({ type: 'monthly' })).toBeNull();
+  });
+
+  it('compares recurrences by meaning', () => {
+    expect(sameRecurrence(null, { type: 'weekly' })).toBe(true);
+    expect(sameRecurrence({ type: 'odd' }, { type: 'even' })).toBe(false);
+  });
+});
+
+describe('occursOn', () => {
+  const week1 = date('2026-02-03'), week2 = date('2026-02-10'), week3 = date('2026-02-17');
+
+  it('meets every week without a recurrence', () => {
+    expect(occursOn(entry(null), week1, TERM_START)).toBe(true);
+    expect(occursOn(entry({ type: 'weekly' }), week2, TERM_START)).toBe(true);
+  });
+
+  it('alternates odd and even weeks', () => {
+    expect(occursOn(entry({ type: 'odd' }), week1, TERM_START)).toBe(true);
+    expect(occursOn(entry({ type: 'odd' }), week2, TERM_START)).toBe(false);
+    expect(occursOn(entry({ type: 'even' }), week2, TERM_START)).toBe(true);
+    expect(occursOn(entry({ type: 'even' }), week3, TERM_START)).toBe(false);
+  });
+
+  it('meets in listed weeks only', () => {
+    const rec = { type: 'weeks', weeks: [1, 3] };
+    expect([week1, week2, week3].map(d => occursOn(entry(rec), d, TERM_START))).toEqual([true, false, true]);
+  });
+
+  it('meets within a date range, ends included', () => {
+    const rec = { type: 'range', from: '2026-02-10', to: '2026-02-17' };
+    expect([week1, week2, week3].map(d => occursOn(entry(rec), d, TERM_START))).toEqual([false, true, true]);
+    expect(occursOn(entry({ type: 'range', from: '2026-02-10' }), date('2026-06-01'), TERM_START)).toBe(true);
+  });
+});
+
+describe('mayOverlap', () => {
+  it('keeps odd-week and even-week classes apart', () => {
+    expect(mayOverlap(entry({ type: 'odd' }), entry({ type: 'even' }))).toBe(false);
+    expect(mayOverlap(entry({ type: 'odd' }), entry({ type: 'odd' }))).toBe(true);
+  });
+
+  it('overlaps with a class that meets every week', () => {
+    expect(mayOverlap(entry(null), entry({ type: 'odd' }))).toBe(true);
+    expect(mayOverlap(entry({ type: 'weeks', weeks: [2] }), entry(null))).toBe(true);
+  });
+
+  it('compares week lists with each other and with parity', () => {
+    expect(mayOverlap(entry({ type: 'weeks', weeks: [1, 3] }), entry({ type: 'weeks', weeks: [2, 4] }))).toBe(false);
+    expect(mayOverlap(entry({ type: 'weeks', weeks: [1, 3] }), entry({ type: 'weeks', weeks: [3] }))).toBe(true);
+    expect(mayOverlap(entry({ type: 'weeks', weeks: [2, 4] }), entry({ type: 'odd' }))).toBe(false);
+    expect(mayOverlap(entry({ type: 'even' }), entry({ type: 'weeks', weeks: [2] }))).toBe(true);
+  });
+
+  it('compares date ranges', () => {
+    const feb = entry({ type: 'range', from: '2026-02-01', to: '2026-02-28' });
+    const apr = entry({ type: 'range', from: '2026-04-01', to: '2026-04-30' });
+    const lateFeb = entry({ type: 'range', from: '2026-02-20' });
+    expect(mayOverlap(feb, apr)).toBe(false);
+    expect(mayOverlap(feb, lateFeb)).toBe(true);
+  });
+});
+
+describe('several classes in one cell', () => {
+  const odd  = { group: 'A', day: 'Monday', time: '08:00-08:40', course: 'Math', recurrence: { type: 'odd' } };
+  const even = { course: 'Physics', teacher: 'Dr. B', recurrence: { type: 'even' } };
+  const cell = { ...odd, alternates: [even] };
+
+  it('lists the classes as full entries and files them back', () => {
+    expect(cellClasses(cell)).toEqual([odd, { ...even, group: 'A', day: 'Monday', time: '08:00-08:40' }]);
+    expect(cellClasses(null)).toEqual([]);
+    expect(joinCell(cellClasses(cell))).toEqual(cell);
+    expect(joinCell(cellClasses(cell).slice(1))).toEqual({ ...even, group: 'A', day: 'Monday', time: '08:00-08:40' });
+    expect(joinCell([])).toBeNull();
+  });
+
+  it('picks the class that meets in a week', () => {
+    expect(classOn(cell, date('2026-02-02'), TERM_START).course).toBe('Math');
+    expect(classOn(cell, date('2026-02-09'), TERM_START).course).toBe('Physics');
+    expect(classOn({ ...odd, recurrence: { type: 'weeks', weeks: [1] } }, date('2026-02-09'), TERM_START)).toBeNull();
+  });
+
+  it('names the class another one would share a week with', () => {
+    expect(cellClash(odd, { type: 'even' })).toBeNull();
+    expect(cellClash(cell, { type: 'weeks', weeks: [2] }).course).toBe('Physics');
+    expect(cellClash(cell, { type: 'odd' }, 0)).toBeNull();
+    expect(cellClash(cell, null, 0).course).toBe('Physics');
+  });
+});
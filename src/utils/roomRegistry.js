@@ -0,0 +1,53 @@
+// src/utils/roomRegistry.js — the room catalog and matching of free-text room
+// strings ("b110", "B110 LAB", "B 110") onto catalog entries.
+//
+// Catalog entry:
+//   { code, aliases: [], building, floor, capacity, type, equipment: [], bookable }
+// `code` is what the timetable stores once a room string has been migrated;
+// `aliases` are the other spellings that resolve to it.
+
+export const ROOM_TYPES = ['lecture', 'seminar', 'lab', 'computer', 'online', 'other'];
+
+export const ROOM_TYPE_ICONS = {
+  lecture: '🎓', seminar: '💬', lab: '🔬', computer: '💻', online: '🌐', other: '🚪',
+};
+
+// "b 110" → "B110" — case, spaces, dots and dashes don't tell rooms apart
+export const roomKey = (room) => String(room || '').toUpperCase().replace(/[\s.\-_]+/g, '');
+
+// Lookups over one catalog; ScheduleContext builds them as `roomIndex` whenever
+// the catalog changes.
+export const indexRooms = (rooms) => {
+  const byKey = new Map();   // roomKey of code or alias → catalog entry
+  (rooms || []).forEach(r => {
+    if (!r?.code) return;
+    [r.code, ...(r.aliases || [])].forEach(alias => {
+      const key = roomKey(alias);
+      if (key && !byKey.has(key)) byKey.set(key, r);
+    });
+  });
+
+  // Catalog entry a room string refers to, or null
+  const findRoom = (room) => byKey.get(roomKey(room)) || null;
+
+  // Catalog code for a room string, or the trimmed string when it is not catalogued
+  const canonicalRoom = (room) => findRoom(room)?.code || String(room || '').trim();
+
+  const sameRoom = (a, b) => !!a && !!b && roomKey(canonicalRoom(a)) === roomKey(canonicalRoom(b));
+
+  return { findRoom, canonicalRoom, sameRoom };
+};
+
+// Best guess at the catalog code hidden in a messy string: "B110 LAB" → "B110",
+// "LAB2(30)" → "LAB2". Null when nothing looks like a room code.
+export const guessRoomCode = (room) => {
+  const m = /^\s*([A-Za-zА-Яа-я]{1,6})\s*[-.]?\s*(\d{1,4})/.exec(room || '');
+  return m ? `${m[1]}${m[2]}`.toUpperCase() : null;
+};
+
+// "Lab · 30 seats · Projector, PCs"
+export const roomSummary = (r, t) => [
+  r.type && t(`roomType_${r.type}`),
+  r.capacity && t('roomSeats', { count: r.capacity }),
+  (r.equipment || []).join(', '),
+].filter(Boolean).join(' · ');
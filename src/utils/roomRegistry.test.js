@@ -0,0 +1,37 @@
+import { roomKey, indexRooms, guessRoomCode } from './roomRegistry';
+
+const catalog = [
+  { code: 'B110', aliases: ['B110 LAB', 'Lab 110'], capacity: 30, type: 'lab' },
+  { code: 'A201', aliases: [], capacity: 80, type: 'lecture' },
+];
+
+describe('room matching', () => {
+  const { findRoom, canonicalRoom, sameRoom } = indexRooms(catalog);
+
+  it('ignores case, spaces, dots and dashes', () => {
+    expect(roomKey(' b-1.10 ')).toBe('B110');
+    expect(findRoom('b 110')).toBe(catalog[0]);
+    expect(findRoom('lab-110')).toBe(catalog[0]);
+  });
+
+  it('maps aliases onto the catalog code and keeps unknown rooms as typed', () => {
+    expect(canonicalRoom('b110 lab')).toBe('B110');
+    expect(canonicalRoom('  Gym ')).toBe('Gym');
+    expect(findRoom('Gym')).toBeNull();
+  });
+
+  it('treats two spellings of one room as the same room', () => {
+    expect(sameRoom('Lab 110', 'b110')).toBe(true);
+    expect(sameRoom('A201', 'B110')).toBe(false);
+    expect(sameRoom('', '')).toBe(false);
+  });
+});
+
+describe('guessRoomCode', () => {
+  it('finds the code inside a messy room string', () => {
+    expect(guessRoomCode('B110 LAB')).toBe('B110');
+    expect(guessRoomCode('lab2(30)')).toBe('LAB2');
+    expect(guessRoomCode('b-205')).toBe('B205');
+    expect(guessRoomCode('Online')).toBeNull();
+  });
+});
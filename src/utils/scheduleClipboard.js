@@ -0,0 +1,110 @@
+// src/utils/scheduleClipboard.js — copy and paste of classes inside the
+// timetable, and the same clipboard as tab-separated text for spreadsheets.
+//
+// Clipboard:
+//   { kind, group, day, time, entries: [entry, …] }
+// kind  'cell' — one class; pasted onto a cell
+//       'day'  — a group's classes on one day; pasted onto a group and day,
+//                keeping their times
+//       'week' — a group's whole week; pasted onto a group, keeping days and
+//                times
+// Pasted copies belong to the target group only: joint-class membership and
+// the source's co-teacher list are not carried over unless kept.
+import { cellKey, sameEntry } from './scheduleHistory';
+import { isJoint } from './jointClasses';
+import { WEEK_DAYS, matchSlot, toMinutes } from './timeGrid';
+import { checkRows } from './schemas';
+
+export const CLIP_KINDS = ['cell', 'day', 'week'];
+
+const byTime = (a, b) =>
+  WEEK_DAYS.indexOf(a.day) - WEEK_DAYS.indexOf(b.day) ||
+  toMinutes(String(a.time).split('-')[0]) - toMinutes(String(b.time).split('-')[0]);
+
+// The classes a copy of `kind` at { group, day, time } picks up
+export const makeClip = (schedule, kind, { group, day, time }) => {
+  const entries = Object.values(schedule).filter(e => e.group === group &&
+    (kind === 'week' || e.day === day) && (kind !== 'cell' || e.time === time));
+  return { kind, group, day: kind === 'week' ? null : day, time: kind === 'cell' ? time : null, entries: entries.sort(byTime) };
+};
+
+// A pasted copy of `e` at its new place, with teacher and room dropped
+// unless they are kept
+const pastedEntry = (e, place, { keepTeacher = true, keepRoom = true }) => {
+  const { groups, teachers, ...rest } = e;
+  return {
+    ...rest,
+    ...place,
+    teacher: keepTeacher ? e.teacher || '' : '',
+    room:    keepRoom ? e.room || '' : '',
+    ...(keepTeacher && teachers ? { teachers } : {}),
+  };
+};
+
+// Cell changes that paste `clip` at `target` ({ group, day, time } — the parts
+// the clip's kind needs). Cells already holding a class are skipped unless
+// `overwrite` is set; a joint class is never overwritten, since that would
+// split it from its other copies.
+export const planPaste = (schedule, clip, target, options = {}) => {
+  const cells = [], skipped = [];
+  clip.entries.forEach(e => {
+    const place = {
+      group: target.group,
+      day:   clip.kind === 'week' ? e.day : target.day,
+      time:  clip.kind === 'cell' ? target.time : e.time,
+    };
+    const key  = cellKey(place.group, place.day, place.time);
+    const prev = schedule[key] || null;
+    const next = pastedEntry(e, place, options);
+    if (prev && (!options.overwrite || isJoint(prev))) { if (!sameEntry(prev, next)) skipped.push(prev); return; }
+    if (!sameEntry(prev, next)) cells.push({ key, before: prev, after: next });
+  });
+  return { cells, skipped };
+};
+
+// ── Tab-separated text ───────────────────────────────────────────────────────
+// One row per class under a header row, the way spreadsheets copy cells
+export const TSV_COLUMNS = ['group', 'day', 'time', 'course', 'teacher', 'room', 'subjectType', 'duration'];
+
+const clean = (v) => String(v ?? '').replace(/[\t\r\n]+/g, ' ').trim();
+
+export const clipToTSV = (clip) => [
+  TSV_COLUMNS.join('\t'),
+  ...clip.entries.map(e => TSV_COLUMNS.map(c => clean(c === 'duration' ? e.duration || 1 : e[c])).join('\t')),
+].join('\n');
+
+const dayOf = (text) => {
+  const s = clean(text).toLowerCase();
+  return s.length >= 2 ? WEEK_DAYS.find(d => d.toLowerCase().startsWith(s.slice(0, 3))) || null : null;
+};
+
+// Reads rows pasted from a spreadsheet back into a clipboard. Columns are
+// matched by the header row when there is one, otherwise taken in
+// TSV_COLUMNS order. Rows are checked against the time grid `{ timeSlots,
+// days }` (utils/schemas); the ones that fail come back in `rejected`, with
+// `index` their line. Returns { clip, rejected } or { error } with an i18n key.
+export const clipFromTSV = (text, grid) => {
+  const rows = String(text || '').split(/\r?\n/).filter(r => r.trim()).map(r => r.split('\t'));
+  if (!rows.length) return { error: 'clipTsvEmpty' };
+  const header = rows[0].map(h => clean(h).toLowerCase());
+  const hasHeader = header.includes('course');
+  const cols = TSV_COLUMNS.map((c, i) => (hasHeader ? header.indexOf(c.toLowerCase()) : i));
+  const read = (hasHeader ? rows.slice(1) : rows).map(r => {
+    const get = (c) => clean(r[cols[TSV_COLUMNS.indexOf(c)]]);
+    const time = get('time');
+    const duration = get('duration');
+    return {
+      group: get('group'), day: dayOf(get('day')) || get('day'), time: matchSlot(time, grid?.timeSlots) || time,
+      course: get('course'), teacher: get('teacher'), room: get('room'),
+      subjectType: get('subjectType') || 'lecture', duration: duration === '' ? 1 : Number(duration),
+    };
+  });
+  const { valid: entries, rejected } = checkRows('tsvRow', read, grid);
+  rejected.forEach(r => { r.index += hasHeader ? 1 : 0; });
+  if (!entries.length) return { error: read.length ? 'clipTsvBadRow' : 'clipTsvEmpty', rejected };
+  const groups = [...new Set(entries.map(e => e.group))];
+  if (groups.length > 1) return { error: 'clipTsvOneGroup' };
+  const days = [...new Set(entries.map(e => e.day))];
+  const kind = entries.length === 1 ? 'cell' : days.length === 1 ? 'day' : 'week';
+  return { clip: { kind, group: groups[0], day: kind === 'week' ? null : days[0], time: kind === 'cell' ? entries[0].time : null, entries: entries.sort(byTime) }, rejected };
+};
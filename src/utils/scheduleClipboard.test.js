@@ -0,0 +1,89 @@
+import { makeClip, planPaste, clipToTSV, clipFromTSV } from './scheduleClipboard';
+import { cls, mapOf } from './testFixtures';
+
+const SLOTS = ['08:00-08:40', '08:45-09:25'];
+const GRID  = { timeSlots: SLOTS, days: ['Monday', 'Tuesday'] };
+
+const mon1 = cls('A', 'Monday', SLOTS[0]);
+const mon2 = cls('A', 'Monday', SLOTS[1], { course: 'Physics' });
+const tue1 = cls('A', 'Tuesday', SLOTS[0], { course: 'Art', teachers: ['Dr. A', 'Ms. B'], groups: ['A', 'B'] });
+const schedule = mapOf(tue1, mon2, mon1);
+
+describe('makeClip', () => {
+  it('picks up a cell, a day or a week of one group, in time order', () => {
+    expect(makeClip(schedule, 'cell', { group: 'A', day: 'Monday', time: SLOTS[1] }).entries).toEqual([mon2]);
+    expect(makeClip(schedule, 'day', { group: 'A', day: 'Monday' }).entries).toEqual([mon1, mon2]);
+    const week = makeClip(schedule, 'week', { group: 'A', day: 'Monday' });
+    expect(week).toMatchObject({ kind: 'week', day: null, time: null });
+    expect(week.entries).toEqual([mon1, mon2, tue1]);
+  });
+});
+
+describe('planPaste', () => {
+  const week = makeClip(schedule, 'week', { group: 'A' });
+
+  it('copies onto another group without joint membership', () => {
+    const { cells, skipped } = planPaste({}, week, { group: 'C' });
+    expect(skipped).toEqual([]);
+    expect(cells.map(c => c.key)).toEqual(['C-Monday-08:00-08:40', 'C-Monday-08:45-09:25', 'C-Tuesday-08:00-08:40']);
+    expect(cells[2].after).not.toHaveProperty('groups');
+    expect(cells[2].after.teachers).toEqual(['Dr. A', 'Ms. B']);
+  });
+
+  it('drops teacher and room when asked to', () => {
+    const { cells } = planPaste({}, week, { group: 'C' }, { keepTeacher: false, keepRoom: false });
+    expect(cells[2].after).toMatchObject({ teacher: '', room: '' });
+    expect(cells[2].after).not.toHaveProperty('teachers');
+  });
+
+  it('pastes a cell at the target time and a day on the target day', () => {
+    const cell = makeClip(schedule, 'cell', { group: 'A', day: 'Monday', time: SLOTS[0] });
+    expect(planPaste({}, cell, { group: 'C', day: 'Tuesday', time: SLOTS[1] }).cells[0].key).toBe('C-Tuesday-08:45-09:25');
+    const day = makeClip(schedule, 'day', { group: 'A', day: 'Monday' });
+    expect(planPaste({}, day, { group: 'C', day: 'Tuesday' }).cells.map(c => c.after.time)).toEqual(SLOTS);
+  });
+
+  it('skips occupied cells unless overwriting, and never splits a joint class', () => {
+    const target = mapOf(cls('C', 'Monday', SLOTS[0], { course: 'Chemistry' }), cls('C', 'Tuesday', SLOTS[0], { groups: ['C', 'D'] }));
+    const kept = planPaste(target, week, { group: 'C' });
+    expect(kept.cells.map(c => c.key)).toEqual(['C-Monday-08:45-09:25']);
+    expect(kept.skipped).toHaveLength(2);
+    const overwritten = planPaste(target, week, { group: 'C' }, { overwrite: true });
+    expect(overwritten.cells.map(c => c.key)).toEqual(['C-Monday-08:00-08:40', 'C-Monday-08:45-09:25']);
+    expect(overwritten.skipped).toHaveLength(1);
+  });
+
+  it('plans nothing when pasting a class onto itself', () => {
+    const cell = makeClip(schedule, 'cell', { group: 'A', day: 'Monday', time: SLOTS[0] });
+    expect(planPaste(schedule, cell, { group: 'A', day: 'Monday', time: SLOTS[0] }, { overwrite: true })).toEqual({ cells: [], skipped: [] });
+  });
+});
+
+describe('tab-separated text', () => {
+  it('round-trips a clipboard', () => {
+    const day = makeClip(schedule, 'day', { group: 'A', day: 'Monday' });
+    const { clip, rejected } = clipFromTSV(clipToTSV(day), GRID);
+    expect(rejected).toEqual([]);
+    expect(clip).toMatchObject({ kind: 'day', group: 'A', day: 'Monday' });
+    expect(clip.entries.map(e => e.course)).toEqual(['Math', 'Physics']);
+  });
+
+  it('reads rows without a header, with loose days and times', () => {
+    const { clip } = clipFromTSV('A\tmon\t08.00-08.40\tMath\tDr. A\tB110\tlab\t2', GRID);
+    expect(clip.kind).toBe('cell');
+    expect(clip.entries[0]).toMatchObject({ day: 'Monday', time: SLOTS[0], subjectType: 'lab', duration: 2 });
+  });
+
+  it('reports rows that fail the checks by line', () => {
+    const text = 'group\tday\ttime\tcourse\nA\tMonday\t08:00-08:40\tMath\nA\tFunday\t08:00-08:40\tArt';
+    const { clip, rejected } = clipFromTSV(text, GRID);
+    expect(clip.entries).toHaveLength(1);
+    expect(rejected).toEqual([expect.objectContaining({ index: 2 })]);
+  });
+
+  it('refuses empty text, only bad rows and several groups', () => {
+    expect(clipFromTSV('  \n', GRID).error).toBe('clipTsvEmpty');
+    expect(clipFromTSV('A\tFunday\t08:00-08:40\tArt', GRID).error).toBe('clipTsvBadRow');
+    expect(clipFromTSV('A\tMonday\t08:00-08:40\tMath\nB\tMonday\t08:45-09:25\tArt', GRID).error).toBe('clipTsvOneGroup');
+  });
+});
@@ -0,0 +1,123 @@
+// src/utils/scheduleHistory.js — command objects for undo / redo of timetable edits
+//
+// A command describes one user action as a list of cell changes:
+//   { labelKey, cells: [{ key, before, after }], removedGroups: [{ name, index }], moves }
+// `before` / `after` are full schedule entries, or null when the cell is empty.
+// Replaying a command towards 'before' undoes it, towards 'after' redoes it.
+// A drag-and-drop command also lists its `moves` (utils/scheduleMove), and is
+// replayed as one atomic move instead of separate saves and deletes; one
+// marked `batch: true` is replayed as a single scheduleAPI.batch call.
+import { scheduleAPI, groupsAPI } from './api';
+import { sameRecurrence } from './recurrence';
+
+export const HISTORY_LIMIT = 50;
+
+const BATCH = 10;
+
+export const cellKey = (group, day, time) => `${group}-${day}-${time}`;
+
+export const makeCommand = (labelKey, cells, removedGroups = [], moves = null) => ({
+  labelKey,
+  cells: cells.filter(c => c.before || c.after),
+  removedGroups,
+  ...(moves ? { moves } : {}),
+});
+
+// `term` defaults to the active term (see api.getTermId)
+export const saveEntry = (e, term) =>
+  scheduleAPI.save(e.group, e.day, e.time, e.course, e.teacher, e.room, e.subjectType, e.duration || 1, e.meetingLink || '', e.recurrence || null, e.groups || null, e.teachers || null, e.alternates || null, term);
+
+const deleteEntry = (e, term) => scheduleAPI.delete(e.group, e.day, e.time, term);
+
+// Stops after the first batch with a failed call, rejecting with its error
+// once every call of that batch has settled
+const runBatched = async (items, fn) => {
+  for (let i = 0; i < items.length; i += BATCH) {
+    const results = await Promise.allSettled(items.slice(i, i + BATCH).map(fn));
+    const failed  = results.find(r => r.status === 'rejected');
+    if (failed) throw failed.reason;
+  }
+};
+
+const ENTRY_FIELDS = ['course', 'teacher', 'room', 'subjectType', 'meetingLink'];
+
+// True when two cell values describe the same class (or are both empty)
+export const sameEntry = (a, b) => {
+  if (!a || !b) return !a && !b;
+  return ENTRY_FIELDS.every(f => (a[f] || '') === (b[f] || '')) &&
+    (Number(a.duration) || 1) === (Number(b.duration) || 1) &&
+    sameRecurrence(a.recurrence, b.recurrence) &&
+    [...(a.groups || [])].sort().join('|') === [...(b.groups || [])].sort().join('|') &&
+    (a.alternates || []).length === (b.alternates || []).length &&
+    (a.alternates || []).every((alt, i) => sameEntry(alt, b.alternates[i]));
+};
+
+// Sends the API calls that bring every cell of `cells` to its `side` state,
+// rejecting when any of them fails. Saves go first, and no delete is sent
+// after a failed save, so a failure leaves a duplicate rather than a lost class.
+export const persistCells = async (cells, side, term) => {
+  const saves   = cells.filter(c => c[side]).map(c => c[side]);
+  const deletes = cells.filter(c => !c[side]).map(c => c[side === 'after' ? 'before' : 'after']);
+  await runBatched(saves, e => saveEntry(e, term));
+  await runBatched(deletes, e => deleteEntry(e, term));
+};
+
+// Applies `side` of every cell to a schedule map, returning a new map.
+export const applyCells = (schedule, cells, side) => {
+  const next = { ...schedule };
+  cells.forEach(c => {
+    if (c[side]) next[c.key] = c[side];
+    else delete next[c.key];
+  });
+  return next;
+};
+
+// Reverts an optimistic `after` state, but only for cells that still hold it —
+// a later edit to the same cell wins over the rollback.
+export const rollbackCells = (schedule, cells) => {
+  const next = { ...schedule };
+  cells.forEach(c => {
+    const untouched = c.after ? schedule[c.key] === c.after : !schedule[c.key];
+    if (!untouched) return;
+    if (c.before) next[c.key] = c.before;
+    else delete next[c.key];
+  });
+  return next;
+};
+
+// Rows of scheduleAPI.batch / publish that bring every cell to `side`
+export const changeRows = (cells, side = 'after') => cells.map(c => {
+  const { group, day, time } = c.after || c.before;
+  return { group, day, time, before: c[side === 'after' ? 'before' : 'after'], after: c[side] };
+});
+
+// Request body of scheduleAPI.move that brings a move command to `side`:
+// towards 'before' every class travels back from `to` to `from`. `entry` is
+// the class landing at `to`, `swap` the one landing at `from`.
+export const moveRequest = (command, side) => {
+  const at = (place) => command.cells.find(c => c.key === cellKey(place.group, place.day, place.time))?.[side] || null;
+  return command.moves.map(m => {
+    const [from, to] = side === 'after' ? [m.from, m.to] : [m.to, m.from];
+    const inPlace = cellKey(from.group, from.day, from.time) === cellKey(to.group, to.day, to.time);
+    return { from, to, entry: at(to), swap: inPlace ? null : at(from) };
+  });
+};
+
+// Replays a command against the backend, in `term` when given (queued offline
+// writes belong to the term they were made in). Groups removed by the command
+// are re-created before their cells are restored, and deleted after they are
+// cleared. Rejects unless the server accepted every write.
+export const replayCommand = async (command, side, term) => {
+  const restoring = side === 'before';
+  if (restoring) {
+    for (const { name } of command.removedGroups) {
+      try { await groupsAPI.add(name, term); } catch { /* exists */ }
+    }
+  }
+  if (command.moves)      await scheduleAPI.move(moveRequest(command, side), term);
+  else if (command.batch) await scheduleAPI.batch(changeRows(command.cells, side), term);
+  else                    await persistCells(command.cells, side, term);
+  if (!restoring) {
+    for (const { name } of command.removedGroups) await groupsAPI.delete(name, term);
+  }
+};
@@ -0,0 +1,173 @@
+import { scheduleAPI, groupsAPI } from './api';
+import {
+  cellKey, makeCommand, applyCells, rollbackCells, sameEntry, changeRows, moveRequest, persistCells, replayCommand,
+} from './scheduleHistory';
+
+jest.mock('./api', () => ({
+  scheduleAPI: { save: jest.fn(), delete: jest.fn(), move: jest.fn(), batch: jest.fn() },
+  groupsAPI:   { add: jest.fn(), delete: jest.fn() },
+}));
+
+const cls = (group, time, course) => ({ group, day: 'Monday', time, course, teacher: 'Dr. A', room: 'B110', subjectType: 'lecture', duration: 1 });
+
+const math    = cls('COMSE-25', '08:00-08:40', 'Math');
+const physics = cls('COMSE-25', '08:00-08:40', 'Physics');
+const KEY     = cellKey('COMSE-25', 'Monday', '08:00-08:40');
+
+// What the api clients reject with when the server refuses the session
+const refused = Object.assign(new Error('Auth failed'), { status: 401, auth: true });
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('makeCommand', () => {
+  it('drops cells that are empty on both sides', () => {
+    const command = makeCommand('historyEdit', [{ key: KEY, before: math, after: physics }, { key: 'x', before: null, after: null }]);
+    expect(command.cells).toHaveLength(1);
+    expect(command.removedGroups).toEqual([]);
+    expect(command).not.toHaveProperty('moves');
+  });
+});
+
+describe('applyCells / rollbackCells', () => {
+  const command = makeCommand('historyEdit', [{ key: KEY, before: math, after: physics }]);
+
+  it('applies either side of a command', () => {
+    const after = applyCells({ [KEY]: math }, command.cells, 'after');
+    expect(after[KEY]).toBe(physics);
+    expect(applyCells(after, command.cells, 'before')[KEY]).toBe(math);
+  });
+
+  it('removes cells whose side is empty', () => {
+    const added = makeCommand('historyAdd', [{ key: KEY, before: null, after: math }]);
+    expect(applyCells({ [KEY]: math }, added.cells, 'before')).toEqual({});
+  });
+
+  it('rolls back only cells nobody has changed since', () => {
+    const optimistic = applyCells({ [KEY]: math }, command.cells, 'after');
+    expect(rollbackCells(optimistic, command.cells)[KEY]).toBe(math);
+    const later = { ...physics, room: 'B201' };
+    expect(rollbackCells({ [KEY]: later }, command.cells)[KEY]).toBe(later);
+  });
+});
+
+describe('sameEntry', () => {
+  it('compares classes by content', () => {
+    expect(sameEntry(math, { ...math })).toBe(true);
+    expect(sameEntry(math, physics)).toBe(false);
+    expect(sameEntry(math, { ...math, duration: 2 })).toBe(false);
+    expect(sameEntry(null, undefined)).toBe(true);
+    expect(sameEntry(math, null)).toBe(false);
+  });
+
+  it('ignores the order of joint attendees', () => {
+    expect(sameEntry({ ...math, groups: ['A', 'B'] }, { ...math, groups: ['B', 'A'] })).toBe(true);
+  });
+
+  it('compares the classes sharing the cell', () => {
+    const even = { course: 'Art', recurrence: { type: 'even' } };
+    expect(sameEntry({ ...math, alternates: [even] }, { ...math, alternates: [{ ...even }] })).toBe(true);
+    expect(sameEntry({ ...math, alternates: [even] }, math)).toBe(false);
+    expect(sameEntry({ ...math, alternates: [even] }, { ...math, alternates: [{ ...even, room: 'B201' }] })).toBe(false);
+  });
+});
+
+describe('changeRows', () => {
+  it('describes each cell towards the requested side', () => {
+    const cells = [{ key: KEY, before: math, after: null }];
+    expect(changeRows(cells)).toEqual([{ group: 'COMSE-25', day: 'Monday', time: '08:00-08:40', before: math, after: null }]);
+    expect(changeRows(cells, 'before')[0]).toMatchObject({ before: null, after: math });
+  });
+});
+
+describe('moveRequest', () => {
+  const from = { group: 'COMSE-25', day: 'Monday', time: '08:00-08:40' };
+  const to   = { group: 'COMSE-25', day: 'Monday', time: '08:45-09:25' };
+  const moved = { ...math, time: to.time };
+  const command = makeCommand('historyMove', [
+    { key: cellKey(from.group, from.day, from.time), before: math, after: null },
+    { key: cellKey(to.group, to.day, to.time), before: null, after: moved },
+  ], [], [{ from, to }]);
+
+  it('moves the class forwards on redo and back on undo', () => {
+    expect(moveRequest(command, 'after')).toEqual([{ from, to, entry: moved, swap: null }]);
+    expect(moveRequest(command, 'before')).toEqual([{ from: to, to: from, entry: math, swap: null }]);
+  });
+});
+
+describe('persistCells', () => {
+  const cells = [
+    { key: KEY, before: math, after: physics },
+    { key: 'other', before: cls('COMSE-24', '08:00-08:40', 'Art'), after: null },
+  ];
+
+  it('rejects on a refused save and sends no deletes after it', async () => {
+    scheduleAPI.save.mockRejectedValueOnce(refused);
+    await expect(persistCells(cells, 'after')).rejects.toThrow('Auth failed');
+    expect(scheduleAPI.delete).not.toHaveBeenCalled();
+  });
+
+  it('rejects on a failed delete', async () => {
+    scheduleAPI.delete.mockRejectedValueOnce(new Error('Request failed: 500'));
+    await expect(persistCells(cells, 'after')).rejects.toThrow('500');
+    expect(scheduleAPI.save).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('replayCommand', () => {
+  it('saves and deletes cells one by one for a plain command', async () => {
+    const command = makeCommand('historyEdit', [
+      { key: KEY, before: math, after: physics },
+      { key: 'other', before: cls('COMSE-24', '08:00-08:40', 'Art'), after: null },
+    ]);
+    await replayCommand(command, 'after');
+    expect(scheduleAPI.save).toHaveBeenCalledTimes(1);
+    expect(scheduleAPI.save.mock.calls[0][3]).toBe('Physics');
+    expect(scheduleAPI.delete).toHaveBeenCalledWith('COMSE-24', 'Monday', '08:00-08:40', undefined);
+
+    jest.clearAllMocks();
+    await replayCommand(command, 'before');
+    expect(scheduleAPI.save).toHaveBeenCalledTimes(2);
+    expect(scheduleAPI.save.mock.calls.map(c => c[3])).toEqual(['Math', 'Art']);
+    expect(scheduleAPI.delete).not.toHaveBeenCalled();
+  });
+
+  it('sends a batch command as one batch call', async () => {
+    const command = { ...makeCommand('historyClear', [{ key: KEY, before: math, after: null }]), batch: true };
+    await replayCommand(command, 'before');
+    expect(scheduleAPI.batch).toHaveBeenCalledWith([expect.objectContaining({ before: null, after: math })], undefined);
+    expect(scheduleAPI.save).not.toHaveBeenCalled();
+  });
+
+  it('sends a move command as one move call', async () => {
+    const to = { group: 'COMSE-25', day: 'Tuesday', time: '08:00-08:40' };
+    const command = makeCommand('historyMove', [
+      { key: KEY, before: math, after: null },
+      { key: cellKey(to.group, to.day, to.time), before: null, after: { ...math, day: 'Tuesday' } },
+    ], [], [{ from: { group: 'COMSE-25', day: 'Monday', time: '08:00-08:40' }, to }]);
+    await replayCommand(command, 'after');
+    expect(scheduleAPI.move).toHaveBeenCalledTimes(1);
+    expect(scheduleAPI.save).not.toHaveBeenCalled();
+  });
+
+  it('re-creates removed groups before restoring them and deletes them after clearing', async () => {
+    const command = makeCommand('historyDeleteGroup', [{ key: KEY, before: math, after: null }], [{ name: 'COMSE-25', index: 0 }]);
+    await replayCommand(command, 'after', '7');
+    expect(scheduleAPI.delete).toHaveBeenCalledWith('COMSE-25', 'Monday', '08:00-08:40', '7');
+    expect(groupsAPI.delete).toHaveBeenCalledWith('COMSE-25', '7');
+
+    jest.clearAllMocks();
+    await replayCommand(command, 'before', '7');
+    expect(groupsAPI.add).toHaveBeenCalledWith('COMSE-25', '7');
+    expect(groupsAPI.add.mock.invocationCallOrder[0]).toBeLessThan(scheduleAPI.save.mock.invocationCallOrder[0]);
+    expect(groupsAPI.delete).not.toHaveBeenCalled();
+  });
+
+  it('rejects when the server refuses a write', async () => {
+    scheduleAPI.batch.mockRejectedValueOnce(refused);
+    const command = { ...makeCommand('historyClear', [{ key: KEY, before: math, after: null }]), batch: true };
+    await expect(replayCommand(command, 'after')).rejects.toThrow('Auth failed');
+
+    scheduleAPI.delete.mockRejectedValueOnce(refused);
+    await expect(replayCommand(makeCommand('historyDelete', [{ key: KEY, before: math, after: null }]), 'after')).rejects.toThrow('Auth failed');
+  });
+});
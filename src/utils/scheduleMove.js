@@ -0,0 +1,75 @@
+// src/utils/scheduleMove.js — drag-and-drop moves and swaps of classes, sent
+// to the server as one atomic operation (scheduleAPI.move).
+//
+// Move:
+//   { from: { group, day, time }, to: { group, day, time } }
+// A joint class moves with all its copies, one move per copy. Whatever sits
+// at `to` swaps into `from`. Every class involved must fit: all periods of
+// its duration free for its group at its new place, inside the day's grid.
+import { cellKey, applyCells } from './scheduleHistory';
+import { attendees, isJoint, normalizeGroups, sameEvent } from './jointClasses';
+
+// Periods a class takes, capped like the timetable draws it
+export const periodsOf = (entry) => Math.min(6, Math.max(1, parseInt(entry?.duration, 10) || 1));
+
+// Slots a class of `periods` starting at `time` covers; null when it runs
+// past the last period. A slot the grid no longer has counts on its own.
+export const spanSlots = (time, periods, timeSlots) => {
+  const idx = timeSlots.indexOf(time);
+  if (idx < 0) return [time];
+  return idx + periods > timeSlots.length ? null : timeSlots.slice(idx, idx + periods);
+};
+
+// Why the class in cell `key` of `schedule` doesn't fit there — an i18n key
+// with its parameters — or null when it does
+const misfit = (schedule, key, timeSlots) => {
+  const e = schedule[key];
+  const slots = spanSlots(e.time, periodsOf(e), timeSlots);
+  if (!slots) return { error: 'moveNoRoom', params: { course: e.course } };
+  const clash = Object.entries(schedule).find(([k, o]) => k !== key && o.group === e.group && o.day === e.day &&
+    (spanSlots(o.time, periodsOf(o), timeSlots) || [o.time]).some(s => slots.includes(s)));
+  return clash ? { error: 'moveSpanTaken', params: { group: e.group, course: clash[1].course, time: clash[1].time } } : null;
+};
+
+// The command cells and moves that take the class at `from` to `to`:
+// { labelKey, cells, moves } or { error, params }. Dropped on any attendee's
+// row a joint class changes time for every group; dropped on another group's
+// row, that group takes the dragged group's place.
+export const planMove = (schedule, from, to, timeSlots) => {
+  const fromData = schedule[cellKey(from.group, from.day, from.time)];
+  if (!fromData) return { labelKey: 'historyMove', cells: [], moves: [] };
+  const fromGroups = attendees(fromData);
+  const toGroups   = fromGroups.includes(to.group) ? fromGroups : fromGroups.map(g => (g === from.group ? to.group : g));
+  const pairs = fromGroups.map((g, i) => [cellKey(g, from.day, from.time), cellKey(toGroups[i], to.day, to.time), g, toGroups[i]]);
+  const occupants = pairs.map(([, toKey]) => schedule[toKey] || null)
+    .filter(e => e && !(e === fromData || sameEvent(e, fromData)));
+  // Splitting another joint class across rows would leave its copies disagreeing
+  if (fromGroups.length > 1 ? occupants.length : occupants.some(isJoint)) return { error: 'jointMoveBlocked' };
+
+  const after = {};
+  pairs.forEach(([fromKey]) => { after[fromKey] = null; });
+  pairs.forEach(([fromKey, toKey, g]) => {
+    const toData = schedule[toKey];
+    if (toData && !(toData === fromData || sameEvent(toData, fromData))) after[fromKey] = { ...toData, group: g, day: from.day, time: from.time };
+  });
+  const swapped   = pairs.some(([fromKey]) => after[fromKey]);
+  const groupList = normalizeGroups(toGroups[0], toGroups);
+  pairs.forEach(([, toKey, , g]) => {
+    after[toKey] = { ...fromData, group: g, day: to.day, time: to.time, ...(groupList ? { groups: groupList } : {}) };
+  });
+
+  const cells = Object.entries(after).map(([key, value]) => ({ key, before: schedule[key] || null, after: value }));
+  const next  = applyCells(schedule, cells, 'after');
+  for (const key of Object.keys(after).filter(k => after[k])) {
+    const problem = misfit(next, key, timeSlots);
+    if (problem) return problem;
+  }
+  return {
+    labelKey: swapped ? 'historySwap' : 'historyMove',
+    cells,
+    moves: pairs.map(([, , g, tg]) => ({
+      from: { group: g,  day: from.day, time: from.time },
+      to:   { group: tg, day: to.day,   time: to.time },
+    })),
+  };
+};
@@ -0,0 +1,101 @@
+import { periodsOf, spanSlots, planMove } from './scheduleMove';
+import { applyCells } from './scheduleHistory';
+import { cls, mapOf } from './testFixtures';
+
+const SLOTS = ['08:00-08:40', '08:45-09:25', '09:30-10:10', '10:15-10:55'];
+const at = (group, day, time) => ({ group, day, time });
+
+describe('periodsOf / spanSlots', () => {
+  it('caps durations the way the grid draws them', () => {
+    expect(periodsOf({ duration: '3' })).toBe(3);
+    expect(periodsOf({ duration: 0 })).toBe(1);
+    expect(periodsOf({ duration: 9 })).toBe(6);
+  });
+
+  it('lists the slots a class covers, or null past the last period', () => {
+    expect(spanSlots(SLOTS[1], 2, SLOTS)).toEqual([SLOTS[1], SLOTS[2]]);
+    expect(spanSlots(SLOTS[3], 2, SLOTS)).toBeNull();
+    expect(spanSlots('13:10-13:55', 2, SLOTS)).toEqual(['13:10-13:55']);
+  });
+});
+
+describe('planMove', () => {
+  it('moves a class into a free cell', () => {
+    const math = cls('A', 'Monday', SLOTS[0]);
+    const schedule = mapOf(math);
+    const plan = planMove(schedule, at('A', 'Monday', SLOTS[0]), at('A', 'Tuesday', SLOTS[2]), SLOTS);
+    expect(plan.labelKey).toBe('historyMove');
+    expect(plan.moves).toEqual([{ from: at('A', 'Monday', SLOTS[0]), to: at('A', 'Tuesday', SLOTS[2]) }]);
+    expect(applyCells(schedule, plan.cells, 'after')).toEqual({ [`A-Tuesday-${SLOTS[2]}`]: { ...math, day: 'Tuesday', time: SLOTS[2] } });
+  });
+
+  it('swaps with the class at the target', () => {
+    const math = cls('A', 'Monday', SLOTS[0]);
+    const art  = cls('A', 'Monday', SLOTS[2], { course: 'Art' });
+    const plan = planMove(mapOf(math, art), at('A', 'Monday', SLOTS[0]), at('A', 'Monday', SLOTS[2]), SLOTS);
+    const next = applyCells(mapOf(math, art), plan.cells, 'after');
+    expect(plan.labelKey).toBe('historySwap');
+    expect(next[`A-Monday-${SLOTS[0]}`].course).toBe('Art');
+    expect(next[`A-Monday-${SLOTS[2]}`].course).toBe('Math');
+  });
+
+  it('refuses a class whose duration runs past the last period', () => {
+    const lab = cls('A', 'Monday', SLOTS[0], { course: 'Lab', duration: 2 });
+    expect(planMove(mapOf(lab), at('A', 'Monday', SLOTS[0]), at('A', 'Monday', SLOTS[3]), SLOTS))
+      .toEqual({ error: 'moveNoRoom', params: { course: 'Lab' } });
+  });
+
+  it('refuses a class whose later periods are taken', () => {
+    const lab  = cls('A', 'Monday', SLOTS[0], { course: 'Lab', duration: 2 });
+    const art  = cls('A', 'Tuesday', SLOTS[1], { course: 'Art' });
+    expect(planMove(mapOf(lab, art), at('A', 'Monday', SLOTS[0]), at('A', 'Tuesday', SLOTS[0]), SLOTS))
+      .toEqual({ error: 'moveSpanTaken', params: { group: 'A', course: 'Art', time: SLOTS[1] } });
+  });
+
+  it('refuses a target covered by a longer class starting earlier', () => {
+    const math = cls('A', 'Monday', SLOTS[3]);
+    const lab  = cls('A', 'Tuesday', SLOTS[0], { course: 'Lab', duration: 3 });
+    expect(planMove(mapOf(math, lab), at('A', 'Monday', SLOTS[3]), at('A', 'Tuesday', SLOTS[1]), SLOTS))
+      .toMatchObject({ error: 'moveSpanTaken', params: { course: 'Lab' } });
+  });
+
+  it('lets a long class move within its own span', () => {
+    const lab = cls('A', 'Monday', SLOTS[0], { course: 'Lab', duration: 2 });
+    const plan = planMove(mapOf(lab), at('A', 'Monday', SLOTS[0]), at('A', 'Monday', SLOTS[1]), SLOTS);
+    expect(plan.error).toBeUndefined();
+    expect(Object.keys(applyCells(mapOf(lab), plan.cells, 'after'))).toEqual([`A-Monday-${SLOTS[1]}`]);
+  });
+
+  it('checks the swapped class too', () => {
+    const math = cls('A', 'Monday', SLOTS[3]);
+    const lab  = cls('A', 'Monday', SLOTS[0], { course: 'Lab', duration: 2 });
+    expect(planMove(mapOf(math, lab), at('A', 'Monday', SLOTS[3]), at('A', 'Monday', SLOTS[0]), SLOTS))
+      .toEqual({ error: 'moveNoRoom', params: { course: 'Lab' } });
+  });
+
+  it('moves every copy of a joint class', () => {
+    const copies = ['A', 'B'].map(g => cls(g, 'Monday', SLOTS[0], { groups: ['A', 'B'] }));
+    const plan = planMove(mapOf(...copies), at('B', 'Monday', SLOTS[0]), at('B', 'Monday', SLOTS[1]), SLOTS);
+    expect(plan.moves.map(m => m.to)).toEqual([at('A', 'Monday', SLOTS[1]), at('B', 'Monday', SLOTS[1])]);
+  });
+
+  it('hands a joint class to the group it is dropped on', () => {
+    const copies = ['A', 'B'].map(g => cls(g, 'Monday', SLOTS[0], { groups: ['A', 'B'] }));
+    const plan = planMove(mapOf(...copies), at('A', 'Monday', SLOTS[0]), at('C', 'Monday', SLOTS[0]), SLOTS);
+    const next = applyCells(mapOf(...copies), plan.cells, 'after');
+    expect(Object.keys(next).sort()).toEqual([`B-Monday-${SLOTS[0]}`, `C-Monday-${SLOTS[0]}`]);
+    expect(next[`C-Monday-${SLOTS[0]}`].groups).toEqual(['C', 'B']);
+  });
+
+  it('never splits a joint class by swapping it', () => {
+    const copies = ['B', 'C'].map(g => cls(g, 'Monday', SLOTS[1], { groups: ['B', 'C'] }));
+    const math   = cls('B', 'Monday', SLOTS[0]);
+    expect(planMove(mapOf(math, ...copies), at('B', 'Monday', SLOTS[0]), at('B', 'Monday', SLOTS[1]), SLOTS))
+      .toEqual({ error: 'jointMoveBlocked' });
+  });
+
+  it('plans nothing for an empty source cell', () => {
+    expect(planMove({}, at('A', 'Monday', SLOTS[0]), at('A', 'Monday', SLOTS[1]), SLOTS))
+      .toEqual({ labelKey: 'historyMove', cells: [], moves: [] });
+  });
+});
@@ -0,0 +1,168 @@
+// src/utils/schemas.js — JSON Schemas for the rows the app reads from the
+// backend and from imported files, checked with ajv.
+//
+// checkRows(kind, rows, options) → { valid, rejected }
+//   kind      'entry' | 'tsvRow' | 'group' | 'exam' | 'booking' | 'feedback'
+//   rejected  [{ index, row, reasons: ['duration: must be >= 1', …] }]
+// Rows are checked one at a time, so one bad row never takes the good ones
+// with it. Classes coming from the server may sit under a time label the grid
+// no longer has (see utils/timeGrid); only imports pass `timeSlots` and `days`
+// to hold them to the current grid.
+import Ajv from 'ajv';
+import { WEEK_DAYS } from './timeGrid';
+import { SUBJECT_TYPES } from '../data/i18n';
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+const text     = { type: 'string', pattern: '\\S' };
+const optional = { type: ['string', 'null'] };
+const id       = { type: ['integer', 'string'] };
+const clock    = { type: 'string', pattern: '^\\d{1,2}:\\d{2}' };
+
+const entry = {
+  type: 'object',
+  required: ['group', 'day', 'time', 'course'],
+  properties: {
+    group:       text,
+    day:         { enum: WEEK_DAYS },
+    time:        { type: 'string', pattern: '^\\d{1,2}:\\d{2}-\\d{1,2}:\\d{2}$' },
+    course:      text,
+    teacher:     optional,
+    room:        optional,
+    meetingLink: optional,
+    subjectType: { enum: [...SUBJECT_TYPES.map(s => s.value), null] },
+    // Forms have sent it as a string; a period count either way, null for one
+    duration:    { type: ['integer', 'string', 'null'], minimum: 1, maximum: 6, pattern: '^[1-6]$' },
+    groups:      { type: 'array', items: text, minItems: 2, uniqueItems: true },
+    // Classes sharing the cell in other weeks (utils/recurrence)
+    alternates:  { type: 'array', items: { type: 'object', required: ['course'], properties: { course: text } } },
+  },
+};
+
+export const SCHEMAS = {
+  entry,
+  // A class read from pasted text: the paste target decides its group
+  tsvRow: { ...entry, required: ['day', 'time', 'course'] },
+  // /groups lists names, or rows naming them
+  group: {
+    anyOf: [
+      text,
+      { type: 'object', required: ['name'], properties: { name: text } },
+      { type: 'object', required: ['group_name'], properties: { group_name: text } },
+    ],
+  },
+  exam: {
+    type: 'object',
+    required: ['id', 'subject', 'exam_date', 'start_time', 'room'],
+    properties: {
+      id,
+      subject:     text,
+      exam_date:   { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}' },
+      start_time:  clock,
+      duration:    { type: ['integer', 'string'], minimum: 1, pattern: '^\\d+$' },
+      room:        text,
+      teacher:     optional,
+      notes:       optional,
+      group_names: { type: ['array', 'null'], items: text },
+    },
+  },
+  booking: {
+    type: 'object',
+    required: ['id', 'status', 'room', 'day', 'start_time', 'end_time'],
+    properties: {
+      id,
+      status:     { enum: ['pending', 'approved', 'rejected'] },
+      room:       text,
+      day:        { enum: WEEK_DAYS },
+      start_time: clock,
+      end_time:   clock,
+      name:       optional,
+      email:      optional,
+      purpose:    optional,
+    },
+  },
+  feedback: {
+    type: 'object',
+    required: ['id', 'message', 'status'],
+    properties: {
+      id,
+      message:    text,
+      status:     { enum: ['new', 'read', 'resolved'] },
+      category:   optional,
+      subject:    optional,
+      created_at: optional,
+    },
+  },
+};
+
+const compiled = {};
+
+// The validator for `kind`; imports of classes also get the grid's own slots and days
+const validatorFor = (kind, { timeSlots, days } = {}) => {
+  const grid = (kind === 'entry' || kind === 'tsvRow') && (timeSlots || days);
+  const key  = grid ? `${kind}:${JSON.stringify([timeSlots, days])}` : kind;
+  if (!compiled[key]) {
+    compiled[key] = ajv.compile(grid
+      ? { allOf: [SCHEMAS[kind], { type: 'object', properties: {
+          ...(timeSlots ? { time: { enum: timeSlots } } : {}),
+          ...(days ? { day: { enum: days } } : {}),
+        } }] }
+      : SCHEMAS[kind]);
+  }
+  return compiled[key];
+};
+
+const LIST_LIMIT = 8;
+
+// One line per problem: the field, then what is wrong with it
+const describe = (err, row) => {
+  const path  = err.instancePath.slice(1).split('/').filter(Boolean);
+  const value = path.reduce((v, p) => v?.[p], row);
+  const field = err.keyword === 'required' ? err.params.missingProperty : path.join('.') || 'row';
+  switch (err.keyword) {
+    case 'required': return `${field}: missing`;
+    case 'pattern':  return `${field}: ${String(value).trim() ? `“${value}” is not in the expected format` : 'empty'}`;
+    case 'enum': {
+      const allowed = err.params.allowedValues.filter(v => v !== null);
+      return `${field}: “${value}” is not one of ${allowed.length > LIST_LIMIT ? `the ${allowed.length} allowed values` : allowed.join(', ')}`;
+    }
+    default: return `${field}: ${err.message}`;
+  }
+};
+
+// The first problem of each field; allOf / anyOf add a summary error on top
+// of the real ones
+const reasonsOf = (errors, row) => {
+  const byField = new Map();
+  errors.filter(err => !['anyOf', 'allOf', 'if'].includes(err.keyword)).forEach(err => {
+    const field = err.keyword === 'required' ? err.params.missingProperty : err.instancePath;
+    if (!byField.has(field)) byField.set(field, describe(err, row));
+  });
+  return [...byField.values()];
+};
+
+export const checkRows = (kind, rows, options) => {
+  const validate = validatorFor(kind, options);
+  const valid = [], rejected = [];
+  (rows || []).forEach((row, index) => {
+    if (validate(row)) valid.push(row);
+    else rejected.push({ index, row, reasons: reasonsOf(validate.errors || [], row) });
+  });
+  return { valid, rejected };
+};
+
+// A schedule map checked entry by entry; an entry filed under another cell's
+// key is rejected too, it would be drawn in the wrong place
+export const checkSchedule = (schedule, options) => {
+  const keys = Object.keys(schedule || {});
+  const { rejected } = checkRows('entry', keys.map(k => schedule[k]), options);
+  const bad = new Map(rejected.map(r => [keys[r.index], { ...r, key: keys[r.index] }]));
+  keys.forEach((key, index) => {
+    const e = schedule[key];
+    if (bad.has(key) || key === `${e.group}-${e.day}-${e.time}`) return;
+    bad.set(key, { index, key, row: e, reasons: [`key: “${key}” does not match the class's group, day and time`] });
+  });
+  const valid = {};
+  keys.forEach(key => { if (!bad.has(key)) valid[key] = schedule[key]; });
+  return { valid, rejected: [...bad.values()].sort((a, b) => a.index - b.index) };
+};
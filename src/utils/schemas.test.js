@@ -0,0 +1,91 @@
+import { checkRows, checkSchedule } from './schemas';
+
+const SLOTS = ['08:00-08:40', '08:45-09:25'];
+const math = { group: 'COMSE-25', day: 'Monday', time: '08:00-08:40', course: 'Math', teacher: 'Dr. A', room: 'B110', subjectType: 'lecture', duration: 1 };
+
+describe('entry rows', () => {
+  it('accepts complete classes, durations sent as text included', () => {
+    const { valid, rejected } = checkRows('entry', [math, { ...math, duration: '2' }, { ...math, teacher: null, duration: null }]);
+    expect(valid).toHaveLength(3);
+    expect(rejected).toEqual([]);
+  });
+
+  it('rejects bad rows with a reason per field and keeps the good ones', () => {
+    const bad = { ...math, day: 'Funday', course: '  ', duration: 7 };
+    const { valid, rejected } = checkRows('entry', [math, bad]);
+    expect(valid).toEqual([math]);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0]).toMatchObject({ index: 1, row: bad });
+    expect(rejected[0].reasons).toEqual([
+      expect.stringMatching(/^day: “Funday” is not one of/),
+      'course: empty',
+      expect.stringMatching(/^duration: /),
+    ]);
+  });
+
+  it('names missing fields', () => {
+    const { group, ...noGroup } = math;
+    expect(checkRows('entry', [noGroup]).rejected[0].reasons).toEqual(['group: missing']);
+  });
+
+  it('checks joint attendee lists and subject types', () => {
+    expect(checkRows('entry', [{ ...math, groups: ['COMSE-25'] }]).rejected).toHaveLength(1);
+    expect(checkRows('entry', [{ ...math, groups: ['COMSE-25', 'COMSE-24'] }]).rejected).toHaveLength(0);
+    expect(checkRows('entry', [{ ...math, subjectType: 'party' }]).rejected).toHaveLength(1);
+  });
+
+  it('holds imports to the current grid', () => {
+    const old = { ...math, time: '13:10-13:55' };
+    expect(checkRows('entry', [old]).valid).toEqual([old]);
+    const { rejected } = checkRows('entry', [old, { ...math, day: 'Sunday' }], { timeSlots: SLOTS, days: ['Monday'] });
+    expect(rejected.map(r => r.index)).toEqual([0, 1]);
+    expect(rejected[0].reasons).toEqual(['time: “13:10-13:55” is not one of 08:00-08:40, 08:45-09:25']);
+  });
+
+  it('lets pasted rows leave out the group', () => {
+    const { group, ...row } = math;
+    expect(checkRows('tsvRow', [row]).valid).toEqual([row]);
+  });
+});
+
+describe('checkSchedule', () => {
+  it('rejects entries filed under another cell key', () => {
+    const schedule = {
+      'COMSE-25-Monday-08:00-08:40': math,
+      'COMSE-25-Tuesday-08:00-08:40': math,
+      'COMSE-25-Monday-08:45-09:25': { ...math, time: '08:45-09:25', course: '' },
+    };
+    const { valid, rejected } = checkSchedule(schedule);
+    expect(Object.keys(valid)).toEqual(['COMSE-25-Monday-08:00-08:40']);
+    expect(rejected.map(r => r.key)).toEqual(['COMSE-25-Tuesday-08:00-08:40', 'COMSE-25-Monday-08:45-09:25']);
+    expect(rejected[0].reasons[0]).toMatch(/^key: /);
+  });
+});
+
+describe('other rows', () => {
+  it('accepts group names and group rows', () => {
+    const { valid, rejected } = checkRows('group', ['COMSE-25', { name: 'COMSE-24' }, { group_name: 'MATH-25' }, '', { id: 3 }]);
+    expect(valid).toHaveLength(3);
+    expect(rejected.map(r => r.index)).toEqual([3, 4]);
+  });
+
+  it('checks exams', () => {
+    const exam = { id: 1, subject: 'Math', exam_date: '2026-06-10', start_time: '09:00', duration: 90, room: 'B110', group_names: ['COMSE-25'] };
+    expect(checkRows('exam', [exam]).valid).toEqual([exam]);
+    expect(checkRows('exam', [{ ...exam, exam_date: '10.06.2026' }]).rejected[0].reasons)
+      .toEqual(['exam_date: “10.06.2026” is not in the expected format']);
+  });
+
+  it('checks bookings', () => {
+    const booking = { id: 'b1', status: 'pending', room: 'B110', day: 'Monday', start_time: '10:00', end_time: '11:00', name: 'Club' };
+    expect(checkRows('booking', [booking]).valid).toEqual([booking]);
+    expect(checkRows('booking', [{ ...booking, status: 'maybe' }]).rejected).toHaveLength(1);
+  });
+
+  it('checks feedback', () => {
+    const feedback = { id: 7, message: 'Room is cold', status: 'new', category: null };
+    expect(checkRows('feedback', [feedback]).valid).toEqual([feedback]);
+    const { id, ...noId } = feedback;
+    expect(checkRows('feedback', [noId]).rejected[0].reasons).toEqual(['id: missing']);
+  });
+});
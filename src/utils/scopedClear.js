@@ -0,0 +1,40 @@
+// src/utils/scopedClear.js — clearing part of the timetable.
+//
+// Scope:
+//   { department, groups, days, course }
+// Every part narrows what is cleared; an empty part ('' or null) means all.
+// A joint class is removed from the groups in scope only: the copies of the
+// other groups stay, with those groups dropped from their attendee list, the
+// way deleting a group leaves its joint classes on for the rest. Departments
+// are resolved through `groupIndex` (utils/groupRegistry indexGroups).
+import { cellKey } from './scheduleHistory';
+import { isJoint, normalizeGroups, sameEvent } from './jointClasses';
+
+export const inClearScope = (e, { department = '', groups = null, days = null, course = '' } = {}, groupIndex) =>
+  (!department || groupIndex.departmentOf(e.group) === department) &&
+  (!groups || groups.includes(e.group)) &&
+  (!days || days.includes(e.day)) &&
+  (!course || (e.course || '').trim() === course);
+
+// True when nothing narrows the scope — the whole timetable would go
+export const clearsEverything = ({ department = '', groups = null, days = null, course = '' } = {}) =>
+  !department && !groups && !days && !course;
+
+// Command cells (utils/scheduleHistory) that clear `scope`: deletions of the
+// classes in it, and updates of joint copies outside it
+export const planClear = (schedule, scope, groupIndex) => {
+  const cleared = new Set(Object.keys(schedule).filter(key => inClearScope(schedule[key], scope, groupIndex)));
+  const cells = [...cleared].map(key => ({ key, before: schedule[key], after: null }));
+  Object.entries(schedule).forEach(([key, e]) => {
+    if (cleared.has(key) || !isJoint(e)) return;
+    const gone = e.groups.filter(g => {
+      const k = cellKey(g, e.day, e.time);
+      return cleared.has(k) && sameEvent(schedule[k], e);
+    });
+    if (!gone.length) return;
+    const rest = normalizeGroups(e.group, e.groups.filter(g => !gone.includes(g)));
+    const { groups, ...single } = e;
+    cells.push({ key, before: e, after: rest ? { ...e, groups: rest } : single });
+  });
+  return { cells };
+};
@@ -0,0 +1,50 @@
+import { inClearScope, clearsEverything, planClear } from './scopedClear';
+import { indexGroups } from './groupRegistry';
+import { applyCells } from './scheduleHistory';
+import { cls, key, mapOf } from './testFixtures';
+
+const groupIndex = indexGroups([], [{ id: 'cs', prefixes: ['COM'] }, { id: 'math', prefixes: ['MATH'] }]);
+const cs      = cls('COMSE-25', 'Monday', '08:00-08:40');
+const csTue   = cls('COMSE-25', 'Tuesday', '08:00-08:40', { course: 'Art' });
+const mathMon = cls('MATH-25', 'Monday', '08:45-09:25');
+const joint   = ['COMSE-25', 'MATH-25', 'MATH-24'].map(g => cls(g, 'Friday', '08:00-08:40', { course: 'History', groups: ['COMSE-25', 'MATH-25', 'MATH-24'] }));
+const schedule = mapOf(cs, csTue, mathMon, ...joint);
+
+describe('scope', () => {
+  it('narrows by department, groups, days and course', () => {
+    expect(inClearScope(cs, { department: 'cs' }, groupIndex)).toBe(true);
+    expect(inClearScope(mathMon, { department: 'cs' }, groupIndex)).toBe(false);
+    expect(inClearScope(cs, { days: ['Tuesday'] }, groupIndex)).toBe(false);
+    expect(inClearScope(csTue, { groups: ['COMSE-25'], course: 'Art' }, groupIndex)).toBe(true);
+    expect(inClearScope(cs, { course: 'Art' }, groupIndex)).toBe(false);
+  });
+
+  it('knows when nothing narrows it', () => {
+    expect(clearsEverything({})).toBe(true);
+    expect(clearsEverything({ department: '', groups: null, days: null, course: '' })).toBe(true);
+    expect(clearsEverything({ days: ['Monday'] })).toBe(false);
+  });
+});
+
+describe('planClear', () => {
+  it('deletes the classes in scope', () => {
+    const { cells } = planClear(schedule, { days: ['Monday'] }, groupIndex);
+    expect(cells).toEqual([{ key: key(cs), before: cs, after: null }, { key: key(mathMon), before: mathMon, after: null }]);
+  });
+
+  it('keeps joint copies outside the scope, without the cleared groups', () => {
+    const next = applyCells(schedule, planClear(schedule, { department: 'cs' }, groupIndex).cells, 'after');
+    expect(Object.keys(next).sort()).toEqual([key(mathMon), key(joint[2]), key(joint[1])].sort());
+    expect(next[key(joint[1])].groups).toEqual(['MATH-25', 'MATH-24']);
+  });
+
+  it('turns a joint class left with one group into a single-group class', () => {
+    const next = applyCells(schedule, planClear(schedule, { groups: ['COMSE-25', 'MATH-24'] }, groupIndex).cells, 'after');
+    expect(next[key(joint[1])]).not.toHaveProperty('groups');
+    expect(next[key(joint[1])].course).toBe('History');
+  });
+
+  it('plans nothing for an empty scope match', () => {
+    expect(planClear(schedule, { course: 'Chemistry' }, groupIndex)).toEqual({ cells: [] });
+  });
+});
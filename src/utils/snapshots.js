@@ -0,0 +1,44 @@
+// src/utils/snapshots.js — named copies of the timetable, compared with and
+// restored onto the live one.
+//
+// Snapshot:
+//   { id, name, author, createdAt, groups: ['COMSE-25', …], schedule: { cellKey: entry } }
+// Snapshots belong to a term and are taken of the whole timetable; restoring
+// can be limited to some groups and days.
+import { sameEntry } from './scheduleHistory';
+import { changedFields } from './auditLog';
+
+// Number of classes in a snapshot, also when the list left the bodies out
+export const snapshotSize = (snap) =>
+  snap?.schedule ? Object.keys(snap.schedule).length : Number(snap?.size ?? snap?.count) || 0;
+
+// Cell-by-cell difference between a snapshot and the live timetable:
+// [{ key, status, snapshot, live, fields }] where status is 'added' (only
+// live has it), 'removed' (only the snapshot has it) or 'changed', and
+// `fields` lists what differs as [{ field, from, to }]
+export const diffSchedules = (snapshot, live) => {
+  const keys = [...new Set([...Object.keys(snapshot), ...Object.keys(live)])];
+  return keys
+    .filter(key => !sameEntry(snapshot[key], live[key]))
+    .map(key => {
+      const was = snapshot[key] || null, now = live[key] || null;
+      return {
+        key,
+        status: !was ? 'added' : !now ? 'removed' : 'changed',
+        snapshot: was,
+        live: now,
+        fields: changedFields({ before: was, after: now }),
+      };
+    });
+};
+
+// Diff rows inside a restore scope; null groups / days means all of them
+export const inScope = (row, { groups = null, days = null } = {}) => {
+  const e = row.snapshot || row.live;
+  return (!groups || groups.includes(e.group)) && (!days || days.includes(e.day));
+};
+
+// Cell changes that put the scoped part of the timetable back the way the
+// snapshot had it — the `cells` of an undoable command (utils/scheduleHistory)
+export const restoreCells = (diff, scope) =>
+  diff.filter(row => inScope(row, scope)).map(row => ({ key: row.key, before: row.live, after: row.snapshot }));
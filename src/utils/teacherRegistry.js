@@ -0,0 +1,88 @@
+// src/utils/teacherRegistry.js — canonical teacher names, their spelling
+// variants, and a fuzzy matcher for spotting new variants in the schedule.
+//
+// Registry entry: { name, aliases: [], title, department, email, phone }
+// `name` is what the timetable shows; `aliases` are the other spellings found
+// in imported sheets. normalizeTeacherName looks names up in an index of the
+// registry, so editing the registry takes effect without a code change.
+
+const TITLE_RE = /^(dr|mr|ms|mrs|prof)\.?\s+/i;
+
+// "Dr. Daniyar  Satybaldiev" → "daniyar satybaldiev" — ignores title and punctuation
+export const looseKey = (name) =>
+  String(name || '').toLowerCase().replace(TITLE_RE, '').replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Lookups over one registry; ScheduleContext builds them as `teacherIndex`
+// whenever the registry changes and normalizeTeacherName resolves names
+// through them.
+export const indexTeachers = (teachers) => {
+  const exactIndex = new Map();   // lower-cased alias or name → canonical name
+  const looseIndex = new Map();   // looseKey → canonical name
+  (teachers || []).forEach(tc => {
+    if (!tc?.name) return;
+    [tc.name, ...(tc.aliases || [])].forEach(alias => {
+      const exact = String(alias).trim().toLowerCase();
+      if (exact && !exactIndex.has(exact)) exactIndex.set(exact, tc.name);
+      const loose = looseKey(alias);
+      if (loose && !looseIndex.has(loose)) looseIndex.set(loose, tc.name);
+    });
+  });
+
+  // Canonical name for an already cleaned-up teacher name, or null if unknown
+  const canonicalTeacher = (name) =>
+    exactIndex.get(String(name || '').trim().toLowerCase()) || looseIndex.get(looseKey(name)) || null;
+
+  return { canonicalTeacher };
+};
+
+// Teachers of a schedule entry as typed: the `teachers` list of a co-taught
+// class, or the single `teacher` field split on " / " — older rows wrote two
+// instructors into it as "Dr. X / Mr. Y". Names are not normalized here.
+export const CO_TEACHER_SEPARATOR = ' / ';
+export const splitTeachers = (entry) => {
+  if (Array.isArray(entry?.teachers) && entry.teachers.length) return entry.teachers.filter(Boolean);
+  return String(entry?.teacher || '').split(/\s+\/\s+/).map(s => s.trim()).filter(Boolean);
+};
+
+// ── Fuzzy matching ────────────────────────────────────────────────────────────
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+// 0…1, where 1 means the same name apart from title, case and punctuation
+export const nameSimilarity = (a, b) => {
+  const ka = looseKey(a), kb = looseKey(b);
+  if (!ka || !kb) return 0;
+  if (ka === kb) return 1;
+  // "Ms. Meerim" vs "Ms. Meerim Chukaeva": one name is the start of the other
+  if (ka.startsWith(`${kb} `) || kb.startsWith(`${ka} `)) return 0.85;
+  return 1 - levenshtein(ka, kb) / Math.max(ka.length, kb.length);
+};
+
+export const DUPLICATE_THRESHOLD = 0.8;
+
+// Groups names that probably belong to one teacher, e.g.
+// ["Dr. Daniyar Satybaldiev", "Dr. Daniar Satybaldiev"]. Names already
+// resolved to the same canonical teacher never show up together.
+export const findLikelyDuplicates = (names, threshold = DUPLICATE_THRESHOLD) => {
+  const list = [...new Set(names.filter(Boolean))];
+  const parent = list.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      if (nameSimilarity(list[i], list[j]) >= threshold) parent[find(i)] = find(j);
+    }
+  }
+  const clusters = {};
+  list.forEach((name, i) => { (clusters[find(i)] = clusters[find(i)] || []).push(name); });
+  return Object.values(clusters).filter(c => c.length > 1).map(c => c.sort());
+};
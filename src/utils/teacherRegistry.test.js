@@ -0,0 +1,57 @@
+import { looseKey, indexTeachers, splitTeachers, nameSimilarity, findLikelyDuplicates } from './teacherRegistry';
+
+const registry = [
+  { name: 'Dr. Daniyar Satybaldiev', aliases: ['Satybaldiev D.', 'Dr. Daniar Satybaldiev'] },
+  { name: 'Ms. Meerim Chukaeva', aliases: [] },
+];
+
+describe('canonicalTeacher', () => {
+  const { canonicalTeacher } = indexTeachers(registry);
+
+  it('resolves names and aliases whatever the case', () => {
+    expect(canonicalTeacher('dr. daniar satybaldiev')).toBe('Dr. Daniyar Satybaldiev');
+    expect(canonicalTeacher('  Satybaldiev D. ')).toBe('Dr. Daniyar Satybaldiev');
+  });
+
+  it('ignores titles, punctuation and spacing', () => {
+    expect(looseKey('Dr.  Daniyar, Satybaldiev')).toBe('daniyar satybaldiev');
+    expect(canonicalTeacher('Prof. Meerim   Chukaeva')).toBe('Ms. Meerim Chukaeva');
+  });
+
+  it('returns null for unknown names and works without a registry', () => {
+    expect(canonicalTeacher('Mr. Nobody')).toBeNull();
+    expect(indexTeachers(null).canonicalTeacher('Dr. A')).toBeNull();
+  });
+});
+
+describe('splitTeachers', () => {
+  it('reads the co-teacher list or the old "X / Y" field', () => {
+    expect(splitTeachers({ teacher: 'Dr. A / Ms. B', teachers: ['Dr. A', '', 'Ms. C'] })).toEqual(['Dr. A', 'Ms. C']);
+    expect(splitTeachers({ teacher: 'Dr. A / Ms. B' })).toEqual(['Dr. A', 'Ms. B']);
+    expect(splitTeachers({ teacher: '' })).toEqual([]);
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('scores one name spelled two ways high and different names low', () => {
+    expect(nameSimilarity('Dr. Meerim Chukaeva', 'meerim chukaeva')).toBe(1);
+    expect(nameSimilarity('Ms. Meerim', 'Ms. Meerim Chukaeva')).toBe(0.85);
+    expect(nameSimilarity('Dr. Daniyar Satybaldiev', 'Dr. Daniar Satybaldiev')).toBeGreaterThan(0.9);
+    expect(nameSimilarity('Dr. Daniyar Satybaldiev', 'Ms. Meerim Chukaeva')).toBeLessThan(0.5);
+    expect(nameSimilarity('', 'Dr. A')).toBe(0);
+  });
+});
+
+describe('findLikelyDuplicates', () => {
+  it('clusters the spellings of one teacher and leaves the rest out', () => {
+    const names = ['Dr. Daniyar Satybaldiev', 'Ms. Meerim', 'Dr. Daniar Satybaldiev', 'Mr. Asan Usenov', 'Ms. Meerim Chukaeva', '', 'Ms. Meerim'];
+    expect(findLikelyDuplicates(names)).toEqual([
+      ['Dr. Daniar Satybaldiev', 'Dr. Daniyar Satybaldiev'],
+      ['Ms. Meerim', 'Ms. Meerim Chukaeva'],
+    ]);
+  });
+
+  it('joins chains of close spellings into one cluster', () => {
+    expect(findLikelyDuplicates(['Aibek Tokt', 'Aibek Tokto', 'Aibek Toktog'], 0.9)).toEqual([['Aibek Tokt', 'Aibek Tokto', 'Aibek Toktog']]);
+  });
+});
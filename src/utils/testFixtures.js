@@ -0,0 +1,11 @@
+// src/utils/testFixtures.js — timetable fixtures shared by the utils tests.
+
+// A single-group lecture at one cell; `extra` overrides or adds fields
+export const cls = (group, day, time, extra = {}) =>
+  ({ group, day, time, course: 'Math', teacher: 'Dr. A', room: 'B110', subjectType: 'lecture', duration: 1, ...extra });
+
+// Cell key of an entry, as ScheduleContext files it
+export const key = (e) => `${e.group}-${e.day}-${e.time}`;
+
+// Schedule map holding `entries` under their cell keys
+export const mapOf = (...entries) => Object.fromEntries(entries.map(e => [key(e), e]));
@@ -0,0 +1,118 @@
+// src/utils/timeGrid.js — the weekly grid classes are placed in: teaching days,
+// periods and the breaks between them.
+//
+// Grid:
+//   { days: ['Monday', …], periods: [{ start: '08:00', end: '08:40' }, …],
+//     breaks: [{ start: '12:25', end: '13:10', lunch: true }, …] }
+// A timetable cell's `time` is its period's label, "08:00-08:40". Entries keep
+// that string, so after a period's times change its classes stay under the old
+// label until they are migrated onto the new grid (see matchSlot).
+
+export const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// "08:00" → 480; NaN when not a time
+export const toMinutes = (hhmm) => {
+  const m = /^(\d{1,2})[:.](\d{2})$/.exec(String(hhmm || '').trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+};
+
+export const fromMinutes = (mins) =>
+  `${String(Math.floor(mins / 60) % 24).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
+
+export const slotLabel = (p) => `${p.start}-${p.end}`;
+
+// "08:00-08:40" → { start: '08:00', end: '08:40' }
+const periodOf = (label) => {
+  const [start = '', end = ''] = String(label || '').split('-');
+  return { start, end };
+};
+
+// The helpers below take the grid's slot labels (ScheduleContext `timeSlots`)
+// rather than reading a grid of their own.
+
+// End time of a class of `duration` periods starting at slot `time`, taken
+// from the real period boundaries; the label's own end for unknown slots
+export const slotEnd = (time, duration = 1, slots = []) => {
+  const idx = slots.indexOf(time);
+  if (idx < 0) return periodOf(time).end;
+  return periodOf(slots[Math.min(idx + Math.max(1, duration) - 1, slots.length - 1)]).end;
+};
+
+// Teaching minutes of a class of `duration` periods starting at `time` —
+// the breaks in between don't count
+export const spanMinutes = (time, duration = 1, slots = []) => {
+  const idx = slots.indexOf(time);
+  const span = idx < 0 ? [] : slots.slice(idx, idx + Math.max(1, duration)).map(periodOf);
+  return span.reduce((sum, p) => sum + (toMinutes(p.end) - toMinutes(p.start)), 0);
+};
+
+// The slot of the current grid a time-range label from elsewhere (an older
+// grid, a spreadsheet header such as "13.10-13.55" or "14:45 - 15:25") stands
+// for: the period starting closest to it, within `tolerance` minutes.
+// Null when nothing is that close.
+export const matchSlot = (text, slots = [], tolerance = 15) => {
+  const start = toMinutes((/\d{1,2}[:.]\d{2}/.exec(String(text || '')) || [])[0]);
+  if (Number.isNaN(start)) return null;
+  let best = null, bestGap = tolerance + 1;
+  slots.forEach(label => {
+    const gap = Math.abs(toMinutes(periodOf(label).start) - start);
+    if (gap < bestGap) { best = label; bestGap = gap; }
+  });
+  return best;
+};
+
+// Breaks that start when period `time` ends
+export const breaksAfter = (grid, time) => {
+  const end = String(time || '').split('-')[1];
+  return (grid?.breaks || []).filter(b => b.start === end);
+};
+
+// i18n key of the first problem with `grid`, or '' when it can be saved
+export const validateGrid = (grid) => {
+  if (!grid.days?.length) return 'tgridNoDays';
+  if (!grid.periods?.length) return 'tgridNoPeriods';
+  const ranges = [
+    ...grid.periods.map(p => [toMinutes(p.start), toMinutes(p.end)]),
+    ...(grid.breaks || []).map(b => [toMinutes(b.start), toMinutes(b.end)]),
+  ];
+  if (ranges.some(([s, e]) => Number.isNaN(s) || Number.isNaN(e) || e <= s)) return 'tgridBadRange';
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  if (sorted.some(([s], i) => i > 0 && s < sorted[i - 1][1])) return 'tgridOverlap';
+  return '';
+};
+
+// Periods and breaks in time order, the way the grid editor lists them
+export const sortGrid = (grid) => ({
+  ...grid,
+  days:    WEEK_DAYS.filter(d => grid.days.includes(d)),
+  periods: [...grid.periods].sort((a, b) => toMinutes(a.start) - toMinutes(b.start)),
+  breaks:  [...(grid.breaks || [])].sort((a, b) => toMinutes(a.start) - toMinutes(b.start)),
+});
+
+// Classes sitting in slots the current grid doesn't have, by slot label:
+// { '13:10-13:55': [entry, …] }
+export const orphanedSlots = (schedule, slots) => {
+  const out = {};
+  Object.values(schedule).forEach(e => {
+    if (!e?.time || slots.includes(e.time)) return;
+    (out[e.time] = out[e.time] || []).push(e);
+  });
+  return out;
+};
+
+// What moving classes per `mapping` ({ oldLabel: newLabel }) does: `moves`
+// lists each class with its old and new cell key; `blocked` holds classes
+// whose new cell is already taken (or claimed by an earlier move)
+export const planSlotMigration = (schedule, mapping) => {
+  const moves = [], blocked = [];
+  const claimed = new Set();
+  Object.entries(schedule).forEach(([fromKey, entry]) => {
+    const to = mapping[entry.time];
+    if (!to || to === entry.time) return;
+    const toKey = `${entry.group}-${entry.day}-${to}`;
+    if (schedule[toKey] || claimed.has(toKey)) { blocked.push(entry); return; }
+    claimed.add(toKey);
+    moves.push({ fromKey, toKey, entry, to });
+  });
+  return { moves, blocked };
+};
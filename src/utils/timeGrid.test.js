@@ -0,0 +1,85 @@
+import { toMinutes, slotEnd, spanMinutes, matchSlot, validateGrid, sortGrid, orphanedSlots, planSlotMigration } from './timeGrid';
+import { cls, key, mapOf } from './testFixtures';
+
+const SLOTS = ['08:00-08:40', '08:45-09:25', '09:30-10:10'];
+const grid = (periods, breaks = []) => ({
+  days: ['Monday'],
+  periods: periods.map(([start, end]) => ({ start, end })),
+  breaks:  breaks.map(([start, end]) => ({ start, end })),
+});
+
+describe('slot times', () => {
+  it('reads times and ends classes at the real period end', () => {
+    expect(toMinutes('8.05')).toBe(485);
+    expect(toMinutes('noon')).toBeNaN();
+    expect(slotEnd(SLOTS[0], 2, SLOTS)).toBe('09:25');
+    expect(slotEnd(SLOTS[1], 5, SLOTS)).toBe('10:10');
+    expect(slotEnd('13:10-13:55', 2, SLOTS)).toBe('13:55');
+  });
+
+  it('counts teaching minutes without the breaks', () => {
+    expect(spanMinutes(SLOTS[0], 3, SLOTS)).toBe(120);
+    expect(spanMinutes('13:10-13:55', 1, SLOTS)).toBe(0);
+  });
+});
+
+describe('matchSlot', () => {
+  it('maps a label from elsewhere onto the nearest period start', () => {
+    expect(matchSlot('08.00-08.40', SLOTS)).toBe(SLOTS[0]);
+    expect(matchSlot('08:50 - 09:30', SLOTS)).toBe(SLOTS[1]);
+    expect(matchSlot('Period 3 (09:35)', SLOTS)).toBe(SLOTS[2]);
+  });
+
+  it('gives up past the tolerance or without a time', () => {
+    expect(matchSlot('11:00-11:40', SLOTS)).toBeNull();
+    expect(matchSlot('09:50-10:30', SLOTS)).toBeNull();
+    expect(matchSlot('09:50-10:30', SLOTS, 30)).toBe(SLOTS[2]);
+    expect(matchSlot('Lunch', SLOTS)).toBeNull();
+    expect(matchSlot('08:00-08:40')).toBeNull();
+  });
+});
+
+describe('validateGrid', () => {
+  it('accepts a grid with breaks between periods', () => {
+    expect(validateGrid(grid([['08:00', '08:40'], ['08:45', '09:25']], [['08:40', '08:45']]))).toBe('');
+  });
+
+  it('names the first problem', () => {
+    expect(validateGrid({ ...grid([['08:00', '08:40']]), days: [] })).toBe('tgridNoDays');
+    expect(validateGrid(grid([]))).toBe('tgridNoPeriods');
+    expect(validateGrid(grid([['08:40', '08:00']]))).toBe('tgridBadRange');
+    expect(validateGrid(grid([['08:00', '08:4x']]))).toBe('tgridBadRange');
+    expect(validateGrid(grid([['08:45', '09:25'], ['08:00', '08:50']]))).toBe('tgridOverlap');
+    expect(validateGrid(grid([['08:00', '08:40']], [['08:30', '08:45']]))).toBe('tgridOverlap');
+  });
+
+  it('sorts days, periods and breaks for the editor', () => {
+    const sorted = sortGrid({ ...grid([['09:00', '09:40'], ['08:00', '08:40']]), days: ['Friday', 'Monday'] });
+    expect(sorted.days).toEqual(['Monday', 'Friday']);
+    expect(sorted.periods.map(p => p.start)).toEqual(['08:00', '09:00']);
+  });
+});
+
+describe('slot migration', () => {
+  const old   = cls('A', 'Monday', '13:10-13:55');
+  const other = cls('B', 'Monday', '13:10-13:55', { course: 'Art' });
+  const taken = cls('B', 'Monday', '13:15-13:55', { course: 'Music' });
+  const kept  = cls('A', 'Monday', SLOTS[0]);
+
+  it('finds classes in slots the grid no longer has', () => {
+    expect(orphanedSlots(mapOf(old, kept), SLOTS)).toEqual({ '13:10-13:55': [old] });
+  });
+
+  it('moves them to their new slot and blocks taken cells', () => {
+    const { moves, blocked } = planSlotMigration(mapOf(old, other, taken, kept), { '13:10-13:55': '13:15-13:55' });
+    expect(moves).toEqual([{ fromKey: key(old), toKey: 'A-Monday-13:15-13:55', entry: old, to: '13:15-13:55' }]);
+    expect(blocked).toEqual([other]);
+  });
+
+  it('never moves two classes into one cell', () => {
+    const twin = cls('A', 'Monday', '13:20-14:00', { course: 'Art' });
+    const { moves, blocked } = planSlotMigration(mapOf(old, twin), { '13:10-13:55': '13:15-13:55', '13:20-14:00': '13:15-13:55' });
+    expect(moves.map(m => m.entry)).toEqual([old]);
+    expect(blocked).toEqual([twin]);
+  });
+});